@@ -61,6 +61,12 @@ function initAceEditor() {
         // Create proxy for ui.js compatibility
         setupAceProxy();
 
+        // Gutter breakpoints for the step debugger
+        setupBreakpoints();
+
+        // Syntax errors and checker problems underlined as you type
+        setupSyntaxCheck();
+
         // Hide textarea and fallback elements
         if (textarea) textarea.style.display = 'none';
         const lineNumbers = document.getElementById('lineNumbers');
@@ -160,6 +166,124 @@ function setupAceProxy() {
     window.setEditorCode = (code) => aceEditor.setValue(code, -1);
 }
 
+let debugLineMarker = null;
+
+function setupBreakpoints() {
+    const session = aceEditor.session;
+
+    // Click a line number to toggle a breakpoint on that line
+    aceEditor.on('guttermousedown', (e) => {
+        const target = e.domEvent.target;
+        if (target.className.indexOf('ace_gutter-cell') === -1) return;
+        if (e.clientX > 25 + target.getBoundingClientRect().left && e.getButton() !== 0) return;
+
+        const row = e.getDocumentPosition().row;
+        if (session.getBreakpoints()[row]) {
+            session.clearBreakpoint(row);
+        } else {
+            session.setBreakpoint(row);
+        }
+        e.stop();
+    });
+
+    // Keep breakpoints attached to their lines when lines are inserted or removed above them
+    session.on('change', (delta) => {
+        const lineDelta = delta.end.row - delta.start.row;
+        if (lineDelta === 0) return;
+
+        const rows = [];
+        session.getBreakpoints().forEach((cls, row) => {
+            if (row <= delta.start.row) {
+                rows.push(row);
+            } else if (delta.action === 'insert') {
+                rows.push(row + lineDelta);
+            } else if (row > delta.end.row) {
+                rows.push(row - lineDelta);
+            }
+        });
+        session.clearBreakpoints();
+        rows.forEach(row => session.setBreakpoint(row));
+    });
+
+    // Breakpoints as 1-based line numbers
+    window.getBreakpoints = () => {
+        const lines = [];
+        session.getBreakpoints().forEach((cls, row) => lines.push(row + 1));
+        return lines;
+    };
+
+    window.clearBreakpoints = () => session.clearBreakpoints();
+
+    // Mark the line the debugger is paused on (null clears it)
+    window.setDebugLine = (line) => {
+        if (debugLineMarker !== null) {
+            session.removeMarker(debugLineMarker);
+            debugLineMarker = null;
+        }
+        aceEditor.setReadOnly(line !== null);
+        if (line === null) return;
+
+        const Range = ace.require('ace/range').Range;
+        debugLineMarker = session.addMarker(new Range(line - 1, 0, line - 1, 1), 'debug-line', 'fullLine');
+        aceEditor.scrollToLine(line - 1, true, true, () => {});
+    };
+}
+
+// Problems in code as { line, col, severity, message } (1-based): every
+// syntax error, or if there are none what the Checker (checker.js) finds.
+// Only lexes, parses and checks; nothing runs.
+function findProblems(code) {
+    let parser = null;
+    let ast;
+    try {
+        parser = new Parser(new Lexer(code).tokenize());
+        ast = parser.parse();
+    } catch (e) {
+        if (parser && parser.errors.length > 0) {
+            return parser.errors.map(err => ({ line: err.line, col: err.col, severity: 'error', message: err.message }));
+        }
+        // The lexer stops at its first error and gives its position in the message
+        const at = e.message.match(/ at line (\d+), col (\d+)/);
+        return at ? [{ line: Number(at[1]), col: Number(at[2]), severity: 'error', message: e.message.replace(at[0], '') }] : [];
+    }
+    return typeof Checker !== 'undefined' ? new Checker().check(ast) : [];
+}
+
+let problemCheckTimer = null;
+let problemMarkers = [];
+
+// Re-check the code a moment after typing stops; problems show as gutter
+// annotations and squiggles under the offending token
+function setupSyntaxCheck() {
+    const session = aceEditor.session;
+    const Range = ace.require('ace/range').Range;
+
+    const check = () => {
+        problemMarkers.forEach(id => session.removeMarker(id));
+        problemMarkers = [];
+        const problems = findProblems(session.getValue());
+        session.setAnnotations(problems.map(p => ({
+            row: p.line - 1,
+            column: p.col ? p.col - 1 : 0,
+            text: p.message,
+            type: p.severity
+        })));
+        for (const p of problems) {
+            const row = p.line - 1;
+            const column = p.col ? p.col - 1 : 0;
+            const word = session.getWordRange(row, column);
+            const end = word.end.column > column ? word.end.column : column + 1;
+            problemMarkers.push(session.addMarker(new Range(row, column, row, end), `problem-${p.severity}`, 'text'));
+        }
+    };
+
+    session.on('change', () => {
+        clearTimeout(problemCheckTimer);
+        problemCheckTimer = setTimeout(check, 500);
+    });
+    check();
+}
+
 function showAceContextMenu(event, editor) {
     const menu = document.createElement('div');
     menu.style.position = 'fixed';
@@ -254,6 +378,7 @@ function addGridLangCompleters() {
                 { name: 'debug', value: 'debug', score: 100, meta: 'function' },
                 { name: 'set_debug', value: 'set_debug', score: 100, meta: 'function' },
                 { name: 'assert', value: 'assert', score: 100, meta: 'function' },
+                { name: 'set_recursion_limit', value: 'set_recursion_limit', score: 100, meta: 'function' },
                 { name: 'range', value: 'range', score: 100, meta: 'function' },
                 { name: 'abs', value: 'abs', score: 100, meta: 'math' },
                 { name: 'sqrt', value: 'sqrt', score: 100, meta: 'math' },
@@ -291,6 +416,7 @@ function addGridLangCompleters() {
                 { name: 'str', value: 'str', score: 100, meta: 'convert' },
                 { name: 'int', value: 'int', score: 100, meta: 'convert' },
                 { name: 'float', value: 'float', score: 100, meta: 'convert' },
+                { name: 'bigint', value: 'bigint', score: 100, meta: 'convert' },
                 { name: 'bool', value: 'bool', score: 100, meta: 'convert' },
                 { name: 'substr', value: 'substr', score: 100, meta: 'string' },
                 { name: 'slice', value: 'slice', score: 100, meta: 'string' },
@@ -337,7 +463,13 @@ function addGridLangCompleters() {
                 { name: 'save_animation_gif', value: 'save_animation_gif', score: 100, meta: 'animation' },
                 { name: 'stop_recording', value: 'stop_recording', score: 100, meta: 'animation' },
                 { name: 'clear_recording', value: 'clear_recording', score: 100, meta: 'animation' },
-                { name: 'get_animation_frames', value: 'get_animation_frames', score: 100, meta: 'animation' }
+                { name: 'get_animation_frames', value: 'get_animation_frames', score: 100, meta: 'animation' },
+                { name: 'PriorityQueue', value: 'PriorityQueue', score: 100, meta: 'type' },
+                { name: 'pq.peek', value: 'peek', score: 100, meta: 'method' },
+                { name: 'Set', value: 'Set', score: 100, meta: 'type' },
+                { name: 'Deque', value: 'Deque', score: 100, meta: 'type' },
+                { name: 'push_front', value: 'push_front', score: 100, meta: 'method' },
+                { name: 'pop_front', value: 'pop_front', score: 100, meta: 'method' }
             ];
 
             // Filter by prefix
@@ -102,6 +102,16 @@ function prepVM(code) {
     return compiler.compile(ast);
 }
 
+// Bytecode exactly as compiled, to measure what the Optimizer gains
+function prepVMUnoptimized(code) {
+    const lexer = new Lexer(code);
+    const tokens = lexer.tokenize();
+    const parser = new Parser(tokens);
+    const ast = parser.parse();
+    const compiler = new Compiler({ optimize: false });
+    return compiler.compile(ast);
+}
+
 function runVMExec(chunk) {
     const vm = new VM();
     return vm.run(chunk);
@@ -233,8 +243,9 @@ function runBenchmark(code, benchRuns = 5) {
     // Run execution-only benchmarks
     const oldExecResult = benchmarkExecOnly(runOldExec, prepOld, code, benchRuns);
     const vmExecResult = benchmarkExecOnly(runVMExec, prepVM, code, benchRuns);
+    const unoptimizedExecResult = benchmarkExecOnly(runVMExec, prepVMUnoptimized, code, benchRuns);
     
-    return { oldResult, vmResult, oldExecResult, vmExecResult };
+    return { oldResult, vmResult, oldExecResult, vmExecResult, unoptimizedExecResult };
 }
 
 console.log('🏁 GridLang Performance Benchmark: Old Interpreter vs VM\n');
@@ -246,7 +257,7 @@ for (const benchmark of benchmarks) {
     console.log(`\n📊 ${benchmark.name}`);
     console.log('-'.repeat(80));
     
-    const { oldResult, vmResult, oldExecResult, vmExecResult } = runBenchmark(benchmark.code);
+    const { oldResult, vmResult, oldExecResult, vmExecResult, unoptimizedExecResult } = runBenchmark(benchmark.code);
     
     if (oldResult.error) {
         console.log(`❌ Old: ERROR - ${oldResult.error}`);
@@ -260,6 +271,9 @@ for (const benchmark of benchmarks) {
     } else {
         console.log(`   VM  (full):     ${vmResult.avg.toFixed(2)}ms (min: ${vmResult.min.toFixed(2)}ms, max: ${vmResult.max.toFixed(2)}ms)`);
         console.log(`   VM  (exec):     ${vmExecResult.avg.toFixed(2)}ms (min: ${vmExecResult.min.toFixed(2)}ms, max: ${vmExecResult.max.toFixed(2)}ms)`);
+        if (!unoptimizedExecResult.error) {
+            console.log(`   VM  (no opt):   ${unoptimizedExecResult.avg.toFixed(2)}ms (min: ${unoptimizedExecResult.min.toFixed(2)}ms, max: ${unoptimizedExecResult.max.toFixed(2)}ms)`);
+        }
     }
     
     if (!oldExecResult.error && !vmExecResult.error) {
@@ -276,7 +290,8 @@ for (const benchmark of benchmarks) {
             name: benchmark.name,
             oldAvg: oldExecResult.avg,
             vmAvg: vmExecResult.avg,
-            speedup: speedup
+            speedup: speedup,
+            optimizerGain: unoptimizedExecResult.error ? null : unoptimizedExecResult.avg / vmExecResult.avg
         });
     }
 }
@@ -316,6 +331,11 @@ if (results.length > 0) {
         const opAvg = operations.reduce((sum, r) => sum + r.speedup, 0) / operations.length;
         console.log(`   Operations: ${opAvg.toFixed(2)}x average speedup`);
     }
+    
+    console.log('\n⚙️  Optimizer (VM exec vs. unoptimized bytecode):');
+    for (const r of results.filter(r => r.optimizerGain !== null)) {
+        console.log(`   ${r.name}: ${r.optimizerGain.toFixed(2)}x`);
+    }
 }
 
 console.log('\n' + '='.repeat(80));
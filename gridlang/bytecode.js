@@ -46,6 +46,7 @@ const OpCode = {
     MOD: 34,
     POW: 35,
     NEG: 36,            // Unary negation
+    FLOOR_DIV: 37,      // Integer division, rounded down
     
     // Comparison
     EQ: 40,
@@ -65,6 +66,8 @@ const OpCode = {
     JUMP: 60,           // Unconditional jump
     JUMP_IF_FALSE: 61,  // Jump if TOS is falsy
     JUMP_IF_TRUE: 62,   // Jump if TOS is truthy
+    JUMP_TABLE: 63,     // Pop a value; jump where the JumpTable (constant operand) sends it
+    JUMP_IF_ARG: 64,    // Jump if the call was passed argument N (byte operand after the target)
     
     // Loops
     SETUP_LOOP: 70,     // Set up loop context
@@ -76,6 +79,7 @@ const OpCode = {
     MAKE_FUNCTION: 80,  // Create function object
     CALL: 81,           // Call function
     RETURN: 82,
+    CALL_SPREAD: 83,    // Call function with the arguments in an array (f(...args))
     
     // Collections
     BUILD_ARRAY: 90,    // Build array from N stack items
@@ -84,14 +88,60 @@ const OpCode = {
     STORE_INDEX: 93,    // Array/Map index assignment
     GET_MEMBER: 94,     // Get object member (obj.prop)
     STORE_MEMBER: 95,   // Set object member (obj.prop = val)
+    MAKE_STRUCT: 96,    // Struct constructor from a name and N field names on the stack
+    ARRAY_EXTEND: 97,   // Pop a value and append what it spreads to the array below it
+    MAP_UPDATE: 98,     // Pop a map and copy its entries into the map below it
+    BUILD_SLICE: 99,    // Slice from start, end and step on the stack (null where left out)
     
     // Iteration
     GET_ITER: 100,      // Get iterator for object
     FOR_ITER: 101,      // Iterator step (pop iterator, push next value, or jump)
     
+    // Comprehensions: the operand counts the loop iterators on the stack
+    // between the collection being built and the value(s) added to it
+    LIST_APPEND: 105,   // Pop a value and append it to the array
+    SET_ADD: 106,       // Pop a value and add it to the Set
+    MAP_ADD: 107,       // Pop a value and a key and set them in the map
+    BUILD_SET: 108,     // Build a Set from N stack items
+    
     // Special
     PRINT: 110,         // Built-in print (optimization)
     SWAP: 111,          // Swap top two stack values
+    FORMAT_VALUE: 112,  // Convert TOS to string; operand 1 = format spec string on top of it
+    
+    // Modules
+    IMPORT_NAME: 120,   // Load module (name in constant pool), push its exports
+    IMPORT_FROM: 121,   // Push an export of the module on TOS (operands: name index, module constant)
+    
+    // Bitwise (integers of any size)
+    BIT_AND: 130,
+    BIT_OR: 131,
+    BIT_XOR: 132,
+    SHIFT_LEFT: 133,
+    SHIFT_RIGHT: 134,
+    BIT_NOT: 135,       // Unary ~
+    
+    // Exceptions (try blocks are described by the chunk's handler table)
+    THROW: 140,         // Raise TOS (an error map from catch re-raises its error)
+    
+    // Pattern matching (match statements)
+    MATCH_ARRAY: 145,   // Pop a value; push whether it is an array of length operand
+    MATCH_MAP: 146,     // Pop a value; push whether it is a map
+    
+    // Operands wider than their encoding: EXTENDED_ARG n puts n above the
+    // next instruction's operand (one byte for indexes and counts, two for
+    // jump targets), and may repeat for still wider ones
+    EXTENDED_ARG: 150,
+    
+    // Superinstructions (formed by the Optimizer from common sequences)
+    INC_FAST: 160,      // locals[slot] += constant (operands: slot, constant index)
+    INC_VAR: 161,       // The same for a variable kept by name (operands: name, constant index)
+    JUMP_IF_NOT_LT: 162,  // Pop b, a; jump unless a < b
+    JUMP_IF_NOT_LTE: 163,
+    JUMP_IF_NOT_GT: 164,
+    JUMP_IF_NOT_GTE: 165,
+    JUMP_IF_NOT_EQ: 166,
+    JUMP_IF_NOT_NEQ: 167,
     HALT: 255           // End of program
 };
 
@@ -101,34 +151,79 @@ for (const [name, code] of Object.entries(OpCode)) {
     OpName[code] = name;
 }
 
+// ============= JUMP TABLE =============
+// Where JUMP_TABLE sends each literal (a number, string, boolean or null):
+// cases maps it to a code offset, and anything else goes to fallback
+class JumpTable {
+    constructor(cases = new Map(), fallback = 0) {
+        this.cases = cases;
+        this.fallback = fallback;
+    }
+    
+    target(value) {
+        if (typeof value === 'bigint') {
+            // == compares bigints with numbers by value
+            const number = Number(value);
+            if (Number.isFinite(number) && BigInt(number) === value) value = number;
+        }
+        const target = this.cases.get(value);
+        return target === undefined ? this.fallback : target;
+    }
+    
+    // The same table with each target passed through fn
+    map(fn) {
+        const cases = new Map();
+        for (const [value, target] of this.cases) cases.set(value, fn(target));
+        return new JumpTable(cases, fn(this.fallback));
+    }
+    
+    targets() {
+        return [...this.cases.values(), this.fallback];
+    }
+}
+
 // ============= BYTECODE CHUNK =============
 class BytecodeChunk {
-    constructor(name = '<main>') {
+    constructor(name = '<module>') {
         this.name = name;
         this.code = [];           // Bytecode instructions
         this.constants = [];      // Constant pool
+        this.constantIndex = new Map();  // Constant -> its index in the pool
         this.lines = [];          // Line numbers for each instruction
+        this.columns = [];        // Column numbers, aligned with lines (0 if unknown)
+        this.column = 0;          // Column given to the bytes written next (set per AST node by the Compiler)
         this.names = [];          // Variable/function names
+        this.localNames = [];     // Slot index -> name for LOAD_FAST/STORE_FAST
+        this.cellNames = [];      // Locals captured by nested functions (kept by name)
+        this.paramSlots = [];     // Param index -> slot, or -1 if the param is a cell
+        this.module = null;       // Module name, for code compiled from an imported file
+        this.handlers = [];       // Try blocks: { start, end, target, depth }, innermost first
     }
     
     write(opcode, line = 0) {
         this.code.push(opcode);
         this.lines.push(line);
+        this.columns.push(this.column);
         return this.code.length - 1;
     }
     
-    writeShort(value) {
-        // Write 16-bit value as two bytes (big-endian)
+    writeShort(value, line = 0) {
+        // Write 16-bit value as two bytes (big-endian); operand bytes share
+        // the opcode's position so lines[] and columns[] stay aligned with code[]
         this.code.push((value >> 8) & 0xFF);
         this.code.push(value & 0xFF);
+        this.lines.push(line, line);
+        this.columns.push(this.column, this.column);
     }
     
     addConstant(value) {
-        // Check if constant already exists
-        const idx = this.constants.findIndex(c => c === value);
-        if (idx !== -1) return idx;
+        // Reuse the slot of an equal constant (looked up by a Map, since
+        // generated scripts can have tens of thousands of them)
+        const idx = this.constantIndex.get(value);
+        if (idx !== undefined) return idx;
         
         this.constants.push(value);
+        this.constantIndex.set(value, this.constants.length - 1);
         return this.constants.length - 1;
     }
     
@@ -146,9 +241,43 @@ class BytecodeChunk {
         while (offset < this.code.length) {
             offset = this.disassembleInstruction(offset);
         }
+        for (const { start, end, target, depth } of this.handlers) {
+            console.log(`handler ${start}-${end} -> ${target} (stack depth ${depth})`);
+        }
+    }
+    
+    // The innermost try block around the instruction at offset, or null
+    findHandler(offset) {
+        for (const handler of this.handlers) {
+            if (offset >= handler.start && offset < handler.end) return handler;
+        }
+        return null;
+    }
+    
+    // The chunk, with the chunks of the functions it defines, as a JSON
+    // string that deserialize() turns back into a chunk (see SERIALIZATION)
+    serialize() {
+        return JSON.stringify({ format: 'gridc', version: BYTECODE_FORMAT_VERSION, chunk: encodeChunk(this) });
+    }
+    
+    static deserialize(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('Not a compiled GridLang program');
+        }
+        if (!data || data.format !== 'gridc') {
+            throw new Error('Not a compiled GridLang program');
+        }
+        if (data.version !== BYTECODE_FORMAT_VERSION) {
+            throw new Error(`Compiled for bytecode format ${data.version}, but this GridLang runs format ${BYTECODE_FORMAT_VERSION}; compile the script again`);
+        }
+        return decodeChunk(data.chunk);
     }
     
-    disassembleInstruction(offset) {
+    // ext holds the bits of the operand given by preceding EXTENDED_ARGs
+    disassembleInstruction(offset, ext = 0) {
         const line = this.lines[offset];
         const opcode = this.code[offset];
         const opname = OpName[opcode] || `UNKNOWN(${opcode})`;
@@ -157,19 +286,38 @@ class BytecodeChunk {
         
         // Instructions with operands
         switch (opcode) {
+            case OpCode.EXTENDED_ARG: {
+                output += ` ${this.code[offset + 1]}`;
+                console.log(output);
+                return this.disassembleInstruction(offset + 2, (ext | this.code[offset + 1]) << 8);
+            }
+            
             case OpCode.LOAD_CONST:
+            case OpCode.IMPORT_NAME:
             case OpCode.LOAD_VAR:
             case OpCode.STORE_VAR:
             case OpCode.LOAD_FAST:
             case OpCode.STORE_FAST:
+            case OpCode.GET_MEMBER:
+            case OpCode.STORE_MEMBER:
             case OpCode.BUILD_ARRAY:
             case OpCode.BUILD_MAP:
+            case OpCode.FORMAT_VALUE:
+            case OpCode.MATCH_ARRAY:
+            case OpCode.MAKE_STRUCT:
+            case OpCode.LIST_APPEND:
+            case OpCode.SET_ADD:
+            case OpCode.MAP_ADD:
+            case OpCode.BUILD_SET:
             case OpCode.CALL: {
-                const operand = this.code[offset + 1];
-                if (opcode === OpCode.LOAD_CONST) {
+                const operand = ext | this.code[offset + 1];
+                if (opcode === OpCode.LOAD_CONST || opcode === OpCode.IMPORT_NAME) {
                     output += ` ${operand} (${JSON.stringify(this.constants[operand])})`;
-                } else if (opcode === OpCode.LOAD_VAR || opcode === OpCode.STORE_VAR) {
+                } else if (opcode === OpCode.LOAD_VAR || opcode === OpCode.STORE_VAR ||
+                           opcode === OpCode.GET_MEMBER || opcode === OpCode.STORE_MEMBER) {
                     output += ` ${operand} (${this.names[operand]})`;
+                } else if (opcode === OpCode.LOAD_FAST || opcode === OpCode.STORE_FAST) {
+                    output += ` ${operand} (${this.localNames[operand]})`;
                 } else {
                     output += ` ${operand}`;
                 }
@@ -177,16 +325,61 @@ class BytecodeChunk {
                 return offset + 2;
             }
             
+            case OpCode.IMPORT_FROM: {
+                const name = this.names[ext | this.code[offset + 1]];
+                const module = this.constants[(this.code[offset + 2] << 8) | this.code[offset + 3]];
+                output += ` ${name} from ${JSON.stringify(module)}`;
+                console.log(output);
+                return offset + 4;
+            }
+            
+            case OpCode.INC_FAST:
+            case OpCode.INC_VAR: {
+                const operand = ext | this.code[offset + 1];
+                const name = opcode === OpCode.INC_FAST ? this.localNames[operand] : this.names[operand];
+                output += ` ${operand} (${name}) += ${JSON.stringify(this.constants[this.code[offset + 2]])}`;
+                console.log(output);
+                return offset + 3;
+            }
+            
             case OpCode.JUMP:
             case OpCode.JUMP_IF_FALSE:
             case OpCode.JUMP_IF_TRUE:
-            case OpCode.FOR_ITER: {
-                const target = (this.code[offset + 1] << 8) | this.code[offset + 2];
+            case OpCode.JUMP_IF_NOT_LT:
+            case OpCode.JUMP_IF_NOT_LTE:
+            case OpCode.JUMP_IF_NOT_GT:
+            case OpCode.JUMP_IF_NOT_GTE:
+            case OpCode.JUMP_IF_NOT_EQ:
+            case OpCode.JUMP_IF_NOT_NEQ: {
+                const target = (ext << 8) | (this.code[offset + 1] << 8) | this.code[offset + 2];
                 output += ` -> ${target}`;
                 console.log(output);
                 return offset + 3;
             }
             
+            case OpCode.JUMP_TABLE: {
+                const operand = ext | this.code[offset + 1];
+                const table = this.constants[operand];
+                const cases = [...table.cases].map(([value, target]) => `${JSON.stringify(value)} -> ${target}`);
+                output += ` ${operand} {${[...cases, `_ -> ${table.fallback}`].join(', ')}}`;
+                console.log(output);
+                return offset + 2;
+            }
+            
+            case OpCode.FOR_ITER: {
+                const target = (ext << 8) | (this.code[offset + 1] << 8) | this.code[offset + 2];
+                output += ` -> ${target}${this.code[offset + 3] ? ' (key, value)' : ''}`;
+                console.log(output);
+                return offset + 4;
+            }
+            
+            case OpCode.JUMP_IF_ARG: {
+                const target = (ext << 8) | (this.code[offset + 1] << 8) | this.code[offset + 2];
+                output += ` -> ${target} (argument ${this.code[offset + 3]})`;
+                console.log(output);
+                return offset + 4;
+            }
+            
             default:
                 console.log(output);
                 return offset + 1;
@@ -194,23 +387,249 @@ class BytecodeChunk {
     }
 }
 
+// ============= SERIALIZATION =============
+// A serialized chunk is JSON: { format: 'gridc', version, chunk }. Code is
+// a hex string of its bytes, lines and columns are run-length [value, count] pairs, and
+// constants that JSON cannot hold are tagged objects: { number: 'NaN' },
+// { bigint: '123' }, { regex: pattern }, { jumpTable: [[value, target]...],
+// fallback } and { function: {...}, chunk }.
+// Bump the version whenever opcodes or operand layouts change.
+const BYTECODE_FORMAT_VERSION = 7;
+
+function runLengths(values) {
+    const runs = [];
+    for (const value of values) {
+        if (runs.length > 0 && runs[runs.length - 2] === value) {
+            runs[runs.length - 1]++;
+        } else {
+            runs.push(value, 1);
+        }
+    }
+    return runs;
+}
+
+function expandRuns(runs) {
+    const values = [];
+    for (let i = 0; i < runs.length; i += 2) {
+        for (let n = 0; n < runs[i + 1]; n++) values.push(runs[i]);
+    }
+    return values;
+}
+
+function encodeChunk(chunk) {
+    return {
+        name: chunk.name,
+        module: chunk.module,
+        code: chunk.code.map(byte => byte.toString(16).padStart(2, '0')).join(''),
+        lines: runLengths(chunk.lines),
+        columns: runLengths(chunk.columns),
+        names: chunk.names,
+        localNames: chunk.localNames,
+        cellNames: chunk.cellNames,
+        paramSlots: chunk.paramSlots,
+        handlers: chunk.handlers,
+        constants: chunk.constants.map(encodeConstant)
+    };
+}
+
+function decodeChunk(data) {
+    const chunk = new BytecodeChunk(data.name);
+    chunk.module = data.module;
+    for (let i = 0; i < data.code.length; i += 2) {
+        chunk.code.push(parseInt(data.code.slice(i, i + 2), 16));
+    }
+    chunk.lines = expandRuns(data.lines);
+    chunk.columns = expandRuns(data.columns);
+    chunk.names = data.names;
+    chunk.localNames = data.localNames;
+    chunk.cellNames = data.cellNames;
+    chunk.paramSlots = data.paramSlots;
+    chunk.handlers = data.handlers;
+    chunk.constants = data.constants.map(decodeConstant);
+    chunk.constants.forEach((value, i) => {
+        if (!chunk.constantIndex.has(value)) chunk.constantIndex.set(value, i);
+    });
+    return chunk;
+}
+
+function encodeConstant(value) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && !Object.is(value, -0) ? value : { number: String(value === 0 ? '-0' : value) };
+    }
+    if (typeof value === 'bigint') {
+        return { bigint: value.toString() };
+    }
+    if (Regex && value instanceof Regex) {
+        return { regex: value.pattern };
+    }
+    if (value instanceof JumpTable) {
+        return { jumpTable: [...value.cases].map(([key, target]) => [encodeConstant(key), target]), fallback: value.fallback };
+    }
+    if (value && value.type === 'function' && value.chunk) {
+        const { chunk, closure, ...fields } = value;
+        return { function: fields, chunk: encodeChunk(chunk) };
+    }
+    throw new Error(`Cannot serialize constant: ${value}`);
+}
+
+function decodeConstant(data) {
+    if (data === null || typeof data !== 'object') return data;
+    if ('number' in data) return data.number === '-0' ? -0 : Number(data.number);
+    if ('bigint' in data) return BigInt(data.bigint);
+    if ('regex' in data) return new Regex(data.regex);
+    if ('jumpTable' in data) {
+        return new JumpTable(new Map(data.jumpTable.map(([key, target]) => [decodeConstant(key), target])), data.fallback);
+    }
+    return { ...data.function, chunk: decodeChunk(data.chunk), closure: null };
+}
+
+// ============= COMPILED CHUNK CACHE =============
+// Serialized chunks of programs run recently, keyed by a hash of their
+// source, so running unchanged code again skips parsing and compiling.
+// storage is localStorage (or anything with getItem, setItem and
+// removeItem); version (GRIDLANG_VERSION) keeps each release's entries apart.
+class ChunkCache {
+    constructor(storage, version = '', limit = 20) {
+        this.storage = storage;
+        this.prefix = `gridlang_chunk_${version}_`;
+        this.indexKey = 'gridlang_chunk_index';  // Cached keys, least recently used first
+        this.limit = limit;
+    }
+    
+    // The serialized chunk for source, or null
+    load(source) {
+        try {
+            const key = this.prefix + sourceHash(source);
+            const text = this.storage.getItem(key);
+            if (text !== null) {
+                this.touch(key);
+            }
+            return text;
+        } catch (e) {
+            return null;  // Storage unavailable
+        }
+    }
+    
+    save(source, serialized) {
+        const key = this.prefix + sourceHash(source);
+        try {
+            this.touch(key);
+            while (true) {
+                try {
+                    this.storage.setItem(key, serialized);
+                    return;
+                } catch (e) {
+                    // Storage full: make room by dropping the oldest entry
+                    if (!this.evictOldest(key)) throw e;
+                }
+            }
+        } catch (e) {
+            // Not cached; the program still runs
+        }
+    }
+    
+    // Mark key as the most recently used and drop entries past the limit
+    touch(key) {
+        const keys = this.keys().filter(k => k !== key);
+        keys.push(key);
+        while (keys.length > this.limit) {
+            this.storage.removeItem(keys.shift());
+        }
+        this.storage.setItem(this.indexKey, JSON.stringify(keys));
+    }
+    
+    evictOldest(keep) {
+        const keys = this.keys();
+        const oldest = keys.find(k => k !== keep);
+        if (oldest === undefined) return false;
+        this.storage.removeItem(oldest);
+        this.storage.setItem(this.indexKey, JSON.stringify(keys.filter(k => k !== oldest)));
+        return true;
+    }
+    
+    keys() {
+        try {
+            return JSON.parse(this.storage.getItem(this.indexKey)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+}
+
+// 64-bit FNV-1a style hash of a string, as 16 hex digits
+function sourceHash(source) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0x01000193 ^ source.length;
+    for (let i = 0; i < source.length; i++) {
+        const c = source.charCodeAt(i);
+        h1 = Math.imul(h1 ^ c, 0x01000193);
+        h2 = Math.imul(h2 ^ c, 0x5bd1e995);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+// renames without the names a function binds as its parameters
+function withoutNames(renames, names) {
+    if (!names.some(name => renames.has(name))) return renames;
+    const result = new Map(renames);
+    for (const name of names) result.delete(name);
+    return result;
+}
+
 // ============= COMPILER =============
 class Compiler {
-    constructor() {
+    // options.optimize: run the Optimizer over the compiled code (default true)
+    constructor(options = {}) {
+        this.optimize = options.optimize !== false;
         this.chunk = new BytecodeChunk();
         this.loopStack = [];  // Track loop contexts for break/continue
-        this.localScopes = [new Map()];  // Track local variables
+        this.regions = [];  // Open try/catch blocks of the function being compiled, innermost last
+        this.stackDepth = 0;  // Values the enclosing statements keep on the stack (loop iterators)
+        this.globalNames = new Set();  // Names bound at top level
+        this.scope = null;  // Local variable resolution for the function being compiled (null at top level)
+        this.renames = new Map();  // Comprehension variables in scope -> the names they are stored under
+        this.comprehensionVars = new WeakMap();  // Comprehension node -> its renames
+        this.comprehensionCount = 0;
+        this.wideJumps = false;  // Give every forward jump an EXTENDED_ARG (for chunks past 64K)
+        this.jumpOverflow = false;  // A forward jump target did not fit in 16 bits
     }
     
     compile(ast) {
+        this.scanBindings(ast, this.globalNames, new Set());
         this.compileNode(ast);
         this.chunk.write(OpCode.HALT);
+        if (this.jumpOverflow && !this.wideJumps) {
+            // Forward jumps are written before their target is known, so
+            // compile again with room for a wider target in each of them
+            const chunk = new BytecodeChunk(this.chunk.name);
+            chunk.module = this.chunk.module;
+            this.chunk = chunk;
+            this.wideJumps = true;
+            return this.compile(ast);
+        }
+        if (this.optimize) {
+            new Optimizer().optimize(this.chunk);
+        }
         return this.chunk;
     }
     
+    // Bytes written for node carry its column; its children set their own
     compileNode(node) {
         if (!node) return;
         
+        const outerColumn = this.chunk.column;
+        if (node.col) this.chunk.column = node.col;
+        try {
+            this.compileNodeAt(node);
+        } finally {
+            this.chunk.column = outerColumn;
+        }
+    }
+    
+    compileNodeAt(node) {
         const line = node.line || 0;
         
         switch (node.type) {
@@ -220,7 +639,7 @@ class Compiler {
                     this.compileNode(stmt);
                     // Pop expression results except for the last one
                     if (this.isExpression(stmt) && i < node.body.length - 1) {
-                        this.chunk.write(OpCode.POP, line);
+                        this.chunk.write(OpCode.POP, stmt.line || line);
                     }
                 }
                 break;
@@ -231,14 +650,12 @@ class Compiler {
                 break;
                 
             case 'Block':
-                this.enterScope();
                 for (const stmt of node.body) {
                     this.compileNode(stmt);
                     if (this.isExpression(stmt)) {
-                        this.chunk.write(OpCode.POP, line);
+                        this.chunk.write(OpCode.POP, stmt.line || line);
                     }
                 }
-                this.exitScope();
                 break;
                 
             case 'Number':
@@ -265,22 +682,6 @@ class Compiler {
                 this.emitLoadVar(node.name, line);
                 break;
                 
-            case 'var':
-                // Variable reference with path (used in f-strings and elsewhere)
-                // path is an array like ["name"] or ["person", "name"]
-                if (node.path.length === 1) {
-                    this.emitLoadVar(node.path[0], line);
-                } else {
-                    // Multi-level access: person.name.first
-                    this.emitLoadVar(node.path[0], line);
-                    for (let i = 1; i < node.path.length; i++) {
-                        const memberIdx = this.chunk.addName(node.path[i]);
-                        this.chunk.write(OpCode.GET_MEMBER, line);
-                        this.chunk.write(memberIdx, line);
-                    }
-                }
-                break;
-                
             case 'Assignment':
                 this.compileNode(node.value);
                 this.chunk.write(OpCode.DUP, line);  // Keep value on stack
@@ -297,6 +698,8 @@ class Compiler {
                     this.chunk.write(OpCode.NEG, line);
                 } else if (node.op === 'not') {
                     this.chunk.write(OpCode.NOT, line);
+                } else if (node.op === '~') {
+                    this.chunk.write(OpCode.BIT_NOT, line);
                 }
                 break;
                 
@@ -305,6 +708,10 @@ class Compiler {
                 this.compileIfStatement(node, line);
                 break;
                 
+            case 'Match':
+                this.compileMatch(node, line);
+                break;
+                
             case 'While':
             case 'WhileLoop':
                 this.compileWhileLoop(node, line);
@@ -315,10 +722,6 @@ class Compiler {
                 this.compileForLoop(node, line);
                 break;
                 
-            case 'FunctionDeclaration':
-                this.compileFunctionDeclaration(node, line);
-                break;
-                
             case 'Call':
                 this.compileCall(node, line);
                 break;
@@ -329,31 +732,72 @@ class Compiler {
                 } else {
                     this.chunk.write(OpCode.LOAD_NULL, line);
                 }
-                this.chunk.write(OpCode.RETURN, line);
+                this.stackDepth++;
+                this.exitRegions(0, () => this.chunk.write(OpCode.RETURN, line));
+                this.stackDepth--;
                 break;
                 
             case 'Break':
                 if (this.loopStack.length === 0) {
                     throw new Error('break outside of loop');
                 }
-                const breakJump = this.emitJump(OpCode.JUMP, line);
-                this.loopStack[this.loopStack.length - 1].breaks.push(breakJump);
+                const breakLoop = this.loopStack[this.loopStack.length - 1];
+                this.exitRegions(breakLoop.regions, () => breakLoop.breaks.push(this.emitJump(OpCode.JUMP, line)));
                 break;
                 
             case 'Continue':
                 if (this.loopStack.length === 0) {
                     throw new Error('continue outside of loop');
                 }
-                const continueJump = this.emitJump(OpCode.JUMP, line);
-                this.loopStack[this.loopStack.length - 1].continues.push(continueJump);
+                const continueLoop = this.loopStack[this.loopStack.length - 1];
+                this.exitRegions(continueLoop.regions, () => continueLoop.continues.push(this.emitJump(OpCode.JUMP, line)));
+                break;
+                
+            case 'Try':
+                this.compileTry(node, line);
+                break;
+                
+            case 'Throw':
+                this.compileNode(node.value);
+                this.chunk.write(OpCode.THROW, line);
+                break;
+                
+            case 'Import':
+                this.emitWithArg(OpCode.IMPORT_NAME, this.chunk.addConstant(node.module), line);
+                this.emitStoreVar(node.alias, line);
+                break;
+                
+            case 'FromImport': {
+                const moduleIdx = this.chunk.addConstant(node.module);
+                this.emitWithArg(OpCode.IMPORT_NAME, moduleIdx, line);
+                for (const name of node.names) {
+                    this.emitWithArg(OpCode.IMPORT_FROM, this.chunk.addName(name), line);
+                    this.chunk.writeShort(moduleIdx, line);
+                    this.emitStoreVar(name, line);
+                }
+                this.chunk.write(OpCode.POP, line);
                 break;
+            }
                 
             case 'Array':
-                for (const el of node.elements) {
-                    this.compileNode(el);
+                this.compileElements(node.elements, line);
+                break;
+                
+            case 'Slice':
+                for (const part of [node.start, node.end, node.step]) {
+                    if (part) {
+                        this.compileNode(part);
+                    } else {
+                        this.chunk.write(OpCode.LOAD_NULL, line);
+                    }
                 }
-                this.chunk.write(OpCode.BUILD_ARRAY, line);
-                this.chunk.write(node.elements.length, line);
+                this.chunk.write(OpCode.BUILD_SLICE, line);
+                break;
+                
+            case 'Spread':
+                // An element of compileElements' array
+                this.compileNode(node.argument);
+                this.chunk.write(OpCode.ARRAY_EXTEND, line);
                 break;
                 
             case 'Index':
@@ -370,12 +814,11 @@ class Compiler {
                 break;
                 
             case 'Map':
-                for (const entry of node.entries) {
-                    this.emitConstant(entry.key, line);
-                    this.compileNode(entry.value);
-                }
-                this.chunk.write(OpCode.BUILD_MAP, line);
-                this.chunk.write(node.entries.length, line);
+                this.compileMap(node, line);
+                break;
+                
+            case 'Comprehension':
+                this.compileComprehension(node, line);
                 break;
                 
             case 'ConditionalExpression':
@@ -393,8 +836,7 @@ class Compiler {
                 this.compileNode(node.object);
                 const memberName = node.member || node.property;
                 const memberIdx = this.chunk.addName(memberName);
-                this.chunk.write(OpCode.GET_MEMBER, line);
-                this.chunk.write(memberIdx, line);
+                this.emitWithArg(OpCode.GET_MEMBER, memberIdx, line);
                 break;
                 
             case 'MemberAssignment':
@@ -404,8 +846,7 @@ class Compiler {
                 this.compileNode(node.object);
                 const assignMemberName = node.member || node.property;
                 const assignMemberIdx = this.chunk.addName(assignMemberName);
-                this.chunk.write(OpCode.STORE_MEMBER, line);
-                this.chunk.write(assignMemberIdx, line);
+                this.emitWithArg(OpCode.STORE_MEMBER, assignMemberIdx, line);
                 break;
                 
             case 'FString':
@@ -415,9 +856,20 @@ class Compiler {
                 
             case 'FuncDef':
             case 'FuncExpr':
+            case 'FunctionDeclaration':
+            case 'MethodDef':
                 this.compileFunctionDef(node, line);
                 break;
                 
+            case 'StructDef':
+                this.emitConstant(node.name, line);
+                for (const field of node.fields) {
+                    this.emitConstant(field, line);
+                }
+                this.emitWithArg(OpCode.MAKE_STRUCT, node.fields.length, line);
+                this.emitStoreVar(node.name, line);
+                break;
+                
             case 'RegexLiteral':
                 // Create actual Regex instance so methods work
                 const regex = new Regex(node.pattern);
@@ -474,6 +926,12 @@ class Compiler {
             '/': OpCode.DIV,
             '%': OpCode.MOD,
             '**': OpCode.POW,
+            '//': OpCode.FLOOR_DIV,
+            '&': OpCode.BIT_AND,
+            '|': OpCode.BIT_OR,
+            '^': OpCode.BIT_XOR,
+            '<<': OpCode.SHIFT_LEFT,
+            '>>': OpCode.SHIFT_RIGHT,
             '==': OpCode.EQ,
             '!=': OpCode.NEQ,
             '<': OpCode.LT,
@@ -507,13 +965,158 @@ class Compiler {
         }
     }
     
+    // ============= MATCH =============
+    // The subject stays on the stack while an arm's pattern is tested. Each
+    // test loads the part of the subject it looks at (DUP, then INDEX for
+    // each step into it), and a failed one jumps to the next arm:
+    //
+    //     <subject>
+    //   arm:
+    //     DUP <path> MATCH_ARRAY n, JUMP_IF_FALSE next    (each test)
+    //     DUP <path> STORE name                           (each name bound)
+    //     <guard>, JUMP_IF_FALSE next
+    //     POP
+    //     <body>
+    //     JUMP end
+    //   next:
+    //     ...
+    //     POP                                             (no arm fits)
+    //   end:
+    //
+    // Names are only stored once the whole pattern fits. A match of
+    // literals alone (and _) is one JUMP_TABLE to the arm instead.
+    compileMatch(node, line) {
+        this.compileNode(node.subject);
+        if (node.arms.every(arm => !arm.guard && this.isTableCase(arm.pattern))) {
+            this.compileMatchTable(node, line);
+            return;
+        }
+        
+        const ends = [];
+        for (const arm of node.arms) {
+            const tests = [];
+            const binds = [];
+            this.collectPatternSteps(arm.pattern, [], tests, binds);
+            const fails = [];
+            for (const test of tests) {
+                this.emitSubjectPart(test.path, test.line);
+                if (test.pattern.type === 'LiteralPattern') {
+                    this.emitLiteral(test.pattern.value, test.line);
+                    this.chunk.write(OpCode.EQ, test.line);
+                } else if (test.pattern.type === 'ArrayPattern') {
+                    this.emitWithArg(OpCode.MATCH_ARRAY, test.pattern.elements.length, test.line);
+                } else if (test.key === undefined) {
+                    this.chunk.write(OpCode.MATCH_MAP, test.line);
+                } else {
+                    // key in map
+                    this.emitConstant(test.key, test.line);
+                    this.chunk.write(OpCode.SWAP, test.line);
+                    this.chunk.write(OpCode.IN, test.line);
+                }
+                fails.push(this.emitJump(OpCode.JUMP_IF_FALSE, test.line));
+            }
+            for (const bind of binds) {
+                this.emitSubjectPart(bind.path, bind.line);
+                this.emitStoreVar(bind.name, bind.line);
+            }
+            if (arm.guard) {
+                this.compileNode(arm.guard);
+                fails.push(this.emitJump(OpCode.JUMP_IF_FALSE, arm.line || line));
+            }
+            this.chunk.write(OpCode.POP, arm.line || line);
+            this.compileArmBody(arm, line);
+            ends.push(this.emitJump(OpCode.JUMP, arm.line || line));
+            for (const fail of fails) this.patchJump(fail);
+        }
+        this.chunk.write(OpCode.POP, line);
+        for (const end of ends) this.patchJump(end);
+    }
+    
+    compileMatchTable(node, line) {
+        const table = new JumpTable();
+        this.emitWithArg(OpCode.JUMP_TABLE, this.chunk.addConstant(table), line);
+        const ends = [];
+        let fallback = null;
+        for (const arm of node.arms) {
+            const start = this.chunk.code.length;
+            if (arm.pattern.type === 'WildcardPattern') {
+                fallback = start;
+            } else if (!table.cases.has(arm.pattern.value)) {
+                table.cases.set(arm.pattern.value, start);  // The first arm for a value wins
+            }
+            this.compileArmBody(arm, line);
+            if (fallback !== null) break;  // Arms after _ are never reached
+            ends.push(this.emitJump(OpCode.JUMP, arm.line || line));
+        }
+        for (const end of ends) this.patchJump(end);
+        table.fallback = fallback !== null ? fallback : this.chunk.code.length;
+    }
+    
+    isTableCase(pattern) {
+        if (pattern.type === 'WildcardPattern') return true;
+        const value = pattern.type === 'LiteralPattern' ? pattern.value : undefined;
+        return value === null || ['number', 'string', 'boolean'].includes(typeof value);
+    }
+    
+    compileArmBody(arm, line) {
+        this.compileNode(arm.body);
+        if (this.isExpression(arm.body)) {
+            this.chunk.write(OpCode.POP, arm.body.line || line);
+        }
+    }
+    
+    // Flatten pattern into the tests it makes and the names it binds, each
+    // with the path (indexes and keys) from the subject to the part it is
+    // about. A map test with a key checks that the map has it.
+    collectPatternSteps(pattern, path, tests, binds) {
+        const line = pattern.line || 0;
+        switch (pattern.type) {
+            case 'BindPattern':
+                binds.push({ name: pattern.name, path, line });
+                break;
+            case 'LiteralPattern':
+                tests.push({ pattern, path, line });
+                break;
+            case 'ArrayPattern':
+                tests.push({ pattern, path, line });
+                pattern.elements.forEach((element, i) => this.collectPatternSteps(element, [...path, i], tests, binds));
+                break;
+            case 'MapPattern':
+                tests.push({ pattern, path, line });
+                for (const { key } of pattern.entries) tests.push({ pattern, path, key, line });
+                for (const entry of pattern.entries) this.collectPatternSteps(entry.pattern, [...path, entry.key], tests, binds);
+                break;
+        }
+    }
+    
+    // Push the part of the match subject (below TOS) that path leads to
+    emitSubjectPart(path, line) {
+        this.chunk.write(OpCode.DUP, line);
+        for (const step of path) {
+            this.emitConstant(step, line);
+            this.chunk.write(OpCode.INDEX, line);
+        }
+    }
+    
+    emitLiteral(value, line) {
+        if (value === null) {
+            this.chunk.write(OpCode.LOAD_NULL, line);
+        } else if (value === undefined) {
+            this.chunk.write(OpCode.LOAD_UNDEFINED, line);
+        } else if (typeof value === 'boolean') {
+            this.chunk.write(value ? OpCode.LOAD_TRUE : OpCode.LOAD_FALSE, line);
+        } else {
+            this.emitConstant(value, line);
+        }
+    }
+    
     compileWhileLoop(node, line) {
         const loopStart = this.chunk.code.length;
         
         this.compileNode(node.condition);
         const exitJump = this.emitJump(OpCode.JUMP_IF_FALSE, line);
         
-        this.loopStack.push({ start: loopStart, breaks: [], continues: [] });
+        this.loopStack.push({ start: loopStart, breaks: [], continues: [], regions: this.regions.length });
         this.compileNode(node.body);
         const loopCtx = this.loopStack.pop();
         
@@ -530,14 +1133,13 @@ class Compiler {
     }
     
     compileForLoop(node, line) {
-        this.enterScope();
-        
         // Compile iterable
         this.compileNode(node.iterable);
         this.chunk.write(OpCode.GET_ITER, line);
         
         const loopStart = this.chunk.code.length;
         const exitJump = this.emitJump(OpCode.FOR_ITER, line);
+        this.stackDepth++;  // The iterator
         
         // Emit a flag byte: 0 for single-variable, 1 for two-variable
         const isTwoVar = node.valueVariable ? 1 : 0;
@@ -553,7 +1155,7 @@ class Compiler {
             this.emitStoreVar(node.variable, line); // Store the value
         }
         
-        this.loopStack.push({ start: loopStart, breaks: [], continues: [] });
+        this.loopStack.push({ start: loopStart, breaks: [], continues: [], regions: this.regions.length });
         this.compileNode(node.body);
         const loopCtx = this.loopStack.pop();
         
@@ -565,6 +1167,7 @@ class Compiler {
         
         // Clean up iterator
         this.chunk.write(OpCode.POP, line);
+        this.stackDepth--;
         
         // Patch break/continue
         for (const breakAddr of loopCtx.breaks) {
@@ -573,88 +1176,347 @@ class Compiler {
         for (const continueAddr of loopCtx.continues) {
             this.patchJumpAt(continueAddr, loopStart);
         }
-        
-        this.exitScope();
     }
     
-    compileFunctionDeclaration(node, line) {
-        // Create a new compiler for the function body
-        const funcCompiler = new Compiler();
-        funcCompiler.chunk.name = node.name;
+    // ============= COMPREHENSIONS =============
+    // A comprehension runs in place, as for loops nested around the
+    // collection it builds. Its variables are its own: each is stored under
+    // a name no script can write (x#1, a local slot inside a function), so
+    // the loop leaves a variable x of the enclosing code alone.
+    // [x * 2 for x in xs if x > 0] is
+    //
+    //     BUILD_ARRAY 0
+    //     <xs>
+    //     GET_ITER
+    //   loop:
+    //     FOR_ITER end
+    //     STORE x
+    //     <x > 0>
+    //     JUMP_IF_FALSE next
+    //     <x * 2>
+    //     LIST_APPEND 1        the array is below 1 iterator
+    //   next:
+    //     JUMP loop
+    //   end:
+    //     POP
+    compileComprehension(node, line) {
+        const build = { array: OpCode.BUILD_ARRAY, set: OpCode.BUILD_SET, map: OpCode.BUILD_MAP }[node.kind];
+        this.emitWithArg(build, 0, line);
+        this.stackDepth++;  // The collection
+        const outer = this.renames;
+        this.renames = new Map([...outer, ...this.comprehensionRenames(node)]);
+        this.compileClauses(node, 0, 0, line, outer);
+        this.renames = outer;
+        this.stackDepth--;
+    }
+    
+    // The names node's variables are stored under, the same each time the
+    // node is scanned or compiled
+    comprehensionRenames(node) {
+        let renames = this.comprehensionVars.get(node);
+        if (!renames) {
+            renames = new Map();
+            for (const clause of node.clauses) {
+                if (clause.type !== 'ComprehensionFor') continue;
+                for (const name of [clause.variable, clause.valueVariable]) {
+                    if (name && !renames.has(name)) renames.set(name, `${name}#${++this.comprehensionCount}`);
+                }
+            }
+            this.comprehensionVars.set(node, renames);
+        }
+        return renames;
+    }
+    
+    // The clauses from index i on, inside `iterators` for clauses. The first
+    // iterable is evaluated with the enclosing code's names (outer).
+    compileClauses(node, i, iterators, line, outer) {
+        if (i === node.clauses.length) {
+            if (node.kind === 'map') {
+                this.compileNode(node.key);
+                this.compileNode(node.value);
+                this.emitWithArg(OpCode.MAP_ADD, iterators, line);
+            } else {
+                this.compileNode(node.element);
+                this.emitWithArg(node.kind === 'set' ? OpCode.SET_ADD : OpCode.LIST_APPEND, iterators, line);
+            }
+            return;
+        }
         
-        // Compile function body
-        funcCompiler.enterScope();
-        for (const param of node.params) {
-            funcCompiler.addLocal(param);
+        const clause = node.clauses[i];
+        const clauseLine = clause.line || line;
+        if (clause.type === 'ComprehensionIf') {
+            this.compileNode(clause.condition);
+            const skipJump = this.emitJump(OpCode.JUMP_IF_FALSE, clauseLine);
+            this.compileClauses(node, i + 1, iterators, line, outer);
+            this.patchJump(skipJump);
+            return;
+        }
+        
+        const renames = this.renames;
+        if (i === 0) this.renames = outer;
+        this.compileNode(clause.iterable);
+        this.renames = renames;
+        this.chunk.write(OpCode.GET_ITER, clauseLine);
+        const loopStart = this.chunk.code.length;
+        const exitJump = this.emitJump(OpCode.FOR_ITER, clauseLine);
+        this.stackDepth++;  // The iterator
+        this.chunk.write(clause.valueVariable ? 1 : 0, clauseLine);
+        if (clause.valueVariable) {
+            this.emitStoreVar(clause.valueVariable, clauseLine);
         }
-        funcCompiler.compileNode(node.body);
-        funcCompiler.chunk.write(OpCode.LOAD_NULL, line);
-        funcCompiler.chunk.write(OpCode.RETURN, line);
+        this.emitStoreVar(clause.variable, clauseLine);
         
-        // Add function chunk as constant
-        const funcIdx = this.chunk.addConstant(funcCompiler.chunk);
-        this.chunk.write(OpCode.LOAD_CONST, line);
-        this.chunk.write(funcIdx, line);
+        this.compileClauses(node, i + 1, iterators + 1, line, outer);
         
-        // Create function object with params
-        this.chunk.write(OpCode.MAKE_FUNCTION, line);
-        this.chunk.write(node.params.length, line);
+        this.emitLoop(loopStart, clauseLine);
+        this.patchJump(exitJump);
+        this.chunk.write(OpCode.POP, clauseLine);
+        this.stackDepth--;
+    }
+    
+    // ============= TRY / CATCH / FINALLY =============
+    // A try block is a region of code listed in the chunk's handler table
+    // with the offset of its handler and the stack depth to unwind to. The
+    // VM pushes the error as a map {type, message, line} and jumps there.
+    //
+    //     <try body>           region -> catch (or -> reraise without catch)
+    //     JUMP finally
+    //   catch:
+    //     STORE e
+    //     <catch body>         region -> reraise (only with a finally block)
+    //   finally:
+    //     <finally body>
+    //     JUMP end
+    //   reraise:
+    //     <finally body>       with the error on the stack
+    //     THROW
+    //   end:
+    //
+    // break, continue and return leaving a region run a copy of its finally
+    // block first; the copies are cut out of the region so that an error in
+    // them is not caught by the try block they belong to.
+    compileTry(node, line) {
+        const bodyRegion = this.openRegion(node.finalizer);
+        this.compileNode(node.body);
+        this.closeRegion(bodyRegion);
+        
+        let catchRegion = null;
+        if (node.handler) {
+            const skipCatch = this.emitJump(OpCode.JUMP, line);
+            this.setRegionTarget(bodyRegion, this.chunk.code.length);
+            if (node.catchVar) {
+                this.emitStoreVar(node.catchVar, line);
+            } else {
+                this.chunk.write(OpCode.POP, line);
+            }
+            catchRegion = node.finalizer ? this.openRegion(node.finalizer) : null;
+            this.compileNode(node.handler);
+            if (catchRegion) this.closeRegion(catchRegion);
+            this.patchJump(skipCatch);
+        }
         
-        // Store function
-        this.emitStoreVar(node.name, line);
+        if (node.finalizer) {
+            this.compileNode(node.finalizer);
+            const endJump = this.emitJump(OpCode.JUMP, line);
+            this.setRegionTarget(catchRegion || bodyRegion, this.chunk.code.length);
+            this.stackDepth++;  // The error
+            this.compileNode(node.finalizer);
+            this.stackDepth--;
+            this.chunk.write(OpCode.THROW, node.finalizer.line || line);
+            this.patchJump(endJump);
+        }
+    }
+    
+    openRegion(finalizer) {
+        const region = { start: this.chunk.code.length, depth: this.stackDepth, finalizer, entries: [] };
+        this.regions.push(region);
+        return region;
+    }
+    
+    closeRegion(region) {
+        this.endRange(region);
+        this.regions.pop();
+    }
+    
+    // Add the code since the region (re)started to the handler table
+    endRange(region) {
+        const end = this.chunk.code.length;
+        if (end > region.start) {
+            const entry = { start: region.start, end, target: region.target, depth: region.depth };
+            this.chunk.handlers.push(entry);
+            region.entries.push(entry);
+        }
+    }
+    
+    setRegionTarget(region, target) {
+        region.target = target;
+        for (const entry of region.entries) entry.target = target;
+    }
+    
+    // Leave the regions above index keep (innermost first, running their
+    // finally blocks), then emit the jump or return
+    exitRegions(keep, emitExit) {
+        const regions = this.regions;
+        for (let i = regions.length - 1; i >= keep; i--) {
+            this.endRange(regions[i]);
+            if (regions[i].finalizer) {
+                this.regions = regions.slice(0, i);
+                this.compileNode(regions[i].finalizer);
+            }
+        }
+        this.regions = regions;
+        emitExit();
+        for (let i = keep; i < regions.length; i++) {
+            regions[i].start = this.chunk.code.length;
+        }
     }
     
     compileCall(node, line) {
         // Compile function
         this.compileNode(node.func);
         
+        if (node.args.some(arg => arg.type === 'Spread')) {
+            // f(a, ...rest): the arguments go in one array
+            this.compileElements(node.args, line);
+            this.chunk.write(OpCode.CALL_SPREAD, line);
+            return;
+        }
+        
         // Compile arguments
         for (const arg of node.args) {
             this.compileNode(arg);
         }
         
-        this.chunk.write(OpCode.CALL, line);
-        this.chunk.write(node.args.length, line);
+        this.emitWithArg(OpCode.CALL, node.args.length, line);
+    }
+    
+    // An array of elements. With ...spreads, each run of plain elements is
+    // built into an array that extends the one before it, and each spread
+    // extends it too: [1, ...a, 2] is BUILD_ARRAY 1, a, ARRAY_EXTEND,
+    // BUILD_ARRAY 1, ARRAY_EXTEND.
+    compileElements(elements, line) {
+        let pending = 0;  // Plain elements on the stack, not yet in an array
+        let built = false;
+        for (const el of elements) {
+            if (el.type !== 'Spread') {
+                this.compileNode(el);
+                pending++;
+                continue;
+            }
+            this.emitWithArg(OpCode.BUILD_ARRAY, pending, line);
+            if (built) this.chunk.write(OpCode.ARRAY_EXTEND, line);
+            built = true;
+            pending = 0;
+            this.compileNode(el);
+        }
+        if (!built || pending > 0) {
+            this.emitWithArg(OpCode.BUILD_ARRAY, pending, line);
+            if (built) this.chunk.write(OpCode.ARRAY_EXTEND, line);
+        }
+    }
+    
+    // A map literal, built like compileElements' array when it has
+    // {...other} entries
+    compileMap(node, line) {
+        let pending = 0;
+        let built = false;
+        for (const entry of node.entries) {
+            if (entry.type !== 'Spread') {
+                this.emitConstant(entry.key, line);
+                this.compileNode(entry.value);
+                pending++;
+                continue;
+            }
+            this.emitWithArg(OpCode.BUILD_MAP, pending, line);
+            if (built) this.chunk.write(OpCode.MAP_UPDATE, line);
+            built = true;
+            pending = 0;
+            this.compileNode(entry.argument);
+            this.chunk.write(OpCode.MAP_UPDATE, entry.line || line);
+        }
+        if (!built || pending > 0) {
+            this.emitWithArg(OpCode.BUILD_MAP, pending, line);
+            if (built) this.chunk.write(OpCode.MAP_UPDATE, line);
+        }
     }
     
     emitConstant(value, line) {
         const idx = this.chunk.addConstant(value);
-        this.chunk.write(OpCode.LOAD_CONST, line);
-        this.chunk.write(idx, line);
+        this.emitWithArg(OpCode.LOAD_CONST, idx, line);
     }
     
     emitLoadVar(name, line) {
+        name = this.renames.get(name) || name;
+        const slot = this.resolveLocal(name);
+        if (slot !== -1) {
+            this.emitWithArg(OpCode.LOAD_FAST, slot, line);
+            return;
+        }
         const idx = this.chunk.addName(name);
-        this.chunk.write(OpCode.LOAD_VAR, line);
-        this.chunk.write(idx, line);
+        this.emitWithArg(OpCode.LOAD_VAR, idx, line);
     }
     
     emitStoreVar(name, line) {
+        name = this.renames.get(name) || name;
+        const slot = this.resolveLocal(name);
+        if (slot !== -1) {
+            this.emitWithArg(OpCode.STORE_FAST, slot, line);
+            return;
+        }
         const idx = this.chunk.addName(name);
-        this.chunk.write(OpCode.STORE_VAR, line);
-        this.chunk.write(idx, line);
+        this.emitWithArg(OpCode.STORE_VAR, idx, line);
     }
     
+    // Opcode with a one-byte operand; the higher bytes of a larger operand
+    // go in EXTENDED_ARG prefixes
+    emitWithArg(opcode, arg, line) {
+        if (arg > 0xFF) {
+            this.emitExtendedArg(arg >> 8, line);
+        }
+        this.chunk.write(opcode, line);
+        this.chunk.write(arg & 0xFF, line);
+    }
+    
+    emitExtendedArg(value, line) {
+        if (value > 0xFF) {
+            this.emitExtendedArg(value >> 8, line);
+        }
+        this.chunk.write(OpCode.EXTENDED_ARG, line);
+        this.chunk.write(value & 0xFF, line);
+    }
+    
+    // Jump targets are absolute offsets in two bytes. Forward jumps get an
+    // EXTENDED_ARG for a third byte only when compiling with wideJumps.
     emitJump(opcode, line) {
+        if (this.wideJumps) {
+            this.emitExtendedArg(0, line);
+        }
         this.chunk.write(opcode, line);
-        this.chunk.writeShort(0xFFFF);  // Placeholder
+        this.chunk.writeShort(0xFFFF, line);  // Placeholder
         return this.chunk.code.length - 2;
     }
     
     emitLoop(loopStart, line) {
+        if (loopStart > 0xFFFF) {
+            this.emitExtendedArg(loopStart >> 16, line);
+        }
         this.chunk.write(OpCode.JUMP, line);
-        // Use absolute addressing to match patchJumpAt
-        this.chunk.writeShort(loopStart);
+        this.chunk.writeShort(loopStart & 0xFFFF, line);
     }
     
     patchJump(offset) {
-        // Use absolute addressing to match patchJumpAt
-        const target = this.chunk.code.length;
-        this.chunk.code[offset] = (target >> 8) & 0xFF;
-        this.chunk.code[offset + 1] = target & 0xFF;
+        this.patchJumpAt(offset, this.chunk.code.length);
     }
     
     patchJumpAt(offset, target) {
+        if (this.wideJumps) {
+            if (target > 0xFFFFFF) {
+                throw new Error('Compiler: program too large (jump target past 16M)');
+            }
+            this.chunk.code[offset - 2] = target >> 16;  // EXTENDED_ARG operand
+        } else if (target > 0xFFFF) {
+            this.jumpOverflow = true;
+        }
         this.chunk.code[offset] = (target >> 8) & 0xFF;
         this.chunk.code[offset + 1] = target & 0xFF;
     }
@@ -667,82 +1529,215 @@ class Compiler {
                node.type === 'UnaryOp';
     }
     
-    enterScope() {
-        this.localScopes.push(new Map());
+    // ============= LOCAL VARIABLE RESOLUTION =============
+    // Variables are function-scoped. Inside a function, a name is local if it
+    // is a parameter, or if it is assigned in the function and not bound in
+    // an enclosing scope (top level or an enclosing function) - assigning to
+    // an outer name updates it, as with ChainedMap.set. Locals live in the
+    // frame's slot array (LOAD_FAST/STORE_FAST), except those a nested
+    // function refers to: these "cells" stay in the frame's name scope so
+    // closures capture them by reference.
+    
+    // Collect names bound by node (assignments, loop variables, function
+    // names) into `bound`, without entering nested functions. Every name
+    // mentioned inside a nested function goes into `nestedRefs`. Names are
+    // recorded as stored, after the comprehension renames in effect.
+    scanBindings(node, bound, nestedRefs, inNested = false, renames = this.renames) {
+        if (Array.isArray(node)) {
+            for (const child of node) {
+                this.scanBindings(child, bound, nestedRefs, inNested, renames);
+            }
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+        
+        const names = inNested ? nestedRefs : bound;
+        const add = (name) => names.add(renames.get(name) || name);
+        switch (node.type) {
+            case 'Assignment':
+                add(node.target);
+                break;
+            case 'MultiAssignment':
+                for (const target of node.targets) add(target);
+                break;
+            case 'Import':
+                add(node.alias);
+                break;
+            case 'FromImport':
+                for (const name of node.names) add(name);
+                break;
+            case 'For':
+            case 'ForLoop':
+                add(node.variable);
+                if (node.valueVariable) add(node.valueVariable);
+                break;
+            case 'Comprehension': {
+                const own = this.comprehensionRenames(node);
+                for (const name of own.values()) names.add(name);
+                const [first, ...rest] = node.clauses;
+                this.scanBindings(first.iterable, bound, nestedRefs, inNested, renames);
+                this.scanBindings([rest, node.element, node.key, node.value], bound, nestedRefs, inNested, new Map([...renames, ...own]));
+                return;
+            }
+            case 'Try':
+                if (node.catchVar) add(node.catchVar);
+                break;
+            case 'BindPattern':
+                add(node.name);
+                return;
+            case 'StructDef':
+                add(node.name);
+                return;
+            case 'MethodDef':
+                // Binds no name: the method is stored on the struct
+                this.scanBindings(node.struct, bound, nestedRefs, inNested, renames);
+                this.scanBindings([node.body, node.defaults], bound, nestedRefs, true, withoutNames(renames, node.params || []));
+                return;
+            case 'Identifier':
+                if (inNested) add(node.name);
+                return;
+            case 'FuncDef':
+            case 'FuncExpr':
+            case 'FunctionDeclaration':
+                if (node.name) add(node.name);
+                this.scanBindings([node.body, node.defaults], bound, nestedRefs, true, withoutNames(renames, node.params || []));
+                return;
+        }
+        
+        for (const key in node) {
+            const child = node[key];
+            if (child && typeof child === 'object') {
+                this.scanBindings(child, bound, nestedRefs, inNested, renames);
+            }
+        }
     }
     
-    exitScope() {
-        this.localScopes.pop();
+    // Decide which names are local to a function and assign their slots
+    enterFunctionScope(params, body) {
+        const outerBound = this.scope
+            ? new Set([...this.scope.outerBound, ...this.scope.bound])
+            : this.globalNames;
+        
+        const assigned = new Set();
+        const nestedRefs = new Set();
+        this.scanBindings(body, assigned, nestedRefs);
+        
+        const bound = new Set(params);
+        for (const name of assigned) {
+            if (!outerBound.has(name)) bound.add(name);
+        }
+        
+        const slots = new Map();
+        for (const name of bound) {
+            if (nestedRefs.has(name)) {
+                this.chunk.cellNames.push(name);
+            } else {
+                slots.set(name, slots.size);
+                this.chunk.localNames.push(name);
+            }
+        }
+        for (const param of params) {
+            this.chunk.paramSlots.push(slots.has(param) ? slots.get(param) : -1);
+        }
+        
+        this.scope = { bound, outerBound, slots };
     }
     
-    addLocal(name) {
-        const scope = this.localScopes[this.localScopes.length - 1];
-        scope.set(name, scope.size);
+    resolveLocal(name) {
+        if (this.scope && this.scope.slots.has(name)) {
+            return this.scope.slots.get(name);
+        }
+        return -1;
     }
     
     compileFString(node, line) {
         // F-strings are compiled as string concatenation
-        // f"Hello {name}!" becomes "Hello " + str(name) + "!"
+        // f"Hello {name}!" becomes "Hello " + FORMAT_VALUE(name) + "!"
         if (node.parts.length === 0) {
             this.emitConstant('', line);
             return;
         }
         
-        // Compile first part
-        const firstPart = node.parts[0];
-        if (firstPart.type === 'string') {
-            this.emitConstant(firstPart.value, line);
-        } else {
-            // Expression - convert to string
-            // Stack order: function, then args
-            this.emitLoadVar('str', line);  // Load function first
-            this.compileNode(firstPart);     // Then the argument
-            this.chunk.write(OpCode.CALL, line);
-            this.chunk.write(1, line); // 1 argument
-        }
-        
-        // Compile remaining parts and concatenate
-        for (let i = 1; i < node.parts.length; i++) {
+        for (let i = 0; i < node.parts.length; i++) {
             const part = node.parts[i];
             if (part.type === 'string') {
                 this.emitConstant(part.value, line);
             } else {
-                // Expression - convert to string
-                this.emitLoadVar('str', line);  // Load function first
-                this.compileNode(part);          // Then the argument
-                this.chunk.write(OpCode.CALL, line);
-                this.chunk.write(1, line); // 1 argument
+                // Expression field, with an optional format spec (f"{x:.2f}");
+                // a bad spec is reported at the field, not the f-string
+                this.compileNode(part.expression);
+                const outerColumn = this.chunk.column;
+                this.chunk.column = part.col;
+                if (part.spec !== null) {
+                    this.emitConstant(part.spec, part.line);
+                }
+                this.chunk.write(OpCode.FORMAT_VALUE, part.line);
+                this.chunk.write(part.spec !== null ? 1 : 0, part.line);
+                this.chunk.column = outerColumn;
+            }
+            if (i > 0) {
+                // Add to accumulated string
+                this.chunk.write(OpCode.ADD, line);
             }
-            // Add to accumulated string
-            this.chunk.write(OpCode.ADD, line);
         }
     }
     
     compileFunctionDef(node, line) {
         // Compile function body to a separate chunk
-        const funcName = node.name || '<anonymous>';
+        const funcName = node.type === 'MethodDef' ? `${node.struct.name}.${node.name}` : node.name || '<anonymous>';
         const funcChunk = new BytecodeChunk(funcName);
+        funcChunk.module = this.chunk.module;
         
         // Save current chunk and switch to function chunk
         const savedChunk = this.chunk;
+        const savedScope = this.scope;
+        const savedLoops = this.loopStack;
+        const savedRegions = this.regions;
+        const savedDepth = this.stackDepth;
+        const savedRenames = this.renames;
         this.chunk = funcChunk;
+        this.loopStack = [];
+        this.regions = [];
+        this.stackDepth = 0;
         
         // Add parameter names to the function's name table
-        for (const param of node.params || []) {
+        const params = node.params || [];
+        const defaults = node.defaults || [];
+        this.renames = withoutNames(savedRenames, params);
+        for (const param of params) {
             this.chunk.addName(param);
         }
+        this.enterFunctionScope(params, [node.body, defaults]);
+        
+        // A call that omits an argument with a default evaluates it first
+        for (let i = 0; i < defaults.length; i++) {
+            if (!defaults[i]) continue;
+            const passed = this.emitJump(OpCode.JUMP_IF_ARG, defaults[i].line || line);
+            this.chunk.write(i, defaults[i].line || line);
+            this.compileNode(defaults[i]);
+            this.emitStoreVar(params[i], defaults[i].line || line);
+            this.patchJump(passed);
+        }
         
         // Compile function body
         if (node.body) {
             this.compileNode(node.body);
         }
         
-        // Ensure function returns (push null if no explicit return)
-        this.chunk.write(OpCode.LOAD_NULL, line);
-        this.chunk.write(OpCode.RETURN, line);
+        // Ensure function returns (push null if no explicit return). It belongs
+        // to the body's last line so it does not look like a new line start.
+        const lines = this.chunk.lines;
+        const endLine = lines.length > 0 ? lines[lines.length - 1] : line;
+        this.chunk.write(OpCode.LOAD_NULL, endLine);
+        this.chunk.write(OpCode.RETURN, endLine);
         
         // Restore original chunk
         this.chunk = savedChunk;
+        this.scope = savedScope;
+        this.loopStack = savedLoops;
+        this.regions = savedRegions;
+        this.stackDepth = savedDepth;
+        this.renames = savedRenames;
         
         // Create function object as a constant
         const funcData = {
@@ -752,9 +1747,19 @@ class Compiler {
             paramCount: (node.params || []).length,
             closure: null  // Will be set at runtime
         };
+        if (node.rest) {
+            funcData.rest = true;  // The last parameter collects extra arguments
+        }
         this.emitConstant(funcData, line);
         
-        if (node.name) {
+        if (node.type === 'FuncDef' || node.type === 'FunctionDeclaration') {
+            // Declaration statement - bind the name, leave nothing on the stack
+            this.emitStoreVar(node.name, line);
+        } else if (node.type === 'MethodDef') {
+            // Struct.name = function (STORE_MEMBER on a struct defines a method)
+            this.compileNode(node.struct);
+            this.emitWithArg(OpCode.STORE_MEMBER, this.chunk.addName(node.name), line);
+        } else if (node.name) {
             // Store in variable if it has a name
             this.chunk.write(OpCode.DUP, line);
             this.emitStoreVar(node.name, line);
@@ -807,13 +1812,510 @@ class Compiler {
     }
 }
 
+// ============= OPTIMIZER =============
+// Rewrites a compiled chunk (and the chunks of the functions it defines):
+// folds constant expressions, fuses common sequences into single
+// instructions, threads jumps to jumps and drops unreachable code. Each
+// instruction keeps its line, and sequences are only fused within a line,
+// so errors and the debugger see the same lines as in unoptimized code.
+
+// Operands of each instruction that has any: 'arg' is one byte whose higher
+// bytes come from EXTENDED_ARG prefixes, 'jump' a two-byte absolute target
+// (also extended), 'byte' and 'short' fixed-size extras
+const OperandLayout = {
+    [OpCode.LOAD_CONST]: ['arg'],
+    [OpCode.LOAD_VAR]: ['arg'],
+    [OpCode.STORE_VAR]: ['arg'],
+    [OpCode.LOAD_FAST]: ['arg'],
+    [OpCode.STORE_FAST]: ['arg'],
+    [OpCode.BUILD_ARRAY]: ['arg'],
+    [OpCode.BUILD_MAP]: ['arg'],
+    [OpCode.GET_MEMBER]: ['arg'],
+    [OpCode.STORE_MEMBER]: ['arg'],
+    [OpCode.MAKE_FUNCTION]: ['arg'],
+    [OpCode.CALL]: ['arg'],
+    [OpCode.FORMAT_VALUE]: ['arg'],
+    [OpCode.MATCH_ARRAY]: ['arg'],
+    [OpCode.MAKE_STRUCT]: ['arg'],
+    [OpCode.LIST_APPEND]: ['arg'],
+    [OpCode.SET_ADD]: ['arg'],
+    [OpCode.MAP_ADD]: ['arg'],
+    [OpCode.BUILD_SET]: ['arg'],
+    [OpCode.JUMP_TABLE]: ['arg'],
+    [OpCode.IMPORT_NAME]: ['arg'],
+    [OpCode.IMPORT_FROM]: ['arg', 'short'],
+    [OpCode.INC_FAST]: ['arg', 'byte'],
+    [OpCode.INC_VAR]: ['arg', 'byte'],
+    [OpCode.JUMP]: ['jump'],
+    [OpCode.JUMP_IF_FALSE]: ['jump'],
+    [OpCode.JUMP_IF_TRUE]: ['jump'],
+    [OpCode.JUMP_IF_NOT_LT]: ['jump'],
+    [OpCode.JUMP_IF_NOT_LTE]: ['jump'],
+    [OpCode.JUMP_IF_NOT_GT]: ['jump'],
+    [OpCode.JUMP_IF_NOT_GTE]: ['jump'],
+    [OpCode.JUMP_IF_NOT_EQ]: ['jump'],
+    [OpCode.JUMP_IF_NOT_NEQ]: ['jump'],
+    [OpCode.FOR_ITER]: ['jump', 'byte'],
+    [OpCode.JUMP_IF_ARG]: ['jump', 'byte']
+};
+
+// Binary operators folded when both operands are constant numbers (or
+// strings, where the VM gives them the same meaning)
+const FoldableOps = {
+    [OpCode.ADD]: (a, b) => a + b,
+    [OpCode.SUB]: (a, b) => a - b,
+    [OpCode.MUL]: (a, b) => a * b,
+    [OpCode.DIV]: (a, b) => a / b,
+    [OpCode.MOD]: (a, b) => a % b,
+    [OpCode.POW]: (a, b) => Math.pow(a, b),
+    [OpCode.EQ]: (a, b) => a === b,
+    [OpCode.NEQ]: (a, b) => a !== b,
+    [OpCode.LT]: (a, b) => a < b,
+    [OpCode.LTE]: (a, b) => a <= b,
+    [OpCode.GT]: (a, b) => a > b,
+    [OpCode.GTE]: (a, b) => a >= b
+};
+
+// A comparison followed by JUMP_IF_FALSE becomes one instruction
+const CompareJumps = {
+    [OpCode.LT]: OpCode.JUMP_IF_NOT_LT,
+    [OpCode.LTE]: OpCode.JUMP_IF_NOT_LTE,
+    [OpCode.GT]: OpCode.JUMP_IF_NOT_GT,
+    [OpCode.GTE]: OpCode.JUMP_IF_NOT_GTE,
+    [OpCode.EQ]: OpCode.JUMP_IF_NOT_EQ,
+    [OpCode.NEQ]: OpCode.JUMP_IF_NOT_NEQ
+};
+
+// Instructions after which control never falls through to the next one
+const NO_FALLTHROUGH = new Set([OpCode.JUMP, OpCode.JUMP_TABLE, OpCode.RETURN, OpCode.THROW, OpCode.HALT]);
+
+class Optimizer {
+    optimize(chunk) {
+        for (const constant of chunk.constants) {
+            if (constant && constant.type === 'function' && constant.chunk) {
+                this.optimize(constant.chunk);
+            }
+        }
+        
+        this.decode(chunk);
+        this.foldConstants(chunk);
+        this.simplify();
+        this.fuseSuperinstructions(chunk);
+        this.threadJumps();
+        this.removeDeadCode();
+        this.encode(chunk);
+        return chunk;
+    }
+    
+    // ----- Instruction list -----
+    // Instructions are objects { op, arg, extra, line, col, target }; a jump's
+    // target, a JUMP_TABLE's table and the handler table refer to instruction
+    // objects, so code can be removed and resized without fixing offsets.
+    // this.end stands for the offset just past the last instruction.
+    
+    decode(chunk) {
+        const code = chunk.code;
+        const instrs = [];
+        const at = new Map();  // Offset (of the first EXTENDED_ARG, if any) -> instruction
+        let offset = 0;
+        let start = 0;
+        let ext = 0;
+        while (offset < code.length) {
+            const op = code[offset];
+            if (op === OpCode.EXTENDED_ARG) {
+                ext = (ext | code[offset + 1]) << 8;
+                offset += 2;
+                continue;
+            }
+            const instr = { op, arg: 0, extra: 0, line: chunk.lines[offset], col: chunk.columns[offset], target: null };
+            offset++;
+            for (const kind of OperandLayout[op] || []) {
+                if (kind === 'arg') {
+                    instr.arg = ext | code[offset++];
+                } else if (kind === 'jump') {
+                    instr.target = (ext << 8) | (code[offset] << 8) | code[offset + 1];
+                    offset += 2;
+                } else if (kind === 'byte') {
+                    instr.extra = code[offset++];
+                } else {
+                    instr.extra = (code[offset] << 8) | code[offset + 1];
+                    offset += 2;
+                }
+            }
+            at.set(start, instr);
+            instrs.push(instr);
+            start = offset;
+            ext = 0;
+        }
+        
+        this.end = { op: null };
+        at.set(code.length, this.end);
+        for (const instr of instrs) {
+            if (instr.target !== null) instr.target = at.get(instr.target);
+            if (instr.op === OpCode.JUMP_TABLE) instr.table = chunk.constants[instr.arg].map(offset => at.get(offset));
+        }
+        this.instrs = instrs;
+        this.handlers = chunk.handlers.map(({ start, end, target, depth }) =>
+            ({ start: at.get(start), end: at.get(end), target: at.get(target), depth }));
+    }
+    
+    // Instructions that code elsewhere refers to: jump targets and the
+    // bounds and targets of try blocks. Sequences with one of these after
+    // their first instruction are left alone.
+    labels() {
+        const labels = new Set();
+        for (const instr of this.instrs) {
+            if (instr.target) labels.add(instr.target);
+            if (instr.table) instr.table.targets().forEach(target => labels.add(target));
+        }
+        for (const { start, end, target } of this.handlers) {
+            labels.add(start).add(end).add(target);
+        }
+        return labels;
+    }
+    
+    // Whether instrs[i..i+length) can be replaced by one instruction
+    fusible(i, length, labels) {
+        if (i + length > this.instrs.length) return false;
+        const line = this.instrs[i].line;
+        for (let k = i + 1; k < i + length; k++) {
+            if (labels.has(this.instrs[k]) || this.instrs[k].line !== line) return false;
+        }
+        return true;
+    }
+    
+    // Drop instructions marked removed; references to them move on to the
+    // next instruction that is kept
+    compact() {
+        let next = this.end;
+        for (let i = this.instrs.length - 1; i >= 0; i--) {
+            const instr = this.instrs[i];
+            if (instr.removed) {
+                instr.next = next;
+            } else {
+                next = instr;
+            }
+        }
+        const kept = (instr) => instr.removed ? instr.next : instr;
+        this.instrs = this.instrs.filter(instr => !instr.removed);
+        for (const instr of this.instrs) {
+            if (instr.target) instr.target = kept(instr.target);
+            if (instr.table) instr.table = instr.table.map(kept);
+        }
+        this.handlers = this.handlers
+            .map(({ start, end, target, depth }) => ({ start: kept(start), end: kept(end), target: kept(target), depth }))
+            .filter(handler => handler.start !== handler.end);
+    }
+    
+    // ----- Passes -----
+    
+    // LOAD_CONST 2, LOAD_CONST 3, MUL -> LOAD_CONST 6, and branches on a
+    // constant condition. Folded values feed the next fold (2 * 3 + 4).
+    foldConstants(chunk) {
+        const labels = this.labels();
+        const live = [];  // Instructions kept so far
+        const constantOf = (instr) => {
+            if (instr.op === OpCode.LOAD_CONST) return { value: chunk.constants[instr.arg] };
+            if (instr.op === OpCode.LOAD_TRUE) return { value: true };
+            if (instr.op === OpCode.LOAD_FALSE) return { value: false };
+            if (instr.op === OpCode.LOAD_NULL) return { value: null };
+            return null;
+        };
+        const replace = (count, op, arg = 0) => {
+            const first = live[live.length - count];
+            for (const instr of live.splice(live.length - count + 1)) instr.removed = true;
+            first.op = op;
+            first.arg = arg;
+            return first;
+        };
+        
+        for (const instr of this.instrs) {
+            live.push(instr);
+            let folded = true;
+            while (folded) {
+                folded = false;
+                const n = live.length;
+                const last = live[n - 1];
+                
+                if (n >= 3 && FoldableOps[last.op] && this.fusibleTail(live, 3, labels)) {
+                    const a = constantOf(live[n - 3]);
+                    const b = constantOf(live[n - 2]);
+                    const value = a && b ? this.foldBinary(last.op, a.value, b.value) : undefined;
+                    if (typeof value === 'boolean') {
+                        replace(3, value ? OpCode.LOAD_TRUE : OpCode.LOAD_FALSE);
+                        folded = true;
+                    } else if (value !== undefined) {
+                        replace(3, OpCode.LOAD_CONST, chunk.addConstant(value));
+                        folded = true;
+                    }
+                } else if (n >= 2 && last.op === OpCode.NEG && this.fusibleTail(live, 2, labels)) {
+                    const a = constantOf(live[n - 2]);
+                    if (a && typeof a.value === 'number' && a.value !== 0) {
+                        replace(2, OpCode.LOAD_CONST, chunk.addConstant(-a.value));
+                        folded = true;
+                    }
+                } else if (n >= 2 && (last.op === OpCode.JUMP_IF_FALSE || last.op === OpCode.JUMP_IF_TRUE) &&
+                           this.fusibleTail(live, 2, labels)) {
+                    const a = constantOf(live[n - 2]);
+                    if (a && (a.value === null || ['boolean', 'number', 'string'].includes(typeof a.value))) {
+                        const truthy = a.value !== null && a.value !== false && a.value !== 0 && a.value !== '';
+                        if (truthy === (last.op === OpCode.JUMP_IF_TRUE)) {
+                            replace(2, OpCode.JUMP).target = last.target;
+                        } else {
+                            // Never jumps: drop the test altogether
+                            live[n - 2].removed = true;
+                            last.removed = true;
+                            live.length -= 2;
+                        }
+                    }
+                }
+            }
+        }
+        this.compact();
+    }
+    
+    fusibleTail(live, length, labels) {
+        const first = live[live.length - length];
+        for (let k = live.length - length + 1; k < live.length; k++) {
+            if (labels.has(live[k]) || live[k].line !== first.line) return false;
+        }
+        return true;
+    }
+    
+    // The folded value, or undefined to leave the expression to the VM
+    // (other types, and results like NaN or -0 that do not survive the
+    // constant pool)
+    foldBinary(op, a, b) {
+        const numbers = typeof a === 'number' && typeof b === 'number';
+        const strings = typeof a === 'string' && typeof b === 'string';
+        if (!numbers && !(strings && (op === OpCode.ADD || CompareJumps[op] !== undefined))) {
+            return undefined;
+        }
+        const value = FoldableOps[op](a, b);
+        if (typeof value === 'number' && (!Number.isFinite(value) || Object.is(value, -0))) {
+            return undefined;
+        }
+        return value;
+    }
+    
+    // DUP, STORE x, POP (an assignment statement) -> STORE x, and
+    // NOT, JUMP_IF_FALSE -> JUMP_IF_TRUE
+    simplify() {
+        const labels = this.labels();
+        const instrs = this.instrs;
+        for (let i = 0; i < instrs.length; i++) {
+            const instr = instrs[i];
+            if (instr.op === OpCode.DUP && this.fusible(i, 3, labels) &&
+                (instrs[i + 1].op === OpCode.STORE_FAST || instrs[i + 1].op === OpCode.STORE_VAR) &&
+                instrs[i + 2].op === OpCode.POP) {
+                instr.op = instrs[i + 1].op;
+                instr.arg = instrs[i + 1].arg;
+                instrs[i + 1].removed = instrs[i + 2].removed = true;
+                i += 2;
+            } else if (instr.op === OpCode.NOT && this.fusible(i, 2, labels) &&
+                       (instrs[i + 1].op === OpCode.JUMP_IF_FALSE || instrs[i + 1].op === OpCode.JUMP_IF_TRUE)) {
+                instr.op = instrs[i + 1].op === OpCode.JUMP_IF_FALSE ? OpCode.JUMP_IF_TRUE : OpCode.JUMP_IF_FALSE;
+                instr.target = instrs[i + 1].target;
+                instrs[i + 1].removed = true;
+                i += 1;
+            }
+        }
+        this.compact();
+    }
+    
+    // LOAD_FAST x, LOAD_CONST n, ADD, STORE_FAST x -> INC_FAST x n (and the
+    // same by name), and LT, JUMP_IF_FALSE -> JUMP_IF_NOT_LT
+    fuseSuperinstructions(chunk) {
+        const labels = this.labels();
+        const instrs = this.instrs;
+        for (let i = 0; i < instrs.length; i++) {
+            const instr = instrs[i];
+            const load = instr.op;
+            if ((load === OpCode.LOAD_FAST || load === OpCode.LOAD_VAR) && this.fusible(i, 4, labels)) {
+                const [, constant, add, store] = instrs.slice(i, i + 4);
+                const storeOp = load === OpCode.LOAD_FAST ? OpCode.STORE_FAST : OpCode.STORE_VAR;
+                if (constant.op === OpCode.LOAD_CONST && constant.arg <= 0xFF &&
+                    typeof chunk.constants[constant.arg] === 'number' &&
+                    add.op === OpCode.ADD && store.op === storeOp && store.arg === instr.arg) {
+                    instr.op = load === OpCode.LOAD_FAST ? OpCode.INC_FAST : OpCode.INC_VAR;
+                    instr.extra = constant.arg;
+                    instr.col = add.col;  // Errors are the addition's
+                    constant.removed = add.removed = store.removed = true;
+                    i += 3;
+                }
+            } else if (CompareJumps[instr.op] !== undefined && this.fusible(i, 2, labels) &&
+                       instrs[i + 1].op === OpCode.JUMP_IF_FALSE) {
+                instr.op = CompareJumps[instr.op];
+                instr.target = instrs[i + 1].target;
+                instrs[i + 1].removed = true;
+                i += 1;
+            }
+        }
+        this.compact();
+    }
+    
+    // A jump to an unconditional JUMP goes straight to where that one leads
+    threadJumps() {
+        for (const instr of this.instrs) {
+            if (!instr.target || instr.op === OpCode.FOR_ITER) continue;
+            const seen = new Set([instr]);
+            while (instr.target.op === OpCode.JUMP && !seen.has(instr.target)) {
+                seen.add(instr.target);
+                instr.target = instr.target.target;
+            }
+        }
+    }
+    
+    // Drop code no path reaches (after return, break, or a branch on a
+    // constant), including try blocks left empty, and jumps to the very
+    // next instruction
+    removeDeadCode() {
+        const instrs = this.instrs;
+        const index = new Map(instrs.map((instr, i) => [instr, i]));
+        const reached = new Array(instrs.length).fill(false);
+        const pending = [0];
+        const visit = () => {
+            while (pending.length > 0) {
+                const i = pending.pop();
+                if (i >= instrs.length || reached[i]) continue;
+                reached[i] = true;
+                const instr = instrs[i];
+                if (instr.target && instr.target !== this.end) pending.push(index.get(instr.target));
+                if (instr.table) {
+                    for (const target of instr.table.targets()) {
+                        if (target !== this.end) pending.push(index.get(target));
+                    }
+                }
+                if (!NO_FALLTHROUGH.has(instr.op)) pending.push(i + 1);
+            }
+        };
+        visit();
+        // A handler runs if any code in its try block does
+        let grew = true;
+        while (grew) {
+            grew = false;
+            for (const { start, end, target } of this.handlers) {
+                const from = index.get(start);
+                const to = end === this.end ? instrs.length : index.get(end);
+                if (!reached[index.get(target)] && reached.slice(from, to).includes(true)) {
+                    pending.push(index.get(target));
+                    visit();
+                    grew = true;
+                }
+            }
+        }
+        instrs.forEach((instr, i) => { instr.removed = !reached[i]; });
+        this.compact();
+        
+        for (let i = 0; i < this.instrs.length; i++) {
+            const instr = this.instrs[i];
+            const next = this.instrs[i + 1] || this.end;
+            if (instr.target === next) {
+                if (instr.op === OpCode.JUMP) {
+                    instr.removed = true;
+                } else if (instr.op === OpCode.JUMP_IF_FALSE || instr.op === OpCode.JUMP_IF_TRUE) {
+                    instr.op = OpCode.POP;  // Still drop the condition
+                    instr.target = null;
+                }
+            }
+        }
+        this.compact();
+    }
+    
+    // ----- Encoding -----
+    
+    // Lay the instructions out again. A jump needs EXTENDED_ARG prefixes
+    // when its target is past 64K; adding them moves later code, so widen
+    // until no target changes size.
+    encode(chunk) {
+        const instrs = this.instrs;
+        for (const instr of instrs) {
+            instr.prefixes = instr.target ? 0 : this.bytesAbove(instr.arg, 8);
+        }
+        let offsets;
+        let widened = true;
+        while (widened) {
+            offsets = this.layout();
+            widened = false;
+            for (const instr of instrs) {
+                if (!instr.target) continue;
+                const needed = this.bytesAbove(offsets.get(instr.target), 16);
+                if (needed > instr.prefixes) {
+                    instr.prefixes = needed;
+                    widened = true;
+                }
+            }
+        }
+        
+        chunk.code = [];
+        chunk.lines = [];
+        chunk.columns = [];
+        for (const instr of instrs) {
+            const line = instr.line;
+            chunk.column = instr.col;
+            const target = instr.target ? offsets.get(instr.target) : 0;
+            const high = instr.target ? target >> 16 : instr.arg >> 8;
+            for (let k = instr.prefixes - 1; k >= 0; k--) {
+                chunk.write(OpCode.EXTENDED_ARG, line);
+                chunk.write((high >> (8 * k)) & 0xFF, line);
+            }
+            chunk.write(instr.op, line);
+            for (const kind of OperandLayout[instr.op] || []) {
+                if (kind === 'arg') {
+                    chunk.write(instr.arg & 0xFF, line);
+                } else if (kind === 'jump') {
+                    chunk.writeShort(target & 0xFFFF, line);
+                } else if (kind === 'byte') {
+                    chunk.write(instr.extra, line);
+                } else {
+                    chunk.writeShort(instr.extra, line);
+                }
+            }
+        }
+        chunk.handlers = this.handlers.map(({ start, end, target, depth }) =>
+            ({ start: offsets.get(start), end: offsets.get(end), target: offsets.get(target), depth }));
+        for (const instr of instrs) {
+            if (instr.table) {
+                // The table keeps its constant slot, with the new offsets
+                const { cases, fallback } = instr.table.map(target => offsets.get(target));
+                Object.assign(chunk.constants[instr.arg], { cases, fallback });
+            }
+        }
+    }
+    
+    // Offset of each instruction (and of this.end) with the current prefixes
+    layout() {
+        const offsets = new Map();
+        let offset = 0;
+        for (const instr of this.instrs) {
+            offsets.set(instr, offset);
+            offset += 1 + 2 * instr.prefixes;
+            for (const kind of OperandLayout[instr.op] || []) {
+                offset += kind === 'arg' || kind === 'byte' ? 1 : 2;
+            }
+        }
+        offsets.set(this.end, offset);
+        return offsets;
+    }
+    
+    // How many bytes value has above its low `bits` bits
+    bytesAbove(value, bits) {
+        let count = 0;
+        for (let rest = value >> bits; rest > 0; rest >>= 8) count++;
+        return count;
+    }
+}
+
 // Export
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Compiler, BytecodeChunk, OpCode, OpName };
+    module.exports = { Compiler, Optimizer, BytecodeChunk, ChunkCache, JumpTable, sourceHash, OpCode, OpName };
 } else if (typeof window !== 'undefined') {
     // Browser: expose globally
     window.Compiler = Compiler;
+    window.Optimizer = Optimizer;
     window.BytecodeChunk = BytecodeChunk;
+    window.ChunkCache = ChunkCache;
+    window.JumpTable = JumpTable;
     window.OpCode = OpCode;
     window.OpName = OpName;
 }
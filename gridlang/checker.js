@@ -0,0 +1,258 @@
+// GridLang static checker
+// Finds mistakes in a parsed program without running it: names that are
+// never defined, local variables that are assigned but never read, calls to
+// user functions with the wrong number of arguments, and break/continue
+// outside a loop. Scoping follows the Compiler (bytecode.js): variables are
+// function-scoped, and a name assigned in a function is local to it unless
+// an enclosing scope binds it too.
+
+// Wrap in IIFE for browser to avoid global scope pollution
+(function() {
+
+// Import dependencies based on environment
+var VM;
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    VM = require('./vm.js').VM;
+} else {
+    // Browser environment - use globals
+    VM = window.VM;
+}
+
+// Names the VM defines before a program runs (see VM.setupBuiltins)
+let vmBuiltins = null;
+function defaultBuiltins() {
+    if (!vmBuiltins) {
+        vmBuiltins = new Set(new VM(null, null, null, null, '', null, {}).globals.keys());
+    }
+    return vmBuiltins;
+}
+
+class Checker {
+    // builtins: names defined before the program runs (the VM's by default;
+    // the CLI adds its file builtins)
+    constructor(builtins = null) {
+        this.builtins = builtins ? new Set(builtins) : defaultBuiltins();
+        this.diagnostics = [];
+    }
+
+    // The problems in a program's AST as { line, col, severity, message },
+    // in source order. Errors fail when the code runs; warnings are likely
+    // mistakes.
+    check(ast) {
+        this.diagnostics = [];
+        const scope = this.createScope(ast.body, [], null);
+        this.visit(ast.body, scope, 0);
+        this.diagnostics.sort((a, b) => a.line - b.line || a.col - b.col);
+        return this.diagnostics;
+    }
+
+    report(node, severity, message) {
+        this.diagnostics.push({ line: node.line || 0, col: node.col || 0, severity, message });
+    }
+
+    // ============= SCOPES =============
+    // A scope maps each name it binds to { defs, param, reads }: defs are the
+    // nodes binding it (with the location to report), reads counts its uses.
+    createScope(body, params, parent) {
+        const found = new Map();
+        this.collectBindings(body, found, null);
+
+        const bindings = new Map();
+        for (const param of params) {
+            bindings.set(param, { defs: [], param: true, reads: 0 });
+        }
+        for (const [name, defs] of found) {
+            if (parent && this.lookup(parent, name)) continue;  // Assigning an outer variable
+            if (!bindings.has(name)) bindings.set(name, { defs: [], param: false, reads: 0 });
+            bindings.get(name).defs.push(...defs);
+        }
+        return { bindings, parent };
+    }
+
+    lookup(scope, name) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.bindings.has(name)) return s.bindings.get(name);
+        }
+        return null;
+    }
+
+    // Names bound in node, without entering nested functions. at is the
+    // statement an assignment belongs to, whose location is the target's.
+    collectBindings(node, found, at) {
+        if (Array.isArray(node)) {
+            for (const child of node) this.collectBindings(child, found, at);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        const bind = (name, kind, value = null) => {
+            if (!found.has(name)) found.set(name, []);
+            found.get(name).push({ kind, value, line: (at || node).line, col: (at || node).col });
+        };
+        switch (node.type) {
+            case 'ExprStmt':
+                this.collectBindings(node.expression, found, node);
+                return;
+            case 'Assignment':
+                bind(node.target, 'assign', node.value);
+                break;
+            case 'MultiAssignment':
+                for (const target of node.targets) bind(target, 'assign');
+                break;
+            case 'Import':
+                bind(node.alias, 'import');
+                break;
+            case 'FromImport':
+                for (const name of node.names) bind(name, 'import');
+                break;
+            case 'For':
+                bind(node.variable, 'loop');
+                if (node.valueVariable) bind(node.valueVariable, 'loop');
+                break;
+            case 'Try':
+                if (node.catchVar) bind(node.catchVar, 'catch');
+                break;
+            case 'BindPattern':
+                bind(node.name, 'match');
+                return;
+            case 'FuncDef':
+                bind(node.name, 'func', node);
+                return;
+            case 'StructDef':
+                bind(node.name, 'struct', node);
+                return;
+            case 'FuncExpr':
+            case 'MethodDef':
+                return;
+        }
+        for (const key in node) {
+            const child = node[key];
+            if (child && typeof child === 'object') this.collectBindings(child, found, null);
+        }
+    }
+
+    // ============= WALK =============
+    // loops counts the loops around node in the current function
+    visit(node, scope, loops) {
+        if (Array.isArray(node)) {
+            for (const child of node) this.visit(child, scope, loops);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        switch (node.type) {
+            case 'Identifier':
+                this.use(node, scope);
+                return;
+            case 'Break':
+            case 'Continue':
+                if (loops === 0) {
+                    this.report(node, 'error', `${node.type.toLowerCase()} outside of loop`);
+                }
+                return;
+            case 'For':
+                this.visit(node.iterable, scope, loops);
+                this.visit(node.body, scope, loops + 1);
+                return;
+            case 'While':
+                this.visit(node.condition, scope, loops);
+                this.visit(node.body, scope, loops + 1);
+                return;
+            case 'Comprehension':
+                this.visitComprehension(node, scope, loops);
+                return;
+            case 'Call':
+                this.checkArity(node, scope);
+                break;
+            case 'FuncDef':
+            case 'FuncExpr':
+                this.visitFunction(node, scope);
+                return;
+            case 'MethodDef':
+                this.use(node.struct, scope);
+                this.visitFunction(node, scope);
+                return;
+        }
+        for (const key in node) {
+            const child = node[key];
+            if (child && typeof child === 'object') this.visit(child, scope, loops);
+        }
+    }
+
+    // A comprehension's variables are its own, in a scope inside the
+    // enclosing one; the first iterable is read outside it
+    visitComprehension(node, scope, loops) {
+        const inner = { bindings: new Map(), parent: scope };
+        for (const clause of node.clauses) {
+            for (const name of [clause.variable, clause.valueVariable]) {
+                if (name) inner.bindings.set(name, { defs: [], param: false, reads: 0 });
+            }
+        }
+        const [first, ...rest] = node.clauses;
+        this.visit(first.iterable, scope, loops);
+        this.visit([rest, node.element, node.key, node.value], inner, loops);
+    }
+
+    use(node, scope) {
+        const binding = this.lookup(scope, node.name);
+        if (binding) {
+            binding.reads++;
+        } else if (!this.builtins.has(node.name)) {
+            this.report(node, 'error', `Undefined name '${node.name}'`);
+        }
+    }
+
+    visitFunction(node, scope) {
+        const inner = this.createScope(node.body, node.params, scope);
+        this.visit(node.defaults, inner, 0);  // Evaluated in the call, after earlier parameters
+        this.visit(node.body, inner, 0);
+
+        // Locals only: a global may be read by a module that imports this file
+        for (const [name, binding] of inner.bindings) {
+            if (binding.param || binding.reads > 0 || name.startsWith('_')) continue;
+            const assignment = binding.defs.find(def => def.kind === 'assign');
+            if (assignment) {
+                this.report(assignment, 'warning', `'${name}' is assigned but never used`);
+            }
+        }
+    }
+
+    // A call by name to a function or struct defined once (and never
+    // reassigned) should pass an argument for each parameter without a
+    // default, and no more than there are parameters unless the last is
+    // ...rest. A call with ...spread arguments is not checked.
+    checkArity(node, scope) {
+        if (node.func.type !== 'Identifier' || node.args.some(arg => arg.type === 'Spread')) return;
+        const binding = this.lookup(scope, node.func.name);
+        if (!binding || binding.param || binding.defs.length !== 1) return;
+        const def = binding.defs[0];
+        const func = def.kind === 'func' ? def.value :
+            def.kind === 'assign' && def.value && def.value.type === 'FuncExpr' ? def.value : null;
+        if (!func && def.kind !== 'struct') return;
+
+        let min = def.kind === 'struct' ? def.value.fields.length : func.params.length;
+        let max = min;
+        if (func) {
+            const named = func.rest ? min - 1 : min;
+            min = named - (func.defaults || []).filter(d => d).length;
+            max = func.rest ? Infinity : named;
+        }
+        const count = node.args.length;
+        if (count < min || count > max) {
+            const plural = (n) => `${n} argument${n === 1 ? '' : 's'}`;
+            const takes = max === min ? plural(min) : max === Infinity ? `at least ${plural(min)}` : `${min} to ${plural(max)}`;
+            this.report(node.func, 'error', `${node.func.name}() takes ${takes} but is called with ${count}`);
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Checker };
+} else if (typeof window !== 'undefined') {
+    // Browser: expose globally
+    window.Checker = Checker;
+}
+
+})();
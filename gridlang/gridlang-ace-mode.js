@@ -22,17 +22,45 @@ ace.define('ace/mode/gridlang_highlight_rules', function (require, exports, modu
                     token: 'string',
                     regex: "'(?:\\\\.|[^'\\\\])*'"
                 },
+                {
+                    // match is a keyword only when it starts a match statement
+                    token: ['text', 'keyword'],
+                    regex: '^(\\s*)(match)(?=\\s+[\\w"\\[({-])'
+                },
+                {
+                    // and struct only when it declares a struct
+                    token: ['text', 'keyword'],
+                    regex: '^(\\s*)(struct)(?=\\s+\\w+\\s*\\{)'
+                },
+                {
+                    // import and from only in front of a module name, as only after one
+                    token: ['text', 'keyword'],
+                    regex: '^(\\s*)(import|from)(?=\\s+["\\w])'
+                },
+                {
+                    token: ['text', 'keyword'],
+                    regex: '(\\s+)(as|import)(?=\\s+\\w)'
+                },
+                {
+                    // try, catch and finally only in front of their block, throw in front of a value
+                    token: ['keyword', 'text'],
+                    regex: '\\b(try|finally|catch)((?:\\s+\\w+)?)(?=\\s*\\{)'
+                },
+                {
+                    token: ['text', 'keyword'],
+                    regex: '(^\\s*|\\{\\s*)(throw)(?=\\s+[\\w"\'{])'
+                },
                 {
                     token: 'keyword',
                     regex: '\\b(if|elif|elsif|else|for|while|func|return|break|continue|true|false|null|undefined|in|and|or|not)\\b'
                 },
                 {
                     token: 'support.function',
-                    regex: '\\b(print|debug|set_debug|assert|range|abs|sqrt|pow|floor|ceil|round|sin|cos|tan|min|max|clamp|lerp|sign|random|len|add|remove|removeAt|merge|diff|intersect|union|keys|values|append|str|int|float|bool|substr|slice|split|join|upper|lower|trim|replace|starts_with|ends_with|contains|index_of|char_at|char_code|from_char_code|repeat|reverse|init_2d|set_cell|clear_canvas|set_pixel|draw_line|draw_circle|draw_rect|rgb|hsl|init_3d|set_voxel|remove_voxel|get_voxel|clear_3d|begin_3d_batch|end_3d_batch|input_string|input_lines|input_grid|time|clock|benchmark|animate|stop_animation|record_animation|save_animation_gif|stop_recording|clear_recording|get_animation_frames|rotate_3d)\\b'
+                    regex: '\\b(print|debug|set_debug|assert|set_recursion_limit|range|abs|sqrt|pow|floor|ceil|round|sin|cos|tan|min|max|clamp|lerp|sign|random|len|add|remove|removeAt|merge|diff|intersect|union|keys|values|append|str|int|float|bigint|bool|substr|slice|split|join|upper|lower|trim|replace|starts_with|ends_with|contains|index_of|char_at|char_code|from_char_code|repeat|reverse|init_2d|set_cell|clear_canvas|set_pixel|draw_line|draw_circle|draw_rect|rgb|hsl|init_3d|set_voxel|remove_voxel|get_voxel|clear_3d|begin_3d_batch|end_3d_batch|input_string|input_lines|input_grid|time|clock|benchmark|animate|stop_animation|record_animation|save_animation_gif|stop_recording|clear_recording|get_animation_frames|rotate_3d|PriorityQueue|Set|Deque)\\b'
                 },
                 {
                     token: 'constant.numeric',
-                    regex: '\\b\\d+(\\.\\d+)?\\b'
+                    regex: '\\b(?:0[xX][0-9a-fA-F_]+|0[bB][01_]+|\\d[\\d_]*(\\.\\d+)?)\\b'
                 },
                 {
                     token: 'constant.language',
@@ -40,7 +68,7 @@ ace.define('ace/mode/gridlang_highlight_rules', function (require, exports, modu
                 },
                 {
                     token: 'operator',
-                    regex: '[{}()\[\],.;=<>+\\-*/%&|!?]'
+                    regex: '[{}()\[\],.;=<>+\\-*/%&|^~!?]'
                 },
                 {
                     token: 'text',
@@ -1,23 +1,43 @@
 // GridLang CLI - Standalone Node.js interpreter
-// Usage: node gridlang-cli.js <script.grid> [input.txt]
+// Usage: node gridlang-cli.js [run] [--engine=vm|tree] [--no-optimize] <script.grid|script.gridc> [input.txt]
+//        node gridlang-cli.js compile [--no-optimize] <script.grid> [out.gridc]
+//        node gridlang-cli.js check <script.grid>
 
 const fs = require('fs');
+const path = require('path');
 const readline = require('readline');
 
 // Load GridLang components
 const lexerModule = require('./lexer.js');
 const parserModule = require('./parser.js');
 const gridlangModule = require('./gridlang.js');
+const bytecodeModule = require('./bytecode.js');
+const vmModule = require('./vm.js');
+const checkerModule = require('./checker.js');
 
 const Lexer = lexerModule.Lexer;
 const Parser = parserModule.Parser;
 const Interpreter = gridlangModule.Interpreter;
+const ModuleLoader = gridlangModule.ModuleLoader;
+const Compiler = bytecodeModule.Compiler;
+const BytecodeChunk = bytecodeModule.BytecodeChunk;
+const VM = vmModule.VM;
+const Checker = checkerModule.Checker;
+
+const ENGINES = ['vm', 'tree'];
+
+// "1 error", "2 errors"
+function plural(n, what) {
+    return `${n} ${what}${n === 1 ? '' : 's'}`;
+}
 
 class GridLangCLI {
-    constructor() {
+    constructor(engine = 'vm', optimize = true) {
         this.inputLines = [];
         this.inputIndex = 0;
         this.inputFile = null;
+        this.engine = engine;
+        this.optimize = optimize;  // Run the bytecode Optimizer (VM engine only)
     }
 
     async run(scriptPath, inputPath = null) {
@@ -27,6 +47,11 @@ class GridLangCLI {
             process.exit(1);
         }
         const code = fs.readFileSync(scriptPath, 'utf8');
+        const precompiled = scriptPath.endsWith('.gridc');
+        if (precompiled && this.engine === 'tree') {
+            console.error('Error: compiled .gridc files run on the VM, not --engine=tree');
+            process.exit(1);
+        }
 
         // Load input if provided
         if (inputPath) {
@@ -37,61 +62,168 @@ class GridLangCLI {
             this.inputLines = fs.readFileSync(inputPath, 'utf8').split('\n');
         }
 
-        // Create interpreter with CLI overrides
+        // Create runtime with CLI overrides
         // Mock minimal canvas/console for Node.js environment
         const mockConsole = {
             innerHTML: '',
             scrollTop: 0,
             scrollHeight: 0
         };
-        const interpreter = new Interpreter(null, null, mockConsole, null, '', null, {});
-        this.setupCLIEnvironment(interpreter);
+        const runtime = this.engine === 'tree'
+            ? new Interpreter(null, null, mockConsole, null, '', null, {})
+            : new VM(null, null, mockConsole, null, '', null, {});
+        runtime.optimize = this.optimize;
+        this.setupCLIEnvironment(runtime);
+        runtime.modules = new ModuleLoader((name, fromPath) => this.resolveModule(name, fromPath), path.resolve(scriptPath));
 
         try {
-            // Parse and execute
-            const lexer = new Lexer(code);
-            const tokens = lexer.tokenize();
-            const parser = new Parser(tokens);
+            if (precompiled) {
+                // Bytecode written by the compile command
+                runtime.run(BytecodeChunk.deserialize(code));
+            } else if (this.engine === 'tree') {
+                await runtime.run(this.parse(code));
+            } else {
+                // Same pipeline as runCode() in the browser: AST -> bytecode -> VM
+                const compiler = new Compiler({ optimize: this.optimize });
+                const chunk = compiler.compile(this.parse(code));
+                runtime.run(chunk);
+            }
+            
+        } catch (error) {
+            this.fail(error);
+        }
+    }
+
+    // Compile a script to a .gridc file that run loads without parsing
+    compile(scriptPath, outPath = null) {
+        if (!fs.existsSync(scriptPath)) {
+            console.error(`Error: Script file not found: ${scriptPath}`);
+            process.exit(1);
+        }
+        const target = outPath || scriptPath.replace(/\.grid$/, '') + '.gridc';
+        try {
+            const ast = this.parse(fs.readFileSync(scriptPath, 'utf8'));
+            const chunk = new Compiler({ optimize: this.optimize }).compile(ast);
+            fs.writeFileSync(target, chunk.serialize());
+        } catch (error) {
+            this.fail(error);
+        }
+        console.log(`Compiled ${scriptPath} -> ${target}`);
+    }
+
+    // List likely mistakes without running the script (see checker.js) as
+    // file:line:col: severity: message. Exits with 1 if any is an error.
+    check(scriptPath) {
+        if (!fs.existsSync(scriptPath)) {
+            console.error(`Error: Script file not found: ${scriptPath}`);
+            process.exit(1);
+        }
+        let parser = null;
+        let diagnostics;
+        try {
+            parser = new Parser(new Lexer(fs.readFileSync(scriptPath, 'utf8')).tokenize());
             const ast = parser.parse();
+            // Scripts here can also use the CLI's own builtins (read_file...)
+            const runtime = new VM(null, null, { innerHTML: '', scrollTop: 0, scrollHeight: 0 }, null, '', null, {});
+            this.setupCLIEnvironment(runtime);
+            diagnostics = new Checker(runtime.globals.keys()).check(ast);
+        } catch (error) {
+            if (!parser || parser.errors.length === 0) this.fail(error);
+            diagnostics = parser.errors.map(e => ({ line: e.line, col: e.col, severity: 'error', message: e.message }));
+        }
 
-            if (parser.errors && parser.errors.length > 0) {
-                parser.errors.forEach(err => console.error(err));
-                process.exit(1);
-            }
+        for (const { line, col, severity, message } of diagnostics) {
+            console.log(`${scriptPath}:${line}:${col}: ${severity}: ${message}`);
+        }
+        const errors = diagnostics.filter(d => d.severity === 'error').length;
+        const warnings = diagnostics.length - errors;
+        console.log(diagnostics.length === 0 ? `${scriptPath}: no problems found` : `${plural(errors, 'error')}, ${plural(warnings, 'warning')}`);
+        process.exit(errors > 0 ? 1 : 0);
+    }
 
-            await interpreter.run(ast);
-            
+    // The script's AST; exits listing every syntax error if there are several
+    parse(code) {
+        const lexer = new Lexer(code);
+        const tokens = lexer.tokenize();
+        const parser = new Parser(tokens);
+        try {
+            return parser.parse();
         } catch (error) {
-            console.error('Error details:', error);
-            if (error.format) {
-                console.error(error.format());
-            } else {
-                console.error(error.message || error);
-                if (error.stack) {
-                    console.error(error.stack);
-                }
-            }
+            if (parser.errors.length < 2) throw error;
+            parser.errors.forEach(err => console.error(err.format()));
+            console.error(plural(parser.errors.length, 'syntax error'));
             process.exit(1);
         }
     }
 
-    setupCLIEnvironment(interpreter) {
+    fail(error) {
+        console.error('Error details:', error);
+        if (error.format) {
+            console.error(error.format());
+        } else {
+            console.error(error.message || error);
+            if (error.stack) {
+                console.error(error.stack);
+            }
+        }
+        process.exit(1);
+    }
+
+    // import "utils" looks for utils or utils.grid next to the importing file
+    resolveModule(name, fromPath) {
+        const dir = path.dirname(fromPath);
+        for (const candidate of [name, name + '.grid']) {
+            const file = path.resolve(dir, candidate);
+            if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+                return { path: file, source: fs.readFileSync(file, 'utf8') };
+            }
+        }
+        return null;
+    }
+
+    // Register a global on either engine: the VM keeps globals in a Map,
+    // the tree-walking Interpreter in its root Environment
+    defineGlobal(runtime, name, value) {
+        if (runtime instanceof VM) {
+            runtime.globals.set(name, value);
+        } else {
+            runtime.globalEnv.set(name, value);
+        }
+    }
+
+    hasGlobal(runtime, name) {
+        if (runtime instanceof VM) {
+            return runtime.globals.has(name);
+        }
+        return name in runtime.globalEnv.vars;
+    }
+
+    setupCLIEnvironment(runtime) {
         // Override print to use stdout
-        interpreter.globalEnv.set('print', (...args) => {
-            const msg = args.map(a => interpreter.toString(a)).join(' ');
+        this.defineGlobal(runtime, 'print', (...args) => {
+            const msg = args.map(a => runtime.toString(a)).join(' ');
             console.log(msg);
         });
 
+        // Status messages (benchmark(), animation notices) go to stdout too
+        runtime.log = (message, type = 'output') => {
+            if (type === 'error') {
+                console.error(message);
+            } else {
+                console.log(message);
+            }
+        };
+
         // Override debug to use stderr
-        interpreter.globalEnv.set('debug', (...args) => {
-            if (interpreter.debugEnabled) {
-                const msg = args.map(a => interpreter.toString(a)).join(' ');
+        this.defineGlobal(runtime, 'debug', (...args) => {
+            if (runtime.debugEnabled) {
+                const msg = args.map(a => runtime.toString(a)).join(' ');
                 console.error(`[DEBUG] ${msg}`);
             }
         });
 
         // Override input to read from stdin or file
-        interpreter.globalEnv.set('input', (prompt = '') => {
+        this.defineGlobal(runtime, 'input', (prompt = '') => {
             if (prompt) {
                 process.stdout.write(prompt);
             }
@@ -113,7 +245,7 @@ class GridLangCLI {
         });
 
         // Add file I/O functions (CLI-only)
-        interpreter.globalEnv.set('read_file', (filename) => {
+        this.defineGlobal(runtime, 'read_file', (filename) => {
             try {
                 return fs.readFileSync(filename, 'utf8');
             } catch (error) {
@@ -121,7 +253,7 @@ class GridLangCLI {
             }
         });
 
-        interpreter.globalEnv.set('write_file', (filename, content) => {
+        this.defineGlobal(runtime, 'write_file', (filename, content) => {
             try {
                 fs.writeFileSync(filename, content, 'utf8');
                 return true;
@@ -130,7 +262,7 @@ class GridLangCLI {
             }
         });
 
-        interpreter.globalEnv.set('file_exists', (filename) => {
+        this.defineGlobal(runtime, 'file_exists', (filename) => {
             return fs.existsSync(filename);
         });
 
@@ -143,7 +275,10 @@ class GridLangCLI {
         ];
 
         canvasFunctions.forEach(name => {
-            interpreter.globalEnv.set(name, (...args) => {
+            // Don't shadow real builtins (e.g. clear(arr), which the VM also
+            // uses to dispatch arr.clear())
+            if (this.hasGlobal(runtime, name)) return;
+            this.defineGlobal(runtime, name, (...args) => {
                 console.error(`Warning: ${name}() is not available in CLI mode (requires browser)`);
                 return null;
             });
@@ -156,26 +291,62 @@ class GridLangCLI {
 
 // Main entry point
 if (require.main === module) {
-    const args = process.argv.slice(2);
-    
+    const args = [];
+    let command = 'run';
+    let engine = 'vm';
+    let optimize = true;
+    for (const arg of process.argv.slice(2)) {
+        if (arg.startsWith('--engine=')) {
+            engine = arg.slice('--engine='.length);
+        } else if (arg === '--no-optimize') {
+            optimize = false;
+        } else if (args.length === 0 && command === 'run' && ['run', 'compile', 'check'].includes(arg)) {
+            command = arg;
+        } else {
+            args.push(arg);
+        }
+    }
+
+    if (!ENGINES.includes(engine)) {
+        console.error(`Error: Unknown engine '${engine}' (expected one of: ${ENGINES.join(', ')})`);
+        process.exit(1);
+    }
+
     if (args.length === 0) {
         console.log('GridLang CLI - Standalone interpreter');
         console.log('');
         console.log('Usage:');
         console.log('  node gridlang-cli.js <script.grid>');
         console.log('  node gridlang-cli.js <script.grid> <input.txt>');
+        console.log('  node gridlang-cli.js --engine=tree <script.grid>');
+        console.log('  node gridlang-cli.js compile <script.grid> [out.gridc]');
+        console.log('  node gridlang-cli.js run <script.gridc> [input.txt]');
+        console.log('  node gridlang-cli.js check <script.grid>');
+        console.log('');
+        console.log('Options:');
+        console.log('  --engine=vm     Compile to bytecode and run on the VM (default, same as the browser)');
+        console.log('  --engine=tree   Run on the tree-walking Interpreter (for comparison)');
+        console.log('  --no-optimize   Run the bytecode as compiled, without the optimizer pass');
         console.log('');
         console.log('Examples:');
         console.log('  node gridlang-cli.js hello.grid');
         console.log('  node gridlang-cli.js solver.grid day1.txt');
         console.log('  echo "5" | node gridlang-cli.js script.grid');
+        console.log('  node gridlang-cli.js compile solver.grid && node gridlang-cli.js run solver.gridc day1.txt');
         process.exit(0);
     }
 
     const scriptPath = args[0];
     const inputPath = args[1] || null;
 
-    const cli = new GridLangCLI();
+    const cli = new GridLangCLI(engine, optimize);
+    if (command === 'compile') {
+        cli.compile(scriptPath, args[1] || null);
+        process.exit(0);
+    }
+    if (command === 'check') {
+        cli.check(scriptPath);
+    }
     cli.run(scriptPath, inputPath).catch(err => {
         console.error('Fatal error:', err);
         process.exit(1);
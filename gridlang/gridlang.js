@@ -9,9 +9,15 @@ class GridLangError extends Error {
         this.line = line;
         this.col = col;
         this.errorType = type;
+        this.traceback = null;  // GridLang call stack when raised, outermost first: [{ name, line, col }]
     }
 
+    // The error and its location, then the traceback if it was raised in a function
     format() {
+        return [this.summary(), ...tracebackEntries(this.traceback).map(entry => entry.text)].join('\n');
+    }
+
+    summary() {
         if (this.line !== null && this.col !== null) {
             return `${this.errorType} at line ${this.line}, col ${this.col}: ${this.message}`;
         } else if (this.line !== null) {
@@ -21,6 +27,415 @@ class GridLangError extends Error {
     }
 }
 
+// The lines of a traceback, innermost frame first, as { text, line, col }:
+// "  at bfs() line 12, col 9", "  called from <module> line 40". Runs of the
+// same frame (recursion) are shown once with a count.
+function tracebackEntries(traceback) {
+    if (!traceback || traceback.length < 2) return [];
+    const describe = (name) => name.startsWith('<') ? name : `${name}()`;
+    const entries = [];
+    for (let i = traceback.length - 1; i >= 0; i--) {
+        const { name, line, col } = traceback[i];
+        let repeat = 1;
+        while (i - repeat >= 0 && traceback[i - repeat].name === name && traceback[i - repeat].line === line) repeat++;
+        const where = line ? ` line ${line}${col ? `, col ${col}` : ''}` : '';
+        const text = `  ${entries.length === 0 ? 'at' : 'called from'} ${describe(name)}${where}${repeat > 1 ? ` (x${repeat})` : ''}`;
+        entries.push({ text, line, col });
+        i -= repeat - 1;
+    }
+    return entries;
+}
+
+// Render a GridLang call chain (outermost call first) as a single line,
+// collapsing repeated frames and short repeated cycles (mutual recursion)
+// so deep recursion stays readable:
+// "<module> line 12 -> dfs line 5 (x9999)", "(even line 2 -> odd line 6) (x500)"
+function formatCallChain(chain) {
+    const describe = ({ name, line }) => line ? `${name} line ${line}` : name;
+    const sameFrame = (a, b) => a.name === b.name && a.line === b.line;
+    const parts = [];
+    let i = 0;
+    while (i < chain.length) {
+        // Find the cycle length (1-4 frames) that repeats most often here
+        let bestPeriod = 1;
+        let bestRepeat = 1;
+        for (let period = 1; period <= 4; period++) {
+            let repeat = 1;
+            while (i + (repeat + 1) * period <= chain.length) {
+                let matches = true;
+                for (let k = 0; k < period; k++) {
+                    if (!sameFrame(chain[i + k], chain[i + repeat * period + k])) {
+                        matches = false;
+                        break;
+                    }
+                }
+                if (!matches) break;
+                repeat++;
+            }
+            if (repeat > 1 && repeat * period > bestRepeat * bestPeriod) {
+                bestPeriod = period;
+                bestRepeat = repeat;
+            }
+        }
+        if (bestRepeat > 1) {
+            const cycle = chain.slice(i, i + bestPeriod).map(describe).join(' -> ');
+            parts.push(bestPeriod > 1 ? `(${cycle}) (x${bestRepeat})` : `${cycle} (x${bestRepeat})`);
+        } else {
+            parts.push(describe(chain[i]));
+        }
+        i += bestRepeat * bestPeriod;
+    }
+    return parts.join(' -> ');
+}
+
+// ============= EXCEPTIONS =============
+// A catch block receives the error as a map {type, message, line}. The map
+// remembers the error it was made from, so `throw e` re-raises that error
+// unchanged (same type, message and line).
+const caughtErrors = new WeakMap();
+
+function errorValue(error) {
+    const value = new Map([['type', error.errorType], ['message', error.message], ['line', error.line]]);
+    caughtErrors.set(value, error);
+    return value;
+}
+
+// The error raised by `throw value`: a caught error map re-raises its error,
+// another map gives the type and message, anything else is the message of a
+// plain Error. The line is left for the engine to fill in.
+function thrownError(value, stringify) {
+    if (value instanceof Map) {
+        const caught = caughtErrors.get(value);
+        if (caught) return caught;
+        const type = value.has('type') ? String(value.get('type')) : 'Error';
+        const message = value.has('message') ? stringify(value.get('message')) : '';
+        return new GridLangError(message, null, null, type);
+    }
+    return new GridLangError(stringify(value), null, null, 'Error');
+}
+
+// ============= BINARY HEAP =============
+// Min-heap of entries ordered by less(a, b)
+class BinaryHeap {
+    constructor(less) {
+        this.items = [];
+        this.less = less;
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(entry) {
+        const items = this.items;
+        items.push(entry);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.less(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.less(items[left], items[smallest])) smallest = left;
+                if (right < items.length && this.less(items[right], items[smallest])) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+// Natural ordering used by PriorityQueue: numbers (and bigints) and strings
+// compare as usual, arrays compare element by element
+function compareValues(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const n = Math.min(a.length, b.length);
+        for (let i = 0; i < n; i++) {
+            const c = compareValues(a[i], b[i]);
+            if (c !== 0) return c;
+        }
+        return a.length - b.length;
+    }
+    const numeric = v => typeof v === 'number' || typeof v === 'bigint';
+    if ((numeric(a) && numeric(b)) || (typeof a === 'string' && typeof b === 'string')) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+    const typeName = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+    throw new GridLangError(`Cannot compare ${typeName(a)} and ${typeName(b)}`, null, null, 'TypeError');
+}
+
+// ============= BIGINT =============
+// Exact integers of any size (JS BigInt). They come from integer literals
+// beyond 2^53, bigint(x), and int() of a long digit string. Arithmetic with
+// a bigint operand promotes integer numbers; floats are refused rather than
+// silently rounding the answer.
+const BIGINT_OPERATORS = new Set(['+', '-', '*', '/', '//', '%', '**']);
+
+function bigintArith(op, a, b) {
+    if (op === '+' && (typeof a === 'string' || typeof b === 'string')) {
+        return String(a) + String(b);
+    }
+    const x = toBigIntOperand(a, op);
+    const y = toBigIntOperand(b, op);
+    if (x === null || y === null) {
+        const typeName = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+        throw new GridLangError(`Unsupported operand types for '${op}': ${typeName(a)} and ${typeName(b)}`, null, null, 'TypeError');
+    }
+    switch (op) {
+        case '+': return x + y;
+        case '-': return x - y;
+        case '*': return x * y;
+        case '/': case '//': case '%': {
+            if (y === 0n) {
+                throw new GridLangError(`bigint ${op === '%' ? 'modulo' : 'division'} by zero`, null, null, 'ZeroDivisionError');
+            }
+            if (op === '%') return x % y;
+            // No fractions: round the quotient down, like int(a / b)
+            const q = x / y;
+            return x % y !== 0n && (x < 0n) !== (y < 0n) ? q - 1n : q;
+        }
+        case '**':
+            if (y < 0n) {
+                throw new GridLangError(`bigint ** needs a non-negative exponent, got ${y}`, null, null, 'ValueError');
+            }
+            return x ** y;
+    }
+    throw new GridLangError(`Unsupported bigint operator: ${op}`, null, null, 'TypeError');
+}
+
+// The operand as a bigint, or null if it isn't a number at all
+function toBigIntOperand(value, op) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isSafeInteger(value)) return BigInt(value);
+    if (typeof value === 'number') {
+        throw new GridLangError(`Cannot mix bigint and float in '${op}': ${value} (convert with int() or float() first)`, null, null, 'TypeError');
+    }
+    return null;
+}
+
+// bigint(x): from an integer, a digit string or a bool
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'boolean') return value ? 1n : 0n;
+    if (typeof value === 'number') {
+        if (!Number.isInteger(value)) {
+            throw new GridLangError(`bigint() needs an integer, got ${value}`, null, null, 'ValueError');
+        }
+        return BigInt(value);
+    }
+    if (typeof value === 'string') {
+        if (/^\s*[+-]?\d+\s*$/.test(value)) return BigInt(value.trim());
+        throw new GridLangError(`Invalid literal for bigint(): '${value}'`, null, null, 'ValueError');
+    }
+    const typeName = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    throw new GridLangError(`Cannot convert ${typeName} to bigint`, null, null, 'TypeError');
+}
+
+// A one-argument Math function as a builtin. floor, ceil and round of a
+// bigint are the bigint itself; the others take it as a float, as float()
+// would, and refuse one too large to be a float.
+function mathBuiltin(name, fn) {
+    const rounding = name === 'floor' || name === 'ceil' || name === 'round';
+    return (x) => {
+        if (typeof x !== 'bigint') return fn(x);
+        if (rounding) return x;
+        const value = Number(x);
+        if (!Number.isFinite(value)) {
+            throw new GridLangError(`${name}() argument is too large to convert to a float`, null, null, 'ValueError');
+        }
+        return fn(value);
+    };
+}
+
+// int() and parse 'int' of a string: the leading integer, as a bigint if it
+// is too large for a number. NaN when the string doesn't start with one.
+function parseInteger(str) {
+    const m = /^\s*([+-]?\d+)/.exec(str);
+    if (!m) return NaN;
+    const n = parseInt(m[1], 10);
+    return Number.isSafeInteger(n) ? n : BigInt(m[1]);
+}
+
+// ============= INTEGER OPERATORS =============
+// // is floor division. & | ^ << >> and ~ work on integers of any size with
+// two's complement semantics: 32-bit operands take the JS fast path, larger
+// ones are computed exactly and become bigints once past 2^53.
+const INTEGER_OPERATORS = new Set(['//', '&', '|', '^', '<<', '>>']);
+
+function integerArith(op, a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        if (op === '//') {
+            if (b === 0) {
+                throw new GridLangError('integer division by zero', null, null, 'ZeroDivisionError');
+            }
+            return Math.floor(a / b);
+        }
+        if ((a | 0) === a && (b | 0) === b) {
+            switch (op) {
+                case '&': return a & b;
+                case '|': return a | b;
+                case '^': return a ^ b;
+                case '>>': if (b >= 0 && b < 32) return a >> b; break;
+                case '<<': {
+                    const shifted = a * 2 ** b;
+                    if (b >= 0 && Number.isSafeInteger(shifted)) return shifted;
+                    break;
+                }
+            }
+        }
+    } else if (op === '//') {
+        return bigintArith(op, a, b);
+    }
+
+    const x = toBitsOperand(a, op, a, b);
+    const y = toBitsOperand(b, op, a, b);
+    let result;
+    switch (op) {
+        case '&': result = x & y; break;
+        case '|': result = x | y; break;
+        case '^': result = x ^ y; break;
+        case '<<': case '>>':
+            if (y < 0n) {
+                throw new GridLangError(`Negative shift count: ${y}`, null, null, 'ValueError');
+            }
+            result = op === '<<' ? x << y : x >> y;
+            break;
+        default:
+            throw new GridLangError(`Unsupported integer operator: ${op}`, null, null, 'TypeError');
+    }
+    // Numbers stay numbers while they are exact
+    if (typeof a === 'bigint' || typeof b === 'bigint') return result;
+    const n = Number(result);
+    return Number.isSafeInteger(n) ? n : result;
+}
+
+function toBitsOperand(value, op, a, b) {
+    if (typeof value === 'bigint') return value;
+    if (Number.isSafeInteger(value)) return BigInt(value);
+    if (typeof value === 'number') {
+        throw new GridLangError(`'${op}' needs integers, got ${value}`, null, null, 'TypeError');
+    }
+    const typeName = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+    throw new GridLangError(`Unsupported operand types for '${op}': ${typeName(a)} and ${typeName(b)}`, null, null, 'TypeError');
+}
+
+// ~x
+function bitwiseNot(value) {
+    if (typeof value === 'bigint') return ~value;
+    if (Number.isSafeInteger(value)) return -value - 1;
+    if (typeof value === 'number') {
+        throw new GridLangError(`'~' needs an integer, got ${value}`, null, null, 'TypeError');
+    }
+    const typeName = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    throw new GridLangError(`Unsupported operand type for '~': ${typeName}`, null, null, 'TypeError');
+}
+
+// ============= FORMAT SPECS =============
+// Python-style format spec for f-string fields, e.g. f"{x:.2f}", f"{n:>5}",
+// f"{b:08b}": [[fill]align][sign][#][0][width][,|_][.precision][type].
+// stringify renders values without a numeric type (the engine's toString).
+const FORMAT_SPEC = /^(?:(.)?([<>^=]))?([+\- ])?(#)?(0)?(\d+)?([,_])?(?:\.(\d+))?([bcdeEfFgGosxX%])?$/;
+
+function formatWithSpec(value, spec, stringify) {
+    const m = FORMAT_SPEC.exec(spec);
+    if (!m) {
+        throw new GridLangError(`Invalid format spec '${spec}'`, null, null, 'ValueError');
+    }
+    let [, fill, align, sign, alternate, zero, width, grouping, precision, type] = m;
+    precision = precision === undefined ? null : Number(precision);
+    const numeric = typeof value === 'number' || typeof value === 'bigint';
+
+    if (type && type !== 's' && !numeric) {
+        const typeName = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+        throw new GridLangError(`Format code '${type}' requires a number, got ${typeName}`, null, null, 'TypeError');
+    }
+    if ('bcdoxX'.includes(type || 's') && typeof value !== 'bigint' && !Number.isInteger(value)) {
+        throw new GridLangError(`Format code '${type}' requires an integer, got ${value}`, null, null, 'TypeError');
+    }
+
+    let body;
+    let prefix = '';
+    if (numeric && type !== 's' && type !== 'c') {
+        let magnitude = typeof value === 'bigint' ? (value < 0n ? -value : value) : Math.abs(value);
+        // bigints keep every digit, except in the float formats
+        if (typeof magnitude === 'bigint' && ('eEfFgG%'.includes(type) || (!type && precision !== null))) {
+            magnitude = Number(magnitude);
+        }
+        switch (type) {
+            case 'b': body = magnitude.toString(2); prefix = alternate ? '0b' : ''; break;
+            case 'o': body = magnitude.toString(8); prefix = alternate ? '0o' : ''; break;
+            case 'x': body = magnitude.toString(16); prefix = alternate ? '0x' : ''; break;
+            case 'X': body = magnitude.toString(16).toUpperCase(); prefix = alternate ? '0X' : ''; break;
+            case 'd': body = String(magnitude); break;
+            case 'f': case 'F': body = magnitude.toFixed(precision === null ? 6 : precision); break;
+            case '%': body = (magnitude * 100).toFixed(precision === null ? 6 : precision) + '%'; break;
+            case 'e': case 'E':
+                // Python always writes at least two exponent digits: 1.5e+03
+                body = magnitude.toExponential(precision === null ? 6 : precision)
+                    .replace(/e([+-])(\d)$/, 'e$10$2');
+                if (type === 'E') body = body.toUpperCase();
+                break;
+            case 'g': case 'G':
+                body = String(Number(magnitude.toPrecision(precision || 6)));
+                if (type === 'G') body = body.toUpperCase();
+                break;
+            default:
+                body = precision === null ? stringify(magnitude) : String(Number(magnitude.toPrecision(precision || 1)));
+        }
+        if (grouping) {
+            // Group the integer digits: by 3 for decimal, by 4 for b/o/x
+            const radix = 'boxX'.includes(type);
+            const digits = ((radix ? /^[0-9a-fA-F]+/ : /^\d+/).exec(body) || [''])[0];
+            const groups = radix ? /\B(?=([0-9a-fA-F]{4})+$)/g : /\B(?=(\d{3})+$)/g;
+            body = digits.replace(groups, grouping) + body.slice(digits.length);
+        }
+        const negative = value < 0 || Object.is(value, -0);
+        prefix = (negative ? '-' : sign === '+' ? '+' : sign === ' ' ? ' ' : '') + prefix;
+    } else if (type === 'c') {
+        body = String.fromCodePoint(value);
+    } else {
+        body = typeof value === 'string' ? value : stringify(value);
+        if (precision !== null) body = body.slice(0, precision);
+    }
+
+    // A leading 0 means zero padding after the sign, like the '=' alignment
+    if (zero && !align) {
+        fill = '0';
+        align = numeric ? '=' : '<';
+    }
+    fill = fill || ' ';
+    align = align || (numeric && type !== 's' && type !== 'c' ? '>' : '<');
+    const padding = Math.max(0, (width ? Number(width) : 0) - prefix.length - body.length);
+    switch (align) {
+        case '<': return prefix + body + fill.repeat(padding);
+        case '>': return fill.repeat(padding) + prefix + body;
+        case '=': return prefix + fill.repeat(padding) + body;
+        default: {
+            const left = Math.floor(padding / 2);
+            return fill.repeat(left) + prefix + body + fill.repeat(padding - left);
+        }
+    }
+}
+
 // ============= GRID OBJECT =============
 class GridObject {
     constructor(data, interpreter) {
@@ -36,6 +451,7 @@ class GridObject {
         this.height = data.length;
         this.width = data[0].length;
         this.diags = false; // Default: 4-directional (no diagonals)
+        this.passable = null; // Pathfinding predicate (x, y, value); null = every cell but '#'
         this.cellSize = 10; // Default cell size in pixels
         this.colorMap = {
             '.': '#f0f0f0',
@@ -61,12 +477,14 @@ class GridObject {
         return x >= 0 && x < this.width && y >= 0 && y < this.height;
     }
 
-    neighbors(x, y, callback) {
-        const directions = this.diags
+    directions() {
+        return this.diags
             ? [[-1, -1], [0, -1], [1, -1], [-1, 0], [1, 0], [-1, 1], [0, 1], [1, 1]]
             : [[0, -1], [-1, 0], [1, 0], [0, 1]]; // 4-directional: up, left, right, down
+    }
 
-        for (const [dx, dy] of directions) {
+    neighbors(x, y, callback) {
+        for (const [dx, dy] of this.directions()) {
             const nx = x + dx;
             const ny = y + dy;
             if (this.inBounds(nx, ny)) {
@@ -92,57 +510,934 @@ class GridObject {
         return null;
     }
 
-    count(value) {
-        let total = 0;
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                if (this.data[y][x] === value) {
-                    total++;
-                }
-            }
-        }
-        return total;
+    count(value) {
+        let total = 0;
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                if (this.data[y][x] === value) {
+                    total++;
+                }
+            }
+        }
+        return total;
+    }
+
+    // grid[x, y] reads a cell like get(x, y). grid[0:10, 5:15] is a new Grid
+    // (a copy) of columns 0-9 and rows 5-14; a number beside a slice picks
+    // one column or row.
+    subscript(index) {
+        const [xs, ys] = this.subscriptParts(index);
+        if (!(xs instanceof Slice) && !(ys instanceof Slice)) {
+            return this.get(xs, ys);
+        }
+        const columns = this.axisIndices(xs, this.width);
+        const rows = this.axisIndices(ys, this.height);
+        if (columns.length === 0 || rows.length === 0) {
+            throw new GridLangError('Grid slice is empty', null, null, 'IndexError');
+        }
+        const grid = new GridObject(rows.map(y => columns.map(x => this.data[y][x])), this.interpreter);
+        grid.diags = this.diags;
+        grid.passable = this.passable;
+        grid.cellSize = this.cellSize;
+        grid.colorMap = { ...this.colorMap };
+        return grid;
+    }
+
+    // grid[x, y] = value, like set(x, y, value)
+    assignSubscript(index, value) {
+        const [xs, ys] = this.subscriptParts(index);
+        if (xs instanceof Slice || ys instanceof Slice) {
+            throw new GridLangError('Cannot assign to a grid slice', null, null, 'TypeError');
+        }
+        this.set(xs, ys, value);
+    }
+
+    subscriptParts(index) {
+        if (index.length !== 2) {
+            throw new GridLangError('A grid is indexed by x and y: grid[x, y] or grid[0:10, 5:15]', null, null, 'TypeError');
+        }
+        return index;
+    }
+
+    axisIndices(part, length) {
+        if (part instanceof Slice) return part.indices(length);
+        return part >= 0 && part < length ? [part] : [];
+    }
+
+    // ============= PATHFINDING =============
+    // Positions are [x, y] arrays. Each search returns a map
+    // {path, dist, visited}: path runs from start to goal inclusive (null if
+    // the goal is unreachable), dist is its length or total cost, and
+    // visited lists expanded cells in order. Moves follow grid.diags and
+    // only enter cells accepted by grid.passable.
+
+    bfs(start, goal = null) {
+        const startKey = this.positionKey(start, 'bfs() start');
+        const isGoal = this.goalTest(goal, 'bfs() goal');
+        const cameFrom = new Int32Array(this.width * this.height).fill(-1);
+        const depth = new Int32Array(this.width * this.height);
+        const seen = new Uint8Array(this.width * this.height);
+        const visited = [];
+        const queue = [startKey];
+        seen[startKey] = 1;
+
+        for (let head = 0; head < queue.length; head++) {
+            const key = queue[head];
+            const x = key % this.width;
+            const y = (key - x) / this.width;
+            visited.push([x, y]);
+            if (isGoal(x, y)) {
+                return this.pathResult(cameFrom, key, depth[key], visited);
+            }
+            for (const [dx, dy] of this.directions()) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const next = ny * this.width + nx;
+                if (!this.inBounds(nx, ny) || seen[next] || !this.isPassable(nx, ny)) continue;
+                seen[next] = 1;
+                cameFrom[next] = key;
+                depth[next] = depth[key] + 1;
+                queue.push(next);
+            }
+        }
+        return this.pathResult(null, -1, null, visited);
+    }
+
+    dijkstra(start, goal = null, costFn = null) {
+        return this.bestFirst('dijkstra()', start, goal, costFn, null);
+    }
+
+    astar(start, goal, costFn = null, heuristic = null) {
+        if (typeof goal === 'function' || goal === null || goal === undefined) {
+            throw new GridLangError('astar() goal must be an [x, y] position', null, null, 'TypeError');
+        }
+        if (heuristic === null || heuristic === undefined) {
+            const goalKey = this.positionKey(goal, 'astar() goal');
+            const gx = goalKey % this.width;
+            const gy = (goalKey - gx) / this.width;
+            // Admissible only while every step costs at least 1: with cheaper
+            // steps it can overestimate and the path found may not be the shortest
+            heuristic = this.diags
+                ? (x, y) => Math.max(Math.abs(x - gx), Math.abs(y - gy))
+                : (x, y) => Math.abs(x - gx) + Math.abs(y - gy);
+        } else if (typeof heuristic !== 'function') {
+            throw new GridLangError('astar() heuristic must be a function', null, null, 'TypeError');
+        }
+        return this.bestFirst('astar()', start, goal, costFn, heuristic);
+    }
+
+    // Dijkstra, or A* when a heuristic is given
+    bestFirst(what, start, goal, costFn, heuristic) {
+        const startKey = this.positionKey(start, `${what} start`);
+        const isGoal = this.goalTest(goal, `${what} goal`);
+        if (costFn !== null && costFn !== undefined && typeof costFn !== 'function') {
+            throw new GridLangError(`${what} costFn must be a function`, null, null, 'TypeError');
+        }
+        const cameFrom = new Int32Array(this.width * this.height).fill(-1);
+        const dist = new Float64Array(this.width * this.height).fill(Infinity);
+        const closed = new Uint8Array(this.width * this.height);
+        const visited = [];
+        // Entries are [priority, tie, seq, key]; among equal priorities A*
+        // prefers cells closer to the goal, then insertion order
+        const open = new BinaryHeap((a, b) =>
+            a[0] !== b[0] ? a[0] < b[0] : a[1] !== b[1] ? a[1] < b[1] : a[2] < b[2]);
+        let seq = 0;
+        dist[startKey] = 0;
+        open.push([0, 0, seq++, startKey]);
+
+        while (open.size > 0) {
+            const key = open.pop()[3];
+            if (closed[key]) continue;
+            closed[key] = 1;
+            const x = key % this.width;
+            const y = (key - x) / this.width;
+            visited.push([x, y]);
+            if (isGoal(x, y)) {
+                return this.pathResult(cameFrom, key, dist[key], visited);
+            }
+            for (const [dx, dy] of this.directions()) {
+                const nx = x + dx;
+                const ny = y + dy;
+                const next = ny * this.width + nx;
+                if (!this.inBounds(nx, ny) || closed[next] || !this.isPassable(nx, ny)) continue;
+                let cost = 1;
+                if (costFn) {
+                    cost = costFn(nx, ny, this.data[ny][nx]);
+                    if (typeof cost !== 'number' || !(cost >= 0)) {
+                        throw new GridLangError(`${what} costFn must return a non-negative number, got ${cost}`, null, null, 'ValueError');
+                    }
+                }
+                const total = dist[key] + cost;
+                if (total < dist[next]) {
+                    dist[next] = total;
+                    cameFrom[next] = key;
+                    const estimate = heuristic ? heuristic(nx, ny) : 0;
+                    open.push([total + estimate, estimate, seq++, next]);
+                }
+            }
+        }
+        return this.pathResult(null, -1, null, visited);
+    }
+
+    isPassable(x, y) {
+        const value = this.data[y][x];
+        if (this.passable) {
+            return !!this.passable(x, y, value);
+        }
+        return value !== '#';
+    }
+
+    positionKey(pos, what) {
+        if (!Array.isArray(pos) || pos.length !== 2 || typeof pos[0] !== 'number' || typeof pos[1] !== 'number') {
+            throw new GridLangError(`${what} must be an [x, y] position`, null, null, 'TypeError');
+        }
+        const [x, y] = pos;
+        if (!Number.isInteger(x) || !Number.isInteger(y)) {
+            throw new GridLangError(`${what} must have integer coordinates, got (${x}, ${y})`, null, null, 'TypeError');
+        }
+        if (!this.inBounds(x, y)) {
+            throw new GridLangError(`${what} out of bounds: (${x}, ${y})`, null, null, 'IndexError');
+        }
+        return y * this.width + x;
+    }
+
+    // goal may be an [x, y] position, a predicate (x, y, value) or null (search everything)
+    goalTest(goal, what) {
+        if (goal === null || goal === undefined) {
+            return () => false;
+        }
+        if (typeof goal === 'function') {
+            return (x, y) => !!goal(x, y, this.data[y][x]);
+        }
+        const goalKey = this.positionKey(goal, what);
+        return (x, y) => y * this.width + x === goalKey;
+    }
+
+    pathResult(cameFrom, endKey, dist, visited) {
+        let path = null;
+        if (endKey !== -1) {
+            path = [];
+            for (let key = endKey; key !== -1; key = cameFrom[key]) {
+                const x = key % this.width;
+                path.push([x, (key - x) / this.width]);
+            }
+            path.reverse();
+        }
+        return new Map([['path', path], ['dist', dist], ['visited', visited]]);
+    }
+
+    // overlay: a pathfinding result (visited cells and path are highlighted)
+    // or an array of [x, y] positions drawn as a path
+    draw(overlay = null) {
+        if (!this.interpreter.canvas || !this.interpreter.ctx) {
+            throw new GridLangError('Canvas not available', null, null, 'RuntimeError');
+        }
+
+        const ctx = this.interpreter.ctx;
+        const canvas = this.interpreter.canvas;
+
+        // Resize canvas if needed
+        const requiredWidth = this.width * this.cellSize;
+        const requiredHeight = this.height * this.cellSize;
+
+        if (canvas.width !== requiredWidth || canvas.height !== requiredHeight) {
+            canvas.width = requiredWidth;
+            canvas.height = requiredHeight;
+        }
+
+        // Draw each cell
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const value = this.data[y][x];
+                // Handle both Map and plain object colorMaps
+                let color;
+                if (this.colorMap instanceof Map) {
+                    color = this.colorMap.get(value) || '#ffffff';
+                } else {
+                    color = this.colorMap[value] || '#ffffff';
+                }
+
+                ctx.fillStyle = color;
+                ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+
+                // Draw grid lines
+                ctx.strokeStyle = '#cccccc';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+            }
+        }
+
+        if (overlay) {
+            this.drawOverlay(ctx, overlay);
+        }
+    }
+
+    drawOverlay(ctx, overlay) {
+        let visited = null;
+        let path = overlay;
+        if (overlay instanceof Map) {
+            visited = overlay.get('visited');
+            path = overlay.get('path');
+        }
+
+        const size = this.cellSize;
+        if (Array.isArray(visited)) {
+            ctx.fillStyle = 'rgba(52, 152, 219, 0.35)';
+            for (const [x, y] of visited) {
+                ctx.fillRect(x * size, y * size, size, size);
+            }
+        }
+        if (Array.isArray(path) && path.length > 0) {
+            ctx.fillStyle = 'rgba(231, 76, 60, 0.6)';
+            for (const [x, y] of path) {
+                ctx.fillRect(x * size, y * size, size, size);
+            }
+            // Connect cell centers so the route reads clearly
+            ctx.strokeStyle = '#c0392b';
+            ctx.lineWidth = Math.max(2, size / 5);
+            ctx.beginPath();
+            path.forEach(([x, y], i) => {
+                const cx = x * size + size / 2;
+                const cy = y * size + size / 2;
+                if (i === 0) ctx.moveTo(cx, cy);
+                else ctx.lineTo(cx, cy);
+            });
+            ctx.stroke();
+        }
+    }
+}
+
+// ============= PRIORITY QUEUE =============
+// PriorityQueue(orderFn): orderFn is a comparator func(a, b) returning a
+// negative number when a comes first, or a key func(item) whose results are
+// compared naturally. Without orderFn items are compared naturally, so
+// [dist, x, y] tuples pop smallest dist first. Equal items pop in insertion
+// order.
+class PriorityQueueObject {
+    constructor(orderFn, interpreter) {
+        this.interpreter = interpreter;
+        this.orderFn = orderFn || null;
+        this.seq = 0;
+
+        let order = compareValues;
+        this.keyed = false;
+        if (this.orderFn) {
+            if (typeof this.orderFn !== 'function') {
+                throw new GridLangError('PriorityQueue() expects a comparator or key function', null, null, 'TypeError');
+            }
+            // GridLang functions carry their parameter count as .arity
+            const arity = this.orderFn.arity !== undefined ? this.orderFn.arity : this.orderFn.length;
+            if (arity === 1) {
+                this.keyed = true;
+            } else if (arity === 2) {
+                const comparator = this.orderFn;
+                order = (a, b) => {
+                    const result = comparator(a, b);
+                    if (typeof result === 'boolean') return result ? -1 : 1;
+                    if (typeof result !== 'number') {
+                        throw new GridLangError(`PriorityQueue comparator must return a number, got ${this.interpreter.toString(result)}`, null, null, 'TypeError');
+                    }
+                    return result;
+                };
+            } else {
+                throw new GridLangError('PriorityQueue() function must take 1 argument (key) or 2 arguments (comparator)', null, null, 'TypeError');
+            }
+        }
+
+        // Entries are { key, seq, item }; key is the item itself unless keyed
+        this.heap = new BinaryHeap((a, b) => {
+            const c = order(a.key, b.key);
+            return c < 0 || (c === 0 && a.seq < b.seq);
+        });
+    }
+
+    push(item) {
+        const key = this.keyed ? this.orderFn(item) : item;
+        this.heap.push({ key, seq: this.seq++, item });
+        return null;
+    }
+
+    pop() {
+        if (this.heap.size === 0) {
+            throw new GridLangError('pop from empty PriorityQueue', null, null, 'IndexError');
+        }
+        return this.heap.pop().item;
+    }
+
+    peek() {
+        if (this.heap.size === 0) {
+            throw new GridLangError('peek at empty PriorityQueue', null, null, 'IndexError');
+        }
+        return this.heap.peek().item;
+    }
+
+    len() {
+        return this.heap.size;
+    }
+
+    // Items in the order pop() would return them
+    toArray() {
+        const entries = [...this.heap.items];
+        entries.sort((a, b) => this.heap.less(a, b) ? -1 : 1);
+        return entries.map(entry => entry.item);
+    }
+
+    toString() {
+        return `PriorityQueue(${this.interpreter.toString(this.toArray())})`;
+    }
+}
+
+// ============= TUPLE KEYS =============
+// Arrays compare by value: [1, 2] == [1, 2], and [x, y] works as a map key
+// or Set item. Each runtime keeps a TupleTable of the arrays collections
+// store as keys: equal contents map to one frozen copy, so the JS Map/Set
+// underneath still matches by identity. Nested arrays are copied too; other
+// objects (maps, grids, functions) keep their identity. The table holds the
+// copies weakly, so one is dropped once no collection holds it, and looking
+// a key up stores nothing.
+class TupleTable {
+    constructor() {
+        this.tuples = new Map();  // Contents signature -> WeakRef to the stored copy
+        this.canonical = new WeakSet();
+        this.objectIds = new WeakMap();
+        this.nextObjectId = 0;
+        this.released = new FinalizationRegistry(signature => {
+            const ref = this.tuples.get(signature);
+            if (ref && ref.deref() === undefined) this.tuples.delete(signature);
+        });
+    }
+
+    // The value to look key up by in a map or Set: the stored copy of an
+    // equal array, or the array itself when no collection holds one
+    key(value) {
+        return this.intern(value, false);
+    }
+
+    // The value a map or Set stores for key
+    storeKey(value) {
+        return this.intern(value, true);
+    }
+
+    intern(value, store) {
+        if (typeof value === 'bigint') {
+            // bigint(5) and 5 are the same key
+            return Number.isSafeInteger(Number(value)) ? Number(value) : value;
+        }
+        if (!Array.isArray(value) || this.canonical.has(value)) return value;
+        const items = value.map(item => this.intern(item, store));
+        const signature = items.map(item => this.signature(item)).join(',');
+        const ref = this.tuples.get(signature);
+        const stored = ref && ref.deref();
+        if (stored !== undefined) return stored;
+        if (!store) return value;  // Equal to nothing a collection holds
+        const tuple = Object.freeze(items);
+        this.tuples.set(signature, new WeakRef(tuple));
+        this.canonical.add(tuple);
+        this.released.register(tuple, signature);
+        return tuple;
+    }
+
+    // A key as scripts see it (from keys(), a for loop or a Set's items):
+    // stored copies are frozen, so give back arrays that can be changed
+    thaw(value) {
+        return this.canonical.has(value) ? value.map(item => this.thaw(item)) : value;
+    }
+
+    signature(item) {
+        switch (typeof item) {
+            case 'number': return 'n' + item;
+            case 'bigint': return 'N' + item;
+            case 'string': return JSON.stringify(item);
+            case 'boolean': return item ? 't' : 'f';
+            case 'undefined': return 'u';
+        }
+        if (item === null) return 'z';
+        let id = this.objectIds.get(item);
+        if (id === undefined) {
+            id = this.nextObjectId++;
+            this.objectIds.set(item, id);
+        }
+        return '#' + id;
+    }
+}
+
+// == and != : identity, except that arrays compare element by element and
+// bigints compare with numbers by value
+function valuesEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a === 'bigint' || typeof b === 'bigint') {
+        return (typeof a === 'number' || typeof b === 'number') && a == b;
+    }
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+        if (!valuesEqual(a[i], b[i])) return false;
+    }
+    return true;
+}
+
+// Array search with the same equality as ==
+function indexOfValue(array, item) {
+    if (!Array.isArray(item) && typeof item !== 'bigint') return array.indexOf(item);
+    return array.findIndex(x => valuesEqual(x, item));
+}
+
+// ============= SET AND DEQUE =============
+// Set(items=null): unordered collection of unique values. Membership uses the
+// same equality as ==, so numbers, strings and [x, y] arrays work as items.
+class SetObject {
+    constructor(items, interpreter) {
+        this.interpreter = interpreter;
+        this.items = new Set();
+        if (items !== null && items !== undefined) {
+            for (const item of toIterableArray(items, 'Set')) this.add(item);
+        }
+    }
+
+    add(item) {
+        this.items.add(this.interpreter.tuples.storeKey(item));
+        return null;
+    }
+
+    remove(item) {
+        this.items.delete(this.interpreter.tuples.key(item));
+        return null;
+    }
+
+    has(item) {
+        return this.items.has(this.interpreter.tuples.key(item));
+    }
+
+    len() {
+        return this.items.size;
+    }
+
+    // Set algebra accepts another Set or an array and returns a new Set
+    union(other) {
+        const result = new SetObject(this.toArray(), this.interpreter);
+        for (const item of toIterableArray(other, 'union')) result.add(item);
+        return result;
+    }
+
+    intersect(other) {
+        const otherItems = new SetObject(toIterableArray(other, 'intersect'), this.interpreter);
+        return new SetObject(this.toArray().filter(item => otherItems.has(item)), this.interpreter);
+    }
+
+    diff(other) {
+        const otherItems = new SetObject(toIterableArray(other, 'diff'), this.interpreter);
+        return new SetObject(this.toArray().filter(item => !otherItems.has(item)), this.interpreter);
+    }
+
+    // Items in insertion order
+    toArray() {
+        return Array.from(this.items, item => this.interpreter.tuples.thaw(item));
+    }
+
+    toString() {
+        return `Set(${this.interpreter.toString(this.toArray())})`;
+    }
+}
+
+// Deque(items=null): double-ended queue with O(1) push/pop at both ends.
+// Items live in a ring buffer: this.size of them from this.items[this.head],
+// wrapping around; the buffer's length is a power of two and doubles when full.
+class DequeObject {
+    constructor(items, interpreter) {
+        this.interpreter = interpreter;
+        this.items = new Array(8);
+        this.head = 0;
+        this.size = 0;
+        if (items !== null && items !== undefined) {
+            for (const item of toIterableArray(items, 'Deque')) this.push(item);
+        }
+    }
+
+    // Buffer position of the index-th item from the front
+    slot(index) {
+        return (this.head + index) & (this.items.length - 1);
+    }
+
+    grow() {
+        const items = this.toArray();
+        items.length = this.items.length * 2;
+        this.items = items;
+        this.head = 0;
+    }
+
+    push(item) {
+        if (this.size === this.items.length) this.grow();
+        this.items[this.slot(this.size++)] = item;
+        return null;
+    }
+
+    push_front(item) {
+        if (this.size === this.items.length) this.grow();
+        this.head = this.slot(-1);
+        this.items[this.head] = item;
+        this.size++;
+        return null;
+    }
+
+    pop() {
+        if (this.size === 0) {
+            throw new GridLangError('pop from empty Deque', null, null, 'IndexError');
+        }
+        const index = this.slot(--this.size);
+        const item = this.items[index];
+        this.items[index] = undefined;
+        return item;
+    }
+
+    pop_front() {
+        if (this.size === 0) {
+            throw new GridLangError('pop_front from empty Deque', null, null, 'IndexError');
+        }
+        const item = this.items[this.head];
+        this.items[this.head] = undefined;
+        this.head = this.slot(1);
+        this.size--;
+        return item;
+    }
+
+    peek() {
+        if (this.size === 0) {
+            throw new GridLangError('peek at empty Deque', null, null, 'IndexError');
+        }
+        return this.items[this.slot(this.size - 1)];
+    }
+
+    peek_front() {
+        if (this.size === 0) {
+            throw new GridLangError('peek_front at empty Deque', null, null, 'IndexError');
+        }
+        return this.items[this.head];
+    }
+
+    len() {
+        return this.size;
+    }
+
+    // Items from front to back
+    toArray() {
+        const items = new Array(this.size);
+        for (let i = 0; i < this.size; i++) items[i] = this.items[this.slot(i)];
+        return items;
+    }
+
+    toString() {
+        return `Deque(${this.interpreter.toString(this.toArray())})`;
+    }
+}
+
+// Arrays, Sets and Deques can seed or combine collections
+function toIterableArray(value, context) {
+    if (Array.isArray(value)) return value;
+    if (value instanceof SetObject || value instanceof DequeObject) return value.toArray();
+    throw new GridLangError(`${context}() expects an array, Set or Deque`, null, null, 'TypeError');
+}
+
+// ============= ARGUMENTS =============
+// ...value in call arguments or an array literal spreads an array, string,
+// Set or Deque; in a map literal it spreads another map's entries
+function spreadValues(value) {
+    if (typeof value === 'string') return [...value];
+    if (Array.isArray(value) || value instanceof SetObject || value instanceof DequeObject) {
+        return toIterableArray(value);
+    }
+    const typeName = value === null ? 'null' : value instanceof Map ? 'map' : typeof value;
+    throw new GridLangError(`Cannot spread ${typeName} into an array`, null, null, 'TypeError');
+}
+
+function spreadEntries(value) {
+    if (value instanceof Map) return value;
+    const typeName = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+    throw new GridLangError(`Cannot spread ${typeName} into a map`, null, null, 'TypeError');
+}
+
+// A call written in GridLang may not pass more arguments than the function
+// declares (its .arity, unless it has a rest parameter). Builtins calling
+// back into GridLang are not checked: grid.visit(func(x, y) { ... })
+// ignores the value it is also passed.
+function checkArgCount(func, argCount) {
+    if (func.arity === undefined || func.variadic || argCount <= func.arity) return;
+    const plural = func.arity === 1 ? '' : 's';
+    throw new GridLangError(`${func.funcName}() takes ${func.arity} argument${plural} but got ${argCount}`, null, null, 'TypeError');
+}
+
+// ============= SLICES =============
+// seq[start:end:step] on arrays and strings follows Python: any part may be
+// left out, negative bounds count from the end, bounds past either end are
+// clipped, and a negative step walks backwards (s[::-1] reverses).
+class Slice {
+    constructor(start, end, step) {
+        this.start = start;
+        this.end = end;
+        this.step = step;
+    }
+
+    // { start, end, step } for a sequence of length n: the slice covers
+    // start, start + step, ... up to (not including) end
+    bounds(length) {
+        const step = this.step === null ? 1 : sliceIndex(this.step);
+        if (step === 0) {
+            throw new GridLangError('Slice step cannot be zero', null, null, 'ValueError');
+        }
+        const clip = (bound, fallback) => {
+            if (bound === null) return fallback;
+            let i = sliceIndex(bound);
+            if (i < 0) i += length;
+            return step > 0 ? Math.min(Math.max(i, 0), length) : Math.min(Math.max(i, -1), length - 1);
+        };
+        return {
+            start: clip(this.start, step > 0 ? 0 : length - 1),
+            end: clip(this.end, step > 0 ? length : -1),
+            step
+        };
+    }
+
+    // The positions the slice covers in a sequence of length n
+    indices(length) {
+        const { start, end, step } = this.bounds(length);
+        const positions = [];
+        for (let i = start; step > 0 ? i < end : i > end; i += step) {
+            positions.push(i);
+        }
+        return positions;
+    }
+}
+
+function sliceIndex(value) {
+    if (typeof value === 'bigint') return Number(value);
+    if (!Number.isInteger(value)) {
+        throw new GridLangError(`Slice indices must be integers, got ${value}`, null, null, 'TypeError');
+    }
+    return value;
+}
+
+// seq[slice]: a new array, or a string
+function sliceSequence(seq, slice) {
+    const picked = slice.indices(seq.length).map(i => seq[i]);
+    return typeof seq === 'string' ? picked.join('') : picked;
+}
+
+// array[slice] = values. A slice with step 1 is replaced by any number of
+// values (arr[1:1] = [x] inserts); other slices take one value per element.
+function assignSlice(array, slice, values) {
+    if (!Array.isArray(values)) {
+        throw new GridLangError('Can only assign an array to a slice', null, null, 'TypeError');
+    }
+    const { start, end, step } = slice.bounds(array.length);
+    if (step === 1) {
+        array.splice(start, Math.max(end - start, 0), ...values);
+        return;
+    }
+    const positions = slice.indices(array.length);
+    if (positions.length !== values.length) {
+        const plural = values.length === 1 ? '' : 's';
+        throw new GridLangError(`Cannot assign ${values.length} value${plural} to a slice of ${positions.length} elements`, null, null, 'ValueError');
+    }
+    positions.forEach((position, i) => { array[position] = values[i]; });
+}
+
+// arr[-1] is the last element (of an array or string)
+function sequenceIndex(seq, index) {
+    return typeof index === 'number' && index < 0 ? seq.length + index : index;
+}
+
+// ============= STRUCTS =============
+// struct Point { x, y } binds Point to a constructor: Point(1, 2) makes a
+// value with exactly those fields. A method (func Point.add(other)) is a
+// function whose first parameter is self; reading p.add gives it bound to
+// p, as array and string methods are. Reading or assigning a field the
+// struct does not have is an error, so a typo does not add a new field.
+class StructType {
+    // runtime (the VM or Interpreter) formats field values for toString
+    constructor(name, fields, runtime) {
+        this.name = name;
+        this.fields = fields;
+        this.methods = new Map();
+        this.runtime = runtime;
+    }
+
+    // The function the struct's name is bound to
+    constructorFunction() {
+        const construct = (...args) => {
+            if (args.length !== this.fields.length) {
+                throw new GridLangError(`${this.name}() takes ${this.fields.length} arguments (${this.fields.join(', ')}) but got ${args.length}`, null, null, 'TypeError');
+            }
+            return new StructInstance(this, args);
+        };
+        construct.structType = this;
+        return construct;
+    }
+
+    defineMethod(name, func) {
+        if (typeof func !== 'function') {
+            throw new GridLangError(`${this.name}.${name} must be a function`, null, null, 'TypeError');
+        }
+        if (this.fields.includes(name)) {
+            throw new GridLangError(`${this.name} already has a field '${name}'`, null, null, 'AttributeError');
+        }
+        this.methods.set(name, func);
+    }
+}
+
+class StructInstance {
+    constructor(type, values) {
+        this.type = type;
+        this.values = new Map(type.fields.map((field, i) => [field, values[i]]));
+    }
+
+    get(name) {
+        if (this.values.has(name)) return this.values.get(name);
+        const method = this.type.methods.get(name);
+        if (method) {
+            const bound = (...args) => method(this, ...args);
+            if (method.arity !== undefined) {
+                // self is already given
+                Object.assign(bound, { arity: method.arity - 1, variadic: method.variadic, funcName: method.funcName });
+            }
+            return bound;
+        }
+        throw new GridLangError(`${this.type.name} has no field or method '${name}'`, null, null, 'AttributeError');
+    }
+
+    set(name, value) {
+        if (!this.values.has(name)) {
+            throw new GridLangError(`${this.type.name} has no field '${name}'`, null, null, 'AttributeError');
+        }
+        this.values.set(name, value);
+    }
+
+    // Point(x: 1, y: 2), unless the struct has a toString method
+    toString() {
+        const runtime = this.type.runtime;
+        const custom = this.type.methods.get('toString');
+        if (custom) return runtime.toString(custom(this));
+        const fields = [...this.values].map(([name, value]) => `${name}: ${runtime.toString(value)}`);
+        return `${this.type.name}(${fields.join(', ')})`;
+    }
+}
+
+// A struct's constructor (the value its name is bound to), or null
+function structTypeOf(value) {
+    return typeof value === 'function' && value.structType instanceof StructType ? value.structType : null;
+}
+
+// ============= MODULES =============
+// import "utils" / from "utils" import a, b. The host supplies
+// resolve(name, fromPath) -> { path, source } or null: the browser looks in
+// the local file store, the CLI on disk relative to the importing file.
+// Each module runs once per program in its own global scope; its exports
+// (a ModuleExports over every global it defines) are cached by path. `loading` is the chain of
+// modules currently running, starting with the main script, so a module
+// that imports itself through others is reported instead of recursing.
+class ModuleLoader {
+    constructor(resolve, mainPath = null) {
+        this.resolve = resolve;
+        this.cache = new Map();
+        this.loading = [mainPath];
+    }
+
+    // execute(ast, path) runs the module and returns its exports Map
+    load(name, execute) {
+        const fromPath = this.loading[this.loading.length - 1];
+        const found = this.resolve(name, fromPath);
+        if (!found) {
+            throw new GridLangError(`No module named '${name}'`, null, null, 'ImportError');
+        }
+        if (this.cache.has(found.path)) {
+            return this.cache.get(found.path);
+        }
+        if (this.loading.includes(found.path)) {
+            const chain = [...this.loading.slice(this.loading.indexOf(found.path)), found.path];
+            throw new GridLangError(`Circular import: ${chain.join(' -> ')}`, null, null, 'ImportError');
+        }
+
+        this.loading.push(found.path);
+        try {
+            const exports = execute(parseModule(found.source), found.path);
+            this.cache.set(found.path, exports);
+            return exports;
+        } catch (e) {
+            throw moduleError(e, name);
+        } finally {
+            this.loading.pop();
+        }
+    }
+}
+
+// A module's value: a map of the globals it defines that reads and writes
+// through to its global scope, so utils.calls sees what utils.count() has
+// done since the import. scope is { has, get, set, names } over the
+// module's globals, leaving out builtins.
+class ModuleExports extends Map {
+    constructor(scope) {
+        super();
+        this.scope = scope;
+    }
+
+    has(key) {
+        return typeof key === 'string' && this.scope.has(key);
+    }
+
+    get(key) {
+        return this.has(key) ? this.scope.get(key) : undefined;
+    }
+
+    set(key, value) {
+        this.scope.set(key, value);
+        return this;
     }
 
-    draw() {
-        if (!this.interpreter.canvas || !this.interpreter.ctx) {
-            throw new GridLangError('Canvas not available', null, null, 'RuntimeError');
-        }
+    get size() {
+        return this.scope.names().length;
+    }
 
-        const ctx = this.interpreter.ctx;
-        const canvas = this.interpreter.canvas;
+    keys() {
+        return this.scope.names()[Symbol.iterator]();
+    }
 
-        // Resize canvas if needed
-        const requiredWidth = this.width * this.cellSize;
-        const requiredHeight = this.height * this.cellSize;
+    values() {
+        return this.scope.names().map(key => this.scope.get(key))[Symbol.iterator]();
+    }
 
-        if (canvas.width !== requiredWidth || canvas.height !== requiredHeight) {
-            canvas.width = requiredWidth;
-            canvas.height = requiredHeight;
-        }
+    entries() {
+        return this.scope.names().map(key => [key, this.scope.get(key)])[Symbol.iterator]();
+    }
 
-        // Draw each cell
-        for (let y = 0; y < this.height; y++) {
-            for (let x = 0; x < this.width; x++) {
-                const value = this.data[y][x];
-                // Handle both Map and plain object colorMaps
-                let color;
-                if (this.colorMap instanceof Map) {
-                    color = this.colorMap.get(value) || '#ffffff';
-                } else {
-                    color = this.colorMap[value] || '#ffffff';
-                }
+    [Symbol.iterator]() {
+        return this.entries();
+    }
 
-                ctx.fillStyle = color;
-                ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+    forEach(fn, thisArg) {
+        for (const [key, value] of this.entries()) fn.call(thisArg, value, key, this);
+    }
+}
 
-                // Draw grid lines
-                ctx.strokeStyle = '#cccccc';
-                ctx.lineWidth = 1;
-                ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
-            }
-        }
+// Lexer and Parser are globals in the browser; Node loads them on demand
+function parseModule(source) {
+    const LexerClass = typeof Lexer !== 'undefined' ? Lexer : require('./lexer.js').Lexer;
+    const ParserClass = typeof Parser !== 'undefined' ? Parser : require('./parser.js').Parser;
+    return new ParserClass(new LexerClass(source).tokenize()).parse();
+}
+
+// An error inside a module names the module and its line there; the
+// engine then points it at the import statement in the importing file
+function moduleError(e, name) {
+    let error = e;
+    if (!(e instanceof GridLangError)) {
+        // Lexer errors are plain Errors; in Node the parser has its own GridLangError class
+        const type = e.errorType || (/at line \d+/.test(e.message) ? 'SyntaxError' : 'RuntimeError');
+        error = new GridLangError(e.message, e.line || null, e.col || null, type);
     }
+    if (!error.moduleName) {
+        error.moduleName = name;
+        error.message += error.line ? ` (in module '${name}', line ${error.line})` : ` (in module '${name}')`;
+    }
+    error.line = null;
+    error.col = null;
+    return error;
 }
 
 // GridLang Interpreter - Runtime execution
@@ -281,6 +1576,19 @@ class Interpreter {
         // Debug mode
         this.debugEnabled = false;
 
+        // Active GridLang calls, for RecursionError call chains. Each entry's
+        // line is the call it is currently making (set by the Call node).
+        this.callStack = [{ name: '<module>', line: null, col: null }];
+        this.recursionLimit = 100000;
+        this.overflowDepth = null;  // Call depth the JS stack last ran out at
+
+        // Module loader for import statements (set by the host, see ModuleLoader)
+        this.modules = null;
+        this.builtins = null;  // Globals before the program runs: the starting scope of every module
+
+        // Arrays stored as map keys and Set items (see TupleTable)
+        this.tuples = new TupleTable();
+
         // Print buffer for performance
         this.printBuffer = [];
         this.printBufferSize = 100; // Flush every 100 lines
@@ -318,8 +1626,16 @@ class Interpreter {
         // Assert function
         this.globalEnv.set('assert', (condition, message = 'Assertion failed') => {
             if (!condition) {
-                throw new Error(message);
+                throw new GridLangError(message, null, null, 'AssertionError');
+            }
+        });
+
+        // Maximum depth of nested GridLang calls before a RecursionError
+        this.globalEnv.set('set_recursion_limit', (limit) => {
+            if (typeof limit !== 'number' || limit < 1) {
+                throw new GridLangError('set_recursion_limit() requires a positive number', null, null, 'ValueError');
             }
+            this.recursionLimit = Math.floor(limit);
         });
 
         // Range function
@@ -343,17 +1659,17 @@ class Interpreter {
         });
 
         // Math functions
-        this.globalEnv.set('abs', Math.abs);
-        this.globalEnv.set('sqrt', Math.sqrt);
-        this.globalEnv.set('pow', Math.pow);
-        this.globalEnv.set('floor', Math.floor);
-        this.globalEnv.set('ceil', Math.ceil);
-        this.globalEnv.set('round', Math.round);
-        this.globalEnv.set('sin', Math.sin);
-        this.globalEnv.set('cos', Math.cos);
-        this.globalEnv.set('tan', Math.tan);
-        this.globalEnv.set('min', Math.min);
-        this.globalEnv.set('max', Math.max);
+        this.globalEnv.set('abs', (x) => typeof x === 'bigint' ? (x < 0n ? -x : x) : Math.abs(x));
+        this.globalEnv.set('sqrt', mathBuiltin('sqrt', Math.sqrt));
+        this.globalEnv.set('pow', (x, y) => typeof x === 'bigint' || typeof y === 'bigint' ? bigintArith('**', x, y) : Math.pow(x, y));
+        this.globalEnv.set('floor', mathBuiltin('floor', Math.floor));
+        this.globalEnv.set('ceil', mathBuiltin('ceil', Math.ceil));
+        this.globalEnv.set('round', mathBuiltin('round', Math.round));
+        this.globalEnv.set('sin', mathBuiltin('sin', Math.sin));
+        this.globalEnv.set('cos', mathBuiltin('cos', Math.cos));
+        this.globalEnv.set('tan', mathBuiltin('tan', Math.tan));
+        this.globalEnv.set('min', (...args) => args.some(x => typeof x === 'bigint') ? args.reduce((a, b) => b < a ? b : a) : Math.min(...args));
+        this.globalEnv.set('max', (...args) => args.some(x => typeof x === 'bigint') ? args.reduce((a, b) => b > a ? b : a) : Math.max(...args));
         this.globalEnv.set('random', () => Math.random());
 
         this.globalEnv.set('clamp', (val, min, max) => {
@@ -367,6 +1683,7 @@ class Interpreter {
         });
 
         this.globalEnv.set('sign', (num) => {
+            if (typeof num === 'bigint') return num > 0n ? 1 : num < 0n ? -1 : 0;
             if (typeof num !== 'number') return 0;
             return Math.sign(num);
         });
@@ -374,7 +1691,7 @@ class Interpreter {
         // Abstract Data Type functions
         this.globalEnv.set('keys', (obj) => {
             if (obj instanceof Map) {
-                return Array.from(obj.keys());
+                return Array.from(obj.keys(), key => this.tuples.thaw(key));
             } else if (typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
                 // For JS objects used as maps internally (less common in gridlang env but possible)
                 return Object.keys(obj);
@@ -397,6 +1714,8 @@ class Interpreter {
                 return arr.length;
             } else if (arr instanceof Map) {
                 return arr.size;
+            } else if (arr instanceof PriorityQueueObject || arr instanceof SetObject || arr instanceof DequeObject) {
+                return arr.len();
             }
             return 0;
         });
@@ -443,23 +1762,25 @@ class Interpreter {
             return arr1.concat(arr2);
         });
 
+        // Array versions compare items like == (arrays by value)
         this.globalEnv.set('diff', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.diff(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            const set2 = new Set(arr2);
+            const set2 = new SetObject(arr2, this);
             return arr1.filter(x => !set2.has(x));
         });
 
         this.globalEnv.set('intersect', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.intersect(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            const set2 = new Set(arr2);
             // Unique intersection
-            const set1 = new Set(arr1);
-            return [...set1].filter(x => set2.has(x));
+            return new SetObject(arr1, this).intersect(arr2).toArray();
         });
 
         this.globalEnv.set('union', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.union(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            return [...new Set([...arr1, ...arr2])];
+            return new SetObject(arr1, this).union(arr2).toArray();
         });
 
         // Type conversion functions
@@ -475,9 +1796,10 @@ class Interpreter {
 
         this.globalEnv.set('int', (val) => {
             if (typeof val === 'number') return Math.floor(val);
+            if (typeof val === 'bigint') return val;
             if (typeof val === 'string') {
-                const parsed = parseInt(val, 10);
-                return isNaN(parsed) ? 0 : parsed;
+                const parsed = parseInteger(val);
+                return typeof parsed === 'number' && isNaN(parsed) ? 0 : parsed;
             }
             if (typeof val === 'boolean') return val ? 1 : 0;
             return 0;
@@ -485,6 +1807,7 @@ class Interpreter {
 
         this.globalEnv.set('float', (val) => {
             if (typeof val === 'number') return val;
+            if (typeof val === 'bigint') return Number(val);
             if (typeof val === 'string') {
                 const parsed = parseFloat(val);
                 return isNaN(parsed) ? 0.0 : parsed;
@@ -493,6 +1816,8 @@ class Interpreter {
             return 0.0;
         });
 
+        this.globalEnv.set('bigint', (val) => toBigInt(val));
+
         this.globalEnv.set('bool', (val) => {
             return this.isTruthy(val);
         });
@@ -563,14 +1888,16 @@ class Interpreter {
             if (typeof strOrArr === 'string') {
                 return strOrArr.includes(item);
             } else if (Array.isArray(strOrArr)) {
-                return strOrArr.includes(item);
+                return indexOfValue(strOrArr, item) !== -1;
             }
             return false;
         });
 
         this.globalEnv.set('index_of', (strOrArr, item) => {
-            if (typeof strOrArr === 'string' || Array.isArray(strOrArr)) {
+            if (typeof strOrArr === 'string') {
                 return strOrArr.indexOf(item);
+            } else if (Array.isArray(strOrArr)) {
+                return indexOfValue(strOrArr, item);
             }
             return -1;
         });
@@ -813,7 +2140,7 @@ class Interpreter {
 
                 // Convert based on type
                 if (type === 'int') {
-                    return elements.map(e => parseInt(e.trim())).filter(n => !isNaN(n));
+                    return elements.map(e => parseInteger(e)).filter(n => typeof n === 'bigint' || !isNaN(n));
                 } else if (type === 'float') {
                     return elements.map(e => parseFloat(e.trim())).filter(n => !isNaN(n));
                 } else if (type === 'word') {
@@ -1065,6 +2392,19 @@ class Interpreter {
         this.globalEnv.set('Grid', (data) => {
             return new GridObject(data, this);
         });
+
+        // Priority queue (min-heap)
+        this.globalEnv.set('PriorityQueue', (orderFn = null) => {
+            return new PriorityQueueObject(orderFn, this);
+        });
+
+        this.globalEnv.set('Set', (items = null) => {
+            return new SetObject(items, this);
+        });
+
+        this.globalEnv.set('Deque', (items = null) => {
+            return new DequeObject(items, this);
+        });
     }
 
     logBuffered(message, type = 'output') {
@@ -1109,6 +2449,47 @@ class Interpreter {
         this.consoleElement.scrollTop = this.consoleElement.scrollHeight;
     }
 
+    // Load a module (once per program) and return its ModuleExports
+    importModule(name, node) {
+        try {
+            if (!this.modules) {
+                throw new GridLangError(`Cannot import '${name}': modules are not available here`, null, null, 'ImportError');
+            }
+            return this.modules.load(name, (ast) => {
+                const env = new Environment();
+                Object.assign(env.vars, this.builtins);
+                this.eval(ast, env);
+                const vars = env.vars;
+                const exported = key => Object.prototype.hasOwnProperty.call(vars, key) && this.builtins[key] !== vars[key];
+                return new ModuleExports({
+                    has: exported,
+                    get: key => vars[key],
+                    set: (key, value) => { vars[key] = value; },
+                    names: () => Object.keys(vars).filter(exported)
+                });
+            });
+        } catch (e) {
+            if (e instanceof GridLangError && e.line === null) {
+                e.line = node.line;
+                e.col = node.col;
+            }
+            throw e;
+        }
+    }
+
+    // Apply an f-string format spec; errors point at the field
+    formatSpec(value, spec, part) {
+        try {
+            return formatWithSpec(value, spec, v => this.toString(v));
+        } catch (e) {
+            if (e instanceof GridLangError && e.line === null) {
+                e.line = part.line;
+                e.col = part.col;
+            }
+            throw e;
+        }
+    }
+
     toString(value) {
         if (value === null) return 'null';
         if (value === undefined) return 'undefined';
@@ -1120,7 +2501,7 @@ class Interpreter {
         if (value instanceof Map) {
             const pairs = [];
             for (const [k, v] of value.entries()) {
-                pairs.push(`${k}: ${this.toString(v)}`);
+                pairs.push(`${Array.isArray(k) ? this.toString(k) : k}: ${this.toString(v)}`);
             }
             return '{' + pairs.join(', ') + '}';
         }
@@ -1136,6 +2517,7 @@ class Interpreter {
                 this.canvasContainer.classList.add('console-only');
             }
 
+            this.builtins = { ...this.globalEnv.vars };
             this.eval(ast, this.globalEnv);
 
             // Flush any remaining buffered prints
@@ -1177,6 +2559,9 @@ class Interpreter {
                 }
                 return null;
 
+            case 'Match':
+                return this.evalMatch(node, env);
+
             case 'While':
                 while (this.isTruthy(this.eval(node.condition, env))) {
                     try {
@@ -1193,7 +2578,11 @@ class Interpreter {
                 return null;
 
             case 'For': {
-                const iterable = this.eval(node.iterable, env);
+                let iterable = this.eval(node.iterable, env);
+                if (iterable instanceof SetObject || iterable instanceof DequeObject) {
+                    // Iterate over a snapshot so the body may modify the collection
+                    iterable = iterable.toArray();
+                }
                 const loopEnv = new Environment(env);
 
                 if (Array.isArray(iterable)) {
@@ -1233,7 +2622,7 @@ class Interpreter {
                     if (node.valueVariable) {
                         // for k, v in map - iterate with key and value
                         for (const [key, value] of iterable.entries()) {
-                            loopEnv.set(node.variable, key);
+                            loopEnv.set(node.variable, this.tuples.thaw(key));
                             loopEnv.set(node.valueVariable, value);
                             try {
                                 this.eval(node.body, loopEnv);
@@ -1249,7 +2638,7 @@ class Interpreter {
                     } else {
                         // for k in map - iterate with keys only
                         for (const key of iterable.keys()) {
-                            loopEnv.set(node.variable, key);
+                            loopEnv.set(node.variable, this.tuples.thaw(key));
                             try {
                                 this.eval(node.body, loopEnv);
                             } catch (e) {
@@ -1262,6 +2651,27 @@ class Interpreter {
                             }
                         }
                     }
+                } else if (iterable instanceof PriorityQueueObject) {
+                    // Drains the queue in priority order; items pushed by the body are visited too
+                    for (let i = 0; iterable.len() > 0; i++) {
+                        const item = iterable.pop();
+                        if (node.valueVariable) {
+                            loopEnv.set(node.variable, i);
+                            loopEnv.set(node.valueVariable, item);
+                        } else {
+                            loopEnv.set(node.variable, item);
+                        }
+                        try {
+                            this.eval(node.body, loopEnv);
+                        } catch (e) {
+                            if (e instanceof BreakException) {
+                                break;
+                            } else if (e instanceof ContinueException) {
+                                continue;
+                            }
+                            throw e;
+                        }
+                    }
                 } else {
                     throw new GridLangError('For loop requires an iterable', node.line, node.col, 'RuntimeError');
                 }
@@ -1269,49 +2679,27 @@ class Interpreter {
             }
 
             case 'FuncDef': {
-                const func = (...args) => {
-                    const funcEnv = new Environment(env);
-
-                    for (let i = 0; i < node.params.length; i++) {
-                        funcEnv.set(node.params[i], args[i] !== undefined ? args[i] : null);
-                    }
-
-                    try {
-                        this.eval(node.body, funcEnv);
-                        return null;
-                    } catch (e) {
-                        if (e instanceof ReturnValue) {
-                            return e.value;
-                        }
-                        throw e;
-                    }
-                };
-
-                env.set(node.name, func);
+                env.set(node.name, this.makeFunction(node, env));
                 return null;
             }
 
             case 'FuncExpr': {
                 // Anonymous function - return the function itself
-                const func = (...args) => {
-                    const funcEnv = new Environment(env);
-
-                    for (let i = 0; i < node.params.length; i++) {
-                        funcEnv.set(node.params[i], args[i] !== undefined ? args[i] : null);
-                    }
+                return this.makeFunction(node, env);
+            }
 
-                    try {
-                        this.eval(node.body, funcEnv);
-                        return null;
-                    } catch (e) {
-                        if (e instanceof ReturnValue) {
-                            return e.value;
-                        }
-                        throw e;
-                    }
-                };
+            case 'StructDef':
+                env.set(node.name, new StructType(node.name, node.fields, this).constructorFunction());
+                return null;
 
-                return func;
+            case 'MethodDef': {
+                const type = structTypeOf(this.eval(node.struct, env));
+                if (!type) {
+                    throw new GridLangError(`${node.struct.name} is not a struct`, node.line, node.col, 'TypeError');
+                }
+                const method = this.makeFunction({ ...node, name: `${node.struct.name}.${node.name}` }, env);
+                this.atNode(node, () => type.defineMethod(node.name, method));
+                return null;
             }
 
             case 'Return':
@@ -1321,9 +2709,36 @@ class Interpreter {
             case 'Break':
                 throw new BreakException();
 
+            case 'Try':
+                return this.evalTry(node, env);
+
+            case 'Throw': {
+                const error = thrownError(this.eval(node.value, env), v => this.toString(v));
+                if (error.line === null) {
+                    error.line = node.line;
+                    error.col = node.col;
+                }
+                throw error;
+            }
+
             case 'Continue':
                 throw new ContinueException();
 
+            case 'Import':
+                env.set(node.alias, this.importModule(node.module, node));
+                return null;
+
+            case 'FromImport': {
+                const exports = this.importModule(node.module, node);
+                for (const name of node.names) {
+                    if (!exports.has(name)) {
+                        throw new GridLangError(`Cannot import name '${name}' from '${node.module}'`, node.line, node.col, 'ImportError');
+                    }
+                    env.set(name, exports.get(name));
+                }
+                return null;
+            }
+
             case 'Ternary': {
                 const condition = this.eval(node.condition, env);
                 return this.isTruthy(condition) 
@@ -1374,9 +2789,19 @@ class Interpreter {
                 const val = this.eval(node.value, env);
 
                 if (Array.isArray(obj)) {
-                    obj[index] = val;
+                    if (index instanceof Slice) {
+                        this.atNode(node, () => assignSlice(obj, index, val));
+                        return val;
+                    }
+                    const position = sequenceIndex(obj, index);
+                    if (position < 0) {
+                        throw new GridLangError(`Array index out of range: ${index}`, node.line, node.col, 'IndexError');
+                    }
+                    obj[position] = val;
                 } else if (obj instanceof Map) {
-                    obj.set(index, val);
+                    obj.set(this.tuples.storeKey(index), val);
+                } else if (obj instanceof GridObject && Array.isArray(index)) {
+                    this.atNode(node, () => obj.assignSubscript(index, val));
                 }
                 return val;
             }
@@ -1388,6 +2813,10 @@ class Interpreter {
 
                 if (obj instanceof Map) {
                     obj.set(property, val);
+                } else if (obj instanceof StructInstance) {
+                    this.atNode(node, () => obj.set(property, val));
+                } else if (structTypeOf(obj)) {
+                    this.atNode(node, () => structTypeOf(obj).defineMethod(property, val));
                 } else if (obj instanceof GridObject) {
                     // Handle Grid property assignment
                     switch (property) {
@@ -1403,6 +2832,12 @@ class Interpreter {
                             }
                             obj.colorMap = val;
                             break;
+                        case 'passable':
+                            if (val !== null && typeof val !== 'function') {
+                                throw new GridLangError('Grid.passable must be a function or null', node.line, node.col, 'TypeError');
+                            }
+                            obj.passable = val;
+                            break;
                         default:
                             throw new GridLangError(`Cannot assign to Grid.${property}`, node.line, node.col, 'AttributeError');
                     }
@@ -1418,37 +2853,41 @@ class Interpreter {
 
             case 'Call': {
                 const func = this.eval(node.func, env);
-                const args = node.args.map(arg => this.eval(arg, env));
+                const args = this.evalElements(node.args, env);
 
                 if (typeof func !== 'function') {
                     throw new GridLangError(`${node.func.name} is not a function`, node.line, node.col, 'TypeError');
                 }
 
-                // Special handling for assert to include location in error
-                if (node.func.type === 'Identifier' && node.func.name === 'assert') {
-                    try {
-                        return func(...args);
-                    } catch (e) {
-                        if (e instanceof GridLangError) {
-                            throw e;
-                        }
-                        throw new GridLangError(e.message, node.line, node.col, 'AssertionError');
+                const caller = this.callStack[this.callStack.length - 1];
+                caller.line = node.line;
+                caller.col = node.col;
+                try {
+                    checkArgCount(func, args.length);
+                    return func(...args);
+                } catch (e) {
+                    if (e instanceof GridLangError && (e.line === null || e.line === undefined)) {
+                        e.line = node.line;  // Builtins don't know where they were called
+                        e.col = node.col;
                     }
+                    throw e;
                 }
-
-                return func(...args);
             }
 
             case 'Index': {
                 const obj = this.eval(node.object, env);
                 const index = this.eval(node.index, env);
 
-                if (Array.isArray(obj)) {
-                    return obj[index];
+                if (Array.isArray(obj) || typeof obj === 'string') {
+                    if (index instanceof Slice) {
+                        return this.atNode(node, () => sliceSequence(obj, index));
+                    }
+                    return obj[sequenceIndex(obj, index)];
                 } else if (obj instanceof Map) {
-                    return obj.has(index) ? obj.get(index) : undefined;
-                } else if (typeof obj === 'string') {
-                    return obj[index];
+                    const key = this.tuples.key(index);
+                    return obj.has(key) ? obj.get(key) : undefined;
+                } else if (obj instanceof GridObject && Array.isArray(index)) {
+                    return this.atNode(node, () => obj.subscript(index));
                 } else if (typeof obj === 'object' && obj !== null) {
                     // Handle plain objects (like colorMap)
                     return obj[index] !== undefined ? obj[index] : null;
@@ -1464,6 +2903,10 @@ class Interpreter {
                     return obj.get(property);
                 }
 
+                if (obj instanceof StructInstance) {
+                    return this.atNode(node, () => obj.get(property));
+                }
+
                 // Handle Regex methods
                 if (obj instanceof Regex) {
                     const method = obj[property];
@@ -1514,7 +2957,7 @@ class Interpreter {
                             return (index, item) => { obj.splice(index, 0, item); return null; };
                         case 'remove':
                             return (item) => {
-                                const idx = obj.indexOf(item);
+                                const idx = indexOfValue(obj, item);
                                 if (idx !== -1) obj.splice(idx, 1);
                                 return null;
                             };
@@ -1545,7 +2988,7 @@ class Interpreter {
                         case 'join':
                             return (sep) => obj.join(String(sep));
                         case 'indexOf':
-                            return (item) => obj.indexOf(item);
+                            return (item) => indexOfValue(obj, item);
                         case 'merge':
                             return (other) => {
                                 if (!Array.isArray(other)) return [...obj];
@@ -1554,20 +2997,18 @@ class Interpreter {
                         case 'diff':
                             return (other) => {
                                 if (!Array.isArray(other)) return [...obj];
-                                const set2 = new Set(other);
+                                const set2 = new SetObject(other, this);
                                 return obj.filter(x => !set2.has(x));
                             };
                         case 'intersect':
                             return (other) => {
                                 if (!Array.isArray(other)) return [];
-                                const set2 = new Set(other);
-                                const set1 = new Set(obj);
-                                return [...set1].filter(x => set2.has(x));
+                                return new SetObject(obj, this).intersect(other).toArray();
                             };
                         case 'union':
                             return (other) => {
                                 if (!Array.isArray(other)) return [...obj];
-                                return [...new Set([...obj, ...other])];
+                                return new SetObject(obj, this).union(other).toArray();
                             };
                         case 'removeAt':
                             return (index) => {
@@ -1576,9 +3017,9 @@ class Interpreter {
                                 return removed.length > 0 ? removed[0] : null;
                             };
                         case 'contains':
-                            return (item) => obj.includes(item);
+                            return (item) => indexOfValue(obj, item) !== -1;
                         case 'count':
-                            return (item) => obj.filter(x => x === item).length;
+                            return (item) => obj.filter(x => valuesEqual(x, item)).length;
                         case 'length':
                             return obj.length;
                         // Higher-order methods
@@ -1638,6 +3079,8 @@ class Interpreter {
                             return obj.cellSize;
                         case 'colorMap':
                             return obj.colorMap;
+                        case 'passable':
+                            return obj.passable;
                         case 'get':
                             return (x, y) => obj.get(x, y);
                         case 'set':
@@ -1652,8 +3095,68 @@ class Interpreter {
                             return (predicate) => obj.find(predicate);
                         case 'count':
                             return (value) => obj.count(value);
+                        case 'bfs':
+                            return (start, goal) => obj.bfs(start, goal);
+                        case 'dijkstra':
+                            return (start, goal, costFn) => obj.dijkstra(start, goal, costFn);
+                        case 'astar':
+                            return (start, goal, costFn, heuristic) => obj.astar(start, goal, costFn, heuristic);
                         case 'draw':
-                            return () => obj.draw();
+                            return (overlay) => obj.draw(overlay);
+                    }
+                }
+
+                // Handle PriorityQueue methods
+                if (obj instanceof PriorityQueueObject) {
+                    switch (property) {
+                        case 'push':
+                            return (item) => obj.push(item);
+                        case 'pop':
+                            return () => obj.pop();
+                        case 'peek':
+                            return () => obj.peek();
+                        case 'len':
+                            return () => obj.len();
+                    }
+                }
+
+                // Handle Set methods
+                if (obj instanceof SetObject) {
+                    switch (property) {
+                        case 'add':
+                            return (item) => obj.add(item);
+                        case 'remove':
+                            return (item) => obj.remove(item);
+                        case 'has':
+                            return (item) => obj.has(item);
+                        case 'len':
+                            return () => obj.len();
+                        case 'union':
+                            return (other) => obj.union(other);
+                        case 'intersect':
+                            return (other) => obj.intersect(other);
+                        case 'diff':
+                            return (other) => obj.diff(other);
+                    }
+                }
+
+                // Handle Deque methods
+                if (obj instanceof DequeObject) {
+                    switch (property) {
+                        case 'push':
+                            return (item) => obj.push(item);
+                        case 'push_front':
+                            return (item) => obj.push_front(item);
+                        case 'pop':
+                            return () => obj.pop();
+                        case 'pop_front':
+                            return () => obj.pop_front();
+                        case 'peek':
+                            return () => obj.peek();
+                        case 'peek_front':
+                            return () => obj.peek_front();
+                        case 'len':
+                            return () => obj.len();
                     }
                 }
 
@@ -1681,33 +3184,9 @@ class Interpreter {
                 for (const part of node.parts) {
                     if (part.type === 'string') {
                         result += part.value;
-                    } else if (part.type === 'var') {
-                        // Resolve variable path (e.g., ["person", "name"])
-                        let value;
-
-                        try {
-                            // Start with the first variable name from environment
-                            const varName = part.path[0];
-                            value = env.get(varName);
-
-                            // Follow the rest of the path (dot notation)
-                            for (let i = 1; i < part.path.length; i++) {
-                                const prop = part.path[i];
-                                if (value instanceof Map) {
-                                    value = value.get(prop);
-                                } else if (value && typeof value === 'object') {
-                                    value = value[prop];
-                                } else {
-                                    value = undefined;
-                                    break;
-                                }
-                            }
-                        } catch (e) {
-                            // Variable not found - use undefined
-                            value = undefined;
-                        }
-
-                        result += this.toString(value);
+                    } else {
+                        const value = this.eval(part.expression, env);
+                        result += part.spec === null ? this.toString(value) : this.formatSpec(value, part.spec, part);
                     }
                 }
                 return result;
@@ -1726,22 +3205,193 @@ class Interpreter {
                 return undefined;
 
             case 'Array':
-                return node.elements.map(el => this.eval(el, env));
+                return this.evalElements(node.elements, env);
+
+            case 'Slice': {
+                const part = (expr) => expr ? this.eval(expr, env) : null;
+                return new Slice(part(node.start), part(node.end), part(node.step));
+            }
 
             case 'Map': {
                 const map = new Map();
                 for (const entry of node.entries) {
+                    if (entry.type === 'Spread') {
+                        const from = this.eval(entry.argument, env);
+                        for (const [key, value] of this.atNode(entry, () => spreadEntries(from))) {
+                            map.set(key, value);
+                        }
+                        continue;
+                    }
                     const value = this.eval(entry.value, env);
                     map.set(entry.key, value);
                 }
                 return map;
             }
 
+            case 'Comprehension':
+                return this.evalComprehension(node, env);
+
             default:
                 throw new GridLangError(`Unknown node type: ${node.type}`, node.line, node.col, 'RuntimeError');
         }
     }
 
+    // Values of call arguments or array elements, with ...spreads expanded
+    evalElements(nodes, env) {
+        const values = [];
+        for (const node of nodes) {
+            if (node.type === 'Spread') {
+                const value = this.eval(node.argument, env);
+                values.push(...this.atNode(node, () => spreadValues(value)));
+            } else {
+                values.push(this.eval(node, env));
+            }
+        }
+        return values;
+    }
+
+    // [x * 2 for x in xs if x > 0], {k: v for k, v in m} or {x for x in xs}:
+    // the for clauses nest like for loops, in an environment of their own
+    evalComprehension(node, env) {
+        const compEnv = new Environment(env);
+        const result = node.kind === 'map' ? new Map() : node.kind === 'set' ? new SetObject(null, this) : [];
+        const run = (i) => {
+            if (i === node.clauses.length) {
+                if (node.kind === 'map') {
+                    const key = this.eval(node.key, compEnv);
+                    result.set(this.tuples.storeKey(key), this.eval(node.value, compEnv));
+                } else if (node.kind === 'set') {
+                    result.add(this.eval(node.element, compEnv));
+                } else {
+                    result.push(this.eval(node.element, compEnv));
+                }
+                return;
+            }
+            const clause = node.clauses[i];
+            if (clause.type === 'ComprehensionIf') {
+                if (this.isTruthy(this.eval(clause.condition, compEnv))) run(i + 1);
+                return;
+            }
+            const iterable = this.eval(clause.iterable, compEnv);
+            for (const [first, second] of this.iterationPairs(iterable, clause)) {
+                if (clause.valueVariable) {
+                    compEnv.set(clause.variable, first);
+                    compEnv.set(clause.valueVariable, second);
+                } else {
+                    // Keys of a map, values of anything else
+                    compEnv.set(clause.variable, iterable instanceof Map ? first : second);
+                }
+                run(i + 1);
+            }
+        };
+        run(0);
+        return result;
+    }
+
+    // The [index, value] (or [key, value]) pairs a for clause visits
+    *iterationPairs(iterable, node) {
+        if (iterable instanceof SetObject || iterable instanceof DequeObject) {
+            iterable = iterable.toArray();
+        }
+        if (Array.isArray(iterable) || typeof iterable === 'string') {
+            for (let i = 0; i < iterable.length; i++) yield [i, iterable[i]];
+        } else if (iterable instanceof Map) {
+            for (const [key, value] of iterable.entries()) yield [this.tuples.thaw(key), value];
+        } else if (iterable instanceof PriorityQueueObject) {
+            for (let i = 0; iterable.len() > 0; i++) yield [i, iterable.pop()];
+        } else {
+            throw new GridLangError(`${typeof iterable} is not iterable`, node.line, node.col, 'TypeError');
+        }
+    }
+
+    // Run a runtime helper, giving its errors node's location
+    atNode(node, fn) {
+        try {
+            return fn();
+        } catch (e) {
+            if (e instanceof GridLangError && e.line === null) {
+                e.line = node.line;
+                e.col = node.col;
+            }
+            throw e;
+        }
+    }
+
+    makeFunction(node, env) {
+        const name = node.name || '<anonymous>';
+        const defaults = node.defaults || [];
+        const named = node.rest ? node.params.length - 1 : node.params.length;
+        const func = (...args) => {
+            const funcEnv = new Environment(env);
+
+            // callStack[0] is <module>
+            if (this.callStack.length > this.recursionLimit) {
+                throw this.recursionError(name);
+            }
+            this.callStack.push({ name, line: null, col: null });
+            try {
+                // An omitted argument takes its default, evaluated after the
+                // parameters before it are bound
+                for (let i = 0; i < named; i++) {
+                    if (i >= args.length && defaults[i]) {
+                        funcEnv.set(node.params[i], this.eval(defaults[i], funcEnv));
+                    } else {
+                        funcEnv.set(node.params[i], args[i] !== undefined ? args[i] : null);
+                    }
+                }
+                if (node.rest) {
+                    funcEnv.set(node.params[named], args.slice(named));
+                }
+                this.eval(node.body, funcEnv);
+                return null;
+            } catch (e) {
+                if (e instanceof ReturnValue) {
+                    return e.value;
+                }
+                // The JS stack ran out before our own limit did
+                if (e instanceof RangeError) {
+                    if (this.overflowDepth === null) this.overflowDepth = this.callStack.length - 1;
+                    throw this.stackOverflowError();
+                }
+                if (e instanceof GridLangError && !e.traceback && !e.callChain) {
+                    // Each frame is at its current call; this one is where the error was
+                    e.traceback = this.callStack.map(frame => ({ ...frame }));
+                    Object.assign(e.traceback[e.traceback.length - 1], { line: e.line, col: e.col });
+                }
+                throw e;
+            } finally {
+                this.callStack.pop();
+            }
+        };
+        // Rest-args wrapper hides the real parameter count
+        func.arity = named;
+        func.variadic = Boolean(node.rest);
+        func.funcName = name;
+        return func;
+    }
+
+    recursionError(calleeName, reason = `Maximum recursion depth exceeded (limit ${this.recursionLimit})`) {
+        const chain = this.callStack.map(frame => ({ ...frame }));
+        const line = chain[chain.length - 1].line;
+        if (calleeName) {
+            chain.push({ name: calleeName, line: null });
+        }
+        const error = new GridLangError(`${reason}\nCall chain: ${formatCallChain(chain)}`, line, null, 'RecursionError');
+        error.callChain = chain;
+        return error;
+    }
+
+    // The JS stack ran out before recursionLimit was reached. Building the
+    // error takes stack too, so it can run out again and be built a few
+    // calls further out; overflowDepth keeps the depth it first ran out at.
+    stackOverflowError() {
+        if (this.overflowDepth === null) this.overflowDepth = this.callStack.length - 1;
+        const error = this.recursionError(null,
+            `Stack overflow: the JavaScript stack ran out at call depth ${this.overflowDepth}, before the recursion limit of ${this.recursionLimit}`);
+        this.overflowDepth = null;
+        return error;
+    }
+
     evalBinaryOp(node, env) {
         if (node.op === 'and') {
             const left = this.eval(node.left, env);
@@ -1758,6 +3408,19 @@ class Interpreter {
         const left = this.eval(node.left, env);
         const right = this.eval(node.right, env);
 
+        const integerOp = INTEGER_OPERATORS.has(node.op);
+        if (integerOp || ((typeof left === 'bigint' || typeof right === 'bigint') && BIGINT_OPERATORS.has(node.op))) {
+            try {
+                return integerOp ? integerArith(node.op, left, right) : bigintArith(node.op, left, right);
+            } catch (e) {
+                if (e instanceof GridLangError && e.line === null) {
+                    e.line = node.line;
+                    e.col = node.col;
+                }
+                throw e;
+            }
+        }
+
         switch (node.op) {
             case '+': return left + right;
             case '-': return left - right;
@@ -1765,17 +3428,21 @@ class Interpreter {
             case '/': return left / right;
             case '%': return left % right;
             case '**': return Math.pow(left, right);
-            case '==': return left === right;
-            case '!=': return left !== right;
+            case '==': return valuesEqual(left, right);
+            case '!=': return !valuesEqual(left, right);
             case '<': return left < right;
             case '<=': return left <= right;
             case '>': return left > right;
             case '>=': return left >= right;
             case 'in':
                 if (right instanceof Map) {
+                    return right.has(this.tuples.key(left));
+                } else if (right instanceof SetObject) {
                     return right.has(left);
+                } else if (right instanceof DequeObject) {
+                    return indexOfValue(right.toArray(), left) !== -1;
                 } else if (Array.isArray(right)) {
-                    return right.includes(left);
+                    return indexOfValue(right, left) !== -1;
                 } else if (typeof right === 'string') {
                     return right.includes(String(left));
                 }
@@ -1785,11 +3452,88 @@ class Interpreter {
         }
     }
 
+    // match: run the first arm whose pattern fits the subject and whose
+    // guard holds. A pattern's names are assigned (like variables) before
+    // its guard runs, and only once the whole pattern fits.
+    evalMatch(node, env) {
+        const subject = this.eval(node.subject, env);
+        for (const arm of node.arms) {
+            const bindings = [];
+            if (!this.matchPattern(arm.pattern, subject, bindings)) continue;
+            for (const [name, value] of bindings) {
+                try {
+                    env.update(name, value);
+                } catch (e) {
+                    env.set(name, value);
+                }
+            }
+            if (arm.guard && !this.isTruthy(this.eval(arm.guard, env))) continue;
+            return this.eval(arm.body, env);
+        }
+        return null;
+    }
+
+    // Whether value fits pattern; the names it binds go into bindings
+    matchPattern(pattern, value, bindings) {
+        switch (pattern.type) {
+            case 'WildcardPattern':
+                return true;
+            case 'BindPattern':
+                bindings.push([pattern.name, value]);
+                return true;
+            case 'LiteralPattern':
+                return valuesEqual(value, pattern.value);
+            case 'ArrayPattern':
+                return Array.isArray(value) && value.length === pattern.elements.length &&
+                    pattern.elements.every((element, i) => this.matchPattern(element, value[i], bindings));
+            case 'MapPattern':
+                return value instanceof Map &&
+                    pattern.entries.every(({ key, pattern }) => value.has(key) && this.matchPattern(pattern, value.get(key), bindings));
+        }
+        throw new GridLangError(`Unknown pattern: ${pattern.type}`, pattern.line, pattern.col, 'RuntimeError');
+    }
+
+    // try/catch/finally. break, continue and return pass through the catch
+    // block; the finally block runs whichever way the try block is left.
+    evalTry(node, env) {
+        try {
+            return this.eval(node.body, env);
+        } catch (e) {
+            if (!node.handler || e instanceof ReturnValue || e instanceof BreakException || e instanceof ContinueException) {
+                throw e;
+            }
+            let error = e;
+            if (e instanceof RangeError) {
+                error = this.stackOverflowError();
+            } else if (!(e instanceof GridLangError)) {
+                error = new GridLangError(e.message, null, null, 'RuntimeError');
+            }
+            if (node.catchVar) {
+                env.set(node.catchVar, errorValue(error));
+            }
+            return this.eval(node.handler, env);
+        } finally {
+            if (node.finalizer) {
+                this.eval(node.finalizer, env);
+            }
+        }
+    }
+
     evalUnaryOp(node, env) {
         const operand = this.eval(node.operand, env);
 
         switch (node.op) {
             case '-': return -operand;
+            case '~':
+                try {
+                    return bitwiseNot(operand);
+                } catch (e) {
+                    if (e instanceof GridLangError && e.line === null) {
+                        e.line = node.line;
+                        e.col = node.col;
+                    }
+                    throw e;
+                }
             case 'not': return !this.isTruthy(operand);
             default:
                 throw new GridLangError(`Unknown unary operator: ${node.op}`, node.line, node.col, 'RuntimeError');
@@ -1798,19 +3542,48 @@ class Interpreter {
 
     isTruthy(value) {
         if (value === null || value === false || value === undefined) return false;
-        if (value === 0 || value === '') return false;
+        if (value === 0 || value === 0n || value === '') return false;
         return true;
     }
 }
 
 // Export for Node.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Interpreter, GridLangError, Regex, GridObject };
+    module.exports = { Interpreter, GridLangError, Regex, GridObject, PriorityQueueObject, SetObject, DequeObject, StructType, StructInstance, structTypeOf, spreadValues, spreadEntries, checkArgCount, Slice, sliceSequence, assignSlice, sequenceIndex, ModuleLoader, ModuleExports, TupleTable, valuesEqual, indexOfValue, formatCallChain, tracebackEntries, formatWithSpec, bigintArith, toBigInt, mathBuiltin, parseInteger, integerArith, bitwiseNot, errorValue, thrownError };
 } else if (typeof window !== 'undefined') {
     // Browser: expose globally
     window.Interpreter = Interpreter;
     window.GridLangError = GridLangError;
     window.Regex = Regex;
     window.GridObject = GridObject;
+    window.PriorityQueueObject = PriorityQueueObject;
+    window.SetObject = SetObject;
+    window.DequeObject = DequeObject;
+    window.StructType = StructType;
+    window.StructInstance = StructInstance;
+    window.structTypeOf = structTypeOf;
+    window.spreadValues = spreadValues;
+    window.spreadEntries = spreadEntries;
+    window.checkArgCount = checkArgCount;
+    window.Slice = Slice;
+    window.sliceSequence = sliceSequence;
+    window.assignSlice = assignSlice;
+    window.sequenceIndex = sequenceIndex;
+    window.ModuleLoader = ModuleLoader;
+    window.ModuleExports = ModuleExports;
+    window.TupleTable = TupleTable;
+    window.valuesEqual = valuesEqual;
+    window.indexOfValue = indexOfValue;
+    window.formatWithSpec = formatWithSpec;
+    window.formatCallChain = formatCallChain;
+    window.tracebackEntries = tracebackEntries;
+    window.bigintArith = bigintArith;
+    window.toBigInt = toBigInt;
+    window.mathBuiltin = mathBuiltin;
+    window.parseInteger = parseInteger;
+    window.integerArith = integerArith;
+    window.bitwiseNot = bitwiseNot;
+    window.errorValue = errorValue;
+    window.thrownError = thrownError;
 }
 
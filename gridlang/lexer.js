@@ -21,12 +21,25 @@ const TokenType = {
     SLASH: 'SLASH',
     PERCENT: 'PERCENT',
     POWER: 'POWER',
+    FLOOR_DIV: 'FLOOR_DIV',
+    AMPERSAND: 'AMPERSAND',
+    PIPE: 'PIPE',
+    CARET: 'CARET',
+    TILDE: 'TILDE',
+    SHIFT_LEFT: 'SHIFT_LEFT',
+    SHIFT_RIGHT: 'SHIFT_RIGHT',
     ASSIGN: 'ASSIGN',
     PLUS_ASSIGN: 'PLUS_ASSIGN',
     MINUS_ASSIGN: 'MINUS_ASSIGN',
     STAR_ASSIGN: 'STAR_ASSIGN',
     SLASH_ASSIGN: 'SLASH_ASSIGN',
     PERCENT_ASSIGN: 'PERCENT_ASSIGN',
+    FLOOR_DIV_ASSIGN: 'FLOOR_DIV_ASSIGN',
+    AMPERSAND_ASSIGN: 'AMPERSAND_ASSIGN',
+    PIPE_ASSIGN: 'PIPE_ASSIGN',
+    CARET_ASSIGN: 'CARET_ASSIGN',
+    SHIFT_LEFT_ASSIGN: 'SHIFT_LEFT_ASSIGN',
+    SHIFT_RIGHT_ASSIGN: 'SHIFT_RIGHT_ASSIGN',
     EQ: 'EQ',
     NE: 'NE',
     LT: 'LT',
@@ -62,6 +75,8 @@ const TokenType = {
     UNDEFINED: 'UNDEFINED',
     QUESTION: 'QUESTION',
     ELVIS: 'ELVIS',
+    FAT_ARROW: 'FAT_ARROW',
+    ELLIPSIS: 'ELLIPSIS',
     NEWLINE: 'NEWLINE',
     EOF: 'EOF'
 };
@@ -136,27 +151,76 @@ class Lexer {
     }
 
     readNumber() {
+        const prefix = this.current() === '0' ? (this.peek() || '').toLowerCase() : '';
+        if (prefix === 'x' || prefix === 'b') {
+            return this.readRadixNumber(prefix === 'x' ? /[0-9a-fA-F]/ : /[01]/, '0' + prefix);
+        }
+
+        const line = this.line;
+        const col = this.col;
         let num = '';
+        let text = '';
         let hasDot = false;
+        let valid = true;
         let c;
         
         while ((c = this.current())) {
             if (c >= '0' && c <= '9') {
                 num += c;
-                this.advance();
+            } else if (c === '_') {
+                // Digit separator (1_000_000), only ever between two digits
+                if (!/[0-9]$/.test(text) || !/[0-9]/.test(this.peek() || '')) valid = false;
             } else if (c === '.') {
                 if (hasDot) break;
                 hasDot = true;
                 num += c;
-                this.advance();
             } else {
                 break;
             }
+            text += c;
+            this.advance();
+        }
+        if (!valid) {
+            throw new Error(`Invalid number literal '${text}' at line ${line}, col ${col}`);
         }
         
+        // Integers too large for a double stay exact as bigints
+        if (!hasDot && !Number.isSafeInteger(Number(num))) return BigInt(num);
         return parseFloat(num);
     }
 
+    // Hex (0xFF) and binary (0b1010) integers, with optional _ separators
+    readRadixNumber(digit, prefix) {
+        const line = this.line;
+        const col = this.col;
+        this.advance();
+        this.advance();
+        let digits = '';
+        let text = prefix;
+        let valid = true;
+        let c;
+        while ((c = this.current()) && (digit.test(c) || c === '_')) {
+            if (c !== '_') {
+                digits += c;
+            } else if (!digit.test(text[text.length - 1]) || !digit.test(this.peek() || '')) {
+                valid = false;
+            }
+            text += c;
+            this.advance();
+        }
+        // 0b102 and 0xFG are one bad literal, not a number and a name
+        while ((c = this.current()) && /[0-9A-Za-z_]/.test(c)) {
+            valid = false;
+            text += c;
+            this.advance();
+        }
+        if (!digits || !valid) {
+            throw new Error(`Invalid number literal '${text}' at line ${line}, col ${col}`);
+        }
+        const value = BigInt(prefix + digits);
+        return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+    }
+
     readString(quote) {
         let str = '';
         this.advance(); // skip opening quote
@@ -230,22 +294,7 @@ class Lexer {
                     continue;
                 }
                 
-                // Read variable path until }
-                let varPath = '';
-                while (this.current() && this.current() !== '}') {
-                    varPath += this.current();
-                    this.advance();
-                }
-                
-                if (this.current() === '}') {
-                    this.advance(); // skip }
-                }
-                
-                // Parse the variable path (e.g., "person.name" -> ["person", "name"])
-                varPath = varPath.trim();
-                if (varPath) {
-                    parts.push({ type: 'var', path: varPath.split('.') });
-                }
+                parts.push(this.readFStringField(quote));
             } else if (this.current() === '}') {
                 // Check for escaped brace }}
                 this.advance();
@@ -287,6 +336,79 @@ class Lexer {
         return parts;
     }
 
+    // Read one {expression:spec} field of an f-string, starting just after
+    // the '{'. The expression is tokenized with its own line/col so errors
+    // point into the f-string; the parser turns the tokens into an AST. A ':'
+    // at bracket depth 0 starts the format spec unless it belongs to a
+    // ternary (a ? b : c) or an elvis operator (a ?: b).
+    readFStringField(quote) {
+        const line = this.line;
+        const col = this.col;
+        let source = '';
+        let spec = null;
+        let depth = 0;
+        let ternaries = 0;
+
+        while (this.current() !== '}' || depth > 0) {
+            const c = this.current();
+            if (c === null || c === quote) {
+                throw new Error(`Unterminated f-string expression at line ${line}, col ${col}`);
+            }
+            if (c === '"' || c === "'") {
+                // Nested string literal (must use the other quote)
+                source += c;
+                this.advance();
+                while (this.current() !== null && this.current() !== c) {
+                    if (this.current() === '\\') {
+                        source += this.current();
+                        this.advance();
+                    }
+                    if (this.current() === null) break;
+                    source += this.current();
+                    this.advance();
+                }
+                if (this.current() === c) {
+                    source += c;
+                    this.advance();
+                }
+                continue;
+            }
+            if (c === '(' || c === '[' || c === '{') depth++;
+            else if (c === ')' || c === ']' || c === '}') depth--;
+            else if (depth === 0 && c === '?') {
+                if (this.peek() === ':') {
+                    source += '?:';
+                    this.advance();
+                    this.advance();
+                    continue;
+                }
+                ternaries++;
+            } else if (depth === 0 && c === ':') {
+                if (ternaries === 0) {
+                    this.advance(); // skip :
+                    spec = '';
+                    while (this.current() !== null && this.current() !== '}' && this.current() !== quote) {
+                        spec += this.current();
+                        this.advance();
+                    }
+                    if (this.current() !== '}') {
+                        throw new Error(`Unterminated f-string expression at line ${line}, col ${col}`);
+                    }
+                    break;
+                }
+                ternaries--;
+            }
+            source += c;
+            this.advance();
+        }
+        this.advance(); // skip }
+
+        const lexer = new Lexer(source);
+        lexer.line = line;
+        lexer.col = col;
+        return { type: 'expr', tokens: lexer.tokenize(), spec, source: source.trim(), line, col };
+    }
+
     readIdentifier() {
         let ident = '';
         let c;
@@ -357,7 +479,8 @@ class Lexer {
             // Identifiers and keywords
             if ((c >= 'a' && c <= 'z') || (c >= 'A' && c <= 'Z') || c === '_') {
                 const ident = this.readIdentifier();
-                const type = KEYWORDS[ident] || TokenType.IDENT;
+                // hasOwnProperty: names like toString are not keywords
+                const type = Object.prototype.hasOwnProperty.call(KEYWORDS, ident) ? KEYWORDS[ident] : TokenType.IDENT;
                 const value = type === TokenType.TRUE ? true : 
                              type === TokenType.FALSE ? false :
                              type === TokenType.NULL ? null : ident;
@@ -370,6 +493,17 @@ class Lexer {
                 this.advance();
                 return new Token(TokenType.EQ, '==', line, col);
             }
+            if (this.current() === '=' && this.peek() === '>') {
+                this.advance();
+                this.advance();
+                return new Token(TokenType.FAT_ARROW, '=>', line, col);
+            }
+            if (this.current() === '.' && this.peek() === '.' && this.peek(2) === '.') {
+                this.advance();
+                this.advance();
+                this.advance();
+                return new Token(TokenType.ELLIPSIS, '...', line, col);
+            }
             if (this.current() === '!' && this.peek() === '=') {
                 this.advance();
                 this.advance();
@@ -390,6 +524,22 @@ class Lexer {
                 this.advance();
                 return new Token(TokenType.POWER, '**', line, col);
             }
+            // Floor division and shifts, with their compound assignments
+            for (const [op, type, assignType] of [
+                ['//', TokenType.FLOOR_DIV, TokenType.FLOOR_DIV_ASSIGN],
+                ['<<', TokenType.SHIFT_LEFT, TokenType.SHIFT_LEFT_ASSIGN],
+                ['>>', TokenType.SHIFT_RIGHT, TokenType.SHIFT_RIGHT_ASSIGN]
+            ]) {
+                if (this.current() === op[0] && this.peek() === op[1]) {
+                    this.advance();
+                    this.advance();
+                    if (this.current() === '=') {
+                        this.advance();
+                        return new Token(assignType, op + '=', line, col);
+                    }
+                    return new Token(type, op, line, col);
+                }
+            }
             // Compound assignment operators
             if (this.current() === '+' && this.peek() === '=') {
                 this.advance();
@@ -416,6 +566,21 @@ class Lexer {
                 this.advance();
                 return new Token(TokenType.PERCENT_ASSIGN, '%=', line, col);
             }
+            if (this.current() === '&' && this.peek() === '=') {
+                this.advance();
+                this.advance();
+                return new Token(TokenType.AMPERSAND_ASSIGN, '&=', line, col);
+            }
+            if (this.current() === '|' && this.peek() === '=') {
+                this.advance();
+                this.advance();
+                return new Token(TokenType.PIPE_ASSIGN, '|=', line, col);
+            }
+            if (this.current() === '^' && this.peek() === '=') {
+                this.advance();
+                this.advance();
+                return new Token(TokenType.CARET_ASSIGN, '^=', line, col);
+            }
             // Elvis operator ?: (default value)
             if (this.current() === '?' && this.peek() === ':') {
                 this.advance();
@@ -433,6 +598,10 @@ class Lexer {
                 case '*': return new Token(TokenType.STAR, '*', line, col);
                 case '/': return new Token(TokenType.SLASH, '/', line, col);
                 case '%': return new Token(TokenType.PERCENT, '%', line, col);
+                case '&': return new Token(TokenType.AMPERSAND, '&', line, col);
+                case '|': return new Token(TokenType.PIPE, '|', line, col);
+                case '^': return new Token(TokenType.CARET, '^', line, col);
+                case '~': return new Token(TokenType.TILDE, '~', line, col);
                 case '=': return new Token(TokenType.ASSIGN, '=', line, col);
                 case '<': return new Token(TokenType.LT, '<', line, col);
                 case '>': return new Token(TokenType.GT, '>', line, col);
@@ -471,5 +640,5 @@ class Lexer {
 
 // Export for Node.js testing
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Token, TokenType, Lexer };
+    module.exports = { Token, TokenType, KEYWORDS, Lexer };
 }
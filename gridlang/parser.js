@@ -1,10 +1,13 @@
 // GridLang Parser - AST Generation
 
-// Import TokenType when running in Node.js
+// Import TokenType and KEYWORDS when running in Node.js
 if (typeof TokenType === 'undefined' && typeof require !== 'undefined') {
     const { TokenType: TT } = require('./lexer.js');
     global.TokenType = TT;
 }
+if (typeof KEYWORDS === 'undefined' && typeof require !== 'undefined') {
+    global.KEYWORDS = require('./lexer.js').KEYWORDS;
+}
 
 // Define GridLangError if not available
 if (typeof window !== 'undefined' && typeof window.GridLangError === 'undefined') {
@@ -49,11 +52,22 @@ if (typeof window !== 'undefined' && typeof window.GridLangError === 'undefined'
     global.GridLangError = GridLangError;
 }
 
+// Tokens that begin a statement, where parsing resumes after a syntax error
+const STATEMENT_START = new Set([TokenType.IF, TokenType.FOR, TokenType.WHILE, TokenType.FUNC,
+    TokenType.RETURN, TokenType.BREAK, TokenType.CONTINUE, TokenType.IDENT]);
+
+// Tokens that can follow `match` to begin its subject (besides brackets),
+// and, with '{', `throw` to begin its value
+const MATCH_SUBJECT_START = new Set([TokenType.IDENT, TokenType.NUMBER, TokenType.STRING, TokenType.FSTRING,
+    TokenType.TRUE, TokenType.FALSE, TokenType.NULL, TokenType.UNDEFINED, TokenType.NOT]);
+
 class Parser {
     constructor(tokens) {
         this.tokens = tokens;
         this.length = tokens.length;
         this.pos = 0;
+        this.errors = [];  // Every syntax error found by parse(), in source order
+        this.blockDepth = 0;  // Blocks being parsed around the current token
     }
 
     current() {
@@ -85,6 +99,23 @@ class Parser {
         return token;
     }
 
+    // A name after '.' or as a map key, where keywords are names too
+    // (m.if, {for: 1}); null if the current token is neither
+    propertyName() {
+        const token = this.current();
+        const word = token.type === TokenType.IDENT ? token.value :
+            Object.keys(KEYWORDS).find(keyword => KEYWORDS[keyword] === token.type);
+        if (word === undefined) return null;
+        this.advance();
+        return word;
+    }
+
+    // The current token is the name word (a contextual keyword such as `import`)
+    atWord(word) {
+        const token = this.current();
+        return token.type === TokenType.IDENT && token.value === word;
+    }
+
     match(...types) {
         const currentType = this.tokens[this.pos].type;
         for (let i = 0; i < types.length; i++) {
@@ -93,16 +124,81 @@ class Parser {
         return false;
     }
 
+    // Parse the whole program. A syntax error does not stop the parser: it
+    // is recorded in this.errors and parsing resumes at the next statement,
+    // so all of them can be reported. parse() then throws the first one.
     parse() {
+        this.errors = [];
+        this.blockDepth = 0;
         const statements = [];
         
         while (this.current().type !== TokenType.EOF) {
-            statements.push(this.statement());
+            const statement = this.recoverableStatement();
+            if (statement) statements.push(statement);
         }
         
+        if (this.errors.length > 0) {
+            throw this.errors[0];
+        }
         return { type: 'Program', body: statements };
     }
 
+    // A statement, or null if it has a syntax error
+    recoverableStatement() {
+        const start = this.pos;
+        try {
+            return this.statement();
+        } catch (error) {
+            if (!(error instanceof GridLangError) || error.errorType !== 'SyntaxError') throw error;
+            this.errors.push(error);
+            // Braces the statement opened before the error still need closing,
+            // and a `for` in brackets it opened is a comprehension's
+            let open = 0;
+            let brackets = 0;
+            for (let i = start; i < this.pos; i++) {
+                const type = this.tokens[i].type;
+                if (type === TokenType.LBRACE) open++;
+                else if (type === TokenType.RBRACE) open--;
+                else if (type === TokenType.LBRACKET || type === TokenType.LPAREN) brackets++;
+                else if (type === TokenType.RBRACKET || type === TokenType.RPAREN) brackets--;
+            }
+            this.synchronize(error.line !== null ? error.line : this.current().line, Math.max(0, open), Math.max(0, brackets));
+            if (this.pos === start) {
+                this.advance();  // Always move on, or the same error repeats
+            }
+            return null;
+        }
+    }
+
+    // Panic mode: skip the rest of the broken statement, up to the first
+    // statement-starting token on a later line or the '}' that closes the
+    // enclosing block, passing over brackets opened along the way. A keyword
+    // that caused the error starts the next statement itself. brackets
+    // counts the '[' and '(' still open before the error: a `for` inside
+    // them belongs to a comprehension, which runs on to where they close.
+    synchronize(errorLine, depth = 0, brackets = 0) {
+        let comprehension = false;
+        const startsStatement = (token) => {
+            if (token.type === TokenType.FOR && brackets > 0) comprehension = true;
+            return STATEMENT_START.has(token.type) && !(comprehension && brackets > 0);
+        };
+        if (depth === 0 && this.current().type !== TokenType.IDENT && startsStatement(this.current())) return;
+        while (!this.match(TokenType.EOF)) {
+            const token = this.current();
+            if (depth === 0) {
+                if (token.type === TokenType.RBRACE && this.blockDepth > 0) return;
+                if (startsStatement(token) && token.line > errorLine) return;
+            }
+            if (this.match(TokenType.LBRACE, TokenType.LPAREN, TokenType.LBRACKET)) {
+                depth++;
+            } else if (this.match(TokenType.RBRACE, TokenType.RPAREN, TokenType.RBRACKET)) {
+                if (depth === 0 && token.type !== TokenType.RBRACE) brackets = Math.max(0, brackets - 1);
+                depth = Math.max(0, depth - 1);
+            }
+            this.advance();
+        }
+    }
+
     statement() {
         if (this.match(TokenType.IF)) {
             return this.ifStatement();
@@ -120,21 +216,37 @@ class Parser {
             return this.continueStatement();
         } else if (this.match(TokenType.LBRACE)) {
             return this.blockStatement();
+        } else if (this.atMatchStatement()) {
+            return this.matchStatement();
+        } else if (this.atStructStatement()) {
+            return this.structStatement();
+        } else if (this.atTryStatement()) {
+            return this.tryStatement();
+        } else if (this.atThrowStatement()) {
+            return this.throwStatement();
+        } else if (this.atImportStatement('import')) {
+            return this.importStatement();
+        } else if (this.atImportStatement('from')) {
+            return this.fromImportStatement();
         } else {
             return this.expressionStatement();
         }
     }
 
     blockStatement() {
+        const loc = this.loc();
         this.expect(TokenType.LBRACE);
         const statements = [];
         
+        this.blockDepth++;
         while (!this.match(TokenType.RBRACE) && !this.match(TokenType.EOF)) {
-            statements.push(this.statement());
+            const statement = this.recoverableStatement();
+            if (statement) statements.push(statement);
         }
+        this.blockDepth--;
         
         this.expect(TokenType.RBRACE);
-        return { type: 'Block', body: statements, ...this.loc() };
+        return { type: 'Block', body: statements, ...loc };
     }
 
     ifStatement() {
@@ -160,6 +272,175 @@ class Parser {
         return { type: 'If', condition, consequent, alternate, ...loc };
     }
 
+    // `match` is only a keyword in front of a subject and '{' on the same
+    // line, so `match = ...` and s.match(...) keep working
+    atMatchStatement() {
+        const token = this.current();
+        if (token.type !== TokenType.IDENT || token.value !== 'match') return false;
+        const next = this.peek();
+        if (next.line !== token.line) return false;
+        if (next.type === TokenType.LPAREN || next.type === TokenType.LBRACKET) {
+            // match (a + b) { ... } rather than a call or index
+            let depth = 0;
+            for (let i = this.pos + 1; i < this.length; i++) {
+                const type = this.tokens[i].type;
+                if (type === TokenType.LPAREN || type === TokenType.LBRACKET) depth++;
+                else if (type === TokenType.RPAREN || type === TokenType.RBRACKET) depth--;
+                if (depth === 0) {
+                    const after = this.tokens[i + 1];
+                    return after !== undefined && after.type === TokenType.LBRACE && after.line === this.tokens[i].line;
+                }
+            }
+            return false;
+        }
+        return MATCH_SUBJECT_START.has(next.type);
+    }
+
+    // match value { pattern [if guard] => statement ... }: the first arm
+    // whose pattern fits (and whose guard holds) runs
+    matchStatement() {
+        const loc = this.loc();
+        this.advance();
+        const subject = this.expression();
+        this.expect(TokenType.LBRACE);
+        const arms = [];
+        
+        this.blockDepth++;
+        while (!this.match(TokenType.RBRACE) && !this.match(TokenType.EOF)) {
+            const armLoc = this.loc();
+            const pattern = this.pattern();
+            let guard = null;
+            if (this.match(TokenType.IF)) {
+                this.advance();
+                guard = this.expression();
+            }
+            this.expect(TokenType.FAT_ARROW);
+            const body = this.armBody();
+            arms.push({ pattern, guard, body, ...armLoc });
+        }
+        this.blockDepth--;
+        
+        this.expect(TokenType.RBRACE);
+        return { type: 'Match', subject, arms, ...loc };
+    }
+
+    // An arm's statement. Unless it is a block, it ends with its line, so
+    // that a pattern on the next line (like [a, b] or -1) starts a new arm
+    // instead of continuing the expression.
+    armBody() {
+        if (this.match(TokenType.LBRACE)) {
+            return this.blockStatement();
+        }
+        const startLine = this.current().line;
+        let end = this.pos;
+        let depth = 0;
+        for (; end < this.length - 1; end++) {
+            const token = this.tokens[end];
+            if (depth === 0 && (token.line > startLine || token.type === TokenType.RBRACE)) break;
+            if (token.type === TokenType.LBRACE || token.type === TokenType.LPAREN || token.type === TokenType.LBRACKET) {
+                depth++;
+            } else if (token.type === TokenType.RBRACE || token.type === TokenType.RPAREN || token.type === TokenType.RBRACKET) {
+                depth--;
+            }
+        }
+        const last = this.tokens[end];
+        const parser = new Parser([...this.tokens.slice(this.pos, end), { type: TokenType.EOF, value: null, line: last.line, col: last.col }]);
+        const body = parser.statement();
+        if (!parser.match(TokenType.EOF)) {
+            const token = parser.current();
+            throw new GridLangError(`Unexpected token ${token.type} after match arm`, token.line, token.col, 'SyntaxError');
+        }
+        this.pos = end;
+        return body;
+    }
+
+    // Patterns: _ (anything), a name (anything, bound to the name), a
+    // literal, [p1, p2] (an array of that length) and {key: p, name} (a
+    // map with those keys; a bare name binds the key of the same name)
+    pattern() {
+        const loc = this.loc();
+        const token = this.current();
+        
+        if (this.match(TokenType.IDENT)) {
+            this.advance();
+            return token.value === '_' ? { type: 'WildcardPattern', ...loc } : { type: 'BindPattern', name: token.value, ...loc };
+        }
+        if (this.match(TokenType.NUMBER, TokenType.STRING, TokenType.TRUE, TokenType.FALSE, TokenType.NULL, TokenType.UNDEFINED)) {
+            this.advance();
+            return { type: 'LiteralPattern', value: token.type === TokenType.UNDEFINED ? undefined : token.value, ...loc };
+        }
+        if (this.match(TokenType.MINUS) && this.peek().type === TokenType.NUMBER) {
+            this.advance();
+            const value = this.current().value;
+            this.advance();
+            return { type: 'LiteralPattern', value: -value, ...loc };
+        }
+        if (this.match(TokenType.LBRACKET)) {
+            this.advance();
+            const elements = [];
+            while (!this.match(TokenType.RBRACKET)) {
+                elements.push(this.pattern());
+                if (!this.match(TokenType.RBRACKET)) this.expect(TokenType.COMMA);
+            }
+            this.expect(TokenType.RBRACKET);
+            return { type: 'ArrayPattern', elements, ...loc };
+        }
+        if (this.match(TokenType.LBRACE)) {
+            this.advance();
+            const entries = [];
+            while (!this.match(TokenType.RBRACE)) {
+                const keyLoc = this.loc();
+                if (!this.match(TokenType.STRING, TokenType.IDENT)) {
+                    throw new GridLangError(`Expected string or identifier for map key`, keyLoc.line, keyLoc.col, 'SyntaxError');
+                }
+                const key = this.current().value;
+                const shorthand = this.match(TokenType.IDENT);
+                this.advance();
+                if (this.match(TokenType.COLON)) {
+                    this.advance();
+                    entries.push({ key, pattern: this.pattern() });
+                } else if (shorthand) {
+                    entries.push({ key, pattern: { type: 'BindPattern', name: key, ...keyLoc } });
+                } else {
+                    this.expect(TokenType.COLON);
+                }
+                if (!this.match(TokenType.RBRACE)) this.expect(TokenType.COMMA);
+            }
+            this.expect(TokenType.RBRACE);
+            return { type: 'MapPattern', entries, ...loc };
+        }
+        throw new GridLangError(`Unexpected token ${token.type} in match pattern`, loc.line, loc.col, 'SyntaxError');
+    }
+
+    // Like match, `struct` is only a keyword in front of a name and '{'
+    atStructStatement() {
+        const token = this.current();
+        return token.type === TokenType.IDENT && token.value === 'struct' &&
+            this.peek().type === TokenType.IDENT && this.peek().line === token.line &&
+            this.peek(2).type === TokenType.LBRACE;
+    }
+
+    // struct Point { x, y }
+    structStatement() {
+        const loc = this.loc();
+        this.advance();
+        const name = this.expect(TokenType.IDENT).value;
+        this.expect(TokenType.LBRACE);
+        const fields = [];
+        while (!this.match(TokenType.RBRACE)) {
+            const token = this.expect(TokenType.IDENT);
+            if (fields.includes(token.value)) {
+                throw new GridLangError(`Duplicate field '${token.value}' in struct ${name}`, token.line, token.col, 'SyntaxError');
+            }
+            fields.push(token.value);
+            if (this.match(TokenType.COMMA)) {
+                this.advance();
+            }
+        }
+        this.expect(TokenType.RBRACE);
+        return { type: 'StructDef', name, fields, ...loc };
+    }
+
     forStatement() {
         const loc = this.loc();
         this.expect(TokenType.FOR);
@@ -191,21 +472,66 @@ class Parser {
     funcStatement() {
         const loc = this.loc();
         this.expect(TokenType.FUNC);
+        const nameLoc = this.loc();
         const name = this.expect(TokenType.IDENT).value;
+        if (this.match(TokenType.DOT)) {
+            return this.methodStatement({ type: 'Identifier', name, ...nameLoc }, loc);
+        }
+        const { params, defaults, rest } = this.parameters();
+        const body = this.statement();
+        
+        return { type: 'FuncDef', name, params, defaults, rest, body, ...loc };
+    }
+
+    // (a, b = 10, ...more): the parameter names, each one's default
+    // expression (or null), and whether the last collects extra arguments
+    // into an array. A default is evaluated on each call that omits it.
+    parameters() {
         this.expect(TokenType.LPAREN);
         
         const params = [];
+        const defaults = [];
+        let rest = false;
         while (!this.match(TokenType.RPAREN)) {
+            const loc = this.loc();
+            if (rest) {
+                throw new GridLangError('Rest parameter must be last', loc.line, loc.col, 'SyntaxError');
+            }
+            if (this.match(TokenType.ELLIPSIS)) {
+                this.advance();
+                rest = true;
+            }
             params.push(this.expect(TokenType.IDENT).value);
+            if (rest && this.match(TokenType.ASSIGN)) {
+                const at = this.loc();
+                throw new GridLangError('Rest parameter cannot have a default', at.line, at.col, 'SyntaxError');
+            } else if (this.match(TokenType.ASSIGN)) {
+                this.advance();
+                defaults.push(this.expression());
+            } else if (!rest && defaults.some(d => d !== null)) {
+                throw new GridLangError('Parameter without a default follows one with a default', loc.line, loc.col, 'SyntaxError');
+            } else {
+                defaults.push(null);
+            }
             if (this.match(TokenType.COMMA)) {
                 this.advance();
             }
         }
         
         this.expect(TokenType.RPAREN);
+        return { params, defaults, rest };
+    }
+
+    // func Point.add(other) { ... }: a method of struct Point (the
+    // Identifier struct), whose first parameter self is the value it is
+    // called on
+    methodStatement(struct, loc) {
+        this.expect(TokenType.DOT);
+        const name = this.expect(TokenType.IDENT).value;
+        const { params, defaults, rest } = this.parameters();
         const body = this.statement();
         
-        return { type: 'FuncDef', name, params, body, ...loc };
+        return { type: 'MethodDef', struct, name, params: ['self', ...params], defaults: [null, ...defaults], rest, body, ...loc };
     }
 
     returnStatement() {
@@ -227,23 +553,114 @@ class Parser {
         return { type: 'Continue', ...loc };
     }
 
-    funcExpression() {
+    // Like match, `try`, `catch` and `finally` are only keywords in front of
+    // their '{' (catch can name a variable first), and `throw` in front of a
+    // value on the same line, so throw = 3 and m.catch keep working.
+    // throw(x) and throw[0] are a call and an index, as they were.
+    atTryStatement() {
+        return this.atWord('try') && this.peek().type === TokenType.LBRACE && this.peek().line === this.current().line;
+    }
+
+    atThrowStatement() {
+        if (!this.atWord('throw')) return false;
+        const next = this.peek();
+        return next.line === this.current().line && (MATCH_SUBJECT_START.has(next.type) || next.type === TokenType.LBRACE);
+    }
+
+    // try { ... } catch e { ... } finally { ... }: catch (its variable is
+    // optional) and finally may each be left out, but not both
+    tryStatement() {
         const loc = this.loc();
-        this.expect(TokenType.FUNC);
-        this.expect(TokenType.LPAREN);
+        this.advance();
+        const body = this.blockStatement();
+        let catchVar = null;
+        let handler = null;
+        let finalizer = null;
         
-        const params = [];
-        while (!this.match(TokenType.RPAREN)) {
-            params.push(this.expect(TokenType.IDENT).value);
-            if (this.match(TokenType.COMMA)) {
-                this.advance();
+        if (this.atWord('catch') && (this.peek().type === TokenType.LBRACE ||
+                (this.peek().type === TokenType.IDENT && this.peek(2).type === TokenType.LBRACE))) {
+            this.advance();
+            if (this.match(TokenType.IDENT)) {
+                catchVar = this.expect(TokenType.IDENT).value;
             }
+            handler = this.blockStatement();
+        }
+        if (this.atWord('finally') && this.peek().type === TokenType.LBRACE) {
+            this.advance();
+            finalizer = this.blockStatement();
+        }
+        if (!handler && !finalizer) {
+            const token = this.current();
+            throw new GridLangError("Expected 'catch' or 'finally' after try block", token.line, token.col, 'SyntaxError');
         }
         
-        this.expect(TokenType.RPAREN);
+        return { type: 'Try', body, catchVar, handler, finalizer, ...loc };
+    }
+
+    throwStatement() {
+        const loc = this.loc();
+        this.advance();
+        const value = this.expression();
+        return { type: 'Throw', value, ...loc };
+    }
+
+    // `import` and `from` are only keywords in front of a module name on the
+    // same line, and `as` only after one, so `from = 1` and m.as keep working
+    atImportStatement(word) {
+        if (!this.atWord(word)) return false;
+        const next = this.peek();
+        return next.line === this.current().line && (next.type === TokenType.STRING || next.type === TokenType.IDENT);
+    }
+
+    // import "utils"  /  import "lib/grid_helpers" as grid
+    importStatement() {
+        const loc = this.loc();
+        this.advance();
+        const module = this.moduleName();
+        let alias = module.split('/').pop().replace(/\.grid$/, '');
+        if (this.atWord('as') && this.current().line === loc.line) {
+            this.advance();
+            alias = this.expect(TokenType.IDENT).value;
+        } else if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(alias)) {
+            throw new GridLangError(`Module name "${module}" is not a valid identifier; use import "${module}" as name`, loc.line, loc.col, 'SyntaxError');
+        }
+        return { type: 'Import', module, alias, ...loc };
+    }
+
+    // from "grid_helpers" import bfs, parse_ints
+    fromImportStatement() {
+        const loc = this.loc();
+        this.advance();
+        const module = this.moduleName();
+        if (!this.atWord('import')) {
+            const token = this.current();
+            throw new GridLangError(`Expected 'import' but got ${token.type}`, token.line, token.col, 'SyntaxError');
+        }
+        this.advance();
+        const names = [this.expect(TokenType.IDENT).value];
+        while (this.match(TokenType.COMMA)) {
+            this.advance();
+            names.push(this.expect(TokenType.IDENT).value);
+        }
+        return { type: 'FromImport', module, names, ...loc };
+    }
+
+    moduleName() {
+        const token = this.current();
+        if (token.type !== TokenType.STRING) {
+            throw new GridLangError(`Expected module name string (e.g. import "utils") but got ${token.type}`, token.line, token.col, 'SyntaxError');
+        }
+        this.advance();
+        return token.value;
+    }
+
+    funcExpression() {
+        const loc = this.loc();
+        this.expect(TokenType.FUNC);
+        const { params, defaults, rest } = this.parameters();
         const body = this.statement();
         
-        return { type: 'FuncExpr', params, body, ...loc };
+        return { type: 'FuncExpr', params, defaults, rest, body, ...loc };
     }
 
     expressionStatement() {
@@ -318,7 +735,13 @@ class Parser {
             [TokenType.MINUS_ASSIGN]: '-',
             [TokenType.STAR_ASSIGN]: '*',
             [TokenType.SLASH_ASSIGN]: '/',
-            [TokenType.PERCENT_ASSIGN]: '%'
+            [TokenType.PERCENT_ASSIGN]: '%',
+            [TokenType.FLOOR_DIV_ASSIGN]: '//',
+            [TokenType.AMPERSAND_ASSIGN]: '&',
+            [TokenType.PIPE_ASSIGN]: '|',
+            [TokenType.CARET_ASSIGN]: '^',
+            [TokenType.SHIFT_LEFT_ASSIGN]: '<<',
+            [TokenType.SHIFT_RIGHT_ASSIGN]: '>>'
         };
         
         for (const [tokenType, op] of Object.entries(compoundOps)) {
@@ -418,12 +841,70 @@ class Parser {
     }
 
     comparison() {
-        let left = this.additive();
+        let left = this.bitwiseOr();
         
         while (this.match(TokenType.EQ, TokenType.NE, TokenType.LT, TokenType.LE, TokenType.GT, TokenType.GE, TokenType.IN)) {
             const loc = this.loc();
             const op = this.current().type === TokenType.IN ? 'in' : this.current().value;
             this.advance();
+            const right = this.bitwiseOr();
+            left = { type: 'BinaryOp', op, left, right, ...loc };
+        }
+        
+        return left;
+    }
+
+    // Bitwise operators bind tighter than comparisons, as in Python:
+    // | then ^ then & then << >>
+    bitwiseOr() {
+        let left = this.bitwiseXor();
+        
+        while (this.match(TokenType.PIPE)) {
+            const loc = this.loc();
+            const op = this.current().value;
+            this.advance();
+            const right = this.bitwiseXor();
+            left = { type: 'BinaryOp', op, left, right, ...loc };
+        }
+        
+        return left;
+    }
+
+    bitwiseXor() {
+        let left = this.bitwiseAnd();
+        
+        while (this.match(TokenType.CARET)) {
+            const loc = this.loc();
+            const op = this.current().value;
+            this.advance();
+            const right = this.bitwiseAnd();
+            left = { type: 'BinaryOp', op, left, right, ...loc };
+        }
+        
+        return left;
+    }
+
+    bitwiseAnd() {
+        let left = this.shift();
+        
+        while (this.match(TokenType.AMPERSAND)) {
+            const loc = this.loc();
+            const op = this.current().value;
+            this.advance();
+            const right = this.shift();
+            left = { type: 'BinaryOp', op, left, right, ...loc };
+        }
+        
+        return left;
+    }
+
+    shift() {
+        let left = this.additive();
+        
+        while (this.match(TokenType.SHIFT_LEFT, TokenType.SHIFT_RIGHT)) {
+            const loc = this.loc();
+            const op = this.current().value;
+            this.advance();
             const right = this.additive();
             left = { type: 'BinaryOp', op, left, right, ...loc };
         }
@@ -448,7 +929,7 @@ class Parser {
     multiplicative() {
         let left = this.power();
         
-        while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.PERCENT)) {
+        while (this.match(TokenType.STAR, TokenType.SLASH, TokenType.FLOOR_DIV, TokenType.PERCENT)) {
             const loc = this.loc();
             const op = this.current().value;
             this.advance();
@@ -474,7 +955,7 @@ class Parser {
     }
 
     unary() {
-        if (this.match(TokenType.MINUS, TokenType.NOT)) {
+        if (this.match(TokenType.MINUS, TokenType.NOT, TokenType.TILDE)) {
             const loc = this.loc();
             const op = this.current().value;
             this.advance();
@@ -496,7 +977,7 @@ class Parser {
                 const args = [];
                 
                 while (!this.match(TokenType.RPAREN)) {
-                    args.push(this.expression());
+                    args.push(this.spreadOr(() => this.expression()));
                     if (this.match(TokenType.COMMA)) {
                         this.advance();
                     }
@@ -505,21 +986,20 @@ class Parser {
                 this.expect(TokenType.RPAREN);
                 expr = { type: 'Call', func: expr, args, ...loc };
             } else if (this.match(TokenType.LBRACKET)) {
-                // Index - arr[0] or map["key"]
+                // Index - arr[0], map["key"], arr[1:5] or grid[0:10, 5:15]
                 const loc = this.loc();
                 this.advance();
-                const index = this.expression();
+                const index = this.subscript();
                 this.expect(TokenType.RBRACKET);
                 expr = { type: 'Index', object: expr, index, ...loc };
             } else if (this.match(TokenType.DOT)) {
                 // Member access - obj.property
                 const loc = this.loc();
                 this.advance();
-                if (!this.match(TokenType.IDENT)) {
+                const property = this.propertyName();
+                if (property === null) {
                     throw new GridLangError(`Expected property name after '.'`, loc.line, loc.col, 'SyntaxError');
                 }
-                const property = this.current().value;
-                this.advance();
                 expr = { type: 'MemberAccess', object: expr, property, ...loc };
             } else {
                 break;
@@ -529,6 +1009,50 @@ class Parser {
         return expr;
     }
 
+    // The index inside [...]: an expression or a Slice, or several of them
+    // separated by commas as an Array node (grid[0:10, 5:15], like grid[[...]])
+    subscript() {
+        const loc = this.loc();
+        const items = [this.sliceOrExpression()];
+        while (this.match(TokenType.COMMA)) {
+            this.advance();
+            items.push(this.sliceOrExpression());
+        }
+        return items.length === 1 ? items[0] : { type: 'Array', elements: items, ...loc };
+    }
+
+    // start:end:step, each part optional (arr[::-1]), or an expression
+    sliceOrExpression() {
+        const loc = this.loc();
+        const start = this.match(TokenType.COLON) ? null : this.expression();
+        if (!this.match(TokenType.COLON)) {
+            return start;
+        }
+        this.advance();
+        const bound = () => this.match(TokenType.COLON, TokenType.COMMA, TokenType.RBRACKET) ? null : this.expression();
+        const end = bound();
+        let step = null;
+        if (this.match(TokenType.COLON)) {
+            this.advance();
+            step = bound();
+        }
+        return { type: 'Slice', start, end, step, ...loc };
+    }
+
+    // Parse the tokens of one f-string {expression:spec} field
+    fstringField(part) {
+        if (part.tokens.length === 1) {
+            throw new GridLangError('Empty expression in f-string', part.line, part.col, 'SyntaxError');
+        }
+        const parser = new Parser(part.tokens);
+        const expression = parser.expression();
+        if (!parser.match(TokenType.EOF)) {
+            const token = parser.current();
+            throw new GridLangError(`Unexpected ${token.type} in f-string expression`, token.line, token.col, 'SyntaxError');
+        }
+        return { type: 'expr', expression, spec: part.spec, source: part.source, line: part.line, col: part.col };
+    }
+
     primary() {
         if (this.match(TokenType.NUMBER)) {
             const loc = this.loc();
@@ -546,7 +1070,7 @@ class Parser {
         
         if (this.match(TokenType.FSTRING)) {
             const loc = this.loc();
-            const parts = this.current().value;
+            const parts = this.current().value.map(part => part.type === 'expr' ? this.fstringField(part) : part);
             this.advance();
             return { type: 'FString', parts, ...loc };
         }
@@ -608,13 +1132,30 @@ class Parser {
         throw new GridLangError(`Unexpected token ${this.current().type}`, loc.line, loc.col, 'SyntaxError');
     }
 
+    // ...expr, spreading the values of an array (or string, set or deque)
+    // into call arguments or a literal; otherwise parse()
+    spreadOr(parse) {
+        if (this.match(TokenType.ELLIPSIS)) {
+            const loc = this.loc();
+            this.advance();
+            return { type: 'Spread', argument: this.expression(), ...loc };
+        }
+        return parse();
+    }
+
     arrayLiteral() {
         const loc = this.loc();
         this.expect(TokenType.LBRACKET);
         const elements = [];
         
         while (!this.match(TokenType.RBRACKET)) {
-            elements.push(this.expression());
+            elements.push(this.spreadOr(() => this.expression()));
+            if (elements.length === 1 && elements[0].type !== 'Spread' && this.match(TokenType.FOR)) {
+                // [x * 2 for x in xs if x > 0]
+                const clauses = this.comprehensionClauses();
+                this.expect(TokenType.RBRACKET);
+                return { type: 'Comprehension', kind: 'array', element: elements[0], clauses, ...loc };
+            }
             if (this.match(TokenType.COMMA)) {
                 this.advance();
             }
@@ -625,22 +1166,36 @@ class Parser {
     }
 
     mapLiteral() {
+        if (this.isComprehension()) {
+            return this.braceComprehension();
+        }
         const loc = this.loc();
         this.expect(TokenType.LBRACE);
         const entries = [];
         
         while (!this.match(TokenType.RBRACE)) {
+            if (this.match(TokenType.ELLIPSIS)) {
+                // {...defaults, key: value}: the entries of another map
+                const loc = this.loc();
+                this.advance();
+                entries.push({ type: 'Spread', argument: this.expression(), ...loc });
+                if (this.match(TokenType.COMMA)) {
+                    this.advance();
+                }
+                continue;
+            }
+            
             let key;
             
             if (this.match(TokenType.STRING)) {
                 key = this.current().value;
                 this.advance();
-            } else if (this.match(TokenType.IDENT)) {
-                key = this.current().value;
-                this.advance();
             } else {
                 const loc = this.loc();
-                throw new GridLangError(`Expected string or identifier for map key`, loc.line, loc.col, 'SyntaxError');
+                key = this.propertyName();
+                if (key === null) {
+                    throw new GridLangError(`Expected string or identifier for map key`, loc.line, loc.col, 'SyntaxError');
+                }
             }
             
             this.expect(TokenType.COLON);
@@ -655,6 +1210,70 @@ class Parser {
         this.expect(TokenType.RBRACE);
         return { type: 'Map', entries, ...loc };
     }
+
+    // Whether the '{' at the current token opens a comprehension: a `for`
+    // comes before the first ',' (or the closing '}') outside brackets
+    // nested in it. Map literal keys are names, but a comprehension's key
+    // is an expression, so this is decided before parsing the first entry.
+    isComprehension() {
+        let depth = 0;
+        for (let i = this.pos + 1; i < this.length; i++) {
+            const type = this.tokens[i].type;
+            if (type === TokenType.LBRACE || type === TokenType.LPAREN || type === TokenType.LBRACKET) {
+                depth++;
+            } else if (type === TokenType.RBRACE || type === TokenType.RPAREN || type === TokenType.RBRACKET) {
+                if (depth === 0) return false;
+                depth--;
+            } else if (depth === 0 && (type === TokenType.COMMA || type === TokenType.EOF)) {
+                return false;
+            } else if (depth === 0 && type === TokenType.FOR) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // {k: v for k, v in m} builds a map, {x for x in xs} a Set
+    braceComprehension() {
+        const loc = this.loc();
+        this.expect(TokenType.LBRACE);
+        const first = this.expression();
+        let node;
+        if (this.match(TokenType.COLON)) {
+            this.advance();
+            const value = this.expression();
+            node = { type: 'Comprehension', kind: 'map', key: first, value, clauses: this.comprehensionClauses(), ...loc };
+        } else {
+            node = { type: 'Comprehension', kind: 'set', element: first, clauses: this.comprehensionClauses(), ...loc };
+        }
+        this.expect(TokenType.RBRACE);
+        return node;
+    }
+
+    // The clauses after a comprehension's element: `for x in xs` (or
+    // `for k, v in m`), then any mix of further for clauses and `if cond`
+    // filters, each nested in the ones before it
+    comprehensionClauses() {
+        const clauses = [];
+        while (this.match(TokenType.FOR) || (clauses.length > 0 && this.match(TokenType.IF))) {
+            const loc = this.loc();
+            if (this.match(TokenType.IF)) {
+                this.advance();
+                clauses.push({ type: 'ComprehensionIf', condition: this.expression(), ...loc });
+                continue;
+            }
+            this.advance();
+            const variable = this.expect(TokenType.IDENT).value;
+            let valueVariable = null;
+            if (this.match(TokenType.COMMA)) {
+                this.advance();
+                valueVariable = this.expect(TokenType.IDENT).value;
+            }
+            this.expect(TokenType.IN);
+            clauses.push({ type: 'ComprehensionFor', variable, valueVariable, iterable: this.expression(), ...loc });
+        }
+        return clauses;
+    }
 }
 
 // Export for Node.js testing
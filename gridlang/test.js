@@ -8,9 +8,11 @@
 // Load GridLang modules
 const { Lexer, TokenType } = require('./lexer.js');
 const { Parser } = require('./parser.js');
-const { Interpreter } = require('./gridlang.js');
-const { Compiler } = require('./bytecode.js');
+const { Interpreter, GridObject, ModuleLoader, TupleTable } = require('./gridlang.js');
+const { Compiler, OpCode, BytecodeChunk, ChunkCache } = require('./bytecode.js');
 const { VM } = require('./vm.js');
+const { WorkerSession, replayCommands, deserializeError } = require('./vm-remote.js');
+const { Checker } = require('./checker.js');
 
 // Polyfills for Node environment
 if (typeof performance === 'undefined') {
@@ -177,6 +179,42 @@ runner.test('Lexer: Tokenize operators', () => {
     assertEqual(tokens[5].type, 'POWER');
 });
 
+runner.test('Lexer: Tokenize bitwise and floor division operators', () => {
+    const lexer = new Lexer('// & | ^ ~ << >> //= &= |= ^= <<= >>= < <= /');
+    const types = lexer.tokenize().map(t => t.type);
+    assertArrayEqual(types, ['FLOOR_DIV', 'AMPERSAND', 'PIPE', 'CARET', 'TILDE', 'SHIFT_LEFT', 'SHIFT_RIGHT',
+        'FLOOR_DIV_ASSIGN', 'AMPERSAND_ASSIGN', 'PIPE_ASSIGN', 'CARET_ASSIGN', 'SHIFT_LEFT_ASSIGN', 'SHIFT_RIGHT_ASSIGN', 'LT', 'LE', 'SLASH', 'EOF']);
+});
+
+runner.test('Lexer: Hex, binary and underscore-separated numbers', () => {
+    const tokens = new Lexer('0xFF 0b1010 1_000_000 0xffff_ffff 2_5.5 0xFFFFFFFFFFFFFFFF').tokenize();
+    assertArrayEqual(tokens.slice(0, 5).map(t => t.value), [255, 10, 1000000, 4294967295, 25.5]);
+    assert(tokens[5].value === 18446744073709551615n, 'Large hex literals are bigints');
+});
+
+runner.test('Lexer: underscores must sit between digits', () => {
+    for (const literal of ['1_', '1__0', '0x_ff', '0b1_', '1._5']) {
+        try {
+            new Lexer(`x = ${literal}`).tokenize();
+            assert(false, `${literal} should not lex`);
+        } catch (e) {
+            assertEqual(e.message, `Invalid number literal '${literal}' at line 1, col 5`);
+        }
+    }
+});
+
+runner.test('Lexer: hex and binary literals end at a non-name character', () => {
+    for (const literal of ['0b102', '0xFG', '0b1a', '0x1_fz', '0b']) {
+        try {
+            new Lexer(`print(${literal} 2)`).tokenize();
+            assert(false, `${literal} should not lex`);
+        } catch (e) {
+            assertEqual(e.message, `Invalid number literal '${literal}' at line 1, col 7`);
+        }
+    }
+    assertArrayEqual(new Lexer('0xff+0b10)').tokenize().map(t => t.type), ['NUMBER', 'PLUS', 'NUMBER', 'RPAREN', 'EOF']);
+});
+
 runner.test('Lexer: Tokenize delimiters', () => {
     const lexer = new Lexer('( ) { } [ ] , : =');
     const tokens = lexer.tokenize();
@@ -1290,6 +1328,79 @@ runner.test('F-String: with special characters', () => {
     assertArrayEqual(result.output, ['Text: Hello World!']);
 });
 
+runner.test('F-String: arbitrary expressions', () => {
+    const result = evaluate('x = 3\narr = [10, 20]\nitems = {"a": 1, "b": 2}\nprint(f"{x + 1} {arr[0]} {len(items)} {arr[x - 2] * 2}")\nprint(f"{x > 2 ? \'big\' : \'small\'} {items[\'z\'] ?: 0}")');
+    assertArrayEqual(result.output, ['4 10 2 40', 'big 0']);
+});
+
+runner.test('F-String: nested braces and calls inside a field', () => {
+    const result = evaluate('func double(n) { return n * 2 }\nprint(f"{double(4)} { {\'k\': 5}[\'k\'] } {[1, 2][1]} {{x}}")');
+    assertArrayEqual(result.output, ['8 5 2 {x}']);
+});
+
+runner.test('F-String: format specs', () => {
+    const result = evaluate('print(f"[{3.14159:.2f}] [{42:>5}] [{\'hi\':^6}] [{\'hi\':*<5}]")\nprint(f"[{5:08b}] [{-5:05d}] [{255:#x}] [{255:X}] [{7:+d}]")\nprint(f"[{1234567:,}] [{0.256:.1%}] [{1500:.2e}] [{3.14159:.3}] [{\'abcdef\':.3}]")');
+    assertArrayEqual(result.output, [
+        '[3.14] [   42] [  hi  ] [hi***]',
+        '[00000101] [-0005] [0xff] [FF] [+7]',
+        '[1,234,567] [25.6%] [1.50e+03] [3.14] [abc]'
+    ]);
+});
+
+runner.test('F-String: format spec applies to expressions in functions', () => {
+    const result = evaluate('func row(name, score) { return f"{name:<6}|{score * 100:6.1f}" }\nprint(row("ann", 0.5))\nprint(row("bob", 0.125))');
+    assertArrayEqual(result.output, ['ann   |  50.0', 'bob   |  12.5']);
+});
+
+runner.test('F-String: syntax error points into the field', () => {
+    try {
+        evaluate('x = 1\nprint(f"a {x + } b")');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'SyntaxError');
+        assertEqual(e.line, 2);
+        assertEqual(e.col, 16);
+    }
+});
+
+runner.test('F-String: wrong format code for type is a TypeError', () => {
+    try {
+        evaluate('name = "x"\nprint(f"{name:d}")');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'TypeError');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('F-String: a bad spec is reported at its field on both engines', () => {
+    const runners = {
+        vm: code => evaluate(code),
+        tree: code => new Interpreter(null, null, { innerHTML: '', scrollTop: 0, scrollHeight: 0 }, null, '', null, {}).run(new Parser(new Lexer(code).tokenize()).parse())
+    };
+    for (const [code, col] of [['x = f"{1:q}"', 8], ['y = 2\nprint(f"first {y:>3} and then a float {3.5:d}")', 40]]) {
+        for (const [engine, run] of Object.entries(runners)) {
+            try {
+                run(code);
+                assert(false, 'Should have thrown an error');
+            } catch (e) {
+                assert(e.errorType === 'ValueError' || e.errorType === 'TypeError', `${engine}: ${e.message}`);
+                assertEqual(e.line, code.split('\n').length, engine);
+                assertEqual(e.col, col, engine);
+            }
+        }
+    }
+});
+
+runner.test('F-String: expressions and specs in the tree-walking interpreter', () => {
+    const code = 'arr = [1.5, 2.26]\nprint(f"{len(arr)}: {arr[1]:.1f} {arr[0] * 2:>4}")';
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer(code).tokenize()).parse());
+    const output = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(output, ['2: 2.3    3']);
+});
+
 // ========== INPUT FILE TESTS ==========
 runner.test('Input: input_string with default input', () => {
     const result = evaluate('s = input_string()\nprint(s)', 'Hello World');
@@ -1429,6 +1540,29 @@ runner.test('Error: GridLangError format method works', () => {
     assert(formatted.includes('Test error'), 'Formatted error should include message');
 });
 
+// Every syntax error the parser records for code (parse() throws the first)
+function syntaxErrors(code) {
+    const parser = new Parser(new Lexer(code).tokenize());
+    try {
+        parser.parse();
+    } catch (e) {
+        assertEqual(e, parser.errors[0], 'parse() should throw the first error');
+    }
+    return parser.errors.map(e => `${e.line}:${e.col} ${e.message}`);
+}
+
+runner.test('Error: parser reports every syntax error', () => {
+    const errors = syntaxErrors('x = (1 + 2\ny = 3\nfunc f(a {\n  return a\n}\nz = 4 +\nprint(x, y)\nw = ]\nok = 1');
+    assertArrayEqual(errors, ['2:1 Expected RPAREN but got IDENT', '3:10 Expected IDENT but got LBRACE', '8:5 Unexpected token RBRACKET']);
+    assertArrayEqual(syntaxErrors('x = 1\ny = 2'), []);
+});
+
+runner.test('Error: parser recovers inside blocks and at stray braces', () => {
+    const errors = syntaxErrors('func f() {\n  a = (\n  b = 1\n}\nfor i in range(3) {\n  if i > { print(i) }\n}\nx = 1 }\ny = )');
+    assertArrayEqual(errors.map(e => e.split(' ')[0]), ['4:1', '6:17', '8:7', '9:5']);
+    assertEqual(syntaxErrors('if true {\n  x = [1,\n}\nwhile {\n}').length, 2);
+});
+
 // ============= STRING METHOD TESTS =============
 runner.test('String: upper() method', () => {
     const result = evaluate('s = "hello"\nprint(s.upper())');
@@ -2129,11 +2263,201 @@ runner.test('Grid: neighbors callback with values', () => {
     assertArrayEqual(result.output, ['5']);
 });
 
+const MAZE = 'maze = Grid([["S", ".", "#", "."], [".", "#", ".", "."], [".", ".", ".", "E"]])\n';
+
+runner.test('Grid: bfs finds shortest path around walls', () => {
+    const result = evaluate(MAZE + 'r = maze.bfs([0, 0], [3, 2])\nprint(r.dist)\nprint(r.path)\nprint(r.visited[0])');
+    assertArrayEqual(result.output, ['5', '[[0, 0], [0, 1], [0, 2], [1, 2], [2, 2], [3, 2]]', '[0, 0]']);
+});
+
+runner.test('Grid: bfs with goal predicate', () => {
+    const result = evaluate(MAZE + 'r = maze.bfs([0, 0], func(x, y, v) { return v == "E" })\nprint(r.dist)');
+    assertArrayEqual(result.output, ['5']);
+});
+
+runner.test('Grid: bfs unreachable goal returns null path', () => {
+    const result = evaluate('g = Grid([[".", "#", "."]])\nr = g.bfs([0, 0], [2, 0])\nprint(r.path)\nprint(r.dist)\nprint(len(r.visited))');
+    assertArrayEqual(result.output, ['null', 'null', '1']);
+});
+
+runner.test('Grid: bfs respects diags', () => {
+    const result = evaluate(MAZE + 'maze.diags = true\nprint(maze.bfs([0, 0], [3, 2]).dist)');
+    assertArrayEqual(result.output, ['3']);
+});
+
+runner.test('Grid: passable predicate replaces the default walls', () => {
+    const result = evaluate(MAZE + 'maze.passable = func(x, y, v) { return true }\nprint(maze.bfs([0, 0], [3, 0]).dist)\nmaze.passable = func(x, y, v) { return v != "#" and y != 2 }\nprint(maze.bfs([0, 0], [3, 2]).path)');
+    assertArrayEqual(result.output, ['3', 'null']);
+});
+
+runner.test('Grid: dijkstra uses cell costs', () => {
+    const result = evaluate('g = Grid([[".", "~", "."], [".", ".", "."]])\nr = g.dijkstra([0, 0], [2, 0], func(x, y, v) { return v == "~" ? 10 : 1 })\nprint(r.dist)\nprint(r.path)');
+    assertArrayEqual(result.output, ['4', '[[0, 0], [0, 1], [1, 1], [2, 1], [2, 0]]']);
+});
+
+runner.test('Grid: astar matches dijkstra and expands fewer cells', () => {
+    const code = 'g = Grid(input_grid("char"))\na = g.astar([0, 0], [9, 9])\nd = g.dijkstra([0, 0], [9, 9])\nprint(a.dist, d.dist)\nprint(len(a.visited) < len(d.visited))';
+    const input = Array(10).fill('..........').join('\n');
+    const result = evaluate(code, input);
+    assertArrayEqual(result.output, ['18 18', 'true']);
+});
+
+runner.test('Grid: pathfinding works in the tree-walking interpreter', () => {
+    const code = MAZE + 'r = maze.astar([0, 0], [3, 2])\nprint(r.dist)\nmaze.passable = func(x, y, v) { return true }\nprint(maze.bfs([0, 0], [3, 0]).dist)';
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer(code).tokenize()).parse());
+    const output = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(output, ['5', '3']);
+});
+
+runner.test('Grid: invalid start position raises an error', () => {
+    try {
+        evaluate(MAZE + 'maze.bfs([7, 7], [0, 0])');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'IndexError');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('Grid: fractional positions raise a TypeError', () => {
+    const code = MAZE + 'for search in [func() { return maze.bfs([0.5, 0], [1, 1]) }, func() { return maze.bfs([0, 0], [1, 0.5]) },\n' +
+        '  func() { return maze.dijkstra([0, 1.5]) }, func() { return maze.astar([0, 0], [2.5, 1]) }, func() { return maze.astar([0, 0], [3, 2], null, func(x, y) { return 0 }).path }] {\n' +
+        '  try { print(search()) } catch e { print(e.type, e.message) }\n}\nprint(maze.astar([0, 0], [3, 2]).dist)';
+    assertArrayEqual(evaluateBothEngines(code), [
+        'TypeError bfs() start must have integer coordinates, got (0.5, 0)',
+        'TypeError bfs() goal must have integer coordinates, got (1, 0.5)',
+        'TypeError dijkstra() start must have integer coordinates, got (0, 1.5)',
+        'TypeError astar() goal must have integer coordinates, got (2.5, 1)',
+        '[[0, 0], [0, 1], [0, 2], [1, 2], [2, 2], [3, 2]]',
+        '5'
+    ]);
+});
+
+runner.test('Grid: draw overlays a search result', () => {
+    const calls = [];
+    const ctx = new Proxy({}, {
+        get: (target, prop) => prop in target ? target[prop] : (...args) => calls.push([prop, ...args]),
+        set: (target, prop, value) => { target[prop] = value; return true; }
+    });
+    const grid = new GridObject([['.', '.'], ['.', '.']], { canvas: { width: 0, height: 0 }, ctx });
+    grid.draw(grid.bfs([0, 0], [1, 1]));
+    const fills = calls.filter(c => c[0] === 'fillRect').length;
+    // 4 cells + 4 visited + 3 path cells
+    assertEqual(fills, 11);
+    assert(calls.some(c => c[0] === 'lineTo'), 'Path should be stroked');
+});
+
 runner.test('README: Grid object examples work', () => {
     const result = evaluate('grid = Grid([[".", "#"], ["#", "."]])\ngrid.diags = false\nprint(grid.width)\nprint(grid.count("#"))');
     assertArrayEqual(result.output, ['2', '2']);
 });
 
+// ============= PRIORITY QUEUE TESTS =============
+runner.test('PriorityQueue: natural order pops smallest first', () => {
+    const result = evaluate('pq = PriorityQueue()\nfor x in [5, 1, 4, 2] { pq.push(x) }\nprint(pq.peek())\nprint(pq.pop(), pq.pop())\nprint(len(pq), pq.len())');
+    assertArrayEqual(result.output, ['1', '1 2', '2 2']);
+});
+
+runner.test('PriorityQueue: tuples compare element by element', () => {
+    const result = evaluate('pq = PriorityQueue()\npq.push([3, "c"])\npq.push([1, "z"])\npq.push([1, "a"])\nprint(pq.pop())\nprint(pq.pop())');
+    assertArrayEqual(result.output, ['[1, a]', '[1, z]']);
+});
+
+runner.test('PriorityQueue: comparator and key function', () => {
+    const result = evaluate('hi = PriorityQueue(func(a, b) { return b - a })\nfor x in [3, 9, 1] { hi.push(x) }\nprint(hi.pop())\nk = PriorityQueue(func(s) { return len(s) })\nfor w in ["ccc", "a", "bb"] { k.push(w) }\nprint(k.pop())');
+    assertArrayEqual(result.output, ['9', 'a']);
+});
+
+runner.test('PriorityQueue: equal priorities pop in insertion order', () => {
+    const result = evaluate('pq = PriorityQueue(func(item) { return item[0] })\npq.push([1, "first"])\npq.push([1, "second"])\npq.push([0, "zero"])\nprint(pq.pop()[1], pq.pop()[1], pq.pop()[1])');
+    assertArrayEqual(result.output, ['zero first second']);
+});
+
+runner.test('PriorityQueue: for loop drains the queue including new items', () => {
+    const result = evaluate('pq = PriorityQueue()\npq.push(3)\npq.push(1)\nfor i, x in pq {\n  print(i, x)\n  if x == 1 { pq.push(2) }\n}\nprint(len(pq))');
+    assertArrayEqual(result.output, ['0 1', '1 2', '2 3', '0']);
+});
+
+runner.test('PriorityQueue: toString shows items in pop order', () => {
+    const result = evaluate('pq = PriorityQueue()\npq.push(3)\npq.push(1)\nprint(pq)\nprint(str(PriorityQueue()))');
+    assertArrayEqual(result.output, ['PriorityQueue([1, 3])', 'PriorityQueue([])']);
+});
+
+runner.test('PriorityQueue: pop from empty queue raises IndexError', () => {
+    try {
+        evaluate('pq = PriorityQueue()\npq.pop()');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'IndexError');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('PriorityQueue: works in the tree-walking interpreter', () => {
+    const code = 'pq = PriorityQueue(func(a, b) { return b - a })\nfor x in [2, 7, 4] { pq.push(x) }\nprint(pq)\nfor x in pq { print(x) }\nprint(len(pq))';
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer(code).tokenize()).parse());
+    const output = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(output, ['PriorityQueue([7, 4, 2])', '7', '4', '2', '0']);
+});
+
+// ============= SET AND DEQUE TESTS =============
+runner.test('Set: add, remove, has, len and in', () => {
+    const result = evaluate('s = Set([1, 2, 2, 3])\ns.add(4)\ns.remove(1)\ns.remove(99)\nprint(len(s), s.len())\nprint(s.has(2), s.has(1))\nprint(3 in s, 7 in s)');
+    assertArrayEqual(result.output, ['3 3', 'true false', 'true false']);
+});
+
+runner.test('Set: union, intersect and diff return new Sets', () => {
+    const result = evaluate('a = Set([1, 2, 3])\nb = Set([2, 3, 4])\nprint(a.union(b))\nprint(a.intersect(b))\nprint(a.diff([1]))\nprint(union(a, b), intersect(a, [3]), diff(a, b))\nprint(a)');
+    assertArrayEqual(result.output, ['Set([1, 2, 3, 4])', 'Set([2, 3])', 'Set([2, 3])', 'Set([1, 2, 3, 4]) Set([3]) Set([1])', 'Set([1, 2, 3])']);
+});
+
+runner.test('Set: for loop visits items in insertion order', () => {
+    const result = evaluate('s = Set()\nfor w in ["b", "a", "b", "c"] { s.add(w) }\nfor w in s { print(w) }\nprint(str(s))');
+    assertArrayEqual(result.output, ['b', 'a', 'c', 'Set([b, a, c])']);
+});
+
+runner.test('Deque: push and pop at both ends', () => {
+    const result = evaluate('d = Deque([2, 3])\nd.push_front(1)\nd.push(4)\nprint(d)\nprint(d.peek_front(), d.peek())\nprint(d.pop_front(), d.pop())\nprint(len(d), 3 in d, 4 in d)');
+    assertArrayEqual(result.output, ['Deque([1, 2, 3, 4])', '1 4', '1 4', '2 true false']);
+});
+
+runner.test('Deque: BFS-style queue with for loop over a snapshot', () => {
+    const result = evaluate('d = Deque()\nfor i in range(100) { d.push(i) }\ntotal = 0\nwhile len(d) > 2 { total = total + d.pop_front() }\nprint(total)\nfor i, x in d { print(i, x) }\nd.push_front(0)\nprint(d)');
+    assertArrayEqual(result.output, ['4753', '0 98', '1 99', 'Deque([0, 98, 99])']);
+});
+
+runner.test('Deque: both ends stay in order as the buffer wraps and grows', () => {
+    const code = 'd = Deque()\nfor i in range(20) {\n  d.push_front(-i)\n  d.push(i)\n  if i % 3 == 0 { d.pop_front() }\n}\nprint(d, len(d))\n' +
+        'n = Deque()\nfor i in range(100000) { n.push_front(i) }\nprint(len(n), n.peek_front(), n.peek(), n.pop(), n.pop_front(), [x for x in Deque([1, 2])])';
+    const front = [];
+    for (let i = 19; i >= 0; i--) if (i % 3 !== 0) front.push(-i);
+    const back = Array.from({ length: 20 }, (_, i) => i);
+    assertArrayEqual(evaluateBothEngines(code), [`Deque([${[...front, ...back].join(', ')}]) ${front.length + 20}`, '100000 99999 0 0 99999 [1, 2]']);
+});
+
+runner.test('Deque: pop_front from empty deque raises IndexError', () => {
+    try {
+        evaluate('d = Deque()\nd.pop_front()');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'IndexError');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('Set and Deque: work in the tree-walking interpreter', () => {
+    const code = 's = Set([3, 1, 3])\ns.add(2)\nprint(s, 1 in s, len(s))\nprint(s.intersect([2, 3]))\nd = Deque(["b"])\nd.push_front("a")\nfor x in d { print(x) }\nprint(d.pop(), len(d))';
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer(code).tokenize()).parse());
+    const output = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(output, ['Set([3, 1, 2]) true 3', 'Set([3, 2])', 'a', 'b', 'b 1']);
+});
+
 // ============= IN OPERATOR TESTS =============
 runner.test('In operator: check key in map', () => {
     const result = evaluate('m = {"a": 1, "b": 2}\nprint("a" in m)\nprint("c" in m)');
@@ -2160,6 +2484,224 @@ runner.test('In operator: with variables', () => {
     assertArrayEqual(result.output, ['true']);
 });
 
+// ============= TUPLE KEY TESTS =============
+// Run code on both engines and check they print the same thing
+function evaluateBothEngines(code) {
+    const vmOutput = evaluate(code).output;
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer(code).tokenize()).parse());
+    const treeOutput = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(treeOutput, vmOutput, 'engines disagree');
+    return vmOutput;
+}
+
+runner.test('Tuple keys: arrays compare by value with == and !=', () => {
+    const output = evaluateBothEngines('a = [1, 2]\nprint([1, 2] == [1, 2], [1, 2] != [1, 2], [1, [2, 3]] == [1, [2, 3]])\nprint(a == a, [1] == [1, 2], [] == [], "1,2" == [1, 2], null == [])');
+    assertArrayEqual(output, ['true false true', 'true false true false false']);
+});
+
+runner.test('Tuple keys: coordinate pairs as map keys', () => {
+    const output = evaluateBothEngines('seen = {}\nseen[[1, 2]] = true\nx = 1\ny = 2\nprint([x, y] in seen, [2, 1] in seen, seen[[x, y]])\ncounts = {}\nfor p in [[0, 0], [0, 1], [0, 0]] { counts[p] = (counts[p] ?: 0) + 1 }\nprint(counts, len(counts))\nfor k in counts { print(k[0] + k[1]) }');
+    assertArrayEqual(output, ['true false true', '{[0, 0]: 2, [0, 1]: 1} 2', '0', '1']);
+});
+
+runner.test('Tuple keys: a key is a copy of the array used to store it', () => {
+    const output = evaluateBothEngines('m = {}\nk = [3, 4]\nm[k] = "a"\nk[0] = 9\nprint(m[[3, 4]], [9, 4] in m, len(m))');
+    assertArrayEqual(output, ['a false 1']);
+});
+
+runner.test('Tuple keys: Set items and array search compare by value', () => {
+    const output = evaluateBothEngines('s = Set([[0, 0], [0, 0], [1, 0]])\ns.add([1, 0])\nprint(len(s), s.has([0, 0]), [1, 0] in s)\ns.remove([0, 0])\nprint(s)\narr = [[1, 2], [3, 4]]\nprint([3, 4] in arr, arr.contains([3, 4]), index_of(arr, [3, 4]), arr.count([1, 2]))\nprint(union([[1, 2]], [[1, 2], [5, 6]]), intersect(arr, [[3, 4]]), diff(arr, [[3, 4]]))');
+    assertArrayEqual(output, ['2 true true', 'Set([[1, 0]])', 'true true 1 1', '[[1, 2], [5, 6]] [[3, 4]] [[1, 2]]']);
+});
+
+runner.test('Tuple keys: maps and other objects inside keys keep identity', () => {
+    const output = evaluateBothEngines('a = {}\nb = {}\nm = {}\nm[[a, 1]] = "x"\nprint([a, 1] in m, [b, 1] in m, [a] == [a], [a] == [b])');
+    assertArrayEqual(output, ['true false true false']);
+});
+
+runner.test('Tuple keys: looking a key up stores nothing', () => {
+    const table = new TupleTable();
+    const probe = table.key([1, [2, 3]]);
+    assert(!Object.isFrozen(probe), 'A lookup should return the array itself');
+    assertEqual(table.tuples.size, 0);
+    const stored = table.storeKey([1, [2, 3]]);
+    assertEqual(table.key([1, [2, 3]]), stored);
+    assertEqual(table.storeKey([1, [2, 3]]), stored);
+    assertEqual(table.tuples.size, 2);  // The key and the array inside it
+    const output = evaluateBothEngines('seen = {}\nfor i in range(50) { if [i, i] in seen { print(i) } }\ns = Set()\nprint(s.has([1, 2]), seen[[1, 2]], len(seen))');
+    assertArrayEqual(output, ['false undefined 0']);
+});
+
+runner.test('Tuple keys: keys handed back to scripts can be changed', () => {
+    const code = 'm = {}\nm[[1, 2]] = "a"\nfor k in m {\n  k.push(3)\n  k[0] = 99\n  print(k)\n}\nks = keys(m)\nks[0][1] = 7\n' +
+        'print(ks, [k for k, v in m][0].pop(), m[[1, 2]], m)\ns = Set([[5, [6]]])\nfor item in s { item[1].push(0) }\nprint(s, s.has([5, [6]]))';
+    assertArrayEqual(evaluateBothEngines(code), ['[99, 2, 3]', '[[1, 7]] 2 a {[1, 2]: a}', 'Set([[5, [6]]]) true']);
+});
+
+// ============= BIGINT TESTS =============
+runner.test('Bigint: integer literals beyond 2^53 stay exact', () => {
+    const output = evaluateBothEngines('a = 123456789012345678901234567890\nprint(a)\nprint(a * 2 + 1, a - a)\nprint(9007199254740993, 9007199254740991 + 2)');
+    assertArrayEqual(output, ['123456789012345678901234567890', '246913578024691357802469135781 0', '9007199254740993 9007199254740992']);
+});
+
+runner.test('Bigint: arithmetic promotes integers and stays exact', () => {
+    const output = evaluateBothEngines('n = bigint(2) ** 100\nprint(n, n % 1000000007)\nprint(bigint(7) / 2, bigint(-7) / 2, bigint(-7) % 2)\nf = bigint(1)\nfor i in range(1, 26) { f *= i }\nprint(f)\nprint(-n < 0, bigint(6) > 5.5, bigint(5) == 5, 5 != bigint(5), bigint(3) + "!")');
+    assertArrayEqual(output, ['1267650600228229401496703205376 976371285', '3 -4 -1', '15511210043330985984000000', 'true true true false 3!']);
+});
+
+runner.test('Bigint: conversions, math builtins and format specs', () => {
+    const output = evaluateBothEngines('print(int("99999999999999999999") + 1, int(bigint(4)), float(bigint(3)) + 0.5, bigint("-12"), bigint(true))\nprint(abs(bigint(-3)), min(bigint(3), 2), max(1, bigint(9)), pow(bigint(3), 40), sign(bigint(-9)))\nn = bigint(2) ** 64\nprint(f"{n:,}", f"{bigint(255):#x}", f"{bigint(10):.2f}", f"{bigint(-42):>5}")');
+    assertArrayEqual(output, ['100000000000000000000 4 3.5 -12 1', '3 2 9 12157665459056928801 -1', '18,446,744,073,709,551,616 0xff 10.00   -42']);
+});
+
+runner.test('Bigint: sqrt, floor and the other Math builtins take bigints', () => {
+    const output = evaluateBothEngines('print(sqrt(bigint(16)), sin(bigint(0)), cos(bigint(0)), tan(bigint(0)))\nn = bigint(2) ** 70\nprint(floor(n), ceil(n) == n, round(bigint(-5)))');
+    assertArrayEqual(output, ['4 0 1 0', '1180591620717411303424 true -5']);
+    for (const code of ['x = 1\nx = sqrt(bigint(10) ** 400)', 'x = 1\nx = cos(bigint(10) ** 400)']) {
+        for (const [engine, run] of [['vm', evaluate], ['tree', c => new Interpreter(null, null, { innerHTML: '', scrollTop: 0, scrollHeight: 0 }, null, '', null, {}).run(new Parser(new Lexer(c).tokenize()).parse())]]) {
+            try {
+                run(code);
+                assert(false, `${engine}: ${code} should have thrown an error`);
+            } catch (e) {
+                assertEqual(e.errorType, 'ValueError', engine);
+                assertEqual(e.line, 2, engine);
+                assert(/^(sqrt|cos)\(\) argument is too large to convert to a float$/.test(e.message), e.message);
+            }
+        }
+    }
+});
+
+runner.test('Bigint: zero is falsy and equal numbers are the same key', () => {
+    const output = evaluateBothEngines('if bigint(0) { print("truthy") } else { print("falsy") }\nm = {}\nm[bigint(5)] = "five"\nm[[1, 2]] = true\nprint(m[5], 5 in m, [bigint(1), 2] in m)\nprint(len(Set([bigint(1), 1])), [1, 2, 3].contains(bigint(2)))');
+    assertArrayEqual(output, ['falsy', 'five true true', '1 true']);
+});
+
+runner.test('Bigint: mixing with a float raises TypeError', () => {
+    try {
+        evaluate('n = bigint(10)\nx = n * 1.5');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'TypeError');
+        assertEqual(e.line, 2);
+        assert(e.message.includes('Cannot mix bigint and float'), e.message);
+    }
+});
+
+runner.test('Bigint: division by zero and bad conversions raise errors', () => {
+    const cases = [['x = bigint(1) / 0', 'ZeroDivisionError'], ['x = bigint(1) % bigint(0)', 'ZeroDivisionError'], ['x = bigint(2.5)', 'ValueError'], ['x = bigint("12a")', 'ValueError'], ['x = bigint(2) ** -1', 'ValueError'], ['x = bigint([1])', 'TypeError']];
+    for (const [code, type] of cases) {
+        try {
+            evaluate(code);
+            assert(false, `${code} should have thrown an error`);
+        } catch (e) {
+            assertEqual(e.errorType, type, code);
+        }
+    }
+});
+
+// ============= BITWISE AND INTEGER DIVISION TESTS =============
+runner.test('Bitwise: and, or, xor, not and shifts', () => {
+    const output = evaluateBothEngines('print(6 & 3, 6 | 3, 6 ^ 3, ~5, ~-1, 1 << 4, -16 >> 2)\nprint(0xFF & 0b1010, 1_000 | 24)');
+    assertArrayEqual(output, ['2 7 5 -6 0 16 -4', '10 1016']);
+});
+
+runner.test('Bitwise: masks wider than 32 bits stay exact', () => {
+    const output = evaluateBothEngines('print(1 << 40, (1 << 62) | 1, (1 << 60) >> 58, ~(1 << 60))\nmask = (1 << 35) | (1 << 3)\nprint(mask, mask & (1 << 35), mask ^ (1 << 35))\nprint(bigint(12) & 10, bigint(2) ** 70 >> 68)');
+    assertArrayEqual(output, ['1099511627776 4611686018427387905 4 -1152921504606846977', '34359738376 34359738368 8', '8 4']);
+});
+
+runner.test('Bitwise: precedence follows Python', () => {
+    const output = evaluateBothEngines('print(1 + 2 << 3, 1 | 2 ^ 3 & 4, 2 ** 3 // 3, -7 // 2 * 2)\nmask = 8\nprint(mask & 8 != 0, mask & 4 == 0)');
+    assertArrayEqual(output, ['24 3 2 -8', 'true true']);
+});
+
+runner.test('Integer division: rounds down for numbers and bigints', () => {
+    const output = evaluateBothEngines('print(7 // 2, -7 // 2, 7 // -2, 7.5 // 2, bigint(-7) // 2, 10 // bigint(3))');
+    assertArrayEqual(output, ['3 -4 -4 3 -4 3']);
+});
+
+runner.test('Bitwise: compound assignments', () => {
+    const output = evaluateBothEngines('x = 100\nx //= 7\nx <<= 2\nx >>= 1\nx ^= 0b11\nx &= 0xF\nprint(x)\narr = [1, 2]\narr[0] |= 4\nm = {v: 6}\nm.v &= 3\nprint(arr, m.v)');
+    assertArrayEqual(output, ['15', '[5, 2] 2']);
+});
+
+runner.test('Bitwise: errors for floats, negative shifts and division by zero', () => {
+    const cases = [['x = 1\ny = 1.5 & x', 'TypeError'], ['x = ~0.5', 'TypeError'], ['x = "a" | 1', 'TypeError'], ['x = 1 << -1', 'ValueError'], ['x = 5 // 0', 'ZeroDivisionError']];
+    for (const [code, type] of cases) {
+        try {
+            evaluate(code);
+            assert(false, `${code} should have thrown an error`);
+        } catch (e) {
+            assertEqual(e.errorType, type, code);
+            assertEqual(e.line, code.split('\n').length, code);
+        }
+    }
+});
+
+// ============= TRY/CATCH TESTS =============
+runner.test('Try: catch builtin errors as a map', () => {
+    const output = evaluateBothEngines('try {\n    x = 1 // 0\n} catch e {\n    print(e.type, e.line)\n}\ntry { y = "a" | 1 } catch err { print(err.type) }\nprint("after")');
+    assertArrayEqual(output, ['ZeroDivisionError 2', 'TypeError', 'after']);
+});
+
+runner.test('Try: throw strings, numbers and maps', () => {
+    const output = evaluateBothEngines('try { throw "boom" } catch e { print(e.type, e.message) }\ntry { throw 42 } catch e { print(e.message) }\ntry { throw {type: "ValueError", message: "bad"} } catch e { print(e.type, e.message) }\ntry { throw {message: "plain"} } catch e { print(e.type, e.message) }');
+    assertArrayEqual(output, ['Error boom', '42', 'ValueError bad', 'Error plain']);
+});
+
+runner.test('Try: try, catch, finally and throw are still names outside try statements', () => {
+    const output = evaluateBothEngines('throw = 3\ntry = 1\ncatch = {finally: 2, if: 4, true: 5}\nprint(throw + try + catch.finally, catch.if, catch.true)\nm = {}\nm.catch = func(x) { return x * 2 }\nprint(m.catch(throw))\ntry {\n    throw {type: "ValueError", message: "bad"}\n}\ncatch e { print(e.type) }\nfinally { print("done") }');
+    assertArrayEqual(output, ['6 4 5', '6', 'ValueError', 'done']);
+    const thrown = evaluateBothEngines('func throw(x) { return x + 1 }\nprint(throw(1))\ntry { throw "boom" } catch e { print(e.message) }');
+    assertArrayEqual(thrown, ['2', 'boom']);
+});
+
+runner.test('Try: errors unwind through calls, loops and callbacks', () => {
+    const output = evaluateBothEngines('func inner(n) {\n    for i in range(n) {\n        if i == 2 { throw "stop at " + str(i) }\n    }\n}\nfunc outer() { inner(5)\nreturn "unreached" }\ntry { outer() } catch e { print(e.message) }\ntry { [1, 0].map(func(x) { return 10 // x }) } catch e { print(e.type) }\ntotal = 0\nfor i in range(4) {\n    try { if i % 2 == 1 { throw "odd" }\n    total += i } catch { total += 100 }\n}\nprint(total)');
+    assertArrayEqual(output, ['stop at 2', 'ZeroDivisionError', '202']);
+});
+
+runner.test('Try: finally runs on return, break, continue and errors', () => {
+    const output = evaluateBothEngines('func f() {\n    try { return 1 } finally { print("f done") }\n}\nprint(f())\nfor i in range(3) {\n    try {\n        if i == 0 { continue }\n        if i == 1 { break }\n    } finally { print("iter", i) }\n}\ntry {\n    try { throw "inner" } finally { print("cleanup") }\n} catch e { print("outer caught", e.message) }');
+    assertArrayEqual(output, ['f done', '1', 'iter 0', 'iter 1', 'cleanup', 'outer caught inner']);
+});
+
+runner.test('Try: rethrow keeps the original error', () => {
+    const code = 'try {\n    assert(1 == 2, "nope")\n} catch e {\n    throw e\n}';
+    for (const run of [evaluate, (c) => { const interp = new Interpreter(null, null, { innerHTML: '', scrollTop: 0, scrollHeight: 0 }, null, '', null, {}); interp.run(new Parser(new Lexer(c).tokenize()).parse()); }]) {
+        try {
+            run(code);
+            assert(false, 'should have thrown an error');
+        } catch (e) {
+            assertEqual(e.errorType, 'AssertionError');
+            assertEqual(e.message, 'nope');
+            assertEqual(e.line, 2);
+        }
+    }
+});
+
+runner.test('Try: uncaught throw reports its type and line', () => {
+    try {
+        evaluate('x = 1\nthrow {type: "ValueError", message: "negative size"}');
+        assert(false, 'should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'ValueError');
+        assertEqual(e.message, 'negative size');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('Try: try without catch or finally is a syntax error', () => {
+    try {
+        parse('try { x = 1 }\nprint(x)');
+        assert(false, 'should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'SyntaxError');
+    }
+});
+
 // ============= UNDEFINED TESTS =============
 runner.test('Undefined: undefined literal', () => {
     const result = evaluate('x = undefined\nprint(x)');
@@ -2264,6 +2806,1166 @@ runner.test('Elvis: with map access', () => {
     assertArrayEqual(result.output, ['localhost', '8080']);
 });
 
+// ============= MATCH TESTS =============
+runner.test('Match: literal arms and the _ fallback', () => {
+    const code = 'for cmd in ["up", 2, "down", true, null, -1, "left"] {\n  match cmd {\n    "up" => print("U")\n    "down" => print("D")\n' +
+        '    2 => print("two")\n    -1 => print("minus one")\n    true => print("yes")\n    null => print("nothing")\n    _ => print("other", cmd)\n  }\n}';
+    assertArrayEqual(evaluateBothEngines(code), ['U', 'two', 'D', 'yes', 'nothing', 'minus one', 'other left']);
+});
+
+runner.test('Match: array patterns destructure and bind names', () => {
+    const code = 'func run(prog) {\n  acc = 0\n  for ins in prog {\n    match ins {\n      ["add", n] => acc += n\n      ["mul", n] => acc *= n\n' +
+        '      [op, a, b] => { print(op, a + b) }\n      [] => print("empty")\n    }\n  }\n  return acc\n}\nprint(run([["add", 4], ["mul", 3], ["swap", 1, 2], [], ["add"]]))';
+    assertArrayEqual(evaluateBothEngines(code), ['swap 3', 'empty', '12']);
+});
+
+runner.test('Match: map patterns check keys, with {name} binding a key', () => {
+    const code = 'for p in [{x: 0, y: 5}, {x: 2, y: 3}, {x: 1}, [0, 0], {"kind": "circle", r: 2}] {\n  match p {\n' +
+        '    {x: 0, y} => print("on axis", y)\n    {x, y} => print(x, y)\n    {"kind": "circle", r: r} => print("circle", r)\n    _ => print("no match")\n  }\n}';
+    assertArrayEqual(evaluateBothEngines(code), ['on axis 5', '2 3', 'no match', 'no match', 'circle 2']);
+});
+
+runner.test('Match: guards choose between arms with the same pattern', () => {
+    const code = 'for n in [3, 15, -2] {\n  match n {\n    n if n < 0 => print("negative")\n    n if n > 10 => print("big", n)\n    n => print("small", n)\n  }\n}';
+    assertArrayEqual(evaluateBothEngines(code), ['small 3', 'big 15', 'negative']);
+});
+
+runner.test('Match: no arm fits, and names bind only when the whole pattern fits', () => {
+    const code = 'a = "before"\nmatch [5, 2] {\n  [a, 1] => print("no")\n  "x" => print("no")\n}\nprint(a)\nmatch [5, 2] { [a, b] if b > 9 => print("no") }\nprint(a, b)';
+    assertArrayEqual(evaluateBothEngines(code), ['before', '5 2']);
+});
+
+runner.test('Match: break, continue and return inside arms', () => {
+    const code = 'func find(items) {\n  for x in items {\n    match x {\n      "skip" => continue\n      "stop" => break\n      [k, v] => return v\n      _ => print(x)\n    }\n  }\n  return "none"\n}\n' +
+        'print(find([1, "skip", 2, "stop", 3]))\nprint(find(["skip", ["k", 9], 4]))\nn = 0\nwhile true {\n  n += 1\n  match n { 3 => break }\n}\nprint(n)';
+    assertArrayEqual(evaluateBothEngines(code), ['1', '2', 'none', '9', '3']);
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['1', '2', 'none', '9', '3']);
+});
+
+runner.test('Match: a match of literals compiles to a jump table', () => {
+    const code = 'func name(op) {\n  match op {\n    "add" => return 1\n    "sub" => return 2\n    "add" => return 3\n    _ => return 0\n  }\n}\n' +
+        'print(name("add"), name("sub"), name("mul"), name(1))';
+    for (const optimize of [true, false]) {
+        const fn = compileChunk(code, { optimize }).constants.find(c => c && c.type === 'function').chunk;
+        assert(fn.code.includes(OpCode.JUMP_TABLE), 'Should emit JUMP_TABLE');
+        assert(!fn.code.includes(OpCode.EQ) && !fn.code.includes(OpCode.JUMP_IF_NOT_EQ), 'Should not compare arm by arm');
+    }
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['1 2 0 0']);
+    const guarded = compileChunk('x = 1\nmatch x {\n  1 if x > 0 => print(1)\n  _ => print(0)\n}');
+    assert(!guarded.code.includes(OpCode.JUMP_TABLE), 'A guard needs the general form');
+});
+
+runner.test('Match: jump tables survive serialization', () => {
+    const code = 'for v in [2, "b", 7] {\n  match v {\n    2 => print("two")\n    "b" => print("bee")\n    _ => print("?")\n  }\n}';
+    for (const optimize of [true, false]) {
+        const chunk = BytecodeChunk.deserialize(compileChunk(code, { optimize }).serialize());
+        assertArrayEqual(runChunk(chunk), ['two', 'bee', '?']);
+    }
+});
+
+runner.test('Match: match is still a name outside match statements', () => {
+    const output = evaluateBothEngines('match = 3\nprint(match)\nm = {match: 1}\nprint(m.match + match)\nfunc match2(x) { return x }\nprint(match2(4))');
+    assertArrayEqual(output, ['3', '4', '4']);
+});
+
+runner.test('Match: an arm ends with its line', () => {
+    const output = evaluateBothEngines('x = 0\nfor v in [[1, 2], -1] {\n  match v {\n    -1 => x -= 1\n    [a, b] => x += a + b\n  }\n}\nprint(x)');
+    assertArrayEqual(output, ['2']);
+    assertArrayEqual(syntaxErrors('match x {\n  1 => print(1) print(2)\n  [a => 3\n}'), [
+        '2:17 Unexpected token IDENT after match arm'
+    ]);
+});
+
+// ============= STRUCT TESTS =============
+runner.test('Struct: constructor, fields and the default toString', () => {
+    const code = 'struct Point { x, y }\nstruct Card {\n  rank\n  suit\n}\np = Point(1, 2)\nprint(p, p.x + p.y)\np.x = 10\nprint(p.x, str(p))\n' +
+        'print([Point(0, 0)], Card("Q", "hearts"))\nprint(p == p, p == Point(10, 2))';
+    assertArrayEqual(evaluateBothEngines(code), ['Point(x: 1, y: 2) 3', '10 Point(x: 10, y: 2)', '[Point(x: 0, y: 0)] Card(rank: Q, suit: hearts)', 'true false']);
+});
+
+runner.test('Struct: unknown fields and wrong argument counts are errors', () => {
+    const code = 'struct Point { x, y }\np = Point(1, 2)\ntry { p.xx = 3 } catch e { print(e.type, e.message, e.line) }\n' +
+        'try { print(p.z) } catch e { print(e.type, e.message, e.line) }\ntry { Point(1) } catch e { print(e.type, e.message, e.line) }\nprint(p)';
+    assertArrayEqual(evaluateBothEngines(code), [
+        "AttributeError Point has no field 'xx' 3",
+        "AttributeError Point has no field or method 'z' 4",
+        'TypeError Point() takes 2 arguments (x, y) but got 1 5',
+        'Point(x: 1, y: 2)'
+    ]);
+});
+
+runner.test('Struct: methods receive the instance as self', () => {
+    const code = 'struct Vec { x, y }\nfunc Vec.add(other) {\n  return Vec(self.x + other.x, self.y + other.y)\n}\nfunc Vec.scale(k) {\n  self.x *= k\n  self.y *= k\n}\n' +
+        'v = Vec(1, 2).add(Vec(3, 4))\nv.scale(2)\nprint(v)\nadd = v.add\nprint(add(Vec(1, 1)).x)\n' +
+        'try { func Vec.x() { return 0 } } catch e { print(e.type, e.message) }';
+    assertArrayEqual(evaluateBothEngines(code), ['Vec(x: 8, y: 12)', '9', "AttributeError Vec already has a field 'x'"]);
+});
+
+runner.test('Struct: a toString method changes how instances print', () => {
+    const code = 'struct Card { rank, suit }\nfunc Card.toString() { return f"{self.rank} of {self.suit}" }\nc = Card("Q", "hearts")\nprint(c, [c])\nprint("card: " + str(c))';
+    assertArrayEqual(evaluateBothEngines(code), ['Q of hearts [Q of hearts]', 'card: Q of hearts']);
+});
+
+runner.test('Struct: struct is still a name outside declarations', () => {
+    assertArrayEqual(evaluateBothEngines('struct = 3\nprint(struct)\nm = {struct: 1}\nprint(m.struct + struct)'), ['3', '4']);
+});
+
+runner.test('Struct: structs and methods survive serialization', () => {
+    const code = 'struct P { a, b }\nfunc P.sum() { return self.a + self.b }\nprint(P(2, 3).sum())';
+    for (const optimize of [true, false]) {
+        const chunk = BytecodeChunk.deserialize(compileChunk(code, { optimize }).serialize());
+        assertArrayEqual(runChunk(chunk), ['5']);
+    }
+});
+
+// ============= ARGUMENT TESTS =============
+runner.test('Arguments: defaults fill omitted arguments on each call', () => {
+    const code = 'func f(a, b = 10, c = a + b) { return [a, b, c] }\nprint(f(1), f(1, 2), f(1, 2, 3), f(1, null))\n' +
+        'func collect(x, into = []) {\n  into.push(x)\n  return into\n}\nprint(collect(1), collect(2))\n' +
+        'func outer(n, add = func(v) { return v + n }) { return add(1) }\nprint(outer(10))';
+    assertArrayEqual(evaluateBothEngines(code), ['[1, 10, 11] [1, 2, 3] [1, 2, 3] [1, null, 1]', '[1] [2]', '11']);
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['[1, 10, 11] [1, 2, 3] [1, 2, 3] [1, null, 1]', '[1] [2]', '11']);
+});
+
+runner.test('Arguments: a rest parameter collects the remaining arguments', () => {
+    const code = 'func f(first, ...rest) { return [first, rest] }\nprint(f(), f(1), f(1, 2, 3))\n' +
+        'count = func(...xs) { return len(xs) }\nprint(count(), count(4, 5))\nfunc g(a, b = 2, ...more) { return a + b + len(more) }\nprint(g(1), g(1, 1, 7, 7, 7))';
+    assertArrayEqual(evaluateBothEngines(code), ['[null, []] [1, []] [1, [2, 3]]', '0 2', '3 5']);
+});
+
+runner.test('Arguments: spread into calls, arrays and maps', () => {
+    const code = 'func add3(a, b, c) { return a + b + c }\nxs = [1, 2, 3]\nprint(add3(...xs), add3(10, ...[20, 30]))\n' +
+        'print([0, ...xs, ...[], 4], [..."ab", ...Set([7]), ...Deque([8])])\n' +
+        'base = {a: 1, b: 2}\nprint({...base, b: 3, c: 4}, {z: 0, ...base})\nprint(max(...xs), xs)';
+    assertArrayEqual(evaluateBothEngines(code), ['6 60', '[0, 1, 2, 3, 4] [a, b, 7, 8]', '{a: 1, b: 3, c: 4} {z: 0, a: 1, b: 2}', '3 [1, 2, 3]']);
+});
+
+runner.test('Arguments: too many arguments is a TypeError', () => {
+    const code = 'func f(a, b = 1) { return a }\ntry { f(1, 2, 3) } catch e { print(e.type, e.message, e.line) }\n' +
+        'func g(x) { return x }\ntry { g(...[1, 2]) } catch e { print(e.message) }\n' +
+        'struct P { v }\nfunc P.get() { return self.v }\ntry { P(1).get(2) } catch e { print(e.message) }\n' +
+        'print([1, 2].map(func(x) { return x * 2 }))';
+    assertArrayEqual(evaluateBothEngines(code), [
+        'TypeError f() takes 2 arguments but got 3 2',
+        'g() takes 1 argument but got 2',
+        'P.get() takes 0 arguments but got 1',
+        '[2, 4]'
+    ]);
+});
+
+runner.test('Arguments: spreading a value that is not a collection is a TypeError', () => {
+    const code = 'try { print([...5]) } catch e { print(e.type, e.message, e.line) }\ntry { print({...[1]}) } catch e { print(e.type, e.message, e.line) }';
+    assertArrayEqual(evaluateBothEngines(code), ['TypeError Cannot spread number into an array 1', 'TypeError Cannot spread array into a map 2']);
+});
+
+runner.test('Arguments: parameter lists are checked by the parser', () => {
+    assertArrayEqual(syntaxErrors('func f(a = 1, b) {}\nfunc g(...a, b) {}\nfunc h(...r = 2) {}'), [
+        '1:15 Parameter without a default follows one with a default',
+        '2:14 Rest parameter must be last',
+        '3:13 Rest parameter cannot have a default'
+    ]);
+});
+
+runner.test('Arguments: defaults and spread calls survive serialization', () => {
+    const code = 'func f(a, b = a * 2, ...rest) { return [a, b, rest] }\nprint(f(1), f(...[1, 2, 3]))';
+    for (const optimize of [true, false]) {
+        const chunk = BytecodeChunk.deserialize(compileChunk(code, { optimize }).serialize());
+        assertArrayEqual(runChunk(chunk), ['[1, 2, []] [1, 2, [3]]']);
+    }
+});
+
+// ============= SLICE TESTS =============
+runner.test('Slices: arrays and strings follow Python slice rules', () => {
+    const code = 'a = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]\nprint(a[1:5], a[:2], a[-3:], a[::3], a[8:2:-2])\nprint(a[::-1])\nprint(a[100:], a[-100:2], a[5:1], a[:])\n' +
+        's = "hello world"\nprint(s[-5:], s[::-1], s[:-6], s[1:2])\ni = 2\nprint(a[i:i + 2], a[bigint(7):])';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '[1, 2, 3, 4] [0, 1] [7, 8, 9] [0, 3, 6, 9] [8, 6, 4]',
+        '[9, 8, 7, 6, 5, 4, 3, 2, 1, 0]',
+        '[] [0, 1] [] [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]',
+        'world dlrow olleh hello e',
+        '[2, 3] [7, 8, 9]'
+    ]);
+});
+
+runner.test('Slices: negative indexes count from the end', () => {
+    const code = 'a = [1, 2, 3]\nprint(a[-1], a[-3], a[-4], "abc"[-1], [[1, 2], [3]][0][-1])\na[-1] = 30\na[-3] += 9\nprint(a)\n' +
+        'try { a[-4] = 0 } catch e { print(e.type, e.message, e.line) }';
+    assertArrayEqual(evaluateBothEngines(code), ['3 1 undefined c 2', '[10, 2, 30]', 'IndexError Array index out of range: -4 6']);
+});
+
+runner.test('Slices: assigning to a slice replaces its elements', () => {
+    const code = 'b = [1, 2, 3, 4, 5]\nb[1:3] = ["x"]\nprint(b)\nb[0:0] = [8, 9]\nprint(b)\nb[::2] = [0, 0, 0]\nprint(b)\nb[4:] = []\nprint(b)\nb[:] = b[::-1]\nprint(b)\n' +
+        'try { b[::2] = [1] } catch e { print(e.type, e.message, e.line) }\ntry { b[0:1] = 5 } catch e { print(e.type, e.message) }\ntry { print(b[::0]) } catch e { print(e.type, e.message) }';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '[1, x, 4, 5]', '[8, 9, 1, x, 4, 5]', '[0, 9, 0, x, 0, 5]', '[0, 9, 0, x]', '[x, 0, 9, 0]',
+        'ValueError Cannot assign 1 value to a slice of 2 elements 12',
+        'TypeError Can only assign an array to a slice',
+        'ValueError Slice step cannot be zero'
+    ]);
+});
+
+runner.test('Slices: grid[x, y] and sub-grids', () => {
+    const code = 'g = Grid([[1, 2, 3, 4], [5, 6, 7, 8], [9, 10, 11, 12]])\ng.diags = true\nsub = g[1:3, 0:2]\nprint(sub.width, sub.height, sub.get(0, 0), sub.get(1, 1), sub.diags)\n' +
+        'print(g[0, 0], g[3, 2], g[-1, 0], g[9, 9])\ng[1, 1] = 99\nsub.set(0, 0, 0)\nprint(g.get(1, 1), g[1, 0], g[::-1, 1].get(0, 0), g[2, :].height)\n' +
+        'try { g[0:2, 5:9] } catch e { print(e.type, e.message, e.line) }\ntry { g[0:1, 0:1] = 3 } catch e { print(e.type, e.message) }';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '2 2 2 7 true', '1 12 null null', '99 2 8 3', 'IndexError Grid slice is empty 9', 'TypeError Cannot assign to a grid slice'
+    ]);
+});
+
+runner.test('Slices: the parser reads slices and comma-separated indexes', () => {
+    const ast = new Parser(new Lexer('a[1:2:3]\na[::-1]\ng[0:1, y]').tokenize()).parse();
+    const [full, reversed, pair] = ast.body.map(stmt => stmt.expression.index);
+    assertEqual(full.type, 'Slice');
+    assertEqual(full.step.value, 3);
+    assertEqual(reversed.start, null);
+    assertEqual(reversed.end, null);
+    assertEqual(reversed.step.type, 'UnaryOp');
+    assertEqual(pair.type, 'Array');
+    assertArrayEqual(pair.elements.map(el => el.type), ['Slice', 'Identifier']);
+    assertArrayEqual(evaluateBothEngines('m = {}\nm[1, 2] = "pair"\nprint(m[[1, 2]], f"{[5, 6, 7][1:]}")'), ['pair [6, 7]']);
+});
+
+// ============= COMPREHENSION TESTS =============
+runner.test('Comprehensions: list comprehensions filter and nest', () => {
+    const code = 'xs = [3, -1, 4, -1, 5]\nprint([x * 2 for x in xs if x > 0])\nprint([[i, j] for i in range(3) for j in range(i) if i + j != 2])\n' +
+        'print([i * 10 + v for i, v in [7, 8]], [c for c in "hello" if c != "l"], [x for x in xs if x > 0 if x < 5])\n' +
+        'func evens(n) {\n  return [\n    y\n    for y in range(n)\n    if y % 2 == 0\n  ]\n}\nprint(evens(7), [x for x in []])';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '[6, 8, 10]', '[[1, 0], [2, 1]]', '[7, 18] [h, e, o] [3, 4]', '[0, 2, 4, 6] []'
+    ]);
+});
+
+runner.test('Comprehensions: map and set comprehensions', () => {
+    const code = 'm = {a: 1, b: 2, c: 3}\nprint({k: v * 10 for k, v in m})\nprint({v: k for k, v in m if v > 1}, [k for k in m])\n' +
+        'print({[i, i * i]: i for i in range(3)}[[2, 4]], {f"{k}!": [x for x in range(v)] for k, v in m if k != "b"})\n' +
+        's = {x % 3 for x in [3, 4, 5, 6, 7]}\nprint(s, s.len(), {x for x in Set([1, 2])}.has(2))';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '{a: 10, b: 20, c: 30}', '{2: b, 3: c} [a, b, c]', '2 {a!: [0], c!: [0, 1, 2]}', 'Set([0, 1, 2]) 3 true'
+    ]);
+});
+
+runner.test('Comprehensions: compile to loops without function calls', () => {
+    const build = 'xs = [1, 2, 3]\nys = [x * x for x in xs if x != 2]\nm = {x: x for x in ys}\ns = {x for x in xs for y in ys}';
+    const code = build + '\nprint(ys, m, s)';
+    for (const optimize of [true, false]) {
+        const chunk = compileChunk(build, { optimize });
+        assert(chunk.code.includes(OpCode.LIST_APPEND) && chunk.code.includes(OpCode.MAP_ADD) && chunk.code.includes(OpCode.SET_ADD), 'Should add to the collection in place');
+        assert(!chunk.code.includes(OpCode.CALL) && !chunk.constants.some(c => c && c.type === 'function'), 'Should not call a function');
+        assertArrayEqual(runChunk(BytecodeChunk.deserialize(compileChunk(code, { optimize }).serialize())), ['[1, 9] {1: 1, 9: 9} Set([1, 2, 3])']);
+    }
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['[1, 9] {1: 1, 9: 9} Set([1, 2, 3])']);
+});
+
+runner.test('Comprehensions: their variables leave the enclosing ones alone', () => {
+    const code = 'x = 100\nys = [x for x in range(3)]\nprint(x, ys)\nfunc f(n) {\n  v = "local"\n  sq = {v: v * v for v in range(n)}\n  return [v, sq]\n}\nprint(f(3))\n' +
+        'print([x for x in [x, x + 1]], [[y * 10 for y in y] for y in [[1], [2, 3]]])\nfs = [func() { return i } for i in range(3)]\nprint(fs[0](), x)\n' +
+        'try { print(i) } catch e { print(e.message) }';
+    assertArrayEqual(evaluateBothEngines(code), [
+        '100 [0, 1, 2]', '[local, {0: 0, 1: 1, 2: 4}]', '[100, 101] [[10], [20, 30]]', '2 100', 'Undefined variable: i'
+    ]);
+    const chunk = compileChunk('func f() {\n  x = 1\n  return [x for x in [2]]\n}');
+    const body = chunk.constants.find(c => c && c.type === 'function').chunk;
+    assertEqual(body.localNames.length, 2, 'The comprehension variable should get a slot of its own');
+});
+
+runner.test('Comprehensions: errors inside them are caught where they are raised', () => {
+    const code = 'func pairs(xs) {\n  try {\n    return [[a, b] for a in xs for b in null]\n  } catch e {\n    return [e.type, e.message, e.line]\n  }\n}\nprint(pairs([1]), pairs([]))\n' +
+        'try { print({x for x in 5}) } catch e { print(e.type, e.message, e.line) }';
+    assertArrayEqual(evaluateBothEngines(code), ['[TypeError, object is not iterable, 3] []', 'TypeError number is not iterable 9']);
+});
+
+runner.test('Comprehensions: a syntax error inside one is reported once', () => {
+    assertArrayEqual(syntaxErrors('a = [x +* 2\n  for x in xs\n  if x > 0]\nb = [for x in xs]\nc = {k: for k in m}\nd = 1'), [
+        '1:9 Unexpected token STAR', '4:6 Unexpected token FOR', '5:9 Unexpected token FOR'
+    ]);
+    const ast = new Parser(new Lexer('a = {k: v for k, v in m}\nb = {x for x in s}\nc = {k: [v for v in w], n: 1}').tokenize()).parse();
+    const [map, set, literal] = ast.body.map(stmt => stmt.expression.value);
+    assertArrayEqual([map.kind, map.key.type, set.kind, literal.type], ['map', 'Identifier', 'set', 'Map']);
+});
+
+// ============= CALL FRAME / RECURSION TESTS =============
+runner.test('Recursion: deep recursion runs on the VM', () => {
+    const result = evaluate('func depth(n) {\n  if n == 0 { return 0 }\n  return 1 + depth(n - 1)\n}\nprint(depth(20000))');
+    assertArrayEqual(result.output, ['20000']);
+});
+
+runner.test('Recursion: return from inside a loop unwinds the frame', () => {
+    const result = evaluate('func find(arr, t) {\n  for x in arr {\n    if x == t { return x }\n  }\n  return -1\n}\nprint(find([1, 2, 3], 2) + find([4, 5], 5))');
+    assertArrayEqual(result.output, ['7']);
+});
+
+runner.test('Recursion: callbacks from builtins can call GridLang functions', () => {
+    const result = evaluate('func fact(n) { return n <= 1 ? 1 : n * fact(n - 1) }\nprint(sort([3, 1, 2], func(a, b) { return fact(b) - fact(a) }))');
+    assertArrayEqual(result.output, ['[3, 2, 1]']);
+});
+
+runner.test('Recursion: RecursionError shows the call chain', () => {
+    try {
+        evaluate('set_recursion_limit(50)\nfunc loop(n) {\n  return loop(n + 1)\n}\nloop(0)');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'RecursionError');
+        assert(e.message.includes('limit 50'), `Should mention the limit, got: ${e.message}`);
+        assert(e.message.includes('<module> line 5 -> loop line 3 (x50) -> loop'), `Should show call chain, got: ${e.message}`);
+    }
+});
+
+runner.test('Recursion: mutual recursion is collapsed in the call chain', () => {
+    try {
+        evaluate('set_recursion_limit(20)\nfunc ping(n) { return pong(n) }\nfunc pong(n) { return ping(n) }\nping(0)');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'RecursionError');
+        assert(e.message.includes('(ping line 2 -> pong line 3) (x10)'), `Should collapse the cycle, got: ${e.message}`);
+    }
+});
+
+runner.test('Recursion: calls up to the limit are allowed', () => {
+    const result = evaluate('set_recursion_limit(10)\nfunc d(n) { return n == 0 ? 0 : 1 + d(n - 1) }\nprint(d(9))');
+    assertArrayEqual(result.output, ['9']);
+});
+
+runner.test('Recursion: tree-walking interpreter raises RecursionError too', () => {
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    try {
+        interp.run(new Parser(new Lexer('set_recursion_limit(30)\nfunc loop(n) { return loop(n + 1) }\nloop(0)').tokenize()).parse());
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'RecursionError');
+        assert(e.message.includes('<module> line 3 -> loop line 2 (x30) -> loop'), `Should show call chain, got: ${e.message}`);
+    }
+});
+
+runner.test('Recursion: running out of JS stack reports the depth it ran out at', () => {
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+    interp.run(new Parser(new Lexer('depth = 0\nfunc f(n) {\n  depth = n\n  return f(n + 1)\n}\ntry { f(1) } catch e { print(e.type, e.message) }\nprint(depth)').tokenize()).parse());
+    const [message, depth] = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x && !x.startsWith('Call chain'));
+    const match = message.match(/^RecursionError Stack overflow: the JavaScript stack ran out at call depth (\d+), before the recursion limit of 100000$/);
+    assert(match, message);
+    assert(Number(match[1]) - Number(depth) <= 1 && Number(match[1]) >= Number(depth), `ran out at ${match[1]}, deepest call ${depth}`);
+
+    try {
+        evaluate('func f(n) { return sort([n, n], func(a, b) { return f(a + 1) }) }\nf(0)');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'RecursionError');
+        assert(/^Stack overflow: the JavaScript stack ran out at call depth \d+/.test(e.message), e.message);
+        assert(e.message.includes('-> <callback>'), e.message);
+    }
+});
+
+// The error code raises on the VM (optimized and not) and on the tree-walking interpreter
+function errorsOnEachEngine(code) {
+    const ast = () => new Parser(new Lexer(code).tokenize()).parse();
+    const mockConsole = () => ({ innerHTML: '', scrollTop: 0, scrollHeight: 0 });
+    const runs = [
+        () => new VM(null, null, mockConsole(), null, '', null, {}).run(new Compiler().compile(ast())),
+        () => new VM(null, null, mockConsole(), null, '', null, {}).run(new Compiler({ optimize: false }).compile(ast())),
+        () => new Interpreter(null, null, mockConsole(), null, '', null, {}).run(ast())
+    ];
+    return runs.map(run => {
+        try {
+            run();
+        } catch (e) {
+            return e;
+        }
+        throw new Error('should have thrown an error');
+    });
+}
+
+runner.test('Traceback: runtime errors report their column', () => {
+    for (const e of errorsOnEachEngine('x = 1\ny = x +   nope')) {
+        assertEqual(e.line, 2);
+        assertEqual(e.col, 11);
+        assertEqual(e.format(), 'RuntimeError at line 2, col 11: Undefined variable: nope');
+    }
+    for (const e of errorsOnEachEngine('a = [1]\nb = 2\nc = a.missing(b)')) {
+        assertEqual(e.line, 3);
+        assert(e.col > 1, `Should point into the line, got col ${e.col}`);
+    }
+});
+
+runner.test('Traceback: format() lists the GridLang call stack', () => {
+    const code = 'func neighbors(p) {\n  return p + missing\n}\nfunc bfs(start) {\n  return neighbors(start)\n}\nprint(bfs(1))';
+    for (const e of errorsOnEachEngine(code)) {
+        assertArrayEqual(e.traceback.map(frame => `${frame.name}:${frame.line}`), ['<module>:7', 'bfs:5', 'neighbors:2']);
+        assertEqual(e.format(), 'RuntimeError at line 2, col 14: Undefined variable: missing\n' +
+            '  at neighbors() line 2, col 14\n  called from bfs() line 5, col 19\n  called from <module> line 7, col 10');
+    }
+});
+
+runner.test('Traceback: recursion is collapsed and caught errors keep theirs', () => {
+    const code = 'func down(n) {\n  if n == 0 { return 1 // 0 }\n  return down(n - 1)\n}\n' +
+        'func safe() {\n  try { down(2) } catch e { throw e }\n}\nsafe()';
+    for (const e of errorsOnEachEngine(code)) {
+        assertEqual(e.errorType, 'ZeroDivisionError');
+        assertEqual(e.format().split('\n').slice(1).join('|'),
+            '  at down() line 2, col 24|  called from down() line 3, col 14 (x2)|  called from safe() line 6, col 13|  called from <module> line 8, col 5');
+    }
+    // Errors at the top level have no traceback to show
+    assertEqual(errorsOnEachEngine('x = nope')[0].format(), 'RuntimeError at line 1, col 5: Undefined variable: nope');
+});
+
+// ============= LOCAL VARIABLE (LOAD_FAST) TESTS =============
+function compileFunction(code, name) {
+    const chunk = new Compiler().compile(new Parser(new Lexer(code).tokenize()).parse());
+    return chunk.constants.find(c => c && c.type === 'function' && c.name === name).chunk;
+}
+
+runner.test('Locals: params and locals compile to slots', () => {
+    const fn = compileFunction('func f(a, b) {\n  s = a + b\n  return s\n}', 'f');
+    assertArrayEqual(fn.localNames, ['a', 'b', 's']);
+    assert(fn.code.includes(OpCode.LOAD_FAST) && fn.code.includes(OpCode.STORE_FAST), 'Should emit LOAD_FAST/STORE_FAST');
+    assert(!fn.code.includes(OpCode.LOAD_VAR), 'Should not look locals up by name');
+});
+
+runner.test('Locals: parameter shadows a global of the same name', () => {
+    const result = evaluate('x = 10\nfunc f(x) {\n  x = x + 1\n  return x\n}\nprint(f(1), x)');
+    assertArrayEqual(result.output, ['2 10']);
+});
+
+runner.test('Locals: assigning a top-level variable still updates it', () => {
+    const result = evaluate('count = 0\nfunc bump() { count += 1 }\nbump()\nbump()\nprint(count)');
+    assertArrayEqual(result.output, ['2']);
+});
+
+runner.test('Locals: each call gets its own locals', () => {
+    const result = evaluate('func sum(n) {\n  if n == 0 { return 0 }\n  partial = sum(n - 1)\n  return partial + n\n}\nprint(sum(10))');
+    assertArrayEqual(result.output, ['55']);
+});
+
+runner.test('Locals: captured locals are shared with closures', () => {
+    const result = evaluate('func counter() {\n  c = 0\n  func inc() {\n    c += 1\n    return c\n  }\n  return inc\n}\na = counter()\nb = counter()\na()\na()\nprint(a(), b())');
+    assertArrayEqual(result.output, ['3 1']);
+    const fn = compileFunction('func counter() {\n  c = 0\n  func inc() { c += 1 }\n  return inc\n}', 'counter');
+    assertArrayEqual(fn.cellNames, ['c']);
+});
+
+runner.test('Locals: reading an unassigned local is an error', () => {
+    try {
+        evaluate('func f() {\n  if false { y = 1 }\n  return y\n}\nf()');
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assert(e.message.includes('Undefined variable: y'), `Should name the variable, got: ${e.message}`);
+        assertEqual(e.line, 3);
+    }
+});
+
+runner.test('Locals: function declared in a loop body', () => {
+    const result = evaluate('for i in range(3) {\n  func q() { return i }\n  print(q())\n}');
+    assertArrayEqual(result.output, ['0', '1', '2']);
+});
+
+// ============= WIDE OPERAND TESTS =============
+runner.test('Wide operands: jumps past 64K in a program of over 100K instructions', () => {
+    // The loop and the if both span the whole generated body
+    const body = Array.from({ length: 7000 }, (_, k) => `    total += ${k} * i + ${k % 7}`);
+    const code = ['total = 0', 'for i in range(3) {', '  if i > 0 {', ...body, '  } else { total -= 1 }', '}', 'print(total)'].join('\n');
+    const chunk = new Compiler().compile(new Parser(new Lexer(code).tokenize()).parse());
+    assert(chunk.code.length > 100000, `Expected over 100K instructions, got ${chunk.code.length}`);
+    assert(chunk.code.includes(OpCode.EXTENDED_ARG), 'Should emit EXTENDED_ARG for the wide jumps');
+    const expected = 3 * (7000 * 6999 / 2) + 2 * Array.from({ length: 7000 }, (_, k) => k % 7).reduce((a, b) => a + b) - 1;
+    assertArrayEqual(evaluate(code).output, [String(expected)]);
+});
+
+runner.test('Wide operands: large function body with loops and break', () => {
+    const body = Array.from({ length: 5000 }, (_, k) => `        s += ${k}`);
+    const code = ['func f(n) {', '  s = 0', '  while true {', '    if n == 0 { break }', '    n -= 1', '    if n % 2 == 1 { continue }', ...body, '  }', '  return s', '}', 'print(f(4))'].join('\n');
+    assertArrayEqual(evaluate(code).output, [String(2 * 5000 * 4999 / 2)]);
+});
+
+runner.test('Wide operands: more than 256 constants, names, locals and elements', () => {
+    const assigns = Array.from({ length: 300 }, (_, k) => `  v${k} = ${k + 1000}`).join('\n');
+    const elements = Array.from({ length: 300 }, (_, k) => `v${k}`).join(', ');
+    const code = `func f() {\n${assigns}\n  arr = [${elements}]\n  return arr\n}\narr = f()\n${assigns.replace(/^ {2}v/gm, 'w')}\nprint(len(arr), arr[299], w299, [${elements.replace(/v/g, 'w')}][150])`;
+    assertArrayEqual(evaluate(code).output, ['300 1299 1299 1150']);
+    const fn = compileFunction(code, 'f');
+    assert(fn.localNames.length > 256, 'Function should have more than 256 locals');
+});
+
+runner.test('Wide operands: small programs use short jumps', () => {
+    const chunk = new Compiler().compile(new Parser(new Lexer('for i in range(3) {\n  if i > 1 { print(i) }\n}').tokenize()).parse());
+    assert(!chunk.code.includes(OpCode.EXTENDED_ARG), 'Should not emit EXTENDED_ARG');
+});
+
+// ============= OPTIMIZER TESTS =============
+function compileChunk(code, options = {}) {
+    return new Compiler(options).compile(new Parser(new Lexer(code).tokenize()).parse());
+}
+
+// Output of code on the VM, which must not change when the Optimizer is off
+function evaluateOptimizedAndNot(code) {
+    const output = evaluate(code).output;
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    new VM(null, null, mockConsole, null, '', null, {}).run(compileChunk(code, { optimize: false }));
+    const unoptimized = mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    assertArrayEqual(output, unoptimized, 'optimized and unoptimized output differ');
+    return output;
+}
+
+runner.test('Optimizer: folds constant expressions', () => {
+    const chunk = compileChunk('x = 2 * 3 + 4\ns = "a" + "b"\nprint(x, s, -(3), 10 / 4, 1 < 2, "b" > "a")');
+    assert(!chunk.code.includes(OpCode.MUL) && !chunk.code.includes(OpCode.NEG), 'Should fold MUL and NEG');
+    assert(chunk.constants.includes(10) && chunk.constants.includes('ab'), 'Should add the folded constants');
+    const output = evaluateOptimizedAndNot('x = 2 * 3 + 4\ns = "a" + "b"\nprint(x, s, -(3), 10 / 4, 1 < 2, "b" > "a")');
+    assertArrayEqual(output, ['10 ab -3 2.5 true true']);
+});
+
+runner.test('Optimizer: leaves results the VM must compute to itself', () => {
+    const output = evaluateOptimizedAndNot('print(1 / 0, 0 * -1, 0 % 0, "a" * 2, 2 ** 3, 1 + "x")');
+    assertArrayEqual(output, ['Infinity 0 NaN NaN 8 1x']);
+    try {
+        evaluate('x = 1\ny = 7 // 0');
+        assert(false, 'should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'ZeroDivisionError');
+        assertEqual(e.line, 2);
+    }
+});
+
+runner.test('Optimizer: fuses increments and compare-and-branch', () => {
+    const code = 'func count(n) {\n  i = 0\n  while i < n { i += 1 }\n  return i\n}\ntotal = 0\nfor k in range(5) { total += 2 }\nprint(count(7), total)';
+    const fn = compileFunction(code, 'count');
+    assert(fn.code.includes(OpCode.INC_FAST) && fn.code.includes(OpCode.JUMP_IF_NOT_LT), 'Should emit INC_FAST and JUMP_IF_NOT_LT');
+    assert(compileChunk(code).code.includes(OpCode.INC_VAR), 'Should emit INC_VAR for a global');
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['7 10']);
+    assertArrayEqual(evaluateOptimizedAndNot('s = "a"\ns += 1\nb = bigint(2) ** 70\nb += 1\nprint(s, b)'), ['a1 1180591620717411303425']);
+});
+
+runner.test('Optimizer: removes unreachable code and constant branches', () => {
+    const code = 'func f() {\n  return 1\n  print("never")\n}\nif false { print("no") }\nwhile true { break }\nprint(f())';
+    const chunk = compileChunk(code);
+    assert(!chunk.lines.includes(5) && !chunk.lines.includes(6), 'Should drop if false and while true { break }');
+    assert(!compileFunction(code, 'f').lines.includes(3), 'Should drop code after return');
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['1']);
+});
+
+runner.test('Optimizer: threads jumps and keeps loops, breaks and try blocks working', () => {
+    const code = 'out = []\nfor i in range(6) {\n  if i % 2 == 0 {\n    if i == 4 { break }\n  } else {\n    try { if i == 3 { throw "three" } } catch e { out.push(e.message) }\n    continue\n  }\n  out.push(i)\n}\nprint(out)';
+    assertArrayEqual(evaluateOptimizedAndNot(code), ['[0, 2, three]']);
+});
+
+runner.test('Optimizer: errors keep their lines', () => {
+    const code = 'x = 2 * 3\ny = x + 1\nz = [1, 2]\nw = z.missing(1)';
+    for (const options of [{}, { optimize: false }]) {
+        try {
+            new VM(null, null, { innerHTML: '', scrollTop: 0, scrollHeight: 0 }, null, '', null, {}).run(compileChunk(code, options));
+            assert(false, 'should have thrown an error');
+        } catch (e) {
+            assertEqual(e.line, 4);
+        }
+    }
+});
+
+// ============= SERIALIZATION TESTS =============
+function runChunk(chunk) {
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    new VM(null, null, mockConsole, null, '', null, {}).run(chunk);
+    return mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+}
+
+// A stand-in for localStorage that holds at most quota entries
+function fakeStorage(quota = Infinity) {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => {
+            if (!items.has(key) && items.size >= quota) throw new Error('QuotaExceededError');
+            items.set(key, String(value));
+        },
+        removeItem: key => items.delete(key)
+    };
+}
+
+runner.test('Serialization: a chunk round-trips and runs the same', () => {
+    const code = 'func counter() {\n  n = 0\n  return func() { n += 1\n return n }\n}\nc = counter()\nc()\n' +
+        'big = bigint(2) ** 70\nm = r"(\\d+)-(\\d+)".groups("12-34")\n' +
+        'try { throw "boom" } catch e { print(e.message) }\n' +
+        'print(c(), big, m[1], 0 / 0, -1 / 0, 1 / -0 < 0, "tab\\tq")';
+    const chunk = compileChunk(code);
+    const copy = BytecodeChunk.deserialize(chunk.serialize());
+    assertArrayEqual(Array.from(copy.code), Array.from(chunk.code));
+    assertArrayEqual(copy.lines, chunk.lines);
+    assertArrayEqual(copy.columns, chunk.columns);
+    assertArrayEqual(runChunk(copy), evaluate(code).output);
+    assertArrayEqual(runChunk(copy), ['boom', '2 1180591620717411303424 34 NaN -Infinity true tab\tq']);
+});
+
+runner.test('Serialization: errors in loaded chunks keep their lines', () => {
+    const copy = BytecodeChunk.deserialize(compileChunk('x = 1\nfunc f() {\n  return nope\n}\nf()').serialize());
+    try {
+        runChunk(copy);
+        assert(false, 'should have thrown an error');
+    } catch (e) {
+        assertEqual(e.line, 3);
+    }
+});
+
+runner.test('Serialization: rejects other formats and versions', () => {
+    for (const text of ['not json', '{"format":"other"}']) {
+        try {
+            BytecodeChunk.deserialize(text);
+            assert(false, 'should have thrown an error');
+        } catch (e) {
+            assert(e.message.includes('Not a compiled GridLang program'), e.message);
+        }
+    }
+    const data = JSON.parse(compileChunk('print(1)').serialize());
+    data.version += 1;
+    try {
+        BytecodeChunk.deserialize(JSON.stringify(data));
+        assert(false, 'should have thrown an error');
+    } catch (e) {
+        assert(e.message.includes('compile the script again'), e.message);
+    }
+});
+
+runner.test('Serialization: chunk cache keeps the most recently used programs', () => {
+    const storage = fakeStorage();
+    const cache = new ChunkCache(storage, 'v1', 2);
+    assertEqual(cache.load('a'), null);
+    cache.save('a', 'A');
+    cache.save('b', 'B');
+    assertEqual(cache.load('a'), 'A');
+    cache.save('c', 'C');  // b is the least recently used
+    assertEqual(cache.load('b'), null);
+    assertEqual(cache.load('a'), 'A');
+    assertEqual(cache.load('c'), 'C');
+    assertEqual(new ChunkCache(storage, 'v2').load('a'), null);
+});
+
+runner.test('Serialization: chunk cache makes room when storage is full', () => {
+    const storage = fakeStorage(3);  // The index and two chunks
+    const cache = new ChunkCache(storage, 'v1');
+    cache.save('a', 'A');
+    cache.save('b', 'B');
+    cache.save('c', 'C');
+    assertEqual(cache.load('a'), null);
+    assertEqual(cache.load('c'), 'C');
+
+    const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); }, removeItem: () => {} };
+    new ChunkCache(broken).save('a', 'A');
+    assertEqual(new ChunkCache(broken).load('a'), null);
+});
+
+// ============= CHECKER TESTS =============
+function checkProblems(code) {
+    const ast = new Parser(new Lexer(code).tokenize()).parse();
+    return new Checker().check(ast).map(d => `${d.line}:${d.col} ${d.severity}: ${d.message}`);
+}
+
+runner.test('Checker: reports undefined names, including in f-strings', () => {
+    assertArrayEqual(checkProblems('x = 1\nprint(y)\nprint(f"{x} {z}")'), [
+        "2:7 error: Undefined name 'y'",
+        "3:14 error: Undefined name 'z'"
+    ]);
+});
+
+runner.test('Checker: warns about locals that are assigned but never read', () => {
+    const code = 'func f(a, b) {\n  t = a\n  _tmp = 1\n  u = 2\n  return b\n}\nunused_global = 5';
+    assertArrayEqual(checkProblems(code), [
+        "2:3 warning: 't' is assigned but never used",
+        "4:3 warning: 'u' is assigned but never used"
+    ]);
+});
+
+runner.test('Checker: calls with the wrong number of arguments are errors', () => {
+    const code = 'func f(a, b) { return a + b }\nf(1)\nf(1, 2)\nh = func(x) { return x }\nh(1, 2)\nprint(1, 2, 3)';
+    assertArrayEqual(checkProblems(code), [
+        '2:1 error: f() takes 2 arguments but is called with 1',
+        '5:1 error: h() takes 1 argument but is called with 2'
+    ]);
+});
+
+runner.test('Checker: reports break and continue outside of a loop', () => {
+    const code = 'break\nwhile true { func g() { continue }\n break }\nfor i in range(3) { if i > 1 { break } }';
+    assertArrayEqual(checkProblems(code), [
+        '1:1 error: break outside of loop',
+        '2:25 error: continue outside of loop'
+    ]);
+});
+
+runner.test('Checker: follows the compiler\'s scoping rules', () => {
+    const code = 'total = 0\nfunc add(n) { total = total + n }\ntry { x = 1 } catch e { print(e) }\n' +
+        'for k, v in {"a": 1} { print(k, v) }\nfunc later() { return helper() }\nfunc helper() { return 1 }\nprint(x, add, later)';
+    assertArrayEqual(checkProblems(code), []);
+});
+
+runner.test('Checker: names bound by match patterns are defined', () => {
+    assertArrayEqual(checkProblems('match [1, 2] {\n  [a, b] if a < b => print(a, b)\n  {x} => print(x)\n  _ => print(c)\n}'), [
+        "4:14 error: Undefined name 'c'"
+    ]);
+});
+
+runner.test('Checker: structs are defined names and check their constructor arity', () => {
+    assertArrayEqual(checkProblems('struct P { a, b }\nfunc P.sum() { return self.a + self.b }\nfunc Q.f() { return 0 }\nprint(P(1).sum())'), [
+        "3:6 error: Undefined name 'Q'",
+        '4:7 error: P() takes 2 arguments but is called with 1'
+    ]);
+});
+
+runner.test('Checker: arity allows for defaults and rest parameters', () => {
+    const code = 'func f(a, b = 1, ...rest) { return a }\nfunc g(a, b = a) { return b }\nprint(f(), f(1, 2, 3, 4), g(1), g(1, 2, 3), g(...[1, 2, 3]))';
+    assertArrayEqual(checkProblems(code), [
+        '3:7 error: f() takes at least 1 argument but is called with 0',
+        '3:33 error: g() takes 1 to 2 arguments but is called with 3'
+    ]);
+});
+
+runner.test('Checker: comprehension variables are defined', () => {
+    assertArrayEqual(checkProblems('func f(xs) {\n  ys = [x * 2 for x in xs if x > lim]\n  return {k: v for k, v in ys}\n}\nprint(f([1]))'), [
+        "2:34 error: Undefined name 'lim'"
+    ]);
+    assertArrayEqual(checkProblems('print([n for n in [1]], n)'), ["1:25 error: Undefined name 'n'"]);
+});
+
+// ============= MODULE TESTS =============
+// Run code with an in-memory file store standing in for the host's resolver
+function evaluateWithModules(code, files, engine = 'vm') {
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const resolve = name => files[name] !== undefined ? { path: name, source: files[name] } : null;
+    const ast = new Parser(new Lexer(code).tokenize()).parse();
+    if (engine === 'tree') {
+        const interp = new Interpreter(null, null, mockConsole, null, '', null, {});
+        interp.modules = new ModuleLoader(resolve, 'main');
+        interp.run(ast);
+    } else {
+        const vm = new VM(null, null, mockConsole, null, '', null, {});
+        vm.modules = new ModuleLoader(resolve, 'main');
+        vm.run(new Compiler().compile(ast));
+    }
+    return mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+}
+
+const UTILS_MODULE = 'SCALE = 10\nfunc scale(n) { return n * SCALE }\ncalls = 0\nfunc count() {\n  calls += 1\n  return calls\n}\nprint("loaded utils")';
+
+runner.test('Modules: import binds a map of the module globals', () => {
+    const output = evaluateWithModules('import "utils"\nprint(utils.scale(4), utils.SCALE)\nSCALE = 1\nprint(utils.scale(4))', { utils: UTILS_MODULE });
+    assertArrayEqual(output, ['loaded utils', '40 10', '40']);
+});
+
+runner.test('Modules: import, from and as are still names outside import statements', () => {
+    const output = evaluateBothEngines('from = 1\nas = 2\nimport = 3\nm = {from: from, as: as}\nm.import = import\nprint(m.from + m.as + m.import, m)');
+    assertArrayEqual(output, ['6 {from: 1, as: 2, import: 3}']);
+    for (const engine of ['vm', 'tree']) {
+        const result = evaluateWithModules('import "utils" as u\nas = u.SCALE\nfrom "utils" import scale\nfrom = scale(as)\nprint(as, from)', { utils: UTILS_MODULE }, engine);
+        assertArrayEqual(result, ['loaded utils', '10 100']);
+    }
+    assertArrayEqual(syntaxErrors('from "utils" scale'), ["1:14 Expected 'import' but got IDENT"]);
+});
+
+runner.test('Modules: from import binds names, module runs once', () => {
+    const output = evaluateWithModules('from "utils" import scale, count\nimport "utils" as u\nprint(scale(2), count(), count(), u.count())', { utils: UTILS_MODULE });
+    assertArrayEqual(output, ['loaded utils', '20 1 2 3']);
+});
+
+runner.test('Modules: modules import other modules, imports inside functions', () => {
+    const files = { utils: UTILS_MODULE, helpers: 'from "utils" import scale\nfunc twice(n) { return scale(n) * 2 }' };
+    const output = evaluateWithModules('func f(x) {\n  from "helpers" import twice\n  return twice(x)\n}\nprint(f(1), f(2))', files);
+    assertArrayEqual(output, ['loaded utils', '20 40']);
+});
+
+runner.test('Modules: a module does not see the importing script globals', () => {
+    try {
+        evaluateWithModules('secret = 1\nimport "peek"', { peek: 'print(secret)' });
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'RuntimeError');
+        assertEqual(e.line, 2);
+        assert(e.message.includes("in module 'peek', line 1"), e.message);
+    }
+});
+
+runner.test('Modules: the module map reads and writes the module globals', () => {
+    const code = 'import "utils"\nprint(utils.count(), utils.count(), utils.calls)\nfrom "utils" import calls\nutils.count()\nprint(calls, utils.calls, len(utils), "calls" in utils, "print" in utils)\nutils.calls = 10\nprint(utils.count(), "calls" in keys(utils))';
+    for (const engine of ['vm', 'tree']) {
+        assertArrayEqual(evaluateWithModules(code, { utils: UTILS_MODULE }, engine), [
+            'loaded utils', '1 2 2', '2 3 4 true false', '11 true'
+        ]);
+    }
+});
+
+runner.test('Modules: circular import is an ImportError', () => {
+    try {
+        evaluateWithModules('import "a"', { a: 'import "b"', b: 'x = 1\nimport "a"' });
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'ImportError');
+        assertEqual(e.line, 1);
+        assert(e.message.includes('Circular import: a -> b -> a'), e.message);
+    }
+});
+
+runner.test('Modules: missing module and missing name', () => {
+    for (const [code, message] of [['x = 1\nimport "nope"', "No module named 'nope'"], ['x = 1\nfrom "utils" import nope', "Cannot import name 'nope' from 'utils'"]]) {
+        try {
+            evaluateWithModules(code, { utils: UTILS_MODULE });
+            assert(false, 'Should have thrown an error');
+        } catch (e) {
+            assertEqual(e.errorType, 'ImportError');
+            assertEqual(e.line, 2);
+            assert(e.message.includes(message), e.message);
+        }
+    }
+});
+
+runner.test('Modules: syntax error in a module names the module', () => {
+    try {
+        evaluateWithModules('import "broken"', { broken: 'x = 1\ny = (' });
+        assert(false, 'Should have thrown an error');
+    } catch (e) {
+        assertEqual(e.errorType, 'SyntaxError');
+        assert(e.message.includes("in module 'broken', line 2"), e.message);
+    }
+});
+
+runner.test('Modules: work in the tree-walking interpreter', () => {
+    const files = { utils: UTILS_MODULE, helpers: 'from "utils" import scale\nfunc twice(n) { return scale(n) * 2 }' };
+    const output = evaluateWithModules('import "helpers"\nfrom "utils" import count\nprint(helpers.twice(3), count(), count())', files, 'tree');
+    assertArrayEqual(output, ['loaded utils', '60 1 2']);
+});
+
+// ============= DEBUGGER TESTS =============
+// Start a VM paused at the given breakpoints; returns the VM and its console
+function startDebugging(code, breakpoints) {
+    const mockConsole = { innerHTML: '', scrollTop: 0, scrollHeight: 0 };
+    const vm = new VM(null, null, mockConsole, null, '', null, {});
+    vm.breakpoints = new Set(breakpoints);
+    vm.run(new Compiler().compile(new Parser(new Lexer(code).tokenize()).parse()));
+    const output = () => mockConsole.innerHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    return { vm, output };
+}
+
+const DEBUG_PROGRAM = `func add(a, b) {
+    s = a + b
+    return s
+}
+total = 0
+for i in range(3) {
+    total = add(total, i)
+}
+print(total)`;
+
+runner.test('Debugger: breakpoint pauses before the line runs', () => {
+    const { vm, output } = startDebugging(DEBUG_PROGRAM, [7]);
+    assert(vm.paused, 'should pause at the breakpoint');
+    const state = vm.debugState();
+    assertEqual(state.line, 7);
+    assertEqual(state.frames.length, 1);
+    assertEqual(state.frames[0].name, '<module>');
+    assertEqual(state.globals.get('total'), 0);
+    assertEqual(state.globals.get('i'), 0);
+    assert(!state.globals.has('print'), 'builtins are not listed as globals');
+    assertArrayEqual(output(), []);
+});
+
+runner.test('Debugger: continue stops at each hit and then completes', () => {
+    const { vm, output } = startDebugging(DEBUG_PROGRAM, [3]);
+    const sums = [];
+    while (vm.paused) {
+        sums.push(vm.debugState().frames[0].locals.get('s'));
+        vm.resume();
+    }
+    assertArrayEqual(sums, [0, 1, 3]);
+    assertArrayEqual(output(), ['3']);
+});
+
+runner.test('Debugger: step over, into and out', () => {
+    const { vm } = startDebugging(DEBUG_PROGRAM, [7]);
+    const where = () => vm.debugState().frames.map(f => `${f.name}:${f.line}`).join(' ');
+    const trace = [where()];
+    for (const mode of ['over', 'over', 'into', 'into', 'out']) {
+        vm.resume(mode);
+        trace.push(where());
+    }
+    assertArrayEqual(trace, [
+        '<module>:7',
+        '<module>:6',
+        '<module>:7',
+        'add:2 <module>:7',
+        'add:3 <module>:7',
+        '<module>:6'
+    ]);
+    const locals = vm.debugState().globals;
+    assertEqual(locals.get('total'), 1);
+});
+
+runner.test('Debugger: frames expose locals and captured variables', () => {
+    const code = `func outer(n) {
+    k = n * 2
+    inner = func() { return k + 1 }
+    return inner()
+}
+print(outer(5))`;
+    const { vm, output } = startDebugging(code, [4]);
+    const frame = vm.debugState().frames[0];
+    assertEqual(frame.name, 'outer');
+    assertEqual(frame.locals.get('n'), 5);
+    assertEqual(frame.locals.get('k'), 10);
+    assert(frame.locals.has('inner'), 'inner should be listed');
+    vm.resume();
+    assert(!vm.paused);
+    assertArrayEqual(output(), ['11']);
+});
+
+runner.test('Debugger: code called back from builtins does not pause', () => {
+    const code = `func double(x) {
+    return x * 2
+}
+print([1, 2].map(double))
+print(double(5))`;
+    const { vm, output } = startDebugging(code, [2]);
+    assert(vm.paused, 'direct call should pause');
+    assertEqual(vm.debugState().frames[1].line, 5);
+    assertArrayEqual(output(), ['[2, 4]']);
+    vm.resume();
+    assertArrayEqual(output(), ['[2, 4]', '10']);
+});
+
+runner.test('Debugger: expression statements keep their own line', () => {
+    const code = 'func f() {\n    print(1)\n    print(2)\n}\nf()\nf()';
+    const chunk = new Compiler().compile(new Parser(new Lexer(code).tokenize()).parse());
+    const f = chunk.constants.find(c => c && c.chunk).chunk;
+    const lines = [...new Set(f.lines.filter(l => l))];
+    assertArrayEqual(lines, [2, 3]);
+    assertArrayEqual([...new Set(chunk.lines.filter(l => l))], [1, 5, 6]);
+});
+
+// ============= WORKER TESTS =============
+// Run a program through the worker protocol without a real worker: the
+// session's messages are collected and batches replayed on mock elements
+function evaluateInWorker(code, options = {}) {
+    const messages = [];
+    const session = new WorkerSession(message => messages.push(message));
+    session.handle({ type: 'run', code, ...options });
+
+    const calls = [];
+    const mockElement = (name) => new Proxy({}, {
+        get: (obj, prop) => prop in obj ? obj[prop] : (...args) => calls.push(`${name}.${prop}(${args.join(',')})`),
+        set: (obj, prop, value) => { calls.push(`${name}.${prop}=${value}`); return true; }
+    });
+    let consoleHTML = '';
+    const targets = {
+        canvas: { style: mockElement('canvas.style') },
+        ctx: mockElement('ctx'),
+        container: { classList: mockElement('classList') },
+        console: { append: html => { consoleHTML += html; }, set: html => { consoleHTML = html; } }
+    };
+    for (const message of messages) {
+        if (message.type === 'batch') replayCommands(message.commands, targets);
+    }
+    const output = consoleHTML.replace(/<[^>]+>/g, '').trim().split('\n').filter(x => x);
+    return { session, messages, calls, output, last: messages[messages.length - 1] };
+}
+
+runner.test('Worker: output and drawing arrive as batches, then done', () => {
+    const { calls, output, last } = evaluateInWorker('print("start")\ninit_2d(2, 10)\nset_cell(1, 0, "red")\nprint("end")');
+    assertArrayEqual(output, ['start', 'end']);
+    assertEqual(last.type, 'done');
+    assertEqual(last.animating, false);
+    assert(calls.includes('classList.remove(console-only)'), 'should show the canvas');
+    assert(calls.includes('ctx.fillStyle=red'), 'should set the cell color');
+    assert(calls.includes('ctx.fillRect(1,11,8,8)'), 'should fill the cell');
+});
+
+runner.test('Worker: input, inputs and saved-file modules are available', () => {
+    const { output } = evaluateInWorker('import "lib"\nprint(input_lines(), input_string("other"), lib.twice(4))', {
+        input: 'a\nb',
+        inputs: { other: 'x' },
+        files: { 'lib.grid': 'func twice(n) { return n * 2 }' }
+    });
+    assertArrayEqual(output, ['[a, b] x 8']);
+});
+
+runner.test('Worker: get_voxel answers from the worker copy of the voxels', () => {
+    const { output } = evaluateInWorker('set_voxel(1, 2, 3, "red")\nprint(get_voxel(1, 2, 3), get_voxel(0, 0, 0))\nremove_voxel(1, 2, 3)\nprint(get_voxel(1, 2, 3))');
+    assertArrayEqual(output, ['red null', 'null']);
+});
+
+runner.test('Worker: errors are sent with their location', () => {
+    const { last } = evaluateInWorker('x = 1\ny = nope + 1');
+    assertEqual(last.type, 'error');
+    assertEqual(last.error.errorType, 'RuntimeError');
+    assertEqual(last.error.line, 2);
+
+    const nested = evaluateInWorker('func f() {\n  return nope\n}\nf()').last;
+    assertArrayEqual(nested.error.traceback.map(frame => frame.line), [4, 2]);
+    assertEqual(deserializeError(nested.error).format().split('\n')[1], '  at f() line 2, col 10');
+
+    const syntax = evaluateInWorker('x = (1').last;
+    assertEqual(syntax.type, 'error');
+    assertEqual(syntax.error.errorType, 'SyntaxError');
+});
+
+runner.test('Worker: pauses at breakpoints and resumes on request', () => {
+    const { session, messages, last } = evaluateInWorker('x = 1\nprint(x)\nx = 2\nprint(x)', { breakpoints: [3] });
+    assertEqual(last.type, 'paused');
+    assertEqual(last.state.line, 3);
+    assertEqual(last.state.globals.get('x'), '1');
+    session.handle({ type: 'resume', mode: null });
+    assertEqual(messages[messages.length - 1].type, 'done');
+});
+
+runner.test('Worker: sends compiled bytecode back and runs cached bytecode', () => {
+    const code = 'x = 6\nprint(x * 7)';
+    const first = evaluateInWorker(code);
+    const compiled = first.messages.find(message => message.type === 'compiled');
+    assert(compiled, 'should send the compiled chunk');
+    assertArrayEqual(first.output, ['42']);
+
+    // The cached chunk is run as is, without compiling the (different) code
+    const cached = evaluateInWorker('print("recompiled")', { compiled: compiled.chunk });
+    assertArrayEqual(cached.output, ['42']);
+    assert(!cached.messages.some(message => message.type === 'compiled'), 'should not compile again');
+
+    const stale = evaluateInWorker(code, { compiled: '{"format":"gridc","version":0}' });
+    assertArrayEqual(stale.output, ['42']);
+    assert(stale.messages.some(message => message.type === 'compiled'), 'should compile a stale entry again');
+});
+
+// ============= CLI TESTS =============
+function runCLI(code, args = []) {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { execFileSync } = require('child_process');
+    const scriptPath = path.join(os.tmpdir(), `gridlang-cli-test-${process.pid}.grid`);
+    fs.writeFileSync(scriptPath, code);
+    try {
+        return execFileSync(process.execPath, ['gridlang-cli.js', ...args, scriptPath], { encoding: 'utf8', stdio: 'pipe' })
+            .trim().split('\n').filter(x => x);
+    } finally {
+        fs.unlinkSync(scriptPath);
+    }
+}
+
+runner.test('CLI: runs on the VM by default', () => {
+    const output = runCLI('func sq(n) { return n * n }\nprint(sq(7))\nx = sq(2) + 1\nprint(f"total: {x}")');
+    assertArrayEqual(output, ['49', 'total: 5']);
+});
+
+runner.test('CLI: --no-optimize runs the bytecode as compiled', () => {
+    const code = 'x = 2 * 3\nfor i in range(3) { x += 1 }\nprint(x)';
+    assertArrayEqual(runCLI(code, ['--no-optimize']), ['9']);
+    assertArrayEqual(runCLI(code), ['9']);
+});
+
+runner.test('CLI: compile writes a .gridc file that run executes', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { execFileSync } = require('child_process');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gridlang-compile-'));
+    try {
+        const script = path.join(dir, 'solve.grid');
+        fs.writeFileSync(script, 'a = input()\nb = input()\nprint(b + a)');
+        fs.writeFileSync(path.join(dir, 'input.txt'), 'first\nsecond');
+        // Input lines are echoed, so the program's own output is the last line
+        const cli = (...args) => execFileSync(process.execPath, ['gridlang-cli.js', ...args], { encoding: 'utf8', stdio: 'pipe' }).trim().split('\n').pop();
+        assert(cli('compile', script).includes('solve.gridc'), 'should report the output file');
+        assertEqual(cli('run', path.join(dir, 'solve.gridc'), path.join(dir, 'input.txt')), 'secondfirst');
+        assertEqual(cli(path.join(dir, 'solve.gridc'), path.join(dir, 'input.txt')), 'secondfirst');
+
+        cli('compile', '--no-optimize', script, path.join(dir, 'plain.gridc'));
+        assertEqual(cli('run', path.join(dir, 'plain.gridc'), path.join(dir, 'input.txt')), 'secondfirst');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+runner.test('CLI: lists every syntax error', () => {
+    try {
+        runCLI('x = (1\ny = 2\nz = ]');
+        assert(false, 'should have failed');
+    } catch (e) {
+        assertEqual(e.status, 1);
+        assertArrayEqual(e.stderr.trim().split('\n'), [
+            'SyntaxError at line 2, col 1: Expected RPAREN but got IDENT',
+            'SyntaxError at line 3, col 5: Unexpected token RBRACKET',
+            '2 syntax errors'
+        ]);
+    }
+});
+
+runner.test('CLI: check lists problems and fails on errors', () => {
+    try {
+        runCLI('func f(a) {\n  t = a\n  return a\n}\nf(1, 2)\nprint(missing)', ['check']);
+        assert(false, 'should have failed');
+    } catch (e) {
+        assertEqual(e.status, 1);
+        const lines = e.stdout.trim().split('\n').map(line => line.replace(/^.*\.grid:/, ''));
+        assertArrayEqual(lines, [
+            "2:3: warning: 't' is assigned but never used",
+            '5:1: error: f() takes 1 argument but is called with 2',
+            "6:7: error: Undefined name 'missing'",
+            '2 errors, 1 warning'
+        ]);
+    }
+    const clean = runCLI('print(read_file("a.txt"))', ['check']);
+    assert(clean[0].endsWith('no problems found'), clean[0]);
+});
+
+runner.test('CLI: check counts a single problem in the singular', () => {
+    try {
+        runCLI('x = (\nprint(1)', ['check']);
+        assert(false, 'should have failed');
+    } catch (e) {
+        assertEqual(e.stdout.trim().split('\n').pop(), '1 error, 0 warnings');
+    }
+});
+
+runner.test('CLI: check finds no problems in the examples', () => {
+    const fs = require('fs');
+    const { execFileSync } = require('child_process');
+    for (const file of fs.readdirSync('examples/cli').filter(f => f.endsWith('.grid'))) {
+        const output = execFileSync(process.execPath, ['gridlang-cli.js', 'check', `examples/cli/${file}`], { encoding: 'utf8', stdio: 'pipe' });
+        assertEqual(output.trim(), `examples/cli/${file}: no problems found`);
+    }
+});
+
+runner.test('CLI: imports modules from the script directory', () => {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gridlang-modules-'));
+    try {
+        fs.mkdirSync(path.join(dir, 'lib'));
+        fs.writeFileSync(path.join(dir, 'lib', 'grid_helpers.grid'), 'import "nums"\nfunc total(s) { return nums.sum_all(s) }');
+        fs.writeFileSync(path.join(dir, 'lib', 'nums.grid'), 'func sum_all(arr) {\n  t = 0\n  for x in arr { t += x }\n  return t\n}');
+        fs.writeFileSync(path.join(dir, 'main.grid'), 'from "lib/grid_helpers" import total\nprint(total([1, 2, 3]))');
+        for (const engine of ['--engine=vm', '--engine=tree']) {
+            const { execFileSync } = require('child_process');
+            const output = execFileSync(process.execPath, ['gridlang-cli.js', engine, path.join(dir, 'main.grid')], { encoding: 'utf8', stdio: 'pipe' });
+            assertEqual(output.trim(), '6');
+        }
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+runner.test('CLI: --engine=tree runs the tree-walking interpreter', () => {
+    const output = runCLI('x = [1, 2, 3]\nprint(len(x))', ['--engine=tree']);
+    assertArrayEqual(output, ['3']);
+});
+
+runner.test('CLI: file I/O builtins are available on the VM', () => {
+    const os = require('os');
+    const path = require('path');
+    const file = path.join(os.tmpdir(), `gridlang-cli-io-${process.pid}.txt`).replace(/\\/g, '/');
+    const output = runCLI(`write_file("${file}", "a,b")\nprint(read_file("${file}"))\nprint(file_exists("${file}"))`);
+    require('fs').unlinkSync(file);
+    assertArrayEqual(output, ['a,b', 'true']);
+});
+
+runner.test('CLI: canvas stubs do not shadow real builtins', () => {
+    const output = runCLI('arr = [1, 2]\narr.clear()\nprint(len(arr))');
+    assertArrayEqual(output, ['0']);
+});
+
 // ============= META TESTS =============
 // Tests that verify the development process itself
 
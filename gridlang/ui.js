@@ -10,6 +10,7 @@ const canvas3d = document.getElementById('canvas3d');
 const canvasContainer = document.getElementById('canvasContainer');
 const consoleEl = document.getElementById('console');
 const runBtn = document.getElementById('runBtn');
+const runStatus = document.getElementById('runStatus');
 const clearBtn = document.getElementById('clearBtn');
 const statsBtn = document.getElementById('statsBtn');
 const helpBtn = document.getElementById('helpBtn');
@@ -200,8 +201,27 @@ const builtinFunctions = {
     "Functions": [
         { name: "func name(params) { ... }", desc: "Define named function." },
         { name: "func(params) { ... }", desc: "Anonymous function (lambda). Assign to variable: f = func(x) { return x * 2 }" },
+        { name: "func f(a, b = 10, ...rest) { ... }", desc: "b is 10 when a call leaves it out; rest is an array of any arguments after b. Passing more arguments than a function has parameters (without ...rest) is a TypeError." },
+        { name: "f(...args)", desc: "Spread an array (or string, Set, Deque) into arguments. Also works in literals: [...a, 4] and {...defaults, size: 2}." },
         { name: "return value", desc: "Return value from function." },
     ],
+    "Modules": [
+        { name: "import \"utils\"", desc: "Run your saved file \"utils\" once and bind its globals as a map: utils.helper(x). The map reads through to the module's globals, so utils.calls sees later changes. Use import \"utils\" as u to pick the name." },
+        { name: "from \"utils\" import a, b", desc: "Import specific functions/variables from a saved file. Imported functions keep using their own module's globals." },
+    ],
+    "Error Handling": [
+        { name: "try { ... } catch e { ... } finally { ... }", desc: "Run the try block; if it raises an error, run the catch block with e set to a map {type, message, line}. The finally block always runs. catch e, the e, or finally may be left out." },
+        { name: "throw value", desc: "Raise an error. A string becomes the message of an Error; a map gives type and message: throw {type: \"ValueError\", message: \"bad input\"}. throw e re-raises a caught error." },
+        { name: "e.type, e.message, e.line", desc: "The caught error: type is the error name (ValueError, IndexError, TypeError, AssertionError...), line where it was raised." },
+    ],
+    "Debugger": [
+        { name: "Breakpoints", desc: "Click a line number in the editor gutter to toggle a breakpoint. Running pauses before the first instruction of that line." },
+        { name: "Continue (F8)", desc: "Resume until the next breakpoint or the end of the program." },
+        { name: "Step Over (F10)", desc: "Run to the next line in the current function, without stopping inside calls." },
+        { name: "Step Into (F11)", desc: "Run to the next line, stopping inside a function if the current line calls one." },
+        { name: "Step Out (Shift+F11)", desc: "Run until the current function returns to its caller." },
+        { name: "Call stack & variables", desc: "While paused, the panel under the console lists the call stack. Click a frame to see its locals and the globals. Code called back from builtins (map, sort, animate...) and imported modules is stepped over." },
+    ],
     "Arrays & Iteration": [
         { name: "range(start, end, step=1)", desc: "Generate array of numbers. If only one arg, starts from 0." },
         { name: "len(obj)", desc: "Get length of array, string, or map." },
@@ -218,6 +238,8 @@ const builtinFunctions = {
         { name: "for i, v in array { ... }", desc: "Iterate with index and value. Like enumerate in Python." },
         { name: "for key in map { ... }", desc: "Iterate over map keys." },
         { name: "for k, v in map { ... }", desc: "Iterate over map keys and values." },
+        { name: "[expr for x in xs if cond]", desc: "List comprehension: [x * 2 for x in xs if x > 0]. for clauses nest left to right: [[i, j] for i in a for j in b]." },
+        { name: "{k: v for k, v in m}", desc: "Map comprehension (the key is an expression). {x for x in xs} builds a Set." },
     ],
     "Array Methods": [
         { name: "arr.push(value)", desc: "Add element to end of array (mutates)." },
@@ -226,6 +248,7 @@ const builtinFunctions = {
         { name: "arr.remove(value)", desc: "Remove first occurrence of value (mutates)." },
         { name: "arr.removeAt(index)", desc: "Remove element at index (mutates). Returns removed element." },
         { name: "arr.clear()", desc: "Remove all elements (mutates)." },
+        { name: "arr[start:end:step]", desc: "Slice an array or string: arr[1:5], s[-3:], arr[::-1] (reversed). Any part may be left out; negative numbers count from the end, and arr[-1] is the last element. arr[1:3] = [x, y, z] replaces those elements. grid[0:10, 5:15] is a sub-grid." },
         { name: "arr.slice(start, end)", desc: "Extract subarray from start to end (returns new array)." },
         { name: "arr.concat(other)", desc: "Combine two arrays (returns new array)." },
         { name: "arr.merge(other)", desc: "Alias for concat. Combine two arrays (returns new array)." },
@@ -253,6 +276,7 @@ const builtinFunctions = {
         { name: "str(value)", desc: "Convert any value to string." },
         { name: "int(value)", desc: "Convert to integer (floors floats, parses strings)." },
         { name: "float(value)", desc: "Convert to float (parses strings)." },
+        { name: "bigint(value)", desc: "Exact integer of any size, from an integer or digit string. Arithmetic with bigints stays exact; mixing with floats is a TypeError." },
         { name: "bool(value)", desc: "Convert to boolean (truthy check)." },
     ],
     "String Functions": [
@@ -289,10 +313,12 @@ const builtinFunctions = {
         { name: "str.length", desc: "Get string length (property, not method)." },
     ],
     "Template Strings": [
-        { name: "f\"text {var}\"", desc: "F-string with variable interpolation. IMPORTANT: No space between f and quote. Use {var} not ${var}." },
+        { name: "f\"text {expr}\"", desc: "F-string interpolation. Any expression works: f\"{x + 1}\", f\"{arr[0]}\", f\"{len(items)}\". IMPORTANT: No space between f and quote. Use {var} not ${var}." },
         { name: "f\"Hello {name}!\"", desc: "Basic interpolation. Evaluates to 'Hello Alice!' if name='Alice'." },
         { name: "f\"{obj.prop}\"", desc: "Supports dot notation. Access nested properties: f\"{person.name}\"." },
         { name: "f\"{{literal}}\"", desc: "Use {{ and }} for literal braces. f\"{{value}}\" outputs '{value}'." },
+        { name: "f\"{value:spec}\"", desc: "Python-style format spec: {x:.2f} (2 decimals), {n:>5} (right-align in 5), {s:^9} (center), {x:08b} (binary, zero-padded), {n:x} (hex), {n:,} (thousands), {r:.1%} (percent)." },
+        { name: "f\"{'text'}\"", desc: "String literals inside an f-string must use the other quote character." },
     ],
     "Regular Expressions": [
         { name: "r\"pattern\"", desc: "Create regex literal. Use raw strings (r\"...\") to avoid escaping backslashes." },
@@ -334,6 +360,7 @@ const builtinFunctions = {
         { name: "clear_recording()", desc: "Clear all recorded frames." },
         { name: "get_animation_frames()", desc: "Get recording info: frame count, recording status, mode." },
         { name: "assert(condition, message='Assertion failed')", desc: "Throws error if condition is false. Use for runtime checks and testing." },
+        { name: "set_recursion_limit(n)", desc: "Sets the maximum depth of nested function calls (default 100000). Deeper calls raise a RecursionError showing the call chain." },
     ],
     "2D Drawing": [
         { name: "init_2d(gridSize, cellSize=20)", desc: "Initialize 2D grid. gridSize can be a number (square) or [rows, cols]." },
@@ -362,9 +389,36 @@ const builtinFunctions = {
         { name: "input_lines(filename=null)", desc: "Get input as array of lines. If filename is provided, reads from that named input." },
         { name: "input_grid(type='int', separator=auto, filename=null)", desc: "Parse input as 2D grid. type: 'int', 'float', 'char', or 'string'. Auto-detects separator (space/comma/tabs). If filename is provided, reads from that named input." },
     ],
+    "Data Structures": [
+        { name: "PriorityQueue(orderFn=null)", desc: "Min-heap. orderFn is a comparator func(a, b) (negative if a comes first) or a key func(item); default compares items naturally, so [dist, x, y] tuples pop smallest dist first." },
+        { name: "pq.push(item)", desc: "Add an item to the queue." },
+        { name: "pq.pop()", desc: "Remove and return the first item. Errors if the queue is empty." },
+        { name: "pq.peek()", desc: "Return the first item without removing it. Errors if the queue is empty." },
+        { name: "pq.len() / len(pq)", desc: "Number of items in the queue." },
+        { name: "for item in pq { ... }", desc: "Pops items in priority order until the queue is empty, including items pushed inside the loop." },
+        { name: "Set(items=null)", desc: "Collection of unique values, optionally seeded from an array. Works with in, len() and for (insertion order)." },
+        { name: "s.add(item) / s.remove(item) / s.has(item)", desc: "Add, remove (no error if missing) or test for a value." },
+        { name: "s.union(other) / s.intersect(other) / s.diff(other)", desc: "Set algebra with another Set or array. Returns a new Set. The global union/intersect/diff accept Sets too." },
+        { name: "Deque(items=null)", desc: "Double-ended queue with fast push/pop at both ends, optionally seeded from an array. Works with in, len() and for (front to back)." },
+        { name: "d.push(item) / d.push_front(item)", desc: "Add an item at the back or the front." },
+        { name: "d.pop() / d.pop_front()", desc: "Remove and return the back or front item. Errors if the deque is empty." },
+        { name: "d.peek() / d.peek_front()", desc: "Return the back or front item without removing it. Errors if the deque is empty." },
+    ],
+    "Grid Pathfinding": [
+        { name: "grid.bfs(start, goal=null)", desc: "Breadth-first search from [x, y]. goal is an [x, y] position, a predicate func(x, y, value), or null to explore everything. Returns {path, dist, visited}; path is null if unreachable." },
+        { name: "grid.dijkstra(start, goal=null, costFn=null)", desc: "Cheapest path. costFn(x, y, value) returns the cost of entering a cell (default 1). Returns {path, dist, visited}." },
+        { name: "grid.astar(start, goal, costFn=null, heuristic=null)", desc: "A* search to an [x, y] goal. heuristic(x, y) estimates remaining cost (default Manhattan, or Chebyshev with diags). The default assumes every step costs at least 1; if costFn returns less, pass a heuristic that never overestimates or the path may not be shortest. Returns {path, dist, visited}." },
+        { name: "grid.passable = func(x, y, value) { ... }", desc: "Which cells searches may enter. Default: every cell except \"#\". Moves follow grid.diags." },
+        { name: "grid.draw(overlay=null)", desc: "Draw the grid. Pass a search result to highlight visited cells and the path, or an array of [x, y] positions." },
+    ],
     "Operators": [
         { name: "key in map", desc: "Check if key exists in Map: returns true/false." },
         { name: "value in array", desc: "Check if value exists in Array: returns true/false." },
+        { name: "[x, y] == [x, y]", desc: "Arrays compare by value, so coordinate pairs work as map keys and Set items: seen[[x, y]] = true, then [x, y] in seen. A stored key is a frozen copy." },
+        { name: "a // b", desc: "Integer division, rounded down: 7 // 2 is 3, -7 // 2 is -4. Compound form: //=" },
+        { name: "a & b, a | b, a ^ b, ~a", desc: "Bitwise and, or, xor, not on integers of any size (bit masks wider than 32 bits stay exact). Compound forms: &=, |=, ^=" },
+        { name: "a << n, a >> n", desc: "Shift left / right by n bits: 1 << 40 is 1099511627776. Compound forms: <<=, >>=" },
+        { name: "0xFF, 0b1010, 1_000_000", desc: "Hex, binary and underscore-separated number literals." },
         { name: "substring in string", desc: "Check if substring exists in string: returns true/false." },
         { name: "condition ? true_val : false_val", desc: "Ternary operator: Returns true_val if condition is truthy, else false_val." },
         { name: "value ?: default", desc: "Elvis operator: Returns value if truthy, else default. Use for default values: port ?: 8080" },
@@ -1342,8 +1396,15 @@ function updateLineNumbers() {
     lineNumbers.textContent = html;
 }
 
-// Jump to a specific line (for error navigation)
-function jumpToLine(lineNumber) {
+// Jump to a specific line (for error navigation); col (1-based) places the
+// cursor in Ace
+function jumpToLine(lineNumber, col = null) {
+    if (window.aceEditor) {
+        window.aceEditor.gotoLine(lineNumber, col ? col - 1 : 0, true);
+        window.aceEditor.focus();
+        return;
+    }
+
     const lines = editor.value.split('\n');
     if (lineNumber < 1 || lineNumber > lines.length) return;
 
@@ -1366,13 +1427,13 @@ function jumpToLine(lineNumber) {
 // Override Prism to highlight our built-in functions and keywords
 Prism.languages.insertBefore('python', 'function', {
     'builtin-function': {
-        pattern: /\b(print|debug|set_debug|range|len|append|str|int|float|bool|substr|slice|split|join|upper|lower|trim|replace|starts_with|ends_with|contains|index_of|char_at|char_code|from_char_code|repeat|reverse|abs|sqrt|pow|floor|ceil|round|sin|cos|tan|min|max|random|time|clock|benchmark|animate|stop_animation|record_animation|save_animation_gif|stop_recording|clear_recording|get_animation_frames|init_2d|set_cell|clear_canvas|set_pixel|draw_line|draw_circle|draw_rect|rgb|hsl|init_3d|set_voxel|remove_voxel|get_voxel|clear_3d|begin_3d_batch|end_3d_batch|input_string|input_lines|input_grid)(?=\s*\()/,
+        pattern: /\b(print|debug|set_debug|range|len|append|str|int|float|bigint|bool|substr|slice|split|join|upper|lower|trim|replace|starts_with|ends_with|contains|index_of|char_at|char_code|from_char_code|repeat|reverse|abs|sqrt|pow|floor|ceil|round|sin|cos|tan|min|max|random|time|clock|benchmark|animate|stop_animation|record_animation|save_animation_gif|stop_recording|clear_recording|get_animation_frames|init_2d|set_cell|clear_canvas|set_pixel|draw_line|draw_circle|draw_rect|rgb|hsl|init_3d|set_voxel|remove_voxel|get_voxel|clear_3d|begin_3d_batch|end_3d_batch|input_string|input_lines|input_grid)(?=\s*\()/,
         alias: 'function'
     }
 });
 
 // Override Python's def keyword with func for GridLang
-Prism.languages.python.keyword = /\b(?:and|as|assert|async|await|break|case|class|continue|else|elif|except|exec|finally|for|from|global|if|import|in|is|lambda|match|nonlocal|not|or|pass|print|raise|return|try|while|with|yield|func)\b/;
+Prism.languages.python.keyword = /\b(?:and|as|assert|async|await|break|case|class|continue|else|elif|except|exec|finally|for|from|global|if|import|in|is|lambda|match|nonlocal|not|or|pass|print|raise|return|struct|try|catch|throw|while|with|yield|func)\b/;
 
 // Highlight and scroll sync (handled in autocomplete input handler now for highlight)
 editor.addEventListener('scroll', syncScroll);
@@ -1796,6 +1857,30 @@ for py in range(height) {
 print("Mandelbrot set complete!")`
 };
 
+// import "utils" loads the saved file named "utils" (or "utils.grid")
+function resolveModule(name) {
+    return resolveSavedFile(savedFiles, name);
+}
+
+// Programs run in a Web Worker (vm-worker.js) so the page stays responsive
+// and Stop can interrupt them. Recording a GIF needs the real canvas, so
+// those programs run on the page, as does everything when workers are not
+// available (e.g. gridlang.html opened from file://).
+let workerUnavailable = false;
+
+function canRunInWorker(code) {
+    return typeof Worker !== 'undefined' && !workerUnavailable &&
+        !/\b(record_animation|save_animation_gif)\b/.test(code);
+}
+
+// Bytecode of recently run programs, so unchanged code is not compiled again
+let chunkCache = null;
+try {
+    chunkCache = new ChunkCache(localStorage, window.GRIDLANG_VERSION || '');
+} catch (e) {
+    console.warn('Compiled chunk cache unavailable:', e);
+}
+
 function runCode() {
     // Auto-save if we are editing a file (not an example)
     if (scriptSelect.value && scriptSelect.value.startsWith('file:')) {
@@ -1804,103 +1889,354 @@ function runCode() {
 
     const code = editor.value;
     consoleEl.innerHTML = '';
+    hideDebugPanel();
 
-    // Start high-resolution timer
-    const startTime = performance.now();
-
-    // Stop any running animation first
+    // Stop whatever is still running: an animation, or a worker program
     if (currentInterpreter) {
         currentInterpreter.animationRunning = false;
         if (currentInterpreter.animationId) {
             cancelAnimationFrame(currentInterpreter.animationId);
             clearTimeout(currentInterpreter.animationId);
         }
+        if (currentInterpreter instanceof VMWorkerClient) {
+            currentInterpreter.stop();
+        }
     }
 
-    try {
-        const lexer = new Lexer(code);
-        const tokens = lexer.tokenize();
+    // Clear any previous error highlighting
+    clearErrorHighlight();
 
-        const parser = new Parser(tokens);
-        const ast = parser.parse();
+    const runningFile = scriptSelect.value && scriptSelect.value.startsWith('file:') ? currentFileId : null;
+    const options = {
+        code,
+        compiled: chunkCache ? chunkCache.load(code) : null,
+        input: inputs[currentInputId] || '',
+        inputs,
+        files: savedFiles,
+        mainFile: runningFile,
+        debug: debugCheckbox.checked,
+        // Breakpoints set in the editor gutter
+        breakpoints: window.getBreakpoints ? window.getBreakpoints() : [],
+        view: { width: canvasContainer.clientWidth, height: canvasContainer.clientHeight }
+    };
 
-        const currentInput = inputs[currentInputId] || '';
-        
-        // Compile AST to bytecode
-        const compiler = new Compiler();
-        const chunk = compiler.compile(ast);
+    // Start high-resolution timer
+    runElapsed = 0;
+    runSegmentStart = performance.now();
+
+    if (canRunInWorker(code)) {
+        try {
+            runInWorker(options);
+            return;
+        } catch (e) {
+            // Worker construction is refused, e.g. for file:// pages
+            console.warn('Running on the page, workers unavailable:', e);
+            workerUnavailable = true;
+        }
+    }
+    runOnPage(options);
+}
+
+function runInWorker(options) {
+    const client = new VMWorkerClient(withVersion('vm-worker.js'), {
+        canvas, canvas3d, renderer3d, canvasContainer, consoleElement: consoleEl
+    });
+    client.onCompiled = (serialized) => {
+        if (chunkCache) chunkCache.save(options.code, serialized);
+    };
+    client.onDone = finishRun;
+    client.onPause = finishRun;
+    client.onError = failRun;
+    currentInterpreter = client;
+    client.run(options);
+    showRunning();
+}
+
+// The cached chunk for the options' code, or a freshly compiled one
+function loadChunk(options) {
+    if (options.compiled) {
+        try {
+            return BytecodeChunk.deserialize(options.compiled);
+        } catch (e) {
+            // Damaged or from another format version: compile afresh
+        }
+    }
+
+    const lexer = new Lexer(options.code);
+    const tokens = lexer.tokenize();
+
+    const parser = new Parser(tokens);
+    const ast = parser.parse();
+
+    // Compile AST to bytecode
+    const compiler = new Compiler();
+    const chunk = compiler.compile(ast);
+    if (chunkCache) chunkCache.save(options.code, chunk.serialize());
+    return chunk;
+}
+
+function runOnPage(options) {
+    try {
+        const chunk = loadChunk(options);
         
         // Use VM instead of Interpreter
-        currentInterpreter = new VM(canvas, canvas3d, consoleEl, renderer3d, currentInput, canvasContainer, inputs);
+        currentInterpreter = new VM(canvas, canvas3d, consoleEl, renderer3d, options.input, canvasContainer, options.inputs);
+        currentInterpreter.modules = new ModuleLoader(resolveModule, options.mainFile);
 
         // Set debug mode from checkbox
-        currentInterpreter.debugEnabled = debugCheckbox.checked;
-
-        // Clear any previous error highlighting
-        clearErrorHighlight();
+        currentInterpreter.debugEnabled = options.debug;
+        currentInterpreter.breakpoints = new Set(options.breakpoints);
 
         currentInterpreter.run(chunk);
+    } catch (e) {
+        failRun(e);
+        return;
+    }
+
+    finishRun();
+}
+
+// Time spent executing the current run, excluding time paused in the debugger
+let runElapsed = 0;
+let runSegmentStart = 0;  // When the program last started or resumed
+let runningTimer = null;
+
+// While a worker program runs, the run button stops it and an elapsed
+// counter shows it is still going
+function showRunning() {
+    runBtn.textContent = '⏹';
+    runBtn.title = 'Stop';
+    runBtn.style.backgroundColor = '#dc2626'; // Red color
+    runBtn.style.color = 'white';
+
+    clearInterval(runningTimer);
+    runningTimer = setInterval(() => {
+        const elapsed = runElapsed + performance.now() - runSegmentStart;
+        runStatus.textContent = `Running… ${formatExecutionTime(elapsed)}`;
+    }, 100);
+}
+
+function hideRunning() {
+    clearInterval(runningTimer);
+    runningTimer = null;
+    runStatus.textContent = '';
+    resetRunButton();
+}
+
+// Called when run() or resume() returns (page) or reports back (worker):
+// either the debugger paused or the program completed
+function finishRun() {
+    runElapsed += performance.now() - runSegmentStart;
+    hideRunning();
+
+    if (currentInterpreter.paused) {
+        showDebugPanel();
+        return;
+    }
+    hideDebugPanel();
+
+    // Transform run button to stop button if animation is running
+    if (currentInterpreter.animationRunning) {
+        runBtn.textContent = '⏹';
+        runBtn.title = 'Stop';
+        runBtn.style.backgroundColor = '#dc2626'; // Red color
+        runBtn.style.color = 'white';
+
+        // Set callback to reset button when animation stops
+        currentInterpreter.onAnimationStop = resetRunButton;
+    }
+
+    // Display execution time
+    const formattedTime = formatExecutionTime(runElapsed);
+
+    const completionMsg = `<span style="color:#10b981;font-weight:bold">\n✓ Completed in ${formattedTime}</span>\n`;
+    currentInterpreter.cachedConsoleHTML += completionMsg;
+    consoleEl.innerHTML = currentInterpreter.cachedConsoleHTML;
+    consoleEl.scrollTop = consoleEl.scrollHeight;
+}
+
+function failRun(e) {
+    runElapsed += performance.now() - runSegmentStart;
+    hideRunning();
+    hideDebugPanel();
 
-        // Transform run button to stop button if animation is running
-        if (currentInterpreter.animationRunning) {
-            runBtn.textContent = '⏹';
-            runBtn.title = 'Stop';
-            runBtn.style.backgroundColor = '#dc2626'; // Red color
-            runBtn.style.color = 'white';
+    // Calculate execution time even on error
+    const formattedTime = formatExecutionTime(runElapsed);
 
-            // Set callback to reset button when animation stops
-            currentInterpreter.onAnimationStop = resetRunButton;
+    // Format error with location if available
+    let errorText = e.message;
+    let frames = [];
+    if (e instanceof GridLangError || (e.line !== undefined && e.col !== undefined)) {
+        errorText = e.summary ? e.summary() : `${e.errorType || 'Error'} at line ${e.line}, col ${e.col}: ${e.message}`;
+        frames = tracebackEntries(e.traceback);
+
+        // Highlight the error line in the editor
+        if (e.line) {
+            highlightErrorLine(e.line);
         }
+    }
 
-        // Calculate and display execution time
-        const endTime = performance.now();
-        const elapsed = endTime - startTime;
-        const formattedTime = formatExecutionTime(elapsed);
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    // Traceback lines go to their call in the editor when clicked (see the console click handler)
+    const frameHTML = frames.map(frame => frame.line ?
+        `\n<span class="error-frame" data-line="${frame.line}" data-col="${frame.col || ''}">${escape(frame.text)}</span>` :
+        `\n${escape(frame.text)}`).join('');
+    const errorMsg = `<span style="color:#f48771">${escape(errorText)}${frameHTML}</span>\n<span style="color:#ef4444;font-weight:bold">\n✗ Failed after ${formattedTime}</span>\n`;
 
-        const completionMsg = `<span style="color:#10b981;font-weight:bold">\n✓ Completed in ${formattedTime}</span>\n`;
-        currentInterpreter.cachedConsoleHTML += completionMsg;
+    if (currentInterpreter) {
+        currentInterpreter.cachedConsoleHTML += errorMsg;
         consoleEl.innerHTML = currentInterpreter.cachedConsoleHTML;
-        consoleEl.scrollTop = consoleEl.scrollHeight;
+    } else {
+        consoleEl.innerHTML += errorMsg;
+    }
+    consoleEl.scrollTop = consoleEl.scrollHeight;
+
+    console.error(e);
+
+    // Extract line number and jump to it
+    const lineMatch = e.message.match(/at line (\d+)/);
+    if (lineMatch) {
+        const errorLine = parseInt(lineMatch[1]);
+        jumpToLine(errorLine);
+    }
+}
+
+// Clicking a traceback line in the console goes to that call
+consoleEl.addEventListener('click', (e) => {
+    const frame = e.target.closest('.error-frame');
+    if (frame) {
+        jumpToLine(Number(frame.dataset.line), Number(frame.dataset.col) || null);
+    }
+});
+
+// Stop button while a worker program runs: end it where it is
+function stopRun() {
+    const elapsed = runElapsed + performance.now() - runSegmentStart;
+    currentInterpreter.stop();
+    hideRunning();
+
+    currentInterpreter.cachedConsoleHTML += `<span style="color:#ef4444;font-weight:bold">\n⏹ Stopped after ${formatExecutionTime(elapsed)}</span>\n`;
+    consoleEl.innerHTML = currentInterpreter.cachedConsoleHTML;
+    consoleEl.scrollTop = consoleEl.scrollHeight;
+}
+
+// ============= STEP DEBUGGER =============
+// The VM pauses at gutter breakpoints; it then reports back with paused set
+// and the panel below the console shows the call stack and variables.
+const debugPanel = document.getElementById('debugPanel');
+const debugStatus = document.getElementById('debugStatus');
+const debugCallStack = document.getElementById('debugCallStack');
+const debugVariables = document.getElementById('debugVariables');
 
+function isDebuggerPaused() {
+    return currentInterpreter !== null && currentInterpreter.paused === true;
+}
+
+// mode: null (continue), 'over', 'into' or 'out'
+function resumeDebugger(mode) {
+    if (!isDebuggerPaused()) return;
+
+    runSegmentStart = performance.now();
+    if (currentInterpreter instanceof VMWorkerClient) {
+        hideDebugPanel();
+        currentInterpreter.resume(mode);
+        showRunning();
+        return;
+    }
+
+    try {
+        currentInterpreter.resume(mode);
     } catch (e) {
-        // Calculate execution time even on error
-        const endTime = performance.now();
-        const elapsed = endTime - startTime;
-        const formattedTime = formatExecutionTime(elapsed);
-
-        // Format error with location if available
-        let errorText = e.message;
-        if (e instanceof GridLangError || (e.line !== undefined && e.col !== undefined)) {
-            errorText = e.format ? e.format() : `${e.errorType || 'Error'} at line ${e.line}, col ${e.col}: ${e.message}`;
-
-            // Highlight the error line in the editor
-            if (e.line) {
-                highlightErrorLine(e.line);
-            }
-        }
+        failRun(e);
+        return;
+    }
+    finishRun();
+}
 
-        const escapedMsg = errorText.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-        const errorMsg = `<span style="color:#f48771">${escapedMsg}</span>\n<span style="color:#ef4444;font-weight:bold">\n✗ Failed after ${formattedTime}</span>\n`;
+function stopDebugger() {
+    if (!isDebuggerPaused()) return;
 
-        if (currentInterpreter) {
-            currentInterpreter.cachedConsoleHTML += errorMsg;
-            consoleEl.innerHTML = currentInterpreter.cachedConsoleHTML;
-        } else {
-            consoleEl.innerHTML += errorMsg;
-        }
-        consoleEl.scrollTop = consoleEl.scrollHeight;
+    if (currentInterpreter instanceof VMWorkerClient) {
+        currentInterpreter.stop();
+    } else {
+        currentInterpreter.paused = false;
+    }
+    hideDebugPanel();
+    currentInterpreter.cachedConsoleHTML += `<span style="color:#ef4444;font-weight:bold">\n⏹ Stopped at line ${currentInterpreter.pausedLine}</span>\n`;
+    consoleEl.innerHTML = currentInterpreter.cachedConsoleHTML;
+    consoleEl.scrollTop = consoleEl.scrollHeight;
+}
+
+function showDebugPanel() {
+    // A worker sends its state along; a VM on the page is asked directly
+    const state = currentInterpreter instanceof VMWorkerClient ?
+        currentInterpreter.debugState() : describeDebugState(currentInterpreter);
+    debugPanel.classList.add('active');
+    debugStatus.textContent = `Paused at line ${state.line}`;
+
+    debugCallStack.innerHTML = '';
+    state.frames.forEach((frame, index) => {
+        const item = document.createElement('div');
+        item.className = 'debug-frame';
+        item.textContent = `${frame.name}  line ${frame.line}`;
+        item.addEventListener('click', () => selectDebugFrame(state, index));
+        debugCallStack.appendChild(item);
+    });
 
-        console.error(e);
+    selectDebugFrame(state, 0);
+}
 
-        // Extract line number and jump to it
-        const lineMatch = e.message.match(/at line (\d+)/);
-        if (lineMatch) {
-            const errorLine = parseInt(lineMatch[1]);
-            jumpToLine(errorLine);
+function selectDebugFrame(state, index) {
+    debugCallStack.querySelectorAll('.debug-frame').forEach((item, i) => {
+        item.classList.toggle('selected', i === index);
+    });
+    if (window.setDebugLine) {
+        window.setDebugLine(state.frames[index].line);
+    }
+
+    const rows = [];
+    const addGroup = (title, vars) => {
+        rows.push(`<tr><td colspan="2" style="color:#858585">${title}</td></tr>`);
+        for (const [name, text] of vars) {
+            const shown = text.length > 200 ? text.slice(0, 200) + '…' : text;
+            rows.push(`<tr><td>${escapeDebugHtml(name)}</td><td>${escapeDebugHtml(shown)}</td></tr>`);
         }
+    };
+    // The outermost frame is the main script, whose variables are the globals
+    if (index < state.frames.length - 1) {
+        addGroup('Locals', state.frames[index].locals);
+    }
+    addGroup('Globals', state.globals);
+    debugVariables.innerHTML = rows.join('');
+}
+
+function hideDebugPanel() {
+    debugPanel.classList.remove('active');
+    if (window.setDebugLine) {
+        window.setDebugLine(null);
     }
 }
 
+function escapeDebugHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+document.getElementById('debugContinueBtn').addEventListener('click', () => resumeDebugger(null));
+document.getElementById('debugStepOverBtn').addEventListener('click', () => resumeDebugger('over'));
+document.getElementById('debugStepIntoBtn').addEventListener('click', () => resumeDebugger('into'));
+document.getElementById('debugStepOutBtn').addEventListener('click', () => resumeDebugger('out'));
+document.getElementById('debugStopBtn').addEventListener('click', stopDebugger);
+
+document.addEventListener('keydown', (e) => {
+    if (!isDebuggerPaused()) return;
+
+    const modes = { F8: null, F10: 'over', F11: e.shiftKey ? 'out' : 'into' };
+    if (e.key in modes) {
+        e.preventDefault();
+        resumeDebugger(modes[e.key]);
+    }
+});
+
 function formatExecutionTime(ms) {
     if (ms < 1) {
         return `${(ms * 1000).toFixed(2)}µs`;
@@ -1930,6 +2266,9 @@ function stopAnimation() {
             clearTimeout(currentInterpreter.animationId);
             currentInterpreter.animationId = null;
         }
+        if (currentInterpreter instanceof VMWorkerClient) {
+            currentInterpreter.stop();
+        }
     }
 
     resetRunButton();
@@ -1954,8 +2293,10 @@ function clearCanvas() {
 }
 
 runBtn.addEventListener('click', () => {
-    // Check if we're in stop mode (animation running)
-    if (currentInterpreter && currentInterpreter.animationRunning) {
+    // Check if we're in stop mode (worker program or animation running)
+    if (currentInterpreter && currentInterpreter.running) {
+        stopRun();
+    } else if (currentInterpreter && currentInterpreter.animationRunning) {
         stopAnimation();
     } else {
         runCode();
@@ -0,0 +1,422 @@
+// GridLang remote execution
+// Runs the VM in a Web Worker so long scripts don't freeze the page. The
+// worker gives the VM stand-ins for the canvas, console and 3D renderer
+// that record what it does to them; the records reach the page in batches
+// and are replayed on the real elements there.
+//
+// Messages, page -> worker:
+//   { type: 'run', code, compiled, input, inputs, files, mainFile, breakpoints, debug, view }
+//   { type: 'resume', mode }
+// worker -> page:
+//   { type: 'compiled', chunk }     serialized bytecode for code, to cache for the next run
+//   { type: 'batch', commands }     drawing and console output so far
+//   { type: 'done', animating }     the program finished (an animation may go on)
+//   { type: 'paused', state }       stopped at a breakpoint or step
+//   { type: 'error', error }        the program failed
+//   { type: 'animationStop' }       a running animation ended
+
+// Wrap in IIFE for browser to avoid global scope pollution
+(function() {
+
+// Import dependencies based on environment
+var Compiler, BytecodeChunk, VM, GridLangError, ModuleLoader;
+if (typeof module !== 'undefined' && module.exports) {
+    // Node.js environment
+    Compiler = require('./bytecode.js').Compiler;
+    BytecodeChunk = require('./bytecode.js').BytecodeChunk;
+    VM = require('./vm.js').VM;
+    const gridlang = require('./gridlang.js');
+    GridLangError = gridlang.GridLangError;
+    ModuleLoader = gridlang.ModuleLoader;
+} else {
+    // Browser and worker environment - use globals
+    Compiler = window.Compiler;
+    BytecodeChunk = window.BytecodeChunk;
+    VM = window.VM;
+    GridLangError = window.GridLangError;
+    ModuleLoader = window.ModuleLoader;
+}
+
+// import "utils" loads the saved file named "utils" (or "utils.grid")
+function resolveSavedFile(files, name) {
+    const id = name.replace(/^\.\//, '');
+    for (const candidate of [id, id + '.grid']) {
+        if (Object.prototype.hasOwnProperty.call(files, candidate)) {
+            return { path: candidate, source: files[candidate] };
+        }
+    }
+    return null;
+}
+
+// Lexer and Parser are script globals in the browser and worker; Node loads them on demand
+function compileSource(source) {
+    const LexerClass = typeof Lexer !== 'undefined' ? Lexer : require('./lexer.js').Lexer;
+    const ParserClass = typeof Parser !== 'undefined' ? Parser : require('./parser.js').Parser;
+    const ast = new ParserClass(new LexerClass(source).tokenize()).parse();
+    return new Compiler().compile(ast);
+}
+
+// Errors cross to the page as plain data; GridLang errors keep their location and traceback
+function serializeError(e) {
+    return {
+        message: e.message,
+        line: e.line !== undefined ? e.line : null,
+        col: e.col !== undefined ? e.col : null,
+        errorType: e.errorType || null,
+        traceback: e.traceback || null
+    };
+}
+
+function deserializeError(data) {
+    if (data.errorType) {
+        const error = new GridLangError(data.message, data.line, data.col, data.errorType);
+        error.traceback = data.traceback;
+        return error;
+    }
+    return new Error(data.message);
+}
+
+// The debugger panel's view of a paused VM, with values already rendered
+// as text so it can be posted to the page
+function describeDebugState(vm) {
+    const state = vm.debugState();
+    const describe = (vars) => new Map([...vars].map(([name, value]) => [name, vm.toString(value)]));
+    return {
+        line: state.line,
+        frames: state.frames.map(frame => ({ name: frame.name, line: frame.line, locals: describe(frame.locals) })),
+        globals: describe(state.globals)
+    };
+}
+
+// ============= WORKER SIDE =============
+// Commands are [target, 'set', property, value] or [target, 'call', method, args],
+// where target names a page element: 'canvas', 'canvas.style', 'ctx',
+// 'canvas3d', 'canvas3d.style', 'renderer3d', 'container.classList' or 'console'.
+class CommandRecorder {
+    constructor(post) {
+        this.post = post;
+        this.commands = [];
+        this.consoleHTML = '';  // Console contents the page has been sent
+        this.lastFlushTime = 0;
+        this.flushInterval = 50;  // ms between batches while the program draws
+        this.maxBatch = 10000;
+    }
+
+    record(target, kind, name, value) {
+        this.commands.push([target, kind, name, value]);
+        if (this.commands.length >= this.maxBatch || Date.now() - this.lastFlushTime >= this.flushInterval) {
+            this.flush();
+        }
+    }
+
+    flush() {
+        if (this.commands.length > 0) {
+            this.post({ type: 'batch', commands: this.commands });
+            this.commands = [];
+        }
+        this.lastFlushTime = Date.now();
+    }
+
+    // An element whose property writes and method calls are recorded.
+    // Properties in state read back locally; functions in state run locally.
+    element(target, state = {}) {
+        const recorder = this;
+        return new Proxy(state, {
+            get(obj, name) {
+                if (name in obj) return obj[name];
+                return (...args) => recorder.record(target, 'call', name, args);
+            },
+            set(obj, name, value) {
+                obj[name] = value;
+                recorder.record(target, 'set', name, value);
+                return true;
+            }
+        });
+    }
+
+    // The VM constructor arguments for a worker run. view is the page's
+    // canvas container size, which init_3d sizes the 3D canvas from.
+    createHost(view = { width: 600, height: 400 }) {
+        const ctx = this.element('ctx');
+        const canvas = this.element('canvas', {
+            width: 300,
+            height: 150,
+            style: this.element('canvas.style'),
+            getContext: () => ctx,
+            toDataURL: () => null
+        });
+        const canvas3d = this.element('canvas3d', {
+            width: 300,
+            height: 150,
+            style: this.element('canvas3d.style'),
+            parentElement: { clientWidth: view.width, clientHeight: view.height },
+            toDataURL: () => null
+        });
+
+        // get_voxel needs answers, so the worker keeps its own copy of the voxels
+        const voxels = new Map();
+        const key = (x, y, z) => `${x},${y},${z}`;
+        const renderer3d = this.element('renderer3d', {
+            setVoxel: (...args) => {
+                voxels.set(key(args[0], args[1], args[2]), args[3]);
+                this.record('renderer3d', 'call', 'setVoxel', args);
+            },
+            removeVoxel: (...args) => {
+                voxels.delete(key(args[0], args[1], args[2]));
+                this.record('renderer3d', 'call', 'removeVoxel', args);
+            },
+            getVoxel: (x, y, z) => {
+                const color = voxels.get(key(x, y, z));
+                return color === undefined ? null : color;
+            },
+            clear: (...args) => {
+                voxels.clear();
+                this.record('renderer3d', 'call', 'clear', args);
+            }
+        });
+
+        const canvasContainer = { classList: this.element('container.classList') };
+
+        // The VM rewrites the whole console on each flush; only the new part
+        // is sent, and right away so output shows while the program runs on
+        const recorder = this;
+        const consoleElement = {
+            scrollTop: 0,
+            scrollHeight: 0,
+            get innerHTML() {
+                return recorder.consoleHTML;
+            },
+            set innerHTML(html) {
+                if (html.startsWith(recorder.consoleHTML)) {
+                    recorder.record('console', 'call', 'append', [html.slice(recorder.consoleHTML.length)]);
+                } else {
+                    recorder.record('console', 'call', 'set', [html]);
+                }
+                recorder.consoleHTML = html;
+                recorder.flush();
+            }
+        };
+
+        return { canvas, canvas3d, renderer3d, canvasContainer, consoleElement };
+    }
+}
+
+// One program run inside the worker. handle() takes the page's messages;
+// every run or resume ends with exactly one 'done', 'paused' or 'error'.
+class WorkerSession {
+    constructor(post) {
+        this.post = post;
+        this.recorder = null;
+        this.vm = null;
+    }
+
+    handle(message) {
+        switch (message.type) {
+            case 'run':
+                this.run(message);
+                break;
+            case 'resume':
+                this.step(() => this.vm.resume(message.mode));
+                break;
+            default:
+                throw new Error(`Unknown worker message: ${message.type}`);
+        }
+    }
+
+    run({ code, compiled = null, input = '', inputs = {}, files = {}, mainFile = null, breakpoints = [], debug = false, view }) {
+        this.recorder = new CommandRecorder(this.post);
+        const host = this.recorder.createHost(view);
+        this.vm = null;
+
+        this.step(() => {
+            const chunk = this.loadChunk(code, compiled);
+            const vm = new VM(host.canvas, host.canvas3d, host.consoleElement, host.renderer3d, input, host.canvasContainer, inputs);
+            vm.modules = new ModuleLoader(name => resolveSavedFile(files, name), mainFile);
+            vm.debugEnabled = debug;
+            vm.breakpoints = new Set(breakpoints);
+            vm.onAnimationStop = () => {
+                this.flush();
+                this.post({ type: 'animationStop' });
+            };
+            this.vm = vm;
+            vm.run(chunk);
+        });
+    }
+
+    // compiled is the page's cached bytecode for code, if it had any. A chunk
+    // compiled here is sent back so the page can cache it.
+    loadChunk(code, compiled) {
+        if (compiled) {
+            try {
+                return BytecodeChunk.deserialize(compiled);
+            } catch (e) {
+                // Damaged or from another format version: compile afresh
+            }
+        }
+        const chunk = compileSource(code);
+        this.post({ type: 'compiled', chunk: chunk.serialize() });
+        return chunk;
+    }
+
+    // Send whatever has been drawn or printed so far
+    flush() {
+        if (this.recorder) {
+            this.recorder.flush();
+        }
+    }
+
+    step(action) {
+        try {
+            action();
+        } catch (e) {
+            this.flush();
+            this.post({ type: 'error', error: serializeError(e) });
+            return;
+        }
+        this.flush();
+        if (this.vm.paused) {
+            this.post({ type: 'paused', state: describeDebugState(this.vm) });
+        } else {
+            this.post({ type: 'done', animating: !!this.vm.animationRunning });
+        }
+    }
+}
+
+// ============= PAGE SIDE =============
+// Apply recorded commands to the real elements. targets maps the names used
+// in commands to objects: { canvas, ctx, canvas3d, renderer3d, container, console }.
+function replayCommands(commands, targets) {
+    for (const [target, kind, name, value] of commands) {
+        let obj = targets;
+        for (const part of target.split('.')) {
+            obj = obj ? obj[part] : null;
+        }
+        if (!obj) continue;  // e.g. no 3D renderer on this page
+        if (kind === 'set') {
+            obj[name] = value;
+        } else {
+            obj[name](...value);
+        }
+    }
+}
+
+// Runs programs in a worker (vm-worker.js) on behalf of the page. Offers the
+// parts of the VM the UI uses, but results arrive later: run() and each
+// resume() end in a call to onDone, onPause or onError.
+class VMWorkerClient {
+    constructor(workerUrl, page) {
+        this.consoleElement = page.consoleElement;
+        this.cachedConsoleHTML = '';
+        this.targets = {
+            canvas: page.canvas,
+            ctx: page.canvas ? page.canvas.getContext('2d') : null,
+            canvas3d: page.canvas3d,
+            renderer3d: page.renderer3d,
+            container: page.canvasContainer,
+            console: {
+                append: (html) => this.showConsole(this.cachedConsoleHTML + html),
+                set: (html) => this.showConsole(html)
+            }
+        };
+
+        this.running = false;  // Executing right now (not paused, not finished)
+        this.paused = false;
+        this.pausedLine = null;
+        this.state = null;  // Debugger state while paused (see describeDebugState)
+        this.animationRunning = false;
+        this.onCompiled = null;  // Called with serialized bytecode when the worker had to compile
+        this.onDone = null;
+        this.onPause = null;
+        this.onError = null;
+        this.onAnimationStop = null;
+
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = (e) => this.receive(e.data);
+        this.worker.onerror = (e) => {
+            // The worker script itself failed (e.g. a file could not be loaded)
+            e.preventDefault();
+            this.running = false;
+            if (this.onError) this.onError(new Error(e.message || 'Worker failed to start'));
+        };
+    }
+
+    run(options) {
+        this.running = true;
+        this.worker.postMessage({ type: 'run', ...options });
+    }
+
+    resume(mode = null) {
+        if (!this.paused) {
+            throw new Error('resume() called while not paused');
+        }
+        this.paused = false;
+        this.running = true;
+        this.worker.postMessage({ type: 'resume', mode });
+    }
+
+    // Interrupts the program wherever it is
+    stop() {
+        this.worker.terminate();
+        this.running = false;
+        this.paused = false;
+        this.animationRunning = false;
+    }
+
+    debugState() {
+        return this.state;
+    }
+
+    showConsole(html) {
+        this.cachedConsoleHTML = html;
+        if (this.consoleElement) {
+            this.consoleElement.innerHTML = html;
+            this.consoleElement.scrollTop = this.consoleElement.scrollHeight;
+        }
+    }
+
+    receive(message) {
+        switch (message.type) {
+            case 'batch':
+                replayCommands(message.commands, this.targets);
+                break;
+            case 'compiled':
+                if (this.onCompiled) this.onCompiled(message.chunk);
+                break;
+            case 'done':
+                this.running = false;
+                this.animationRunning = message.animating;
+                if (this.onDone) this.onDone();
+                break;
+            case 'paused':
+                this.running = false;
+                this.paused = true;
+                this.state = message.state;
+                this.pausedLine = message.state.line;
+                if (this.onPause) this.onPause();
+                break;
+            case 'error':
+                this.running = false;
+                if (this.onError) this.onError(deserializeError(message.error));
+                break;
+            case 'animationStop':
+                this.animationRunning = false;
+                if (this.onAnimationStop) this.onAnimationStop();
+                break;
+        }
+    }
+}
+
+// Export
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CommandRecorder, WorkerSession, VMWorkerClient, replayCommands, resolveSavedFile, describeDebugState, serializeError, deserializeError };
+} else if (typeof window !== 'undefined') {
+    // Browser: expose globally
+    window.CommandRecorder = CommandRecorder;
+    window.WorkerSession = WorkerSession;
+    window.VMWorkerClient = VMWorkerClient;
+    window.replayCommands = replayCommands;
+    window.resolveSavedFile = resolveSavedFile;
+    window.describeDebugState = describeDebugState;
+}
+
+})();
@@ -0,0 +1,22 @@
+// GridLang Web Worker
+// Runs programs off the page's main thread; see vm-remote.js for the
+// messages exchanged with the page.
+
+// The scripts below publish what they define on window
+self.window = self;
+
+// Load them with the same cache-busting version as the page (vm-worker.js?v=...)
+const version = self.location.search;
+importScripts(...['lexer.js', 'parser.js', 'gridlang.js', 'bytecode.js', 'vm.js', 'vm-remote.js'].map(src => src + version));
+
+const session = new WorkerSession((message) => self.postMessage(message));
+
+// animate() runs on a ~60 fps timer here, and the page receives each
+// frame's drawing as one batch
+self.requestAnimationFrame = (callback) => setTimeout(() => {
+    callback(performance.now());
+    session.flush();
+}, 16);
+self.cancelAnimationFrame = (id) => clearTimeout(id);
+
+self.onmessage = (e) => session.handle(e.data);
@@ -5,15 +5,43 @@
 (function() {
 
 // Import dependencies based on environment
-var OpCode, GridLangError, GridObject;
+var OpCode, Compiler, GridLangError, GridObject, PriorityQueueObject, SetObject, DequeObject, StructType, StructInstance, structTypeOf, spreadValues, spreadEntries, checkArgCount, Slice, sliceSequence, assignSlice, sequenceIndex, ModuleExports, TupleTable, valuesEqual, indexOfValue, formatCallChain, formatWithSpec, bigintArith, toBigInt, mathBuiltin, parseInteger, integerArith, bitwiseNot, errorValue, thrownError;
 if (typeof module !== 'undefined' && module.exports) {
     // Node.js environment
     const bytecode = require('./bytecode.js');
     OpCode = bytecode.OpCode;
+    Compiler = bytecode.Compiler;
     try {
         const gridlang = require('./gridlang.js');
         GridLangError = gridlang.GridLangError;
         GridObject = gridlang.GridObject;
+        PriorityQueueObject = gridlang.PriorityQueueObject;
+        SetObject = gridlang.SetObject;
+        DequeObject = gridlang.DequeObject;
+        StructType = gridlang.StructType;
+        StructInstance = gridlang.StructInstance;
+        structTypeOf = gridlang.structTypeOf;
+        spreadValues = gridlang.spreadValues;
+        spreadEntries = gridlang.spreadEntries;
+        checkArgCount = gridlang.checkArgCount;
+        Slice = gridlang.Slice;
+        sliceSequence = gridlang.sliceSequence;
+        assignSlice = gridlang.assignSlice;
+        sequenceIndex = gridlang.sequenceIndex;
+        TupleTable = gridlang.TupleTable;
+        ModuleExports = gridlang.ModuleExports;
+        valuesEqual = gridlang.valuesEqual;
+        indexOfValue = gridlang.indexOfValue;
+        formatCallChain = gridlang.formatCallChain;
+        formatWithSpec = gridlang.formatWithSpec;
+        bigintArith = gridlang.bigintArith;
+        toBigInt = gridlang.toBigInt;
+        mathBuiltin = gridlang.mathBuiltin;
+        parseInteger = gridlang.parseInteger;
+        integerArith = gridlang.integerArith;
+        bitwiseNot = gridlang.bitwiseNot;
+        errorValue = gridlang.errorValue;
+        thrownError = gridlang.thrownError;
     } catch (e) {
         // GridLangError not available, define it
         class GridLangErrorLocal extends Error {
@@ -30,8 +58,42 @@ if (typeof module !== 'undefined' && module.exports) {
 } else {
     // Browser environment - use globals
     OpCode = window.OpCode;
+    Compiler = window.Compiler;
     GridLangError = window.GridLangError;
     GridObject = window.GridObject;
+    PriorityQueueObject = window.PriorityQueueObject;
+    SetObject = window.SetObject;
+    DequeObject = window.DequeObject;
+    StructType = window.StructType;
+    StructInstance = window.StructInstance;
+    structTypeOf = window.structTypeOf;
+    spreadValues = window.spreadValues;
+    spreadEntries = window.spreadEntries;
+    checkArgCount = window.checkArgCount;
+    Slice = window.Slice;
+    sliceSequence = window.sliceSequence;
+    assignSlice = window.assignSlice;
+    sequenceIndex = window.sequenceIndex;
+    TupleTable = window.TupleTable;
+    ModuleExports = window.ModuleExports;
+    valuesEqual = window.valuesEqual;
+    indexOfValue = window.indexOfValue;
+    formatCallChain = window.formatCallChain;
+    formatWithSpec = window.formatWithSpec;
+    bigintArith = window.bigintArith;
+    toBigInt = window.toBigInt;
+    mathBuiltin = window.mathBuiltin;
+    parseInteger = window.parseInteger;
+    integerArith = window.integerArith;
+    bitwiseNot = window.bitwiseNot;
+    errorValue = window.errorValue;
+    thrownError = window.thrownError;
+}
+
+// The Compiler stores comprehension variables under names like x#1, which
+// scripts cannot write; they are not shown as variables or exported
+function isHiddenName(name) {
+    return name.includes('#');
 }
 
 // ChainedMap - a Map with a parent for fallback lookup (lexical scoping)
@@ -65,8 +127,18 @@ class ChainedMap extends Map {
         }
         return this;
     }
+    
+    // Bind key in this scope even if a parent scope already has it
+    declare(key, value) {
+        super.set(key, value);
+        return this;
+    }
 }
 
+// Value of a local that has not been assigned yet (reading it is an error)
+const UNBOUND = Symbol('unbound');
+const NO_LOCALS = [];
+
 // ============= VM =============
 class VM {
     constructor(canvas, canvas3d, consoleElement, renderer3d, inputData, canvasContainer, inputsMap = null) {
@@ -82,10 +154,27 @@ class VM {
         
         // VM state
         this.stack = [];
-        this.frames = [];  // Call frames
-        this.globals = new Map();
+        this.frames = [];  // Call frames, innermost last (see pushFrame)
+        this.frame = null;  // Current frame (top of this.frames)
+        this.globals = new Map();  // Current scope
         this.ip = 0;  // Instruction pointer
         this.chunk = null;
+        this.recursionLimit = 100000;  // Max nested GridLang calls
+        this.overflowDepth = null;  // Call depth the JS stack last ran out at
+        this.modules = null;  // Module loader for import statements (set by the host, see ModuleLoader)
+        this.builtins = null;  // Globals before the program runs: the starting scope of every module
+        this.optimize = true;  // Run the Optimizer over imported modules (like Compiler's option)
+        this.tuples = new TupleTable();  // Arrays stored as map keys and Set items
+        
+        // Step debugger (see DEBUGGER below). Pause points are only checked
+        // while tracing, i.e. when there are breakpoints or a step pending.
+        this.breakpoints = new Set();  // Lines of the main script
+        this.stepMode = null;  // 'into', 'over', 'out', or null to run to the next breakpoint
+        this.stepDepth = 0;  // Frame depth when the step started
+        this.tracing = false;
+        this.paused = false;
+        this.pausedLine = null;
+        this.skipPause = false;  // Don't pause again on the instruction we resume at
         
         // Runtime state (same as old interpreter)
         this.gridSize = 0;
@@ -132,10 +221,18 @@ class VM {
         // Assert function
         this.globals.set('assert', (condition, message = 'Assertion failed') => {
             if (!condition) {
-                throw new Error(message);
+                throw new GridLangError(message, null, null, 'AssertionError');
             }
         });
 
+        // Maximum depth of nested GridLang calls before a RecursionError
+        this.globals.set('set_recursion_limit', (limit) => {
+            if (typeof limit !== 'number' || limit < 1) {
+                throw new GridLangError('set_recursion_limit() requires a positive number', null, null, 'ValueError');
+            }
+            this.recursionLimit = Math.floor(limit);
+        });
+
         // Range function
         this.globals.set('range', (start, end, step = 1) => {
             if (end === undefined) {
@@ -157,17 +254,17 @@ class VM {
         });
 
         // Math functions
-        this.globals.set('abs', Math.abs);
-        this.globals.set('sqrt', Math.sqrt);
-        this.globals.set('pow', Math.pow);
-        this.globals.set('floor', Math.floor);
-        this.globals.set('ceil', Math.ceil);
-        this.globals.set('round', Math.round);
-        this.globals.set('sin', Math.sin);
-        this.globals.set('cos', Math.cos);
-        this.globals.set('tan', Math.tan);
-        this.globals.set('min', Math.min);
-        this.globals.set('max', Math.max);
+        this.globals.set('abs', (x) => typeof x === 'bigint' ? (x < 0n ? -x : x) : Math.abs(x));
+        this.globals.set('sqrt', mathBuiltin('sqrt', Math.sqrt));
+        this.globals.set('pow', (x, y) => typeof x === 'bigint' || typeof y === 'bigint' ? bigintArith('**', x, y) : Math.pow(x, y));
+        this.globals.set('floor', mathBuiltin('floor', Math.floor));
+        this.globals.set('ceil', mathBuiltin('ceil', Math.ceil));
+        this.globals.set('round', mathBuiltin('round', Math.round));
+        this.globals.set('sin', mathBuiltin('sin', Math.sin));
+        this.globals.set('cos', mathBuiltin('cos', Math.cos));
+        this.globals.set('tan', mathBuiltin('tan', Math.tan));
+        this.globals.set('min', (...args) => args.some(x => typeof x === 'bigint') ? args.reduce((a, b) => b < a ? b : a) : Math.min(...args));
+        this.globals.set('max', (...args) => args.some(x => typeof x === 'bigint') ? args.reduce((a, b) => b > a ? b : a) : Math.max(...args));
         this.globals.set('random', () => Math.random());
 
         this.globals.set('clamp', (val, min, max) => {
@@ -181,6 +278,7 @@ class VM {
         });
 
         this.globals.set('sign', (num) => {
+            if (typeof num === 'bigint') return num > 0n ? 1 : num < 0n ? -1 : 0;
             if (typeof num !== 'number') return 0;
             return Math.sign(num);
         });
@@ -188,7 +286,7 @@ class VM {
         // Abstract Data Type functions
         this.globals.set('keys', (obj) => {
             if (obj instanceof Map) {
-                return Array.from(obj.keys());
+                return Array.from(obj.keys(), key => this.tuples.thaw(key));
             } else if (typeof obj === 'object' && obj !== null && !Array.isArray(obj)) {
                 // For JS objects used as maps internally (less common in gridlang env but possible)
                 return Object.keys(obj);
@@ -211,6 +309,8 @@ class VM {
                 return arr.length;
             } else if (arr instanceof Map) {
                 return arr.size;
+            } else if (arr instanceof PriorityQueueObject || arr instanceof SetObject || arr instanceof DequeObject) {
+                return arr.len();
             }
             return 0;
         });
@@ -280,7 +380,7 @@ class VM {
 
         this.globals.set('count', (arr, val) => {
             if (Array.isArray(arr)) {
-                return arr.filter(x => x === val).length;
+                return arr.filter(x => valuesEqual(x, val)).length;
             }
             return 0;
         });
@@ -291,23 +391,25 @@ class VM {
             return arr1.concat(arr2);
         });
 
+        // Array versions compare items like == (arrays by value)
         this.globals.set('diff', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.diff(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            const set2 = new Set(arr2);
+            const set2 = new SetObject(arr2, this);
             return arr1.filter(x => !set2.has(x));
         });
 
         this.globals.set('intersect', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.intersect(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            const set2 = new Set(arr2);
             // Unique intersection
-            const set1 = new Set(arr1);
-            return [...set1].filter(x => set2.has(x));
+            return new SetObject(arr1, this).intersect(arr2).toArray();
         });
 
         this.globals.set('union', (arr1, arr2) => {
+            if (arr1 instanceof SetObject) return arr1.union(arr2);
             if (!Array.isArray(arr1) || !Array.isArray(arr2)) return [];
-            return [...new Set([...arr1, ...arr2])];
+            return new SetObject(arr1, this).union(arr2).toArray();
         });
 
         // Type conversion functions
@@ -323,9 +425,10 @@ class VM {
 
         this.globals.set('int', (val) => {
             if (typeof val === 'number') return Math.floor(val);
+            if (typeof val === 'bigint') return val;
             if (typeof val === 'string') {
-                const parsed = parseInt(val, 10);
-                return isNaN(parsed) ? 0 : parsed;
+                const parsed = parseInteger(val);
+                return typeof parsed === 'number' && isNaN(parsed) ? 0 : parsed;
             }
             if (typeof val === 'boolean') return val ? 1 : 0;
             return 0;
@@ -333,6 +436,7 @@ class VM {
 
         this.globals.set('float', (val) => {
             if (typeof val === 'number') return val;
+            if (typeof val === 'bigint') return Number(val);
             if (typeof val === 'string') {
                 const parsed = parseFloat(val);
                 return isNaN(parsed) ? 0.0 : parsed;
@@ -341,6 +445,8 @@ class VM {
             return 0.0;
         });
 
+        this.globals.set('bigint', (val) => toBigInt(val));
+
         this.globals.set('bool', (val) => {
             return this.isTruthy(val);
         });
@@ -421,14 +527,16 @@ class VM {
             if (typeof strOrArr === 'string') {
                 return strOrArr.includes(item);
             } else if (Array.isArray(strOrArr)) {
-                return strOrArr.includes(item);
+                return indexOfValue(strOrArr, item) !== -1;
             }
             return false;
         });
 
         this.globals.set('index_of', (strOrArr, item) => {
-            if (typeof strOrArr === 'string' || Array.isArray(strOrArr)) {
+            if (typeof strOrArr === 'string') {
                 return strOrArr.indexOf(item);
+            } else if (Array.isArray(strOrArr)) {
+                return indexOfValue(strOrArr, item);
             }
             return -1;
         });
@@ -687,7 +795,7 @@ class VM {
 
                 // Convert based on type
                 if (type === 'int') {
-                    return elements.map(e => parseInt(e.trim())).filter(n => !isNaN(n));
+                    return elements.map(e => parseInteger(e)).filter(n => typeof n === 'bigint' || !isNaN(n));
                 } else if (type === 'float') {
                     return elements.map(e => parseFloat(e.trim())).filter(n => !isNaN(n));
                 } else if (type === 'word') {
@@ -941,17 +1049,39 @@ class VM {
         this.globals.set('Grid', (data) => {
             return new GridObject(data, this);
         });
+
+        // Priority queue (min-heap)
+        this.globals.set('PriorityQueue', (orderFn = null) => {
+            return new PriorityQueueObject(orderFn, this);
+        });
+
+        this.globals.set('Set', (items = null) => {
+            return new SetObject(items, this);
+        });
+
+        this.globals.set('Deque', (items = null) => {
+            return new DequeObject(items, this);
+        });
     }
     run(chunk) {
         this.chunk = chunk;
         this.ip = 0;
         this.stack = [];
         this.frames = [];
-        
+        this.builtins = new Map(this.globals);
+        this.pushMainFrame(chunk);
+        this.paused = false;
+        this.tracing = this.breakpoints.size > 0 || this.stepMode !== null;
+        return this.runLoop();
+    }
+    
+    // Run until the program ends or pauses (then this.paused is set and the
+    // result is null; call resume() to go on)
+    runLoop() {
         try {
-            const result = this.execute();
+            const result = this.execute(0);
             this.flushPrintBuffer(); // Flush any remaining output
-            return result;
+            return this.paused ? null : result;
         } catch (e) {
             this.flushPrintBuffer(); // Flush before throwing
             if (e.name === 'GridLangError') {
@@ -963,14 +1093,341 @@ class VM {
         }
     }
     
-    execute() {
+    // ============= DEBUGGER =============
+    // The VM pauses by returning from execute() with all state (ip, frames,
+    // stack) left in place; resume() re-enters the loop where it stopped.
+    // Pausing is only possible in the outermost dispatch loop: GridLang code
+    // called back from a builtin (map, sort, animate...) or running inside an
+    // imported module sits under JavaScript frames that cannot be suspended,
+    // so breakpoints and steps there are passed over.
+    
+    // Continue a paused program. mode is 'into' (next line anywhere), 'over'
+    // (next line in this function or its callers), 'out' (next line in a
+    // caller) or null (next breakpoint).
+    resume(mode = null) {
+        if (!this.paused) {
+            throw new Error('resume() called while not paused');
+        }
+        this.paused = false;
+        this.stepMode = mode;
+        this.stepDepth = this.frames.length;
+        this.skipPause = true;
+        this.tracing = this.breakpoints.size > 0 || mode !== null;
+        return this.runLoop();
+    }
+    
+    // Called before each instruction while tracing. Pause points are the
+    // first instruction of each line, i.e. where chunk.lines changes.
+    atPausePoint(baseDepth) {
+        if (this.skipPause) {
+            this.skipPause = false;
+            return false;
+        }
+        const lines = this.chunk.lines;
+        const ip = this.ip;
+        if (ip > 0 && lines[ip] === lines[ip - 1]) return false;
+        const line = lines[ip];
+        if (!line || baseDepth > 0 || this.chunk.module) return false;
+        
+        const depth = this.frames.length;
+        const mode = this.stepMode;
+        if (this.breakpoints.has(line) || mode === 'into' ||
+            (mode === 'over' && depth <= this.stepDepth) ||
+            (mode === 'out' && depth < this.stepDepth)) {
+            this.paused = true;
+            this.pausedLine = line;
+            return true;
+        }
+        return false;
+    }
+    
+    // What the debugger panel shows while paused: the call stack, innermost
+    // first, each with its local variables, and the script's own globals
+    debugState() {
+        const frames = this.frames.map((frame, i) => {
+            const top = i === this.frames.length - 1;
+            return {
+                name: frame.name,
+                line: top ? this.pausedLine : frame.chunk.lines[frame.ip - 1] || null,
+                locals: i === 0 ? new Map() : this.frameLocals(frame)
+            };
+        });
+        const globals = new Map();
+        for (const [name, value] of this.frames[0].scope) {
+            if (value !== UNBOUND && this.builtins.get(name) !== value && !isHiddenName(name)) {
+                globals.set(name, value);
+            }
+        }
+        return { line: this.pausedLine, frames: frames.reverse(), globals };
+    }
+    
+    frameLocals(frame) {
+        const vars = new Map();
+        const names = frame.chunk.localNames || NO_LOCALS;
+        names.forEach((name, slot) => {
+            if (frame.locals[slot] !== UNBOUND && !isHiddenName(name)) vars.set(name, frame.locals[slot]);
+        });
+        if (frame.ownScope) {
+            // Cells: locals captured by nested functions
+            for (const [name, value] of frame.scope) {
+                if (value !== UNBOUND && !isHiddenName(name)) vars.set(name, value);
+            }
+        }
+        return vars;
+    }
+    
+    // ============= CALL FRAMES =============
+    // Each active GridLang call owns a frame: its chunk, saved instruction
+    // pointer, scope and the stack height to unwind to on return. Calls
+    // between GridLang functions push/pop frames inside the one dispatch
+    // loop in execute(), so recursion depth is bounded by recursionLimit
+    // rather than by the JavaScript stack.
+    pushMainFrame(chunk) {
+        const frame = { name: chunk.name, chunk, ip: 0, scope: this.globals, ownScope: false, locals: NO_LOCALS, stackBase: 0 };
+        this.frames.push(frame);
+        this.frame = frame;
+    }
+    
+    pushFrame(funcObj, closure, args) {
+        if (this.frames.length > this.recursionLimit) {
+            throw this.recursionError(funcObj.name || funcObj.chunk.name);
+        }
+        
+        const chunk = funcObj.chunk;
+        const paramSlots = chunk.paramSlots || NO_LOCALS;
+        const localCount = chunk.localNames ? chunk.localNames.length : 0;
+        const locals = localCount > 0 ? new Array(localCount).fill(UNBOUND) : NO_LOCALS;
+        
+        // Locals captured by nested functions (and params of chunks without
+        // slot info) live in a new scope with the closure as parent, so
+        // closures created in this call share them. Otherwise the closure
+        // itself is the scope.
+        let scope = closure;
+        const cellNames = chunk.cellNames || NO_LOCALS;
+        if (cellNames.length > 0 || paramSlots.length !== funcObj.paramCount) {
+            scope = new ChainedMap(closure);
+            for (const name of cellNames) {
+                scope.declare(name, UNBOUND);
+            }
+        }
+        
+        // A rest parameter (the last) gets an array of the arguments left
+        const named = funcObj.rest ? funcObj.paramCount - 1 : funcObj.paramCount;
+        for (let i = 0; i < funcObj.paramCount; i++) {
+            const value = i === named ? args.slice(named) : args[i] !== undefined ? args[i] : null;
+            const slot = i < paramSlots.length ? paramSlots[i] : -1;
+            if (slot >= 0) {
+                locals[slot] = value;
+            } else {
+                scope.declare(chunk.names[i], value);
+            }
+        }
+        
+        if (this.frame) {
+            this.frame.ip = this.ip;  // Resume point in the caller
+        }
+        const frame = {
+            name: funcObj.name || chunk.name,
+            chunk,
+            ip: 0,
+            scope,
+            ownScope: scope !== closure,
+            locals,
+            stackBase: this.stack.length,
+            argCount: args.length  // For JUMP_IF_ARG
+        };
+        this.frames.push(frame);
+        this.frame = frame;
+        this.chunk = chunk;
+        this.globals = scope;
+        this.ip = 0;
+    }
+    
+    // Make the top frame current again after a frame was popped
+    restoreFrame() {
+        const frame = this.frames[this.frames.length - 1];
+        this.frame = frame || null;
+        if (frame) {
+            this.chunk = frame.chunk;
+            this.globals = frame.scope;
+            this.ip = frame.ip;
+        }
+    }
+    
+    // Call a GridLang function from JavaScript (builtin callbacks such as
+    // map(), sort() or grid.neighbors()). Runs a nested dispatch loop that
+    // returns as soon as the pushed frame does.
+    callFunction(funcObj, closure, args) {
+        const depth = this.frames.length;
+        const stackHeight = this.stack.length;
+        this.pushFrame(funcObj, closure, args);
+        try {
+            const result = this.execute(depth);
+            this.restoreFrame();
+            return result;
+        } catch (e) {
+            const error = this.toGridLangError(e);
+            this.frames.length = depth;
+            this.stack.length = stackHeight;
+            this.restoreFrame();
+            throw error;
+        }
+    }
+    
+    // Load a module (once per program) and return its ModuleExports. The
+    // module's chunk runs in a fresh global scope on a frame of its own, so
+    // its functions keep resolving globals in that scope when called later.
+    importModule(name) {
+        if (!this.modules) {
+            throw new GridLangError(`Cannot import '${name}': modules are not available here`, null, null, 'ImportError');
+        }
+        return this.modules.load(name, (ast) => {
+            const compiler = new Compiler({ optimize: this.optimize });
+            compiler.chunk.module = name;
+            const chunk = compiler.compile(ast);
+            chunk.name = `<module ${name}>`;
+            const scope = new Map(this.builtins);
+            
+            const depth = this.frames.length;
+            const stackHeight = this.stack.length;
+            this.frame.ip = this.ip;
+            const frame = { name: chunk.name, chunk, ip: 0, scope, ownScope: false, locals: NO_LOCALS, stackBase: stackHeight };
+            this.frames.push(frame);
+            this.frame = frame;
+            this.chunk = chunk;
+            this.globals = scope;
+            this.ip = 0;
+            try {
+                this.execute(depth);
+            } catch (e) {
+                throw this.toGridLangError(e);
+            } finally {
+                this.frames.length = depth;
+                this.stack.length = stackHeight;
+                this.restoreFrame();
+            }
+            
+            const exported = key => scope.has(key) && this.builtins.get(key) !== scope.get(key) && !isHiddenName(key);
+            return new ModuleExports({
+                has: exported,
+                get: key => scope.get(key),
+                set: (key, value) => scope.set(key, value),
+                names: () => [...scope.keys()].filter(exported)
+            });
+        });
+    }
+    
+    // Where each active frame currently is, outermost first
+    callChain() {
+        return this.frames.map(frame => {
+            const ip = frame === this.frame ? this.ip : frame.ip;
+            return { name: frame.name, line: frame.chunk.lines[ip - 1] || null, col: frame.chunk.columns[ip - 1] || null };
+        });
+    }
+    
+    // Add what the error's line alone does not say, while the frames it was
+    // raised in are still there: the column and the GridLang traceback
+    locateError(error) {
+        if (error.traceback || error.callChain) return;
+        const at = this.ip - 1;
+        if ((error.col === null || error.col === undefined) && error.line === this.chunk.lines[at]) {
+            error.col = this.chunk.columns[at] || null;
+        }
+        error.traceback = this.callChain();
+    }
+    
+    recursionError(calleeName, reason = `Maximum recursion depth exceeded (limit ${this.recursionLimit})`) {
+        const chain = this.callChain();
+        chain.push({ name: calleeName, line: null });
+        const line = this.chunk.lines[this.ip - 1] || null;
+        const error = new GridLangError(`${reason}\nCall chain: ${formatCallChain(chain)}`, line, null, 'RecursionError');
+        error.callChain = chain;
+        return error;
+    }
+    
+    // The JS stack ran out (GridLang -> builtin -> GridLang callbacks) before
+    // recursionLimit was reached. Building the error can run out again and
+    // be retried further out, so the depth is kept from the first attempt.
+    stackOverflowError() {
+        if (this.overflowDepth === null) this.overflowDepth = this.frames.length - 1;
+        const error = this.recursionError('<callback>',
+            `Stack overflow: the JavaScript stack ran out at call depth ${this.overflowDepth}, before the recursion limit of ${this.recursionLimit}`);
+        this.overflowDepth = null;
+        return error;
+    }
+    
+    // An error from a runtime helper, which does not know the line, placed
+    // at the current instruction
+    atInstruction(error) {
+        if (error instanceof GridLangError && (error.line === null || error.line === undefined)) {
+            error.line = this.chunk.lines[this.ip - 1];
+        }
+        return error;
+    }
+    
+    toGridLangError(e) {
+        if (e instanceof GridLangError) {
+            return e;
+        }
+        if (e instanceof RangeError) {
+            return this.stackOverflowError();
+        }
+        const line = this.chunk.lines[this.ip - 1] || 0;
+        return new GridLangError(e.message, line, null, 'RuntimeError');
+    }
+    
+    // Run GridLang code until the frame at depth baseDepth returns (or the
+    // main chunk halts). An error caught by a try block restarts the
+    // dispatch loop at its handler.
+    execute(baseDepth = 0) {
+        for (;;) {
+            try {
+                return this.dispatch(baseDepth);
+            } catch (e) {
+                const error = this.toGridLangError(e);
+                this.locateError(error);
+                if (!this.unwind(error, baseDepth)) {
+                    throw error;
+                }
+            }
+        }
+    }
+    
+    // Find the innermost try block around the error among this loop's frames
+    // (a callback's caller is searched by the loop that called the builtin).
+    // If there is one, drop the frames and stack values above it and go to
+    // its handler with the error map on the stack.
+    unwind(error, baseDepth) {
+        for (let depth = this.frames.length - 1; depth >= baseDepth; depth--) {
+            const frame = this.frames[depth];
+            const ip = frame === this.frame ? this.ip : frame.ip;
+            const handler = frame.chunk.handlers.length > 0 ? frame.chunk.findHandler(ip - 1) : null;
+            if (handler) {
+                this.frames.length = depth + 1;
+                this.restoreFrame();
+                this.stack.length = frame.stackBase + handler.depth;
+                this.stack.push(errorValue(error));
+                this.ip = handler.target;
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Single dispatch loop for all GridLang code
+    dispatch(baseDepth) {
         // Cache frequently accessed properties for better performance
-        const code = this.chunk.code;
-        const codeLength = code.length;
-        const constants = this.chunk.constants;
+        // (refreshed whenever a call or return switches frames)
+        let code = this.chunk.code;
+        let constants = this.chunk.constants;
+        let locals = this.frame.locals;
         const stack = this.stack;
+        let ext = 0;  // Operand bits from EXTENDED_ARG, used by the next instruction
         
-        while (this.ip < codeLength) {
+        while (this.ip < code.length) {
+            if (this.tracing && this.atPausePoint(baseDepth)) {
+                return null;
+            }
             const opcode = code[this.ip++];
             
             if (this.debugEnabled && this.debugBytecodeMod > 0 && this.ip % this.debugBytecodeMod === 0) {
@@ -978,8 +1435,13 @@ class VM {
             }
             
             switch (opcode) {
+                case OpCode.EXTENDED_ARG:
+                    ext = (ext | code[this.ip++]) << 8;
+                    break;
+                
                 case OpCode.LOAD_CONST: {
-                    const idx = code[this.ip++];
+                    const idx = ext | code[this.ip++];
+                    ext = 0;
                     let value = constants[idx];
                     
                     // Wrap GridLang functions so they're callable from JS
@@ -991,47 +1453,15 @@ class VM {
                         const capturedGlobals = this.globals;
                         
                         value = function(...args) {
-                            // Save VM state
-                            const savedChunk = vm.chunk;
-                            const savedIp = vm.ip;
-                            const savedGlobals = vm.globals;
-                            
-                            // Create a new scope with the captured globals as parent
-                            // This allows recursive calls to have separate parameter bindings
-                            // while still accessing the outer scope
-                            vm.globals = new ChainedMap(capturedGlobals);
-                            
-                            // Bind parameters
-                            for (let i = 0; i < funcObj.paramCount; i++) {
-                                const paramName = funcObj.chunk.names[i];
-                                vm.globals.set(paramName, args[i] !== undefined ? args[i] : null);
-                            }
-                            
-                            vm.chunk = funcObj.chunk;
-                            vm.ip = 0;
-                            
-                            try {
-                                vm.execute();
-                                const result = vm.stack.length > 0 ? vm.pop() : null;
-                                
-                                // Restore state
-                                vm.chunk = savedChunk;
-                                vm.ip = savedIp;
-                                vm.globals = savedGlobals;
-                                
-                                return result;
-                            } catch (e) {
-                                // Restore state on error
-                                vm.chunk = savedChunk;
-                                vm.ip = savedIp;
-                                vm.globals = savedGlobals;
-                                
-                                throw e;
-                            }
+                            return vm.callFunction(funcObj, capturedGlobals, args);
                         };
-                        // Store original metadata on the wrapper
+                        // Store original metadata on the wrapper; CALL uses it
+                        // to push a frame directly instead of going through JS
                         value._gridlangFunction = funcObj;
                         value._closure = capturedGlobals;
+                        value.arity = funcObj.rest ? funcObj.paramCount - 1 : funcObj.paramCount;
+                        value.variadic = Boolean(funcObj.rest);
+                        value.funcName = funcObj.name || funcObj.chunk.name;
                     }
                     
                     stack.push(value);
@@ -1055,23 +1485,67 @@ class VM {
                     break;
                     
                 case OpCode.LOAD_VAR: {
-                    const idx = code[this.ip++];
+                    const idx = ext | code[this.ip++];
+                    ext = 0;
                     const name = this.chunk.names[idx];
-                    if (!this.globals.has(name)) {
+                    const value = this.globals.get(name);
+                    if ((value === undefined && !this.globals.has(name)) || value === UNBOUND) {
                         throw new Error(`Undefined variable: ${name}`);
                     }
-                    stack.push(this.globals.get(name));
+                    stack.push(value);
                     break;
                 }
                 
                 case OpCode.STORE_VAR: {
-                    const idx = code[this.ip++];
+                    const idx = ext | code[this.ip++];
+                    ext = 0;
                     const name = this.chunk.names[idx];
                     const value = stack.pop();
                     this.globals.set(name, value);
                     break;
                 }
                 
+                case OpCode.LOAD_FAST: {
+                    const slot = ext | code[this.ip++];
+                    ext = 0;
+                    const value = locals[slot];
+                    if (value === UNBOUND) {
+                        throw new Error(`Undefined variable: ${this.chunk.localNames[slot]}`);
+                    }
+                    stack.push(value);
+                    break;
+                }
+                
+                case OpCode.STORE_FAST:
+                    locals[ext | code[this.ip++]] = stack.pop();
+                    ext = 0;
+                    break;
+                
+                // x += n, fused by the Optimizer; adds like ADD
+                case OpCode.INC_FAST: {
+                    const slot = ext | code[this.ip++];
+                    ext = 0;
+                    const step = constants[code[this.ip++]];
+                    const value = locals[slot];
+                    if (value === UNBOUND) {
+                        throw new Error(`Undefined variable: ${this.chunk.localNames[slot]}`);
+                    }
+                    locals[slot] = typeof value === 'bigint' ? this.exactOp(bigintArith, '+', value, step) : value + step;
+                    break;
+                }
+                
+                case OpCode.INC_VAR: {
+                    const name = this.chunk.names[ext | code[this.ip++]];
+                    ext = 0;
+                    const step = constants[code[this.ip++]];
+                    const value = this.globals.get(name);
+                    if ((value === undefined && !this.globals.has(name)) || value === UNBOUND) {
+                        throw new Error(`Undefined variable: ${name}`);
+                    }
+                    this.globals.set(name, typeof value === 'bigint' ? this.exactOp(bigintArith, '+', value, step) : value + step);
+                    break;
+                }
+                
                 case OpCode.POP:
                     stack.pop();
                     break;
@@ -1083,42 +1557,42 @@ class VM {
                 case OpCode.ADD: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(a + b);
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '+', a, b) : a + b);
                     break;
                 }
                 
                 case OpCode.SUB: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(a - b);
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '-', a, b) : a - b);
                     break;
                 }
                 
                 case OpCode.MUL: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(a * b);
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '*', a, b) : a * b);
                     break;
                 }
                 
                 case OpCode.DIV: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(a / b);
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '/', a, b) : a / b);
                     break;
                 }
                 
                 case OpCode.MOD: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(a % b);
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '%', a, b) : a % b);
                     break;
                 }
                 
                 case OpCode.POW: {
                     const b = stack.pop();
                     const a = stack.pop();
-                    stack.push(Math.pow(a, b));
+                    stack.push(typeof a === 'bigint' || typeof b === 'bigint' ? this.exactOp(bigintArith, '**', a, b) : Math.pow(a, b));
                     break;
                 }
                 
@@ -1127,15 +1601,64 @@ class VM {
                     break;
                 }
                 
+                case OpCode.FLOOR_DIV: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '//', a, b));
+                    break;
+                }
+                
+                case OpCode.BIT_AND: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '&', a, b));
+                    break;
+                }
+                
+                case OpCode.BIT_OR: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '|', a, b));
+                    break;
+                }
+                
+                case OpCode.BIT_XOR: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '^', a, b));
+                    break;
+                }
+                
+                case OpCode.SHIFT_LEFT: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '<<', a, b));
+                    break;
+                }
+                
+                case OpCode.SHIFT_RIGHT: {
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    stack.push(this.exactOp(integerArith, '>>', a, b));
+                    break;
+                }
+                
+                case OpCode.BIT_NOT: {
+                    stack.push(this.exactOp(bitwiseNot, stack.pop()));
+                    break;
+                }
+                
                 case OpCode.EQ: {
                     const b = stack.pop();
-                    stack.push(stack.pop() === b);
+                    const a = stack.pop();
+                    stack.push(a === b || ((typeof a === 'object' || typeof a === 'bigint' || typeof b === 'bigint') && valuesEqual(a, b)));
                     break;
                 }
                 
                 case OpCode.NEQ: {
                     const b = stack.pop();
-                    stack.push(stack.pop() !== b);
+                    const a = stack.pop();
+                    stack.push(a !== b && !((typeof a === 'object' || typeof a === 'bigint' || typeof b === 'bigint') && valuesEqual(a, b)));
                     break;
                 }
                 
@@ -1167,9 +1690,13 @@ class VM {
                     const container = stack.pop();
                     const item = stack.pop();
                     if (container instanceof Map) {
+                        stack.push(container.has(this.tuples.key(item)));
+                    } else if (container instanceof SetObject) {
                         stack.push(container.has(item));
+                    } else if (container instanceof DequeObject) {
+                        stack.push(indexOfValue(container.toArray(), item) !== -1);
                     } else if (Array.isArray(container)) {
-                        stack.push(container.includes(item));
+                        stack.push(indexOfValue(container, item) !== -1);
                     } else if (typeof container === 'string') {
                         stack.push(container.includes(String(item)));
                     } else {
@@ -1187,18 +1714,32 @@ class VM {
                 case OpCode.JUMP: {
                     const high = code[this.ip++];
                     const low = code[this.ip++];
-                    const target = (high << 8) | low;
-                    this.ip = target > 0x7FFF ? target - 0x10000 : target;
+                    const target = (ext << 8) | (high << 8) | low;
+                    ext = 0;
+                    this.ip = target;
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_ARG: {
+                    const high = code[this.ip++];
+                    const low = code[this.ip++];
+                    const target = (ext << 8) | (high << 8) | low;
+                    ext = 0;
+                    const index = code[this.ip++];
+                    if (index < this.frame.argCount) {
+                        this.ip = target;
+                    }
                     break;
                 }
                 
                 case OpCode.JUMP_IF_FALSE: {
                     const high = code[this.ip++];
                     const low = code[this.ip++];
-                    const target = (high << 8) | low;
+                    const target = (ext << 8) | (high << 8) | low;
+                    ext = 0;
                     const condition = stack.pop();
                     if (!this.isTruthy(condition)) {
-                        this.ip = target > 0x7FFF ? target - 0x10000 : target;
+                        this.ip = target;
                     }
                     break;
                 }
@@ -1206,16 +1747,86 @@ class VM {
                 case OpCode.JUMP_IF_TRUE: {
                     const high = code[this.ip++];
                     const low = code[this.ip++];
-                    const target = (high << 8) | low;
+                    const target = (ext << 8) | (high << 8) | low;
+                    ext = 0;
                     const condition = stack.pop();
                     if (this.isTruthy(condition)) {
-                        this.ip = target > 0x7FFF ? target - 0x10000 : target;
+                        this.ip = target;
+                    }
+                    break;
+                }
+                
+                case OpCode.JUMP_TABLE: {
+                    const table = constants[ext | code[this.ip++]];
+                    ext = 0;
+                    this.ip = table.target(stack.pop());
+                    break;
+                }
+                
+                // Comparison and JUMP_IF_FALSE, fused by the Optimizer
+                case OpCode.JUMP_IF_NOT_LT: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    if (!(stack.pop() < b)) this.ip = target;
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_NOT_LTE: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    if (!(stack.pop() <= b)) this.ip = target;
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_NOT_GT: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    if (!(stack.pop() > b)) this.ip = target;
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_NOT_GTE: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    if (!(stack.pop() >= b)) this.ip = target;
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_NOT_EQ: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    if (!(a === b || ((typeof a === 'object' || typeof a === 'bigint' || typeof b === 'bigint') && valuesEqual(a, b)))) {
+                        this.ip = target;
+                    }
+                    break;
+                }
+                
+                case OpCode.JUMP_IF_NOT_NEQ: {
+                    const target = (ext << 8) | (code[this.ip] << 8) | code[this.ip + 1];
+                    this.ip += 2;
+                    ext = 0;
+                    const b = stack.pop();
+                    const a = stack.pop();
+                    if (a === b || ((typeof a === 'object' || typeof a === 'bigint' || typeof b === 'bigint') && valuesEqual(a, b))) {
+                        this.ip = target;
                     }
                     break;
                 }
                 
                 case OpCode.BUILD_ARRAY: {
-                    const count = code[this.ip++];
+                    const count = ext | code[this.ip++];
+                    ext = 0;
                     const arr = new Array(count);
                     for (let i = count - 1; i >= 0; i--) {
                         arr[i] = stack.pop();
@@ -1225,7 +1836,8 @@ class VM {
                 }
                 
                 case OpCode.BUILD_MAP: {
-                    const count = code[this.ip++];
+                    const count = ext | code[this.ip++];
+                    ext = 0;
                     // Pop all key-value pairs into array to preserve order
                     const pairs = new Array(count);
                     for (let i = 0; i < count; i++) {
@@ -1245,12 +1857,24 @@ class VM {
                 case OpCode.INDEX: {
                     const index = stack.pop();
                     const obj = stack.pop();
-                    if (Array.isArray(obj)) {
-                        stack.push(obj[index]);
+                    if (Array.isArray(obj) || typeof obj === 'string') {
+                        if (index instanceof Slice) {
+                            try {
+                                stack.push(sliceSequence(obj, index));
+                            } catch (e) {
+                                throw this.atInstruction(e);
+                            }
+                        } else {
+                            stack.push(obj[index < 0 ? sequenceIndex(obj, index) : index]);
+                        }
                     } else if (obj instanceof Map) {
-                        stack.push(obj.get(index));
-                    } else if (typeof obj === 'string') {
-                        stack.push(obj[index]);
+                        stack.push(obj.get(this.tuples.key(index)));
+                    } else if (obj instanceof GridObject && Array.isArray(index)) {
+                        try {
+                            stack.push(obj.subscript(index));
+                        } catch (e) {
+                            throw this.atInstruction(e);
+                        }
                     } else if (typeof obj === 'object' && obj !== null) {
                         stack.push(obj[index]);
                     } else {
@@ -1264,9 +1888,27 @@ class VM {
                     const index = stack.pop();
                     const obj = stack.pop();
                     if (Array.isArray(obj)) {
-                        obj[index] = value;
+                        if (index instanceof Slice) {
+                            try {
+                                assignSlice(obj, index, value);
+                            } catch (e) {
+                                throw this.atInstruction(e);
+                            }
+                        } else {
+                            const position = sequenceIndex(obj, index);
+                            if (position < 0) {
+                                throw this.atInstruction(new GridLangError(`Array index out of range: ${index}`, null, null, 'IndexError'));
+                            }
+                            obj[position] = value;
+                        }
                     } else if (obj instanceof Map) {
-                        obj.set(index, value);
+                        obj.set(this.tuples.storeKey(index), value);
+                    } else if (obj instanceof GridObject && Array.isArray(index)) {
+                        try {
+                            obj.assignSubscript(index, value);
+                        } catch (e) {
+                            throw this.atInstruction(e);
+                        }
                     } else if (typeof obj === 'object' && obj !== null) {
                         obj[index] = value;
                     } else {
@@ -1277,18 +1919,25 @@ class VM {
                 }
                 
                 case OpCode.GET_MEMBER: {
-                    const idx = code[this.ip++];
+                    const idx = ext | code[this.ip++];
+                    ext = 0;
                     const member = this.chunk.names[idx];
                     const obj = stack.pop();
                     
                     if (obj instanceof Map) {
                         stack.push(obj.get(member));
+                    } else if (obj instanceof StructInstance) {
+                        try {
+                            stack.push(obj.get(member));
+                        } catch (e) {
+                            throw this.atInstruction(e);
+                        }
                     } else if (Array.isArray(obj)) {
                         // Array methods/properties
                         // Special case: arr.remove(val) removes by VALUE (different from global remove function)
                         if (member === 'remove') {
                             stack.push((val) => {
-                                const idx = obj.indexOf(val);
+                                const idx = indexOfValue(obj, val);
                                 if (idx !== -1) {
                                     obj.splice(idx, 1);
                                 }
@@ -1343,13 +1992,24 @@ class VM {
                 }
                 
                 case OpCode.STORE_MEMBER: {
-                    const idx = code[this.ip++];
+                    const idx = ext | code[this.ip++];
+                    ext = 0;
                     const member = this.chunk.names[idx];
                     const obj = stack.pop();
                     const value = stack.pop();
                     
                     if (obj instanceof Map) {
                         obj.set(member, value);
+                    } else if (obj instanceof StructInstance || structTypeOf(obj)) {
+                        try {
+                            if (obj instanceof StructInstance) {
+                                obj.set(member, value);
+                            } else {
+                                structTypeOf(obj).defineMethod(member, value);
+                            }
+                        } catch (e) {
+                            throw this.atInstruction(e);
+                        }
                     } else if (typeof obj === 'object' && obj !== null) {
                         obj[member] = value;
                     } else {
@@ -1359,6 +2019,85 @@ class VM {
                     break;
                 }
                 
+                case OpCode.ARRAY_EXTEND: {
+                    const value = stack.pop();
+                    let values;
+                    try {
+                        values = spreadValues(value);
+                    } catch (e) {
+                        throw this.atInstruction(e);
+                    }
+                    const array = stack[stack.length - 1];
+                    for (const item of values) {
+                        array.push(item);
+                    }
+                    break;
+                }
+                
+                case OpCode.MAP_UPDATE: {
+                    const value = stack.pop();
+                    let entries;
+                    try {
+                        entries = spreadEntries(value);
+                    } catch (e) {
+                        throw this.atInstruction(e);
+                    }
+                    const map = stack[stack.length - 1];
+                    for (const [key, item] of entries) {
+                        map.set(key, item);
+                    }
+                    break;
+                }
+                
+                case OpCode.BUILD_SET: {
+                    const count = ext | code[this.ip++];
+                    ext = 0;
+                    stack.push(new SetObject(stack.splice(stack.length - count, count), this));
+                    break;
+                }
+                
+                case OpCode.LIST_APPEND: {
+                    const iterators = ext | code[this.ip++];
+                    ext = 0;
+                    const value = stack.pop();
+                    stack[stack.length - 1 - iterators].push(value);
+                    break;
+                }
+                
+                case OpCode.SET_ADD: {
+                    const iterators = ext | code[this.ip++];
+                    ext = 0;
+                    const value = stack.pop();
+                    stack[stack.length - 1 - iterators].add(value);
+                    break;
+                }
+                
+                case OpCode.MAP_ADD: {
+                    const iterators = ext | code[this.ip++];
+                    ext = 0;
+                    const value = stack.pop();
+                    const key = stack.pop();
+                    stack[stack.length - 1 - iterators].set(this.tuples.storeKey(key), value);
+                    break;
+                }
+                
+                case OpCode.BUILD_SLICE: {
+                    const step = stack.pop();
+                    const end = stack.pop();
+                    const start = stack.pop();
+                    stack.push(new Slice(start, end, step));
+                    break;
+                }
+                
+                case OpCode.MAKE_STRUCT: {
+                    const count = ext | code[this.ip++];
+                    ext = 0;
+                    const fields = stack.splice(stack.length - count, count);
+                    const name = stack.pop();
+                    stack.push(new StructType(name, fields, this).constructorFunction());
+                    break;
+                }
+                
                 case OpCode.GET_ITER: {
                     const obj = stack.pop();
                     const iterLine = this.chunk.lines[this.ip - 1]; // Line of GET_ITER opcode
@@ -1369,6 +2108,12 @@ class VM {
                         stack.push({ type: 'map', obj, keys: Array.from(obj.keys()), index: 0 });
                     } else if (typeof obj === 'string') {
                         stack.push({ type: 'string', obj, index: 0 });
+                    } else if (obj instanceof PriorityQueueObject) {
+                        // Drains the queue in priority order
+                        stack.push({ type: 'queue', obj, index: 0 });
+                    } else if (obj instanceof SetObject || obj instanceof DequeObject) {
+                        // Iterate over a snapshot so the body may modify the collection
+                        stack.push({ type: 'array', obj: obj.toArray(), index: 0 });
                     } else if (typeof obj === 'object' && obj !== null) {
                         stack.push({ type: 'object', obj, keys: Object.keys(obj), index: 0 });
                     } else {
@@ -1380,8 +2125,8 @@ class VM {
                 case OpCode.FOR_ITER: {
                     const high = code[this.ip++];
                     const low = code[this.ip++];
-                    const target = (high << 8) | low;
-                    const targetIp = target > 0x7FFF ? target - 0x10000 : target;
+                    const targetIp = (ext << 8) | (high << 8) | low;
+                    ext = 0;
                     const isTwoVar = code[this.ip++]; // 0 = single-var, 1 = two-var
                     const iter = stack[stack.length - 1];  // peek without function call
                     
@@ -1397,7 +2142,7 @@ class VM {
                         }
                     } else if (iter.type === 'map') {
                         if (iter.index < iter.keys.length) {
-                            first = iter.keys[iter.index];
+                            first = this.tuples.thaw(iter.keys[iter.index]);
                             second = iter.obj.get(iter.keys[iter.index]);
                             iter.index++;
                             hasNext = true;
@@ -1409,6 +2154,13 @@ class VM {
                             iter.index++;
                             hasNext = true;
                         }
+                    } else if (iter.type === 'queue') {
+                        if (iter.obj.len() > 0) {
+                            first = iter.index;
+                            second = iter.obj.pop();
+                            iter.index++;
+                            hasNext = true;
+                        }
                     } else if (iter.type === 'object') {
                         if (iter.index < iter.keys.length) {
                             first = iter.keys[iter.index];
@@ -1427,7 +2179,7 @@ class VM {
                             // Single-variable: push what makes sense
                             // Arrays/strings: push value (second)
                             // Maps/objects: push key (first)
-                            if (iter.type === 'array' || iter.type === 'string') {
+                            if (iter.type === 'array' || iter.type === 'string' || iter.type === 'queue') {
                                 stack.push(second); // value
                             } else {
                                 stack.push(first); // key
@@ -1453,69 +2205,80 @@ class VM {
                     break;
                 }
                 
-                case OpCode.CALL: {
-                    const argCount = code[this.ip++];
-                    const args = new Array(argCount);
-                    for (let i = argCount - 1; i >= 0; i--) {
-                        args[i] = stack.pop();
+                case OpCode.CALL:
+                case OpCode.CALL_SPREAD: {
+                    let args;
+                    if (opcode === OpCode.CALL) {
+                        const argCount = ext | code[this.ip++];
+                        ext = 0;
+                        args = new Array(argCount);
+                        for (let i = argCount - 1; i >= 0; i--) {
+                            args[i] = stack.pop();
+                        }
+                    } else {
+                        args = stack.pop();  // Built by BUILD_ARRAY and ARRAY_EXTEND
                     }
                     const func = stack.pop();
                     
-                    if (typeof func === 'function') {
+                    if (typeof func === 'function' && func._gridlangFunction) {
+                        if (args.length > func.arity) {
+                            try {
+                                checkArgCount(func, args.length);
+                            } catch (e) {
+                                throw this.atInstruction(e);
+                            }
+                        }
+                        // GridLang function - push a frame and keep dispatching
+                        this.pushFrame(func._gridlangFunction, func._closure, args);
+                        code = this.chunk.code;
+                        constants = this.chunk.constants;
+                        locals = this.frame.locals;
+                    } else if (typeof func === 'function') {
                         // Native JS function - wrap errors with line info
                         try {
+                            checkArgCount(func, args.length);  // Struct methods have an arity
                             const result = func.apply(this, args);
                             stack.push(result !== undefined ? result : null);
                         } catch (e) {
-                            const callLine = this.chunk.lines[this.ip - 2]; // Line of CALL opcode
+                            const callLine = this.chunk.lines[this.ip - 1]; // Line of the call
                             if (e instanceof GridLangError) {
+                                if (e.line === null || e.line === undefined) {
+                                    e.line = callLine;  // Builtins don't know where they were called
+                                }
                                 throw e;
                             }
+                            if (e instanceof RangeError) {
+                                throw this.toGridLangError(e);
+                            }
                             throw new GridLangError(e.message, callLine, null, 'RuntimeError');
                         }
                     } else if (func && func.type === 'function') {
-                        // GridLang function - save state and execute
-                        const savedChunk = this.chunk;
-                        const savedIp = this.ip;
-                        const savedGlobals = this.globals;
-                        
-                        this.globals = new ChainedMap(func.closure);
-                        // Bind parameters
-                        for (let i = 0; i < func.paramCount; i++) {
-                            this.globals.set(func.chunk.names[i], args[i] !== undefined ? args[i] : null);
-                        }
-                        
-                        this.chunk = func.chunk;
-                        this.ip = 0;
-                        
-                        try {
-                            this.execute();
-                            // Function should RETURN, result is on stack
-                            const result = this.stack.length > 0 ? stack.pop() : null;
-                            
-                            // Restore state
-                            this.chunk = savedChunk;
-                            this.ip = savedIp;
-                            this.globals = savedGlobals;
-                            
-                            stack.push(result);
-                        } catch (e) {
-                            // Restore state on error
-                            this.chunk = savedChunk;
-                            this.ip = savedIp;
-                            this.globals = savedGlobals;
-                            throw e;
-                        }
+                        // Function object from MAKE_FUNCTION
+                        this.pushFrame(func, func.closure, args);
+                        code = this.chunk.code;
+                        constants = this.chunk.constants;
+                        locals = this.frame.locals;
                     } else {
-                        const callLine = this.chunk.lines[this.ip - 2];
+                        const callLine = this.chunk.lines[this.ip - 1];
                         throw new GridLangError('not a function', callLine, null, 'TypeError');
                     }
                     break;
                 }
                 
                 case OpCode.RETURN: {
-                    // Return value is already on stack
-                    return;
+                    // Return value is on top of the callee's part of the stack
+                    const frame = this.frames.pop();
+                    const result = stack.length > frame.stackBase ? stack.pop() : null;
+                    stack.length = frame.stackBase;  // Drop leftovers (e.g. iterators of loops we returned from)
+                    if (this.frames.length <= baseDepth) {
+                        return result;
+                    }
+                    this.restoreFrame();
+                    code = this.chunk.code;
+                    constants = this.chunk.constants;
+                    locals = this.frame.locals;
+                    stack.push(result);
+                    break;
                 }
                 
                 case OpCode.BREAK:
@@ -1526,8 +2289,29 @@ class VM {
                     // TODO: Implement proper continue with jump patching  
                     throw new Error('CONTINUE not yet fully implemented in VM');
                 
+                case OpCode.THROW: {
+                    const error = thrownError(stack.pop(), v => this.toString(v));
+                    if (error.line === null) {
+                        error.line = this.chunk.lines[this.ip - 1];
+                    }
+                    throw error;
+                }
+                
+                case OpCode.MATCH_ARRAY: {
+                    const length = ext | code[this.ip++];
+                    ext = 0;
+                    const value = stack.pop();
+                    stack.push(Array.isArray(value) && value.length === length);
+                    break;
+                }
+                
+                case OpCode.MATCH_MAP:
+                    stack.push(stack.pop() instanceof Map);
+                    break;
+                
                 case OpCode.HALT:
-                    return stack.length > 0 ? stack.pop() : null;
+                    // A module's chunk halts on a frame above its importer's stack
+                    return stack.length > this.frame.stackBase ? stack.pop() : null;
                     
                 case OpCode.SWAP: {
                     const a = stack.pop();
@@ -1536,6 +2320,52 @@ class VM {
                     stack.push(b);
                     break;
                 }
+                
+                case OpCode.IMPORT_NAME: {
+                    const name = constants[ext | code[this.ip++]];
+                    ext = 0;
+                    try {
+                        stack.push(this.importModule(name));
+                    } catch (e) {
+                        if (e instanceof GridLangError && e.line === null) {
+                            e.line = this.chunk.lines[this.ip - 1];
+                        }
+                        throw e;
+                    }
+                    break;
+                }
+                
+                case OpCode.IMPORT_FROM: {
+                    const name = this.chunk.names[ext | code[this.ip++]];
+                    const module = constants[(code[this.ip] << 8) | code[this.ip + 1]];
+                    this.ip += 2;
+                    ext = 0;
+                    const exports = stack[stack.length - 1];
+                    if (!exports.has(name)) {
+                        throw new GridLangError(`Cannot import name '${name}' from '${module}'`, this.chunk.lines[this.ip - 1], null, 'ImportError');
+                    }
+                    stack.push(exports.get(name));
+                    break;
+                }
+                
+                case OpCode.FORMAT_VALUE: {
+                    const hasSpec = code[this.ip++];
+                    const spec = hasSpec ? stack.pop() : null;
+                    const value = stack.pop();
+                    if (spec === null) {
+                        stack.push(this.toString(value));
+                        break;
+                    }
+                    try {
+                        stack.push(formatWithSpec(value, spec, v => this.toString(v)));
+                    } catch (e) {
+                        if (e instanceof GridLangError && e.line === null) {
+                            e.line = this.chunk.lines[this.ip - 1];
+                        }
+                        throw e;
+                    }
+                    break;
+                }
                     
                 default:
                     throw new Error(`Unknown opcode: ${opcode} at ${this.ip - 1}`);
@@ -1552,9 +2382,7 @@ class VM {
     readShort() {
         const high = this.chunk.code[this.ip++];
         const low = this.chunk.code[this.ip++];
-        const value = (high << 8) | low;
-        // Convert from unsigned to signed 16-bit
-        return value > 0x7FFF ? value - 0x10000 : value;
+        return (high << 8) | low;
     }
     
     push(value) {
@@ -1572,8 +2400,21 @@ class VM {
         return this.stack[this.stack.length - 1 - distance];
     }
     
+    // bigint arithmetic and the integer operators (see gridlang.js); errors
+    // point at the operator's line
+    exactOp(compute, ...operands) {
+        try {
+            return compute(...operands);
+        } catch (e) {
+            if (e instanceof GridLangError && e.line === null) {
+                e.line = this.chunk.lines[this.ip - 1];
+            }
+            throw e;
+        }
+    }
+    
     isTruthy(value) {
-        return value !== null && value !== false && value !== undefined && value !== 0 && value !== '';
+        return value !== null && value !== false && value !== undefined && value !== 0 && value !== 0n && value !== '';
     }
     
     toString(value) {
@@ -1585,7 +2426,7 @@ class VM {
         }
         if (value instanceof Map) {
             const entries = Array.from(value.entries())
-                .map(([k, v]) => `${k}: ${this.toString(v)}`)
+                .map(([k, v]) => `${Array.isArray(k) ? this.toString(k) : k}: ${this.toString(v)}`)
                 .join(', ');
             return `{${entries}}`;
         }
@@ -1622,7 +2463,18 @@ class VM {
         this.printBuffer = [];
         this.lastFlushTime = Date.now();
     }
-    
+
+    log(msg, type = 'output') {
+        // Direct logging for non-print messages (benchmark results, animation status)
+        this.flushPrintBuffer();
+        const color = type === 'error' ? '#f48771' : '#10b981';
+        this.cachedConsoleHTML += `<span style="color: ${color}">${this.escapeHtml(msg)}</span>\n`;
+        if (this.consoleElement) {
+            this.consoleElement.innerHTML = this.cachedConsoleHTML;
+            this.consoleElement.scrollTop = this.consoleElement.scrollHeight;
+        }
+    }
+
     escapeHtml(text) {
         if (typeof document === 'undefined') {
             return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');